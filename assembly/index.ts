@@ -1,59 +1,157 @@
 // Neural Network Training in WebAssembly (AssemblyScript)
-// Implements: forward pass, backpropagation, Adam optimizer, epoch-level training
-// Designed for binary classification with one hidden layer (ReLU -> Sigmoid)
+// Implements: forward pass, backpropagation, Adam / SGD with momentum /
+// RMSprop / AdaGrad optimizers (with decoupled weight decay and optional
+// global-norm gradient clipping), inverted dropout, class-weighted / focal / MSE / Huber loss,
+// epoch-level training
+// Binary or multi-class classification or regression with any number of
+// hidden layers (ReLU / tanh / leaky ReLU / ELU / GELU hidden layers ->
+// Sigmoid output for a single output unit, Softmax over the classes
+// otherwise, or a linear output for regression)
 
 // ── Network dimensions ──────────────────────────────────────────────
+// Layer 0 is the input layer, layer _numLayers - 1 the output layer.
+const MAX_LAYERS: i32 = 16;
+
+let _numLayers: i32 = 0;
 let _inputSize: i32 = 0;
-let _hiddenSize: i32 = 0;
 let _outputSize: i32 = 0;
 let _nSamples: i32 = 0;
+let _numParams: i32 = 0;   // all weights + biases
+let _numUnits: i32 = 0;    // all non-input units (scratch buffer length)
+
+// ── Layer tables (static memory, one i32 slot per layer) ────────────
+const layerUnitsPtr: usize = memory.data(MAX_LAYERS << 2);  // units per layer
+const wOffsetPtr: usize = memory.data(MAX_LAYERS << 2);     // W[l] offset into params
+const bOffsetPtr: usize = memory.data(MAX_LAYERS << 2);     // b[l] offset into params
+const unitOffsetPtr: usize = memory.data(MAX_LAYERS << 2);  // layer l offset into scratch
+const activationPtr: usize = memory.data(MAX_LAYERS << 2);  // ACT_* code per hidden layer
+const dropoutPtr: usize = memory.data(MAX_LAYERS << 3);     // f64 drop rate per hidden layer
+
+// ── Activation codes (mirrored in js/neural-network.js) ─────────────
+// ACT_LINEAR is only meaningful on the output layer (regression).
+const ACT_RELU: i32 = 0;
+const ACT_TANH: i32 = 1;
+const ACT_LEAKY_RELU: i32 = 2;
+const ACT_ELU: i32 = 3;
+const ACT_GELU: i32 = 4;
+const ACT_LINEAR: i32 = 5;
+
+const LEAKY_SLOPE: f64 = 0.01;
+const ELU_ALPHA: f64 = 1.0;
+const GELU_C: f64 = 0.7978845608028654; // sqrt(2 / pi)
+const GELU_K: f64 = 0.044715;
+
+// ── Loss codes (mirrored in js/neural-network.js) ───────────────────
+const LOSS_BCE: i32 = 0;
+const LOSS_FOCAL: i32 = 1;
+const LOSS_MSE: i32 = 2;
+const LOSS_HUBER: i32 = 3;
+
+// ── Optimizer codes (mirrored in js/neural-network.js) ──────────────
+const OPT_ADAM: i32 = 0;
+const OPT_SGD: i32 = 1;      // SGD with (heavy-ball) momentum
+const OPT_RMSPROP: i32 = 2;
+const OPT_ADAGRAD: i32 = 3;
+
+const CLIP_EPS: f64 = 1e-15;
 
 // ── Memory pointers (byte offsets in WASM linear memory) ────────────
-// Weights & biases
-let w0Ptr: usize = 0;   // [hiddenSize × inputSize] f64
-let b0Ptr: usize = 0;   // [hiddenSize] f64
-let w1Ptr: usize = 0;   // [outputSize × hiddenSize] f64
-let b1Ptr: usize = 0;   // [outputSize] f64
-
-// Adam first-moment estimates
-let mw0Ptr: usize = 0;
-let mb0Ptr: usize = 0;
-let mw1Ptr: usize = 0;
-let mb1Ptr: usize = 0;
-
-// Adam second-moment estimates
-let vw0Ptr: usize = 0;
-let vb0Ptr: usize = 0;
-let vw1Ptr: usize = 0;
-let vb1Ptr: usize = 0;
-
-// Gradient accumulators (zeroed per batch)
-let gw0Ptr: usize = 0;
-let gb0Ptr: usize = 0;
-let gw1Ptr: usize = 0;
-let gb1Ptr: usize = 0;
-
-// Training data
-let xDataPtr: usize = 0;   // [nSamples × inputSize] f64
-let yDataPtr: usize = 0;   // [nSamples] f64
+// All parameters live in one flat buffer: for each layer l ≥ 1,
+// W[l] ([units(l) × units(l-1)], row-major) followed by b[l] ([units(l)]).
+let paramsPtr: usize = 0;  // [numParams] real
+let mPtr: usize = 0;       // Adam first moment / SGD velocity, same layout
+let vPtr: usize = 0;       // Adam second moment / RMSprop and AdaGrad
+                           // squared-gradient accumulator, same layout
+let gradPtr: usize = 0;    // gradient accumulators (zeroed per batch)
+let bestParamsPtr: usize = 0; // snapshot for early-stopping restore
+
+// Training data. Labels are 0/1 with one output unit, the class index
+// (0 … outputSize-1) with a softmax output, the (scaled) target value for
+// regression.
+let xDataPtr: usize = 0;   // [nSamples × inputSize] real
+let yDataPtr: usize = 0;   // [nSamples] real
+
+// Validation (holdout) data, evaluated between epochs
+let valXPtr: usize = 0;    // [nValSamples × inputSize] real
+let valYPtr: usize = 0;    // [nValSamples] real
+let valPredPtr: usize = 0; // [nValSamples × outputSize] real, written by nn_evaluate_validation
 
 // Shuffle indices
 let indicesPtr: usize = 0; // [nSamples] i32
 
-// Scratch buffers for forward/backward pass
-let zHiddenPtr: usize = 0; // pre-activation hidden [hiddenSize] f64
-let aHiddenPtr: usize = 0; // post-activation hidden [hiddenSize] f64
+// Scratch buffers for forward/backward pass, indexed via unitOffset(l)
+let zPtr: usize = 0;       // pre-activations [numUnits] real
+let aPtr: usize = 0;       // post-activations [numUnits] real
+let deltaPtr: usize = 0;   // backprop deltas [numUnits] real
+let maskPtr: usize = 0;    // dropout scale per unit (0 or 1/(1-p)) [numUnits] real
 
 // Prediction input buffer (separate from training data)
-let predInputPtr: usize = 0; // [inputSize] f64
+let predInputPtr: usize = 0; // [inputSize] real
+
+// Batch prediction buffers, grown on demand by nn_alloc_predict_batch
+let batchXPtr: usize = 0;    // [batchCapacity × inputSize] real
+let batchOutPtr: usize = 0;  // [batchCapacity × outputSize] real
+let _batchCapacity: i32 = 0;
 
 // ── State ───────────────────────────────────────────────────────────
 let adamT: i32 = 0;
 let _epochLoss: f64 = 0;
 let _epochAccuracy: f64 = 0;
+let _epochMae: f64 = 0;      // mean absolute error (regression)
+let _batchCursor: i32 = 0;   // next position in indicesPtr for this epoch
+let _runLoss: f64 = 0;       // running sums over the epoch's batches so far
+let _runCorrect: f64 = 0;
+let _runAbsError: f64 = 0;
+let _runBatches: i32 = 0;
+let _nValSamples: i32 = 0;
+let _valCapacity: i32 = 0;    // holdout rows the validation buffers fit
+let _valLoss: f64 = 0;
+let _valAccuracy: f64 = 0;
+let _valMae: f64 = 0;
 let rngState: u32 = 42;
+let _weightDecay: f64 = 0;
+let _lossType: i32 = LOSS_BCE;
+let _positiveWeight: f64 = 1.0; // weight of label-1 samples (label-0 weigh 1)
+let classWeightPtr: usize = 0;  // [outputSize] real loss weight per class (softmax)
+let _focalGamma: f64 = 2.0;
+let _huberDelta: f64 = 1.0;
+let _optimizer: i32 = OPT_ADAM;
+let _momentum: f64 = 0.9;  // SGD momentum
+let _rho: f64 = 0.9;       // RMSprop squared-gradient decay
+let _clipNorm: f64 = 0.0;  // max global gradient norm, 0 = no clipping
 
 // ── Inline helpers for raw memory access ────────────────────────────
+// Every buffer below holds `real` values. `real` is not declared here: the
+// build picks it (`--use real=f64` for wasm/nn.wasm, `--use real=f32` for
+// the SIMD build wasm/nn-simd.wasm, see package.json). Values are widened to
+// f64 on load and all arithmetic outside the f32x4 kernels is done in f64,
+// so the f64 build computes exactly what it always did.
+const REAL_SHIFT: usize = sizeof<real>() == 4 ? 2 : 3;
+
+// f32x4 kernels for the hot loops, only in the SIMD build.
+const USE_SIMD: bool = ASC_FEATURE_SIMD && sizeof<real>() == 4;
+
+@inline function loadR(ptr: usize): f64 {
+  return <f64>load<real>(ptr);
+}
+
+@inline function storeR(ptr: usize, val: f64): void {
+  store<real>(ptr, <real>val);
+}
+
+@inline function getR(ptr: usize, idx: i32): f64 {
+  return loadR(ptr + (<usize>idx << REAL_SHIFT));
+}
+
+@inline function setR(ptr: usize, idx: i32, val: f64): void {
+  storeR(ptr + (<usize>idx << REAL_SHIFT), val);
+}
+
+@inline function addR(ptr: usize, idx: i32, val: f64): void {
+  storeR(ptr + (<usize>idx << REAL_SHIFT), loadR(ptr + (<usize>idx << REAL_SHIFT)) + val);
+}
+
+// The drop rates (static memory) stay f64 in both builds.
 @inline function getF64(ptr: usize, idx: i32): f64 {
   return load<f64>(ptr + (<usize>idx << 3));
 }
@@ -62,10 +160,6 @@ let rngState: u32 = 42;
   store<f64>(ptr + (<usize>idx << 3), val);
 }
 
-@inline function addF64(ptr: usize, idx: i32, val: f64): void {
-  store<f64>(ptr + (<usize>idx << 3), load<f64>(ptr + (<usize>idx << 3)) + val);
-}
-
 @inline function getI32(ptr: usize, idx: i32): i32 {
   return load<i32>(ptr + (<usize>idx << 2));
 }
@@ -74,18 +168,70 @@ let rngState: u32 = 42;
   store<i32>(ptr + (<usize>idx << 2), val);
 }
 
-function allocF64(count: i32): usize {
-  return heap.alloc(<usize>count << 3);
+// ── Memory arena ────────────────────────────────────────────────────
+// Buffers are bump-allocated from linear memory past the static data in
+// two regions: the network's own buffers (nn_init_layers) at the bottom,
+// the data buffers (training, validation, prediction batches) above them.
+// nn_init_layers starts the whole arena over and nn_alloc_training_data
+// the data region, so re-initializing or retraining reuses memory instead
+// of growing it; nn_reset_memory releases everything. Reused memory is not
+// cleared except for the network's buffers: data buffers are always
+// written before they are read.
+let _arenaTop: usize = 0;  // next free byte, 0 until the first allocation
+let _dataBase: usize = 0;  // start of the data region
+
+@inline function arenaBase(): usize {
+  return (__heap_base + 15) & ~<usize>15;
+}
+
+function arenaAlloc(bytes: usize): usize {
+  const ptr: usize = ((_arenaTop > 0 ? _arenaTop : arenaBase()) + 15) & ~<usize>15;
+  const end: usize = ptr + bytes;
+  const available: usize = <usize>memory.size() << 16;
+  if (end > available) {
+    if (memory.grow(<i32>((end - available + 0xffff) >>> 16)) < 0) unreachable();
+  }
+  _arenaTop = end;
+  return ptr;
+}
+
+function allocReal(count: i32): usize {
+  return arenaAlloc(<usize>count << REAL_SHIFT);
 }
 
 function allocI32(count: i32): usize {
-  return heap.alloc(<usize>count << 2);
+  return arenaAlloc(<usize>count << 2);
 }
 
-function zeroF64(ptr: usize, count: i32): void {
-  memory.fill(ptr, 0, <usize>count << 3);
+// Drop every data buffer; the next allocation starts at _dataBase.
+function releaseData(): void {
+  _arenaTop = _dataBase;
+  _nSamples = 0;
+  _nValSamples = 0;
+  _valCapacity = 0;
+  _batchCapacity = 0;
+  xDataPtr = 0;
+  yDataPtr = 0;
+  indicesPtr = 0;
+  valXPtr = 0;
+  valYPtr = 0;
+  valPredPtr = 0;
+  batchXPtr = 0;
+  batchOutPtr = 0;
 }
 
+function zeroReal(ptr: usize, count: i32): void {
+  memory.fill(ptr, 0, <usize>count << REAL_SHIFT);
+}
+
+// ── Layer table accessors ───────────────────────────────────────────
+@inline function layerUnits(l: i32): i32 { return getI32(layerUnitsPtr, l); }
+@inline function wOffset(l: i32): i32 { return getI32(wOffsetPtr, l); }
+@inline function bOffset(l: i32): i32 { return getI32(bOffsetPtr, l); }
+@inline function unitOffset(l: i32): i32 { return getI32(unitOffsetPtr, l); }
+@inline function layerActivation(l: i32): i32 { return getI32(activationPtr, l); }
+@inline function outputPtr(): usize { return aPtr + (<usize>unitOffset(_numLayers - 1) << REAL_SHIFT); }
+
 // ── PRNG (xorshift32) ──────────────────────────────────────────────
 function xorshift32(): u32 {
   let x = rngState;
@@ -109,107 +255,298 @@ function xorshift32(): u32 {
   return 1.0 / (1.0 + Math.exp(-x));
 }
 
+// GELU, tanh approximation (Hendrycks & Gimpel)
+@inline function gelu(x: f64): f64 {
+  return 0.5 * x * (1.0 + Math.tanh(GELU_C * (x + GELU_K * x * x * x)));
+}
+
+function activate(act: i32, x: f64): f64 {
+  switch (act) {
+    case ACT_TANH: return Math.tanh(x);
+    case ACT_LEAKY_RELU: return x > 0.0 ? x : LEAKY_SLOPE * x;
+    case ACT_ELU: return x > 0.0 ? x : ELU_ALPHA * (Math.exp(x) - 1.0);
+    case ACT_GELU: return gelu(x);
+    case ACT_LINEAR: return x;
+    default: return relu(x);
+  }
+}
+
+// Derivative w.r.t. the pre-activation z. Recomputed from z because the
+// stored activation may already be scaled by a dropout mask.
+function activationDerivative(act: i32, z: f64): f64 {
+  switch (act) {
+    case ACT_TANH: {
+      const a = Math.tanh(z);
+      return 1.0 - a * a;
+    }
+    case ACT_LEAKY_RELU: return z > 0.0 ? 1.0 : LEAKY_SLOPE;
+    case ACT_ELU: return z > 0.0 ? 1.0 : ELU_ALPHA * Math.exp(z);
+    case ACT_GELU: {
+      const t = Math.tanh(GELU_C * (z + GELU_K * z * z * z));
+      return 0.5 * (1.0 + t) + 0.5 * z * (1.0 - t * t) * GELU_C * (1.0 + 3.0 * GELU_K * z * z);
+    }
+    case ACT_LINEAR: return 1.0;
+    default: return z > 0.0 ? 1.0 : 0.0;
+  }
+}
+
+// ── Exported: describe the layer stack ──────────────────────────────
+// Call nn_set_layer_count, then nn_set_layer_units for every layer (input,
+// hidden..., output) and optionally nn_set_layer_activation for hidden
+// layers, then nn_init_layers to allocate and initialize.
+export function nn_set_layer_count(count: i32): void {
+  _numLayers = count < 2 ? 2 : (count > MAX_LAYERS ? MAX_LAYERS : count);
+  // Hidden layers default to ReLU without dropout until told otherwise
+  memory.fill(activationPtr, 0, MAX_LAYERS << 2);
+  memory.fill(dropoutPtr, 0, MAX_LAYERS << 3);
+}
+
+export function nn_set_layer_units(layer: i32, units: i32): void {
+  if (layer < 0 || layer >= MAX_LAYERS) return;
+  setI32(layerUnitsPtr, layer, units);
+}
+
+export function nn_set_layer_activation(layer: i32, act: i32): void {
+  if (layer < 0 || layer >= MAX_LAYERS) return;
+  setI32(activationPtr, layer, act);
+}
+
+// Fraction of a hidden layer's units zeroed on each training sample.
+// Ignored at inference time (inverted dropout rescales during training).
+export function nn_set_layer_dropout(layer: i32, rate: f64): void {
+  if (layer < 0 || layer >= MAX_LAYERS) return;
+  setF64(dropoutPtr, layer, rate > 0.0 ? (rate < 0.95 ? rate : 0.95) : 0.0);
+}
+
+// Decoupled (AdamW) weight decay applied to weights, not biases.
+export function nn_set_weight_decay(decay: f64): void {
+  _weightDecay = decay > 0.0 ? decay : 0.0;
+}
+
+// Training loss: LOSS_BCE or LOSS_FOCAL (categorical cross-entropy or its
+// focal variant with a softmax output), LOSS_MSE or LOSS_HUBER for
+// regression. Positive samples are weighted by `positiveWeight` in the
+// classification losses; `gamma` is the focal focusing parameter.
+export function nn_set_loss(lossType: i32, positiveWeight: f64, gamma: f64): void {
+  _lossType = lossType >= LOSS_FOCAL && lossType <= LOSS_HUBER ? lossType : LOSS_BCE;
+  _positiveWeight = positiveWeight > 0.0 ? positiveWeight : 1.0;
+  _focalGamma = gamma >= 0.0 ? gamma : 0.0;
+}
+
+// Update rule used by nn_train_batches: OPT_ADAM (beta1/beta2/eps passed
+// per call), OPT_SGD (`momentum`), OPT_RMSPROP (`rho`, eps) or OPT_ADAGRAD
+// (eps). Resets the optimizer state.
+export function nn_set_optimizer(optimizer: i32, momentum: f64, rho: f64): void {
+  _optimizer = optimizer >= OPT_ADAM && optimizer <= OPT_ADAGRAD ? optimizer : OPT_ADAM;
+  _momentum = momentum >= 0.0 && momentum < 1.0 ? momentum : 0.0;
+  _rho = rho > 0.0 && rho < 1.0 ? rho : 0.9;
+  if (_numParams > 0) nn_reset_adam();
+}
+
+// Rescale each batch gradient so its global L2 norm (over all weights and
+// biases, averaged over the batch) is at most `maxNorm`; 0 disables it.
+export function nn_set_gradient_clip(maxNorm: f64): void {
+  _clipNorm = maxNorm > 0.0 ? maxNorm : 0.0;
+}
+
+// Residual size where the Huber loss switches from quadratic to linear.
+export function nn_set_huber_delta(delta: f64): void {
+  _huberDelta = delta > 0.0 ? delta : 1.0;
+}
+
 // ── Exported: initialize network ────────────────────────────────────
-export function nn_init(inputSize: i32, hiddenSize: i32, outputSize: i32): void {
-  _inputSize = inputSize;
-  _hiddenSize = hiddenSize;
-  _outputSize = outputSize;
+export function nn_init_layers(): void {
+  _inputSize = layerUnits(0);
+  _outputSize = layerUnits(_numLayers - 1);
   adamT = 0;
 
-  const w0Size = hiddenSize * inputSize;
-  const w1Size = outputSize * hiddenSize;
-
-  // Allocate all buffers
-  w0Ptr = allocF64(w0Size);
-  b0Ptr = allocF64(hiddenSize);
-  w1Ptr = allocF64(w1Size);
-  b1Ptr = allocF64(outputSize);
-
-  mw0Ptr = allocF64(w0Size);
-  vw0Ptr = allocF64(w0Size);
-  mb0Ptr = allocF64(hiddenSize);
-  vb0Ptr = allocF64(hiddenSize);
-  mw1Ptr = allocF64(w1Size);
-  vw1Ptr = allocF64(w1Size);
-  mb1Ptr = allocF64(outputSize);
-  vb1Ptr = allocF64(outputSize);
-
-  gw0Ptr = allocF64(w0Size);
-  gb0Ptr = allocF64(hiddenSize);
-  gw1Ptr = allocF64(w1Size);
-  gb1Ptr = allocF64(outputSize);
-
-  zHiddenPtr = allocF64(hiddenSize);
-  aHiddenPtr = allocF64(hiddenSize);
-  predInputPtr = allocF64(inputSize);
-
-  // Zero Adam state
-  zeroF64(mw0Ptr, w0Size);
-  zeroF64(vw0Ptr, w0Size);
-  zeroF64(mb0Ptr, hiddenSize);
-  zeroF64(vb0Ptr, hiddenSize);
-  zeroF64(mw1Ptr, w1Size);
-  zeroF64(vw1Ptr, w1Size);
-  zeroF64(mb1Ptr, outputSize);
-  zeroF64(vb1Ptr, outputSize);
-
-  // Xavier/Glorot uniform initialization
-  const limit0 = Math.sqrt(6.0 / <f64>(inputSize + hiddenSize));
-  for (let i: i32 = 0; i < w0Size; i++) {
-    setF64(w0Ptr, i, (randomFloat() * 2.0 - 1.0) * limit0);
-  }
-  zeroF64(b0Ptr, hiddenSize);
-
-  const limit1 = Math.sqrt(6.0 / <f64>(hiddenSize + outputSize));
-  for (let i: i32 = 0; i < w1Size; i++) {
-    setF64(w1Ptr, i, (randomFloat() * 2.0 - 1.0) * limit1);
-  }
-  zeroF64(b1Ptr, outputSize);
+  // Lay out parameters and scratch units layer by layer
+  let params: i32 = 0;
+  let unitsTotal: i32 = 0;
+  for (let l: i32 = 1; l < _numLayers; l++) {
+    const outSize = layerUnits(l);
+    const inSize = layerUnits(l - 1);
+    setI32(wOffsetPtr, l, params);
+    params += outSize * inSize;
+    setI32(bOffsetPtr, l, params);
+    params += outSize;
+    setI32(unitOffsetPtr, l, unitsTotal);
+    unitsTotal += outSize;
+  }
+  _numParams = params;
+  _numUnits = unitsTotal;
+
+  // Allocate all buffers, reusing the arena of any earlier network
+  _arenaTop = arenaBase();
+  paramsPtr = allocReal(_numParams);
+  mPtr = allocReal(_numParams);
+  vPtr = allocReal(_numParams);
+  gradPtr = allocReal(_numParams);
+  bestParamsPtr = allocReal(_numParams);
+
+  zPtr = allocReal(_numUnits);
+  aPtr = allocReal(_numUnits);
+  deltaPtr = allocReal(_numUnits);
+  maskPtr = allocReal(_numUnits);
+  predInputPtr = allocReal(_inputSize);
+  classWeightPtr = allocReal(_outputSize);
+  memory.fill(arenaBase(), 0, _arenaTop - arenaBase());
+  _dataBase = _arenaTop;
+  releaseData();
+  for (let k: i32 = 0; k < _outputSize; k++) setR(classWeightPtr, k, 1.0);
+
+  // Xavier/Glorot uniform initialization, layer by layer
+  for (let l: i32 = 1; l < _numLayers; l++) {
+    const outSize = layerUnits(l);
+    const inSize = layerUnits(l - 1);
+    const limit = Math.sqrt(6.0 / <f64>(inSize + outSize));
+    const wBase = wOffset(l);
+    const wSize = outSize * inSize;
+    for (let i: i32 = 0; i < wSize; i++) {
+      setR(paramsPtr, wBase + i, (randomFloat() * 2.0 - 1.0) * limit);
+    }
+    zeroReal(paramsPtr + (<usize>bOffset(l) << REAL_SHIFT), outSize);
+  }
+}
+
+// Shorthand for the classic single-hidden-layer network.
+export function nn_init(inputSize: i32, hiddenSize: i32, outputSize: i32): void {
+  nn_set_layer_count(3);
+  nn_set_layer_units(0, inputSize);
+  nn_set_layer_units(1, hiddenSize);
+  nn_set_layer_units(2, outputSize);
+  nn_init_layers();
 }
 
 // ── Exported: allocate training data buffers ─────────────────────────
+// Replaces any earlier training, validation and prediction batch buffers.
 export function nn_alloc_training_data(nSamples: i32): void {
+  releaseData();
   _nSamples = nSamples;
-  xDataPtr = allocF64(nSamples * _inputSize);
-  yDataPtr = allocF64(nSamples);
+  xDataPtr = allocReal(nSamples * _inputSize);
+  yDataPtr = allocReal(nSamples);
   indicesPtr = allocI32(nSamples);
   for (let i: i32 = 0; i < nSamples; i++) {
     setI32(indicesPtr, i, i);
   }
 }
 
+// Reuses the current holdout buffers when they are large enough.
+export function nn_alloc_validation_data(nSamples: i32): void {
+  _nValSamples = nSamples;
+  if (nSamples <= _valCapacity) return;
+  valXPtr = allocReal(nSamples * _inputSize);
+  valYPtr = allocReal(nSamples);
+  valPredPtr = allocReal(nSamples * _outputSize);
+  _valCapacity = nSamples;
+}
+
+// Release all buffers, network included; nn_init_layers must run again
+// before the module is used. Linear memory cannot shrink, but everything
+// allocated afterwards reuses it.
+export function nn_reset_memory(): void {
+  _dataBase = arenaBase();
+  releaseData();
+  _numParams = 0;
+  _numUnits = 0;
+  paramsPtr = 0;
+  mPtr = 0;
+  vPtr = 0;
+  gradPtr = 0;
+  bestParamsPtr = 0;
+  zPtr = 0;
+  aPtr = 0;
+  deltaPtr = 0;
+  maskPtr = 0;
+  predInputPtr = 0;
+  classWeightPtr = 0;
+}
+
+// Bytes of linear memory the arena currently holds.
+export function nn_get_memory_used(): i32 {
+  return _arenaTop > 0 ? <i32>(_arenaTop - arenaBase()) : 0;
+}
+
+// Loss weight for samples of class `cls` with a softmax output (call after
+// nn_init_layers, which resets every class to 1).
+export function nn_set_class_weight(cls: i32, weight: f64): void {
+  if (cls < 0 || cls >= _outputSize) return;
+  setR(classWeightPtr, cls, weight > 0.0 ? weight : 1.0);
+}
+
 // ── Exported: pointers for JS bulk data transfer ────────────────────
 export function nn_get_x_ptr(): usize { return xDataPtr; }
 export function nn_get_y_ptr(): usize { return yDataPtr; }
+export function nn_get_val_x_ptr(): usize { return valXPtr; }
+export function nn_get_val_y_ptr(): usize { return valYPtr; }
+export function nn_get_val_pred_ptr(): usize { return valPredPtr; }
 export function nn_get_pred_input_ptr(): usize { return predInputPtr; }
+export function nn_get_batch_x_ptr(): usize { return batchXPtr; }
+export function nn_get_batch_out_ptr(): usize { return batchOutPtr; }
+// All outputs of the last forward pass (e.g. class probabilities after nn_predict)
+export function nn_get_output_ptr(): usize { return outputPtr(); }
+
+// Bytes per value in every buffer above: 8 (f64) or 4 (f32, SIMD build).
+// Hosts pick Float64Array or Float32Array views by it.
+export function nn_get_real_bytes(): i32 { return <i32>sizeof<real>(); }
+
+// Flat parameter buffer (see layout above) for bulk copies from JS.
+// Offsets are element indices into it, `layer` as in nn_get_weight.
+// The optimizer state buffers share that layout; together with the Adam
+// step count they let a host save training state and continue it later.
+export function nn_get_params_ptr(): usize { return paramsPtr; }
+export function nn_get_param_count(): i32 { return _numParams; }
+export function nn_get_moment1_ptr(): usize { return mPtr; }
+export function nn_get_moment2_ptr(): usize { return vPtr; }
+export function nn_get_optimizer_step(): i32 { return adamT; }
+export function nn_set_optimizer_step(step: i32): void { adamT = step > 0 ? step : 0; }
+// The rest of what a mid-training checkpoint needs to continue exactly: the
+// PRNG, the current sample order and the early-stopping snapshot.
+export function nn_get_rng_state(): u32 { return rngState; }
+export function nn_set_rng_state(state: u32): void { rngState = state > 0 ? state : 42; }
+export function nn_get_indices_ptr(): usize { return indicesPtr; }
+export function nn_get_best_params_ptr(): usize { return bestParamsPtr; }
+export function nn_get_weight_offset(layer: i32): i32 { return wOffset(layer + 1); }
+export function nn_get_bias_offset(layer: i32): i32 { return bOffset(layer + 1); }
 
 // ── Exported: weight/bias access (for model save/load) ──────────────
+// `layer` is the weight-layer index: 0 connects the input to the first
+// hidden layer, _numLayers - 2 connects the last hidden layer to the output.
 export function nn_get_weight(layer: i32, row: i32, col: i32): f64 {
-  if (layer == 0) return getF64(w0Ptr, row * _inputSize + col);
-  return getF64(w1Ptr, row * _hiddenSize + col);
+  const l = layer + 1;
+  return getR(paramsPtr, wOffset(l) + row * layerUnits(l - 1) + col);
 }
 
 export function nn_set_weight(layer: i32, row: i32, col: i32, val: f64): void {
-  if (layer == 0) setF64(w0Ptr, row * _inputSize + col, val);
-  else setF64(w1Ptr, row * _hiddenSize + col, val);
+  const l = layer + 1;
+  setR(paramsPtr, wOffset(l) + row * layerUnits(l - 1) + col, val);
 }
 
 export function nn_get_bias(layer: i32, idx: i32): f64 {
-  if (layer == 0) return getF64(b0Ptr, idx);
-  return getF64(b1Ptr, idx);
+  return getR(paramsPtr, bOffset(layer + 1) + idx);
 }
 
 export function nn_set_bias(layer: i32, idx: i32, val: f64): void {
-  if (layer == 0) setF64(b0Ptr, idx, val);
-  else setF64(b1Ptr, idx, val);
+  setR(paramsPtr, bOffset(layer + 1) + idx, val);
 }
 
 // ── Exported: getters ───────────────────────────────────────────────
 export function nn_get_epoch_loss(): f64 { return _epochLoss; }
 export function nn_get_epoch_accuracy(): f64 { return _epochAccuracy; }
+export function nn_get_val_loss(): f64 { return _valLoss; }
+export function nn_get_val_accuracy(): f64 { return _valAccuracy; }
+export function nn_get_epoch_mae(): f64 { return _epochMae; }
+export function nn_get_val_mae(): f64 { return _valMae; }
 export function nn_get_input_size(): i32 { return _inputSize; }
-export function nn_get_hidden_size(): i32 { return _hiddenSize; }
+export function nn_get_hidden_size(): i32 { return _numLayers > 2 ? layerUnits(1) : 0; }
 export function nn_get_output_size(): i32 { return _outputSize; }
+export function nn_get_layer_count(): i32 { return _numLayers; }
+export function nn_get_layer_units(layer: i32): i32 { return layerUnits(layer); }
+export function nn_get_layer_activation(layer: i32): i32 { return layerActivation(layer); }
+export function nn_get_layer_dropout(layer: i32): f64 { return getF64(dropoutPtr, layer); }
+export function nn_get_weight_decay(): f64 { return _weightDecay; }
+export function nn_get_loss_type(): i32 { return _lossType; }
+export function nn_get_positive_weight(): f64 { return _positiveWeight; }
 export function nn_set_seed(seed: u32): void { rngState = seed > 0 ? seed : 42; }
 
 // ── Fisher-Yates shuffle ────────────────────────────────────────────
@@ -223,80 +560,303 @@ function shuffleIndices(): void {
   }
 }
 
-// ── Forward pass (from training data) ───────────────────────────────
-// Populates zHidden, aHidden scratch buffers; returns sigmoid output
-function forwardFromTrainingData(sampleIdx: i32): f64 {
-  const xBase: usize = xDataPtr + (<usize>(sampleIdx * _inputSize) << 3);
-
-  // Hidden layer: z = W0·x + b0, a = relu(z)
-  for (let j: i32 = 0; j < _hiddenSize; j++) {
-    let sum: f64 = getF64(b0Ptr, j);
-    const wBase: usize = w0Ptr + (<usize>(j * _inputSize) << 3);
-    for (let k: i32 = 0; k < _inputSize; k++) {
-      sum += load<f64>(wBase + (<usize>k << 3)) * load<f64>(xBase + (<usize>k << 3));
+// ── Vector kernels ──────────────────────────────────────────────────
+// The SIMD build runs four f32 lanes at a time and finishes the last
+// n % 4 elements with the scalar loop, which is all the f64 build runs.
+
+// init + Σ a[i]·b[i] over n reals
+@inline function dotR(a: usize, b: usize, n: i32, init: f64): f64 {
+  let sum: f64 = init;
+  let i: i32 = 0;
+  if (USE_SIMD) {
+    let acc = f32x4.splat(0);
+    for (; i + 4 <= n; i += 4) {
+      const off: usize = <usize>i << 2;
+      acc = f32x4.add(acc, f32x4.mul(v128.load(a + off), v128.load(b + off)));
     }
-    setF64(zHiddenPtr, j, sum);
-    setF64(aHiddenPtr, j, relu(sum));
+    sum += <f64>(f32x4.extract_lane(acc, 0) + f32x4.extract_lane(acc, 1) +
+      f32x4.extract_lane(acc, 2) + f32x4.extract_lane(acc, 3));
   }
+  for (; i < n; i++) sum += loadR(a + (<usize>i << REAL_SHIFT)) * loadR(b + (<usize>i << REAL_SHIFT));
+  return sum;
+}
 
-  // Output layer: z = W1·a_hidden + b1, output = sigmoid(z)
-  let outSum: f64 = getF64(b1Ptr, 0);
-  for (let k: i32 = 0; k < _hiddenSize; k++) {
-    outSum += getF64(w1Ptr, k) * getF64(aHiddenPtr, k);
+// y[i] += s · x[i] over n reals
+@inline function axpyR(y: usize, x: usize, s: f64, n: i32): void {
+  let i: i32 = 0;
+  if (USE_SIMD) {
+    const vs = f32x4.splat(<f32>s);
+    for (; i + 4 <= n; i += 4) {
+      const off: usize = <usize>i << 2;
+      v128.store(y + off, f32x4.add(v128.load(y + off), f32x4.mul(vs, v128.load(x + off))));
+    }
+  }
+  for (; i < n; i++) {
+    const off: usize = <usize>i << REAL_SHIFT;
+    storeR(y + off, loadR(y + off) + s * loadR(x + off));
   }
-  return sigmoid(outSum);
 }
 
-// ── Forward pass (from prediction input buffer) ─────────────────────
-function forwardFromPredInput(): f64 {
-  for (let j: i32 = 0; j < _hiddenSize; j++) {
-    let sum: f64 = getF64(b0Ptr, j);
-    const wBase: usize = w0Ptr + (<usize>(j * _inputSize) << 3);
-    for (let k: i32 = 0; k < _inputSize; k++) {
-      sum += load<f64>(wBase + (<usize>k << 3)) * load<f64>(predInputPtr + (<usize>k << 3));
+// ── Forward pass ────────────────────────────────────────────────────
+// Runs the feature vector at `xPtr` through every layer, populating the
+// z/a scratch buffers; returns the first output (the sigmoid probability of
+// a binary model or the regression estimate, see outputPtr() for all of
+// them). With `training` set,
+// hidden layers with a dropout rate draw a fresh mask into maskPtr.
+function forward(xPtr: usize, training: bool): f64 {
+  const last = _numLayers - 1;
+  let inPtr: usize = xPtr;
+  let inSize: i32 = _inputSize;
+
+  for (let l: i32 = 1; l < _numLayers; l++) {
+    const outSize = layerUnits(l);
+    const wPtr: usize = paramsPtr + (<usize>wOffset(l) << REAL_SHIFT);
+    const bPtr: usize = paramsPtr + (<usize>bOffset(l) << REAL_SHIFT);
+    const zOut: usize = zPtr + (<usize>unitOffset(l) << REAL_SHIFT);
+    const aOut: usize = aPtr + (<usize>unitOffset(l) << REAL_SHIFT);
+    const act = layerActivation(l);
+    const rate: f64 = training && l != last ? getF64(dropoutPtr, l) : 0.0;
+    const keepScale: f64 = 1.0 / (1.0 - rate);
+    const mOut: usize = maskPtr + (<usize>unitOffset(l) << REAL_SHIFT);
+
+    // z = W·in + b, a = act(z) (hidden), sigmoid(z), softmax(z) or z (output)
+    for (let j: i32 = 0; j < outSize; j++) {
+      const wBase: usize = wPtr + (<usize>(j * inSize) << REAL_SHIFT);
+      const sum: f64 = dotR(wBase, inPtr, inSize, getR(bPtr, j));
+      setR(zOut, j, sum);
+      if (l == last) {
+        if (act == ACT_LINEAR) setR(aOut, j, sum);
+        else if (outSize == 1) setR(aOut, j, sigmoid(sum));
+      } else if (rate > 0.0) {
+        const scale: f64 = randomFloat() < rate ? 0.0 : keepScale;
+        setR(mOut, j, scale);
+        setR(aOut, j, activate(act, sum) * scale);
+      } else {
+        setR(mOut, j, 1.0);
+        setR(aOut, j, activate(act, sum));
+      }
     }
-    setF64(aHiddenPtr, j, relu(sum));
+
+    if (l == last && outSize > 1 && act != ACT_LINEAR) softmax(zOut, aOut, outSize);
+
+    inPtr = aOut;
+    inSize = outSize;
+  }
+  return loadR(inPtr);
+}
+
+// Numerically stable softmax (shifted by the largest logit).
+function softmax(zIn: usize, aOut: usize, n: i32): void {
+  let maxZ: f64 = getR(zIn, 0);
+  for (let j: i32 = 1; j < n; j++) maxZ = Math.max(maxZ, getR(zIn, j));
+  let sum: f64 = 0.0;
+  for (let j: i32 = 0; j < n; j++) {
+    const e: f64 = Math.exp(getR(zIn, j) - maxZ);
+    setR(aOut, j, e);
+    sum += e;
+  }
+  for (let j: i32 = 0; j < n; j++) setR(aOut, j, getR(aOut, j) / sum);
+}
+
+// Index of the most probable class among the outputs at `outPtr`.
+function argmax(outPtr: usize): i32 {
+  let best: i32 = 0;
+  for (let j: i32 = 1; j < _outputSize; j++) {
+    if (getR(outPtr, j) > getR(outPtr, best)) best = j;
+  }
+  return best;
+}
+
+@inline function isRegression(): bool {
+  return _lossType == LOSS_MSE || _lossType == LOSS_HUBER;
+}
+
+@inline function isCorrect(yTrue: f64, outPtr: usize): bool {
+  if (isRegression()) return false;
+  if (_outputSize > 1) return argmax(outPtr) == <i32>yTrue;
+  return (loadR(outPtr) > 0.5 ? 1.0 : 0.0) == yTrue;
+}
+
+// ── Loss ────────────────────────────────────────────────────────────
+@inline function sampleWeight(yTrue: f64): f64 {
+  if (_outputSize > 1) return getR(classWeightPtr, <i32>yTrue);
+  return yTrue > 0.5 ? _positiveWeight : 1.0;
+}
+
+@inline function clipProb(p: f64): f64 {
+  return Math.max(CLIP_EPS, Math.min(1.0 - CLIP_EPS, p));
+}
+
+// Per-sample loss for the outputs at `outPtr`.
+function sampleLoss(yTrue: f64, outPtr: usize): f64 {
+  if (isRegression()) {
+    const r: f64 = loadR(outPtr) - yTrue;
+    if (_lossType == LOSS_MSE) return r * r;
+    // Huber: quadratic near zero, linear beyond ±delta
+    const absR: f64 = Math.abs(r);
+    return absR <= _huberDelta ? 0.5 * r * r : _huberDelta * (absR - 0.5 * _huberDelta);
   }
+  if (_outputSize > 1) {
+    // (Focal) categorical cross-entropy on the true class probability
+    const pt: f64 = clipProb(getR(outPtr, <i32>yTrue));
+    const focal: f64 = _lossType == LOSS_FOCAL ? Math.pow(1.0 - pt, _focalGamma) : 1.0;
+    return -sampleWeight(yTrue) * focal * Math.log(pt);
+  }
+  const clipped: f64 = clipProb(loadR(outPtr));
+  if (_lossType == LOSS_FOCAL) {
+    // FL = -w · (1 - pt)^γ · log(pt), pt = probability of the true class
+    const pt: f64 = yTrue > 0.5 ? clipped : 1.0 - clipped;
+    return -sampleWeight(yTrue) * Math.pow(1.0 - pt, _focalGamma) * Math.log(pt);
+  }
+  // (Weighted) binary cross-entropy
+  const bce: f64 = -(yTrue * Math.log(clipped) + (1.0 - yTrue) * Math.log(1.0 - clipped));
+  return sampleWeight(yTrue) * bce;
+}
+
+// dLoss/dz for every output unit, written to the output layer's deltas.
+function setOutputDeltas(yTrue: f64, outPtr: usize): void {
+  const dOut: usize = deltaPtr + (<usize>unitOffset(_numLayers - 1) << REAL_SHIFT);
+  if (isRegression()) {
+    // Linear output: dL/dz = dL/dŷ, 2r for MSE, r clipped to ±delta for Huber
+    const r: f64 = loadR(outPtr) - yTrue;
+    const d: f64 = _lossType == LOSS_MSE
+      ? 2.0 * r
+      : Math.max(-_huberDelta, Math.min(_huberDelta, r));
+    setR(dOut, 0, d);
+    return;
+  }
+  if (_outputSize == 1) {
+    setR(dOut, 0, outputDelta(yTrue, loadR(outPtr)));
+    return;
+  }
+  // Softmax: dpt/dz_j = pt (δ_jt - p_j), so every delta is g · (δ_jt - p_j)
+  // with g = dL/dpt · pt; cross-entropy gives g = -w (delta = w (p_j - δ_jt)),
+  // focal gives g = w (γ (1-pt)^(γ-1) pt log(pt) - (1-pt)^γ).
+  const t = <i32>yTrue;
+  const pt: f64 = clipProb(getR(outPtr, t));
+  let g: f64 = -1.0;
+  if (_lossType == LOSS_FOCAL) {
+    const q: f64 = 1.0 - pt;
+    g = _focalGamma * Math.pow(q, _focalGamma - 1.0) * pt * Math.log(pt) - Math.pow(q, _focalGamma);
+  }
+  g *= sampleWeight(yTrue);
+  for (let j: i32 = 0; j < _outputSize; j++) {
+    setR(dOut, j, g * ((j == t ? 1.0 : 0.0) - getR(outPtr, j)));
+  }
+}
 
-  let outSum: f64 = getF64(b1Ptr, 0);
-  for (let k: i32 = 0; k < _hiddenSize; k++) {
-    outSum += getF64(w1Ptr, k) * getF64(aHiddenPtr, k);
+// dLoss/dz at a single sigmoid output.
+function outputDelta(yTrue: f64, yPred: f64): f64 {
+  if (_lossType == LOSS_FOCAL) {
+    // dFL/dz = w · s · (γ (1-pt)^γ pt log(pt) - (1-pt)^(γ+1)), s = ±1 by class
+    const clipped: f64 = clipProb(yPred);
+    const positive = yTrue > 0.5;
+    const pt: f64 = positive ? clipped : 1.0 - clipped;
+    const q: f64 = 1.0 - pt;
+    const qg: f64 = Math.pow(q, _focalGamma);
+    const d: f64 = _focalGamma * qg * pt * Math.log(pt) - qg * q;
+    return sampleWeight(yTrue) * (positive ? d : -d);
   }
-  return sigmoid(outSum);
+  // BCE + sigmoid simplification → delta = yPred - yTrue
+  return sampleWeight(yTrue) * (yPred - yTrue);
 }
 
 // ── Backpropagation (accumulates gradients) ─────────────────────────
-function backpropSample(sampleIdx: i32, yTrue: f64, yPred: f64): void {
-  const xBase: usize = xDataPtr + (<usize>(sampleIdx * _inputSize) << 3);
-
-  // Output delta: BCE + sigmoid simplification → delta = yPred - yTrue
-  const deltaOut: f64 = yPred - yTrue;
-
-  // Accumulate gradients for W1, B1
-  for (let k: i32 = 0; k < _hiddenSize; k++) {
-    addF64(gw1Ptr, k, deltaOut * getF64(aHiddenPtr, k));
-  }
-  addF64(gb1Ptr, 0, deltaOut);
-
-  // Hidden layer deltas + gradient accumulation for W0, B0
-  for (let k: i32 = 0; k < _hiddenSize; k++) {
-    // delta_hidden[k] = (W1[k] * deltaOut) * relu'(z_hidden[k])
-    const z: f64 = getF64(zHiddenPtr, k);
-    if (z <= 0.0) continue; // relu derivative = 0
-    const dh: f64 = getF64(w1Ptr, k) * deltaOut;
-
-    const gwBase: usize = gw0Ptr + (<usize>(k * _inputSize) << 3);
-    for (let i: i32 = 0; i < _inputSize; i++) {
-      store<f64>(
-        gwBase + (<usize>i << 3),
-        load<f64>(gwBase + (<usize>i << 3)) + dh * load<f64>(xBase + (<usize>i << 3))
-      );
+// Expects the output deltas from setOutputDeltas().
+function backpropSample(xPtr: usize): void {
+  const last = _numLayers - 1;
+
+  for (let l: i32 = last; l >= 1; l--) {
+    const outSize = layerUnits(l);
+    const inSize = layerUnits(l - 1);
+    const inPtr: usize = l == 1 ? xPtr : aPtr + (<usize>unitOffset(l - 1) << REAL_SHIFT);
+    const dOut: usize = deltaPtr + (<usize>unitOffset(l) << REAL_SHIFT);
+    const gwPtr: usize = gradPtr + (<usize>wOffset(l) << REAL_SHIFT);
+    const gbPtr: usize = gradPtr + (<usize>bOffset(l) << REAL_SHIFT);
+
+    // Accumulate gradients for W[l], b[l]
+    for (let j: i32 = 0; j < outSize; j++) {
+      const d: f64 = getR(dOut, j);
+      if (d == 0.0) continue; // inactive unit contributes nothing
+      axpyR(gwPtr + (<usize>(j * inSize) << REAL_SHIFT), inPtr, d, inSize);
+      addR(gbPtr, j, d);
+    }
+
+    if (l == 1) break;
+
+    // Propagate: delta[l-1][k] = (Σ_j W[l][j][k] · delta[l][j]) * act'(z[l-1][k]).
+    // The sums are accumulated a row of W at a time (contiguous memory),
+    // in the same j order as summing each k on its own.
+    const wPtr: usize = paramsPtr + (<usize>wOffset(l) << REAL_SHIFT);
+    const zPrev: usize = zPtr + (<usize>unitOffset(l - 1) << REAL_SHIFT);
+    const dPrev: usize = deltaPtr + (<usize>unitOffset(l - 1) << REAL_SHIFT);
+    const mPrev: usize = maskPtr + (<usize>unitOffset(l - 1) << REAL_SHIFT);
+    const act = layerActivation(l - 1);
+    zeroReal(dPrev, inSize);
+    for (let j: i32 = 0; j < outSize; j++) {
+      axpyR(dPrev, wPtr + (<usize>(j * inSize) << REAL_SHIFT), getR(dOut, j), inSize);
+    }
+    for (let k: i32 = 0; k < inSize; k++) {
+      const z: f64 = getR(zPrev, k);
+      const mask: f64 = getR(mPrev, k);
+      // relu derivative = 0, or unit dropped for this sample
+      if ((act == ACT_RELU && z <= 0.0) || mask == 0.0) {
+        setR(dPrev, k, 0.0);
+        continue;
+      }
+      let sum: f64 = getR(dPrev, k);
+      if (act != ACT_RELU) sum *= activationDerivative(act, z);
+      if (mask != 1.0) sum *= mask;
+      setR(dPrev, k, sum);
     }
-    addF64(gb0Ptr, k, dh);
   }
 }
 
 // ── Adam optimizer step ─────────────────────────────────────────────
+// Decoupled weight decay (AdamW-style, for every optimizer): shrink the
+// weights, not the biases, before the gradient step.
+function applyWeightDecay(lr: f64): void {
+  if (_weightDecay <= 0.0) return;
+  const shrink: f64 = 1.0 - lr * _weightDecay;
+  for (let l: i32 = 1; l < _numLayers; l++) {
+    const wBase = wOffset(l);
+    const wEnd = bOffset(l);
+    for (let i: i32 = wBase; i < wEnd; i++) {
+      setR(paramsPtr, i, getR(paramsPtr, i) * shrink);
+    }
+  }
+}
+
+// Global-norm clipping of the accumulated (summed) batch gradients. A
+// non-finite norm is left alone for the host's divergence check to catch.
+function clipGradients(batchSz: i32): void {
+  if (_clipNorm <= 0.0) return;
+  let sq: f64 = 0.0;
+  for (let i: i32 = 0; i < _numParams; i++) {
+    const g: f64 = getR(gradPtr, i);
+    sq += g * g;
+  }
+  const norm: f64 = Math.sqrt(sq) / <f64>batchSz;
+  if (!(norm > _clipNorm) || !isFinite<f64>(norm)) return;
+  const scale: f64 = _clipNorm / norm;
+  for (let i: i32 = 0; i < _numParams; i++) {
+    setR(gradPtr, i, getR(gradPtr, i) * scale);
+  }
+}
+
+// One optimizer step from the accumulated batch gradients. Weights and
+// biases share one flat layout, so a single pass updates all of them.
+function applyUpdate(batchSz: i32, lr: f64, beta1: f64, beta2: f64, eps: f64): void {
+  clipGradients(batchSz);
+  applyWeightDecay(lr);
+  switch (_optimizer) {
+    case OPT_SGD: applySgd(batchSz, lr); break;
+    case OPT_RMSPROP: applyRmsprop(batchSz, lr, eps); break;
+    case OPT_ADAGRAD: applyAdagrad(batchSz, lr, eps); break;
+    default: applyAdam(batchSz, lr, beta1, beta2, eps);
+  }
+}
+
 function applyAdam(batchSz: i32, lr: f64, beta1: f64, beta2: f64, eps: f64): void {
   adamT++;
   const invBatch: f64 = 1.0 / <f64>batchSz;
@@ -306,127 +866,229 @@ function applyAdam(batchSz: i32, lr: f64, beta1: f64, beta2: f64, eps: f64): voi
   const ob1: f64 = 1.0 - beta1;
   const ob2: f64 = 1.0 - beta2;
 
-  // W0 update
-  const w0Size: i32 = _hiddenSize * _inputSize;
-  for (let i: i32 = 0; i < w0Size; i++) {
-    const g: f64 = getF64(gw0Ptr, i) * invBatch;
-    const m: f64 = beta1 * getF64(mw0Ptr, i) + ob1 * g;
-    const v: f64 = beta2 * getF64(vw0Ptr, i) + ob2 * g * g;
-    setF64(mw0Ptr, i, m);
-    setF64(vw0Ptr, i, v);
-    setF64(w0Ptr, i, getF64(w0Ptr, i) - lrT * (m / (Math.sqrt(v) + eps)));
-  }
-
-  // B0 update
-  for (let i: i32 = 0; i < _hiddenSize; i++) {
-    const g: f64 = getF64(gb0Ptr, i) * invBatch;
-    const m: f64 = beta1 * getF64(mb0Ptr, i) + ob1 * g;
-    const v: f64 = beta2 * getF64(vb0Ptr, i) + ob2 * g * g;
-    setF64(mb0Ptr, i, m);
-    setF64(vb0Ptr, i, v);
-    setF64(b0Ptr, i, getF64(b0Ptr, i) - lrT * (m / (Math.sqrt(v) + eps)));
-  }
-
-  // W1 update
-  const w1Size: i32 = _outputSize * _hiddenSize;
-  for (let i: i32 = 0; i < w1Size; i++) {
-    const g: f64 = getF64(gw1Ptr, i) * invBatch;
-    const m: f64 = beta1 * getF64(mw1Ptr, i) + ob1 * g;
-    const v: f64 = beta2 * getF64(vw1Ptr, i) + ob2 * g * g;
-    setF64(mw1Ptr, i, m);
-    setF64(vw1Ptr, i, v);
-    setF64(w1Ptr, i, getF64(w1Ptr, i) - lrT * (m / (Math.sqrt(v) + eps)));
-  }
-
-  // B1 update
-  for (let i: i32 = 0; i < _outputSize; i++) {
-    const g: f64 = getF64(gb1Ptr, i) * invBatch;
-    const m: f64 = beta1 * getF64(mb1Ptr, i) + ob1 * g;
-    const v: f64 = beta2 * getF64(vb1Ptr, i) + ob2 * g * g;
-    setF64(mb1Ptr, i, m);
-    setF64(vb1Ptr, i, v);
-    setF64(b1Ptr, i, getF64(b1Ptr, i) - lrT * (m / (Math.sqrt(v) + eps)));
+  let i: i32 = 0;
+  if (USE_SIMD) {
+    const vInv = f32x4.splat(<f32>invBatch);
+    const vB1 = f32x4.splat(<f32>beta1);
+    const vB2 = f32x4.splat(<f32>beta2);
+    const vOb1 = f32x4.splat(<f32>ob1);
+    const vOb2 = f32x4.splat(<f32>ob2);
+    const vLr = f32x4.splat(<f32>lrT);
+    const vEps = f32x4.splat(<f32>eps);
+    for (; i + 4 <= _numParams; i += 4) {
+      const off: usize = <usize>i << 2;
+      const g = f32x4.mul(v128.load(gradPtr + off), vInv);
+      const m = f32x4.add(f32x4.mul(vB1, v128.load(mPtr + off)), f32x4.mul(vOb1, g));
+      const v = f32x4.add(f32x4.mul(vB2, v128.load(vPtr + off)), f32x4.mul(vOb2, f32x4.mul(g, g)));
+      v128.store(mPtr + off, m);
+      v128.store(vPtr + off, v);
+      const step = f32x4.mul(vLr, f32x4.div(m, f32x4.add(f32x4.sqrt(v), vEps)));
+      v128.store(paramsPtr + off, f32x4.sub(v128.load(paramsPtr + off), step));
+    }
+  }
+  for (; i < _numParams; i++) {
+    const g: f64 = getR(gradPtr, i) * invBatch;
+    const m: f64 = beta1 * getR(mPtr, i) + ob1 * g;
+    const v: f64 = beta2 * getR(vPtr, i) + ob2 * g * g;
+    setR(mPtr, i, m);
+    setR(vPtr, i, v);
+    setR(paramsPtr, i, getR(paramsPtr, i) - lrT * (m / (Math.sqrt(v) + eps)));
+  }
+}
+
+// velocity = momentum · velocity + g; param -= lr · velocity
+function applySgd(batchSz: i32, lr: f64): void {
+  const invBatch: f64 = 1.0 / <f64>batchSz;
+  for (let i: i32 = 0; i < _numParams; i++) {
+    const vel: f64 = _momentum * getR(mPtr, i) + getR(gradPtr, i) * invBatch;
+    setR(mPtr, i, vel);
+    setR(paramsPtr, i, getR(paramsPtr, i) - lr * vel);
+  }
+}
+
+// s = rho · s + (1 - rho) · g²; param -= lr · g / (√s + eps)
+function applyRmsprop(batchSz: i32, lr: f64, eps: f64): void {
+  const invBatch: f64 = 1.0 / <f64>batchSz;
+  const oneMinusRho: f64 = 1.0 - _rho;
+  for (let i: i32 = 0; i < _numParams; i++) {
+    const g: f64 = getR(gradPtr, i) * invBatch;
+    const sq: f64 = _rho * getR(vPtr, i) + oneMinusRho * g * g;
+    setR(vPtr, i, sq);
+    setR(paramsPtr, i, getR(paramsPtr, i) - lr * g / (Math.sqrt(sq) + eps));
+  }
+}
+
+// s += g²; param -= lr · g / (√s + eps)
+function applyAdagrad(batchSz: i32, lr: f64, eps: f64): void {
+  const invBatch: f64 = 1.0 / <f64>batchSz;
+  for (let i: i32 = 0; i < _numParams; i++) {
+    const g: f64 = getR(gradPtr, i) * invBatch;
+    const sq: f64 = getR(vPtr, i) + g * g;
+    setR(vPtr, i, sq);
+    setR(paramsPtr, i, getR(paramsPtr, i) - lr * g / (Math.sqrt(sq) + eps));
   }
 }
 
 // ── Exported: train one epoch ───────────────────────────────────────
-export function nn_train_epoch(
-  batchSize: i32, lr: f64, beta1: f64, beta2: f64, eps: f64
-): void {
+// An epoch can also be run in slices so the host can react to messages
+// between batches: nn_begin_epoch() shuffles and resets the running totals,
+// then nn_train_batches() is called until it reports the epoch complete.
+export function nn_begin_epoch(): void {
   shuffleIndices();
+  _batchCursor = 0;
+  _runLoss = 0.0;
+  _runCorrect = 0.0;
+  _runAbsError = 0.0;
+  _runBatches = 0;
+}
 
-  let totalLoss: f64 = 0.0;
-  let totalCorrect: f64 = 0.0;
-  let batchCount: i32 = 0;
-
-  for (let batchStart: i32 = 0; batchStart < _nSamples; batchStart += batchSize) {
+// Trains up to `maxBatches` mini-batches from the current position.
+// Returns 1 (and finalizes the epoch loss/accuracy) once all samples have
+// been seen, 0 otherwise.
+export function nn_train_batches(
+  batchSize: i32, maxBatches: i32, lr: f64, beta1: f64, beta2: f64, eps: f64
+): i32 {
+  for (let b: i32 = 0; b < maxBatches && _batchCursor < _nSamples; b++) {
+    const batchStart: i32 = _batchCursor;
     let batchEnd: i32 = batchStart + batchSize;
     if (batchEnd > _nSamples) batchEnd = _nSamples;
     const curBatchSize: i32 = batchEnd - batchStart;
 
     // Zero gradient accumulators
-    zeroF64(gw0Ptr, _hiddenSize * _inputSize);
-    zeroF64(gb0Ptr, _hiddenSize);
-    zeroF64(gw1Ptr, _outputSize * _hiddenSize);
-    zeroF64(gb1Ptr, _outputSize);
+    zeroReal(gradPtr, _numParams);
 
     let batchLoss: f64 = 0.0;
     let batchCorrect: f64 = 0.0;
+    let batchAbsError: f64 = 0.0;
 
     for (let bi: i32 = batchStart; bi < batchEnd; bi++) {
       const sIdx: i32 = getI32(indicesPtr, bi);
-      const yTrue: f64 = getF64(yDataPtr, sIdx);
+      const yTrue: f64 = getR(yDataPtr, sIdx);
+      const xPtr: usize = xDataPtr + (<usize>(sIdx * _inputSize) << REAL_SHIFT);
 
       // Forward
-      const yPred: f64 = forwardFromTrainingData(sIdx);
+      forward(xPtr, true);
+      const outPtr = outputPtr();
 
-      // Binary cross-entropy loss
-      const clipEps: f64 = 1e-15;
-      const clipped: f64 = Math.max(clipEps, Math.min(1.0 - clipEps, yPred));
-      batchLoss -= yTrue * Math.log(clipped) + (1.0 - yTrue) * Math.log(1.0 - clipped);
+      // Loss (cross-entropy or focal, class-weighted)
+      batchLoss += sampleLoss(yTrue, outPtr);
 
-      // Accuracy
-      if ((yPred > 0.5 ? 1.0 : 0.0) == yTrue) batchCorrect += 1.0;
+      // Accuracy (classification) or absolute error (regression)
+      if (isCorrect(yTrue, outPtr)) batchCorrect += 1.0;
+      batchAbsError += Math.abs(loadR(outPtr) - yTrue);
 
       // Backprop
-      backpropSample(sIdx, yTrue, yPred);
+      setOutputDeltas(yTrue, outPtr);
+      backpropSample(xPtr);
     }
 
-    // Adam step
-    applyAdam(curBatchSize, lr, beta1, beta2, eps);
+    // Optimizer step
+    applyUpdate(curBatchSize, lr, beta1, beta2, eps);
 
-    totalLoss += batchLoss / <f64>curBatchSize;
-    totalCorrect += batchCorrect / <f64>curBatchSize;
-    batchCount++;
+    _runLoss += batchLoss / <f64>curBatchSize;
+    _runCorrect += batchCorrect / <f64>curBatchSize;
+    _runAbsError += batchAbsError / <f64>curBatchSize;
+    _runBatches++;
+    _batchCursor = batchEnd;
   }
 
-  _epochLoss = totalLoss / <f64>batchCount;
-  _epochAccuracy = totalCorrect / <f64>batchCount;
+  if (_batchCursor < _nSamples) return 0;
+  _epochLoss = _runLoss / <f64>_runBatches;
+  _epochAccuracy = _runCorrect / <f64>_runBatches;
+  _epochMae = _runAbsError / <f64>_runBatches;
+  return 1;
+}
+
+// 1 while the running loss of the current epoch and every weight and bias
+// are finite, 0 once training has diverged (NaN / ±Infinity).
+export function nn_training_finite(): i32 {
+  if (!isFinite<f64>(_runLoss)) return 0;
+  for (let i: i32 = 0; i < _numParams; i++) {
+    if (!isFinite<f64>(getR(paramsPtr, i))) return 0;
+  }
+  return 1;
+}
+
+export function nn_train_epoch(
+  batchSize: i32, lr: f64, beta1: f64, beta2: f64, eps: f64
+): void {
+  nn_begin_epoch();
+  nn_train_batches(batchSize, i32.MAX_VALUE, lr, beta1, beta2, eps);
+}
+
+// ── Exported: validation pass ───────────────────────────────────────
+// Scores every holdout sample without dropout, storing predictions at
+// valPredPtr and the mean loss (same objective as training), accuracy and
+// absolute error.
+export function nn_evaluate_validation(): void {
+  nn_predict_batch(valXPtr, valPredPtr, _nValSamples);
+  let totalLoss: f64 = 0.0;
+  let totalCorrect: f64 = 0.0;
+  let totalAbsError: f64 = 0.0;
+  for (let i: i32 = 0; i < _nValSamples; i++) {
+    const yTrue: f64 = getR(valYPtr, i);
+    const predPtr: usize = valPredPtr + (<usize>(i * _outputSize) << REAL_SHIFT);
+    totalLoss += sampleLoss(yTrue, predPtr);
+    if (isCorrect(yTrue, predPtr)) totalCorrect += 1.0;
+    totalAbsError += Math.abs(loadR(predPtr) - yTrue);
+  }
+  const n: f64 = _nValSamples > 0 ? <f64>_nValSamples : 1.0;
+  _valLoss = totalLoss / n;
+  _valAccuracy = totalCorrect / n;
+  _valMae = totalAbsError / n;
+}
+
+// ── Exported: best-weights snapshot (early stopping) ────────────────
+export function nn_snapshot_params(): void {
+  memory.copy(bestParamsPtr, paramsPtr, <usize>_numParams << REAL_SHIFT);
+}
+
+export function nn_restore_params(): void {
+  memory.copy(paramsPtr, bestParamsPtr, <usize>_numParams << REAL_SHIFT);
 }
 
 // ── Exported: single-sample prediction ──────────────────────────────
 export function nn_predict(): f64 {
-  return forwardFromPredInput();
+  return forward(predInputPtr, false);
+}
+
+// ── Exported: batch prediction ──────────────────────────────────────
+// Makes sure the batch buffers hold at least `rows` samples. Memory is only
+// allocated when the capacity grows, so callers can reuse one chunk size.
+export function nn_alloc_predict_batch(rows: i32): void {
+  if (rows <= _batchCapacity) return;
+  batchXPtr = allocReal(rows * _inputSize);
+  batchOutPtr = allocReal(rows * _outputSize);
+  _batchCapacity = rows;
+}
+
+// Scores `rows` samples laid out row-major at xPtr ([rows × inputSize] real)
+// and writes outputSize outputs per row to outPtr ([rows × outputSize] real).
+export function nn_predict_batch(xPtr: usize, outPtr: usize, rows: i32): void {
+  const rowBytes: usize = <usize>_inputSize << REAL_SHIFT;
+  if (_outputSize == 1) {
+    for (let i: i32 = 0; i < rows; i++) {
+      setR(outPtr, i, forward(xPtr + <usize>i * rowBytes, false));
+    }
+    return;
+  }
+  const outBytes: usize = <usize>_outputSize << REAL_SHIFT;
+  for (let i: i32 = 0; i < rows; i++) {
+    forward(xPtr + <usize>i * rowBytes, false);
+    memory.copy(outPtr + <usize>i * outBytes, outputPtr(), outBytes);
+  }
 }
 
 // ── Exported: set prediction input feature ──────────────────────────
 export function nn_set_predict_feature(idx: i32, val: f64): void {
-  setF64(predInputPtr, idx, val);
+  setR(predInputPtr, idx, val);
 }
 
-// ── Exported: reset Adam state (for re-training) ────────────────────
+// ── Exported: reset optimizer state (for re-training) ───────────────
 export function nn_reset_adam(): void {
   adamT = 0;
-  const w0Size = _hiddenSize * _inputSize;
-  const w1Size = _outputSize * _hiddenSize;
-  zeroF64(mw0Ptr, w0Size);
-  zeroF64(vw0Ptr, w0Size);
-  zeroF64(mb0Ptr, _hiddenSize);
-  zeroF64(vb0Ptr, _hiddenSize);
-  zeroF64(mw1Ptr, w1Size);
-  zeroF64(vw1Ptr, w1Size);
-  zeroF64(mb1Ptr, _outputSize);
-  zeroF64(vb1Ptr, _outputSize);
+  zeroReal(mPtr, _numParams);
+  zeroReal(vPtr, _numParams);
 }
 
 // Required by --exportStart
@@ -0,0 +1,141 @@
+/**
+ * Training checkpoints persisted in IndexedDB.
+ *
+ * The Train page stores what is needed to start a run again (the prepared
+ * data, the model config and the options) once when training starts, then the
+ * latest checkpoint of it (see the `onCheckpoint` option of
+ * NeuralNetwork.train) as training goes. A run lost to a crash or reload can
+ * then be resumed on the next visit.
+ *
+ * The stored run includes rows of the uploaded file (the validation rows and
+ * the encoded features), so it is described on the Privacy page, which can
+ * also discard it.
+ *
+ * Only one run is kept. When IndexedDB is unavailable (some private windows,
+ * file:// in a few browsers) load() resolves to null and the other methods do
+ * nothing; failed writes (e.g. storage quota) are ignored the same way, so
+ * training itself never depends on it.
+ */
+(function () {
+    const DB_NAME = 'marijoai';
+    const DB_VERSION = 1;
+    const STORE = 'checkpoints';
+    const SETUP_KEY = 'setup';
+    const CHECKPOINT_KEY = 'checkpoint';
+
+    let opening = null;
+
+    function openDb() {
+        if (!opening) {
+            opening = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                try {
+                    const req = indexedDB.open(DB_NAME, DB_VERSION);
+                    req.onupgradeneeded = () => {
+                        if (!req.result.objectStoreNames.contains(STORE)) {
+                            req.result.createObjectStore(STORE);
+                        }
+                    };
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = () => resolve(null);
+                    req.onblocked = () => resolve(null);
+                } catch (err) {
+                    resolve(null);
+                }
+            });
+        }
+        return opening;
+    }
+
+    // Run `work` in one transaction; resolves with what its returned
+    // function reads once the transaction completes, or null when the
+    // database cannot be used.
+    async function run(mode, work) {
+        const db = await openDb();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const result = work(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(result ? result() : null);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    const Checkpoints = {
+        /**
+         * Start keeping a new run, dropping any earlier one.
+         * @param {object} setup whatever the Train page needs to restart it
+         */
+        start(setup) {
+            return run('readwrite', (store) => {
+                store.put(setup, SETUP_KEY);
+                store.delete(CHECKPOINT_KEY);
+            }).catch(() => null);
+        },
+
+        /** @param {object} checkpoint as passed to `onCheckpoint` */
+        saveCheckpoint(checkpoint) {
+            return run('readwrite', (store) => {
+                store.put(checkpoint, CHECKPOINT_KEY);
+            }).catch(() => null);
+        },
+
+        /**
+         * @returns {Promise<{setup: object, checkpoint: object}|null>} the
+         *   stored run, only once it has a checkpoint to resume from
+         */
+        load() {
+            return run('readonly', (store) => {
+                const setup = store.get(SETUP_KEY);
+                const checkpoint = store.get(CHECKPOINT_KEY);
+                return () => (setup.result && checkpoint.result
+                    ? { setup: setup.result, checkpoint: checkpoint.result }
+                    : null);
+            }).catch(() => null);
+        },
+
+        /**
+         * @returns {Promise<boolean>} whether a run is stored, with or
+         *   without a checkpoint yet
+         */
+        has() {
+            return run('readonly', (store) => {
+                const count = store.count(SETUP_KEY);
+                return () => count.result > 0;
+            }).then((stored) => !!stored, () => false);
+        },
+
+        clear() {
+            return run('readwrite', (store) => {
+                store.delete(SETUP_KEY);
+                store.delete(CHECKPOINT_KEY);
+            }).catch(() => null);
+        }
+    };
+
+    window.TrainingCheckpoints = Checkpoints;
+
+    // The Privacy page says whether a run is stored and lets it be
+    // discarded without going through the Train page.
+    function showStored(status, button, stored) {
+        const key = stored ? 'privacy.saved.some' : 'privacy.saved.none';
+        // data-i18n keeps the status in step with language changes
+        status.setAttribute('data-i18n', key);
+        status.textContent = window.i18n ? window.i18n.t(key) : key;
+        button.style.display = stored ? '' : 'none';
+    }
+
+    window.initPrivacyPage = function () {
+        const status = document.getElementById('privacy-saved-status');
+        const button = document.getElementById('privacy-discard-run-btn');
+        if (!status || !button) return;
+        Checkpoints.has().then((stored) => showStored(status, button, stored));
+        button.addEventListener('click', () => {
+            Checkpoints.clear().then(() => showStored(status, button, false));
+        });
+    };
+})();
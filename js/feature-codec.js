@@ -0,0 +1,196 @@
+/**
+ * Feature encoding for the churn NN: min–max numeric columns and one-hot for
+ * categorical string columns. Shared by train and predict so saved models match.
+ * Also holds the CSV delimiter / header detection both pages use.
+ *
+ * Has no DOM dependencies: the same source is also bundled in front of
+ * js/nn-worker.js (see tools/embed-wasm.js) so the scoring worker encodes
+ * rows exactly like the page does.
+ */
+(function () {
+    const ML = {};
+
+    /**
+     * True when every non-empty cell parses to a finite number (strict).
+     * Empty cells are ignored.
+     */
+    ML.isNumericColumn = function (rows, key) {
+        for (let r = 0; r < rows.length; r++) {
+            const v = rows[r][key];
+            if (v === '' || v === null || v === undefined) continue;
+            const n = parseFloat(v);
+            if (isNaN(n) || !isFinite(n)) return false;
+        }
+        return true;
+    };
+
+    ML.collectCategories = function (rows, key) {
+        const set = new Set();
+        for (let i = 0; i < rows.length; i++) {
+            const v = rows[i][key];
+            if (v === '' || v === null || v === undefined) continue;
+            set.add(String(v).trim());
+        }
+        return Array.from(set).sort();
+    };
+
+    /**
+     * @param {string[]} candidateKeys column order (excludes label and id)
+     * @param {object[]} trainRows rows used to learn categories and stats
+     * @returns {Array<{kind:'numeric',key:string}|{kind:'onehot',key:string,categories:string[]}>}
+     */
+    ML.buildFeaturePipeline = function (candidateKeys, trainRows) {
+        const pipeline = [];
+        for (let i = 0; i < candidateKeys.length; i++) {
+            const key = candidateKeys[i];
+            if (ML.isNumericColumn(trainRows, key)) {
+                pipeline.push({ kind: 'numeric', key });
+            } else {
+                const categories = ML.collectCategories(trainRows, key);
+                if (categories.length === 0) {
+                    pipeline.push({ kind: 'numeric', key });
+                } else {
+                    pipeline.push({ kind: 'onehot', key, categories });
+                }
+            }
+        }
+        return pipeline;
+    };
+
+    /**
+     * Guess the delimiter (`,` `;` tab `|`) and whether the first line is a
+     * header from the start of a CSV file (the pages read its first 2 KB).
+     * @returns {{delimiter: string, hasHeader: boolean}}
+     */
+    ML.detectCsvFormat = function (text) {
+        const sample = String(text || '').split('\n').slice(0, 5).map(l => l.replace(/\r/g, ''));
+        const candidates = [',', ';', '\t', '|'];
+        let best = { delimiter: ',', score: -1 };
+        for (let d = 0; d < candidates.length; d++) {
+            const delim = candidates[d];
+            const counts = sample.map(line => line.split(delim).length);
+            const avg = counts.reduce((a, b) => a + b, 0) / (counts.length || 1);
+            if (avg > best.score) {
+                best = { delimiter: delim, score: avg };
+            }
+        }
+        // Header heuristic
+        let hasHeader = true;
+        if (sample.length >= 2) {
+            const first = sample[0].split(best.delimiter);
+            const second = sample[1].split(best.delimiter);
+            const isNumeric = (arr) => {
+                let numericCount = 0, total = 0;
+                for (let i = 0; i < arr.length; i++) {
+                    const v = arr[i].trim();
+                    if (v === '') continue;
+                    total++;
+                    const n = parseFloat(v);
+                    if (!isNaN(n) && isFinite(n)) numericCount++;
+                }
+                return total > 0 && numericCount / total > 0.6;
+            };
+            const firstNumeric = isNumeric(first);
+            const secondNumeric = isNumeric(second);
+            hasHeader = !firstNumeric && secondNumeric;
+        }
+        return { delimiter: best.delimiter, hasHeader };
+    };
+
+    ML.pipelineInputDimension = function (pipeline) {
+        let n = 0;
+        for (let i = 0; i < pipeline.length; i++) {
+            const col = pipeline[i];
+            if (col.kind === 'numeric') n += 1;
+            else if (col.kind === 'onehot') n += col.categories.length;
+        }
+        return n;
+    };
+
+    /**
+     * @param {object} mins maxs means keyed by column name (numeric only)
+     */
+    ML.encodeFeatureRow = function (pipeline, mins, maxs, means, row) {
+        const out = [];
+        const mn = mins || {};
+        const mx = maxs || {};
+        const mu = means || {};
+
+        for (let i = 0; i < pipeline.length; i++) {
+            const col = pipeline[i];
+            if (col.kind === 'numeric') {
+                const key = col.key;
+                let v = parseFloat(row[key]);
+                if (isNaN(v) || !isFinite(v)) {
+                    const m = mu[key];
+                    v = typeof m === 'number' && isFinite(m) ? m : 0;
+                }
+                let min = mn[key];
+                let max = mx[key];
+                if (typeof min !== 'number' || !isFinite(min)) min = 0;
+                if (typeof max !== 'number' || !isFinite(max)) max = min + 1;
+                const span = max - min;
+                let scaled = span === 0 ? 0 : (v - min) / span;
+                if (scaled < 0) scaled = 0;
+                if (scaled > 1) scaled = 1;
+                out.push(scaled);
+            } else if (col.kind === 'onehot') {
+                const raw = row[col.key];
+                const str =
+                    raw === '' || raw === null || raw === undefined
+                        ? ''
+                        : String(raw).trim();
+                const cats = col.categories;
+                const idx = cats.indexOf(str);
+                for (let j = 0; j < cats.length; j++) {
+                    out.push(idx === j ? 1 : 0);
+                }
+            }
+        }
+        return out;
+    };
+
+    /**
+     * Build a function turning one CSV row into a model input vector.
+     *
+     * `spec` is `{ featureColumns, featureKeys, mins, maxs, means, inputSize }`:
+     * models saved with `featureColumns` use encodeFeatureRow(); older models
+     * only have `featureKeys` (numeric, min–max scaled when mins/maxs exist).
+     * Vectors are trimmed or zero-padded to `inputSize`.
+     */
+    ML.makeRowEncoder = function (spec) {
+        const mins = spec.mins || {};
+        const maxs = spec.maxs || {};
+        const means = spec.means || {};
+        const inputSize = spec.inputSize;
+
+        let encode;
+        if (Array.isArray(spec.featureColumns)) {
+            encode = (row) => ML.encodeFeatureRow(spec.featureColumns, mins, maxs, means, row);
+        } else {
+            const keys = spec.featureKeys || [];
+            const scale = !!(spec.mins && spec.maxs);
+            encode = (row) => keys.map((key) => {
+                const n = parseFloat(row[key]);
+                const val = isNaN(n) ? 0 : n;
+                if (!scale) return val;
+                const min = typeof mins[key] === 'number' ? mins[key] : 0;
+                const max = typeof maxs[key] === 'number' ? maxs[key] : 1;
+                let scaled = (val - min) / (max - min || 1);
+                if (scaled < 0) scaled = 0;
+                if (scaled > 1) scaled = 1;
+                return scaled;
+            });
+        }
+
+        return (row) => {
+            const arr = encode(row);
+            if (arr.length > inputSize) return arr.slice(0, inputSize);
+            while (arr.length < inputSize) arr.push(0);
+            return arr;
+        };
+    };
+
+    (typeof window !== 'undefined' ? window : self).MLFeatureCodec = ML;
+})();
+
@@ -105,7 +105,12 @@
             'privacy.processing.title': 'Data Processing',
             'privacy.processing.body': 'No data is transmitted to our servers. All processing happens in your browser on your device.',
             'privacy.personal.title': 'Personal Data',
-            'privacy.personal.body': 'We do not collect or store personal data. Files you upload are processed locally and never sent to a remote server by this application.',
+            'privacy.personal.body': 'We do not collect personal data. Files you upload are processed locally and never sent to a remote server by this application.',
+            'privacy.saved.title': 'Saved Training Runs',
+            'privacy.saved.body': 'While a model trains on the Train page, its prepared data (including the validation rows from your file) and its latest checkpoint are kept in this browser\u2019s storage, so a run cut short by a reload or crash can be resumed. They stay on your device until the run finishes, is reset or is discarded, including if you close the tab mid-run.',
+            'privacy.saved.none': 'No training run is saved in this browser.',
+            'privacy.saved.some': 'A training run is saved in this browser.',
+            'privacy.saved.discard': 'Discard saved training run',
             'privacy.contact.title': 'Contact',
             'privacy.contact.body': 'For any questions, contact us on <a href="https://www.linkedin.com/company/marijoai">our LinkedIn page</a>.',
 
@@ -116,27 +121,142 @@
 
             /* ===== Train page ===== */
             'train.title': 'Train Churn Model',
+            'train.resume.title': 'Interrupted training found',
+            'train.resume.text': 'A training run stopped unexpectedly after epoch {epoch} of {total} (last saved {saved}). You can pick it up from there without uploading the CSV again.',
+            'train.resume.btn': 'Resume interrupted training',
+            'train.resume.discard': 'Discard saved run',
             'train.data_file': 'Customer Data (CSV file)',
+            'train.base_model': 'Continue training a saved model (optional)',
+            'train.base_model_hint': 'Load a churn_model.json to keep training it on new data instead of starting from scratch. Its columns, scaling and outcomes are reused, so the CSV must contain the same feature columns.',
+            'train.base_model_loaded': 'Continuing a saved model: {features} feature columns, predicting {target}.',
+            'train.base_model_clear': 'Start from scratch',
             'train.create_validation': 'Hold out a validation set (excluded from training)',
-            'train.create_validation_hint': 'Check this to create a separate CSV for validating model accuracy with predictions.',
+            'train.create_validation_hint': 'Check this to create a separate CSV for validating model accuracy with predictions. The holdout is also scored after every epoch so you can follow validation loss, accuracy and AUC.',
             'train.has_id': 'Dataset contains an ID column',
             'train.has_id_hint': 'Check this if a column holds customer or row identifiers. That column will be excluded from training (not used as a feature).',
             'train.id_column': 'ID column',
             'train.id_column_hint': 'Choose which column is the identifier. It must not be the churn column.',
+            'train.task': 'What to predict',
+            'train.task_binary': 'Churn yes / no',
+            'train.task_multiclass': 'Churn reason (several outcomes)',
+            'train.task_hint': 'Choose several outcomes when the column holds more than two values, such as cancelled_price, cancelled_competitor, downgraded and retained. Each distinct value becomes a class and the model gives a probability for each.',
+            'train.task_regression': 'A number (e.g. months left, revenue at risk)',
+            'train.task_regression_hint': 'Choose a number to estimate a numeric column, such as remaining months or revenue at risk. Rows without a number in that column are skipped.',
             'train.target_column': 'Churn column (the outcome to predict)',
             'train.target_column_hint': 'Select the column that indicates whether a customer churned.',
+            'train.balance_classes': 'Balance classes automatically',
+            'train.balance_classes_hint': 'Recommended when churners are a small share of your customers. Churned rows get more weight during training, based on the label distribution.',
+            'train.loss': 'Loss function',
+            'train.loss_hint': 'Focal loss concentrates training on customers that are hard to classify, which often helps with rare churners.',
+            'train.loss_bce': 'Standard (cross-entropy)',
+            'train.loss_focal': 'Focal loss',
+            'train.loss_mse': 'Mean squared error',
+            'train.loss_huber': 'Huber (robust to outliers)',
+            'train.loss_regression_hint': 'For numbers, Huber loss is less thrown off by a few extreme values than mean squared error.',
+            'train.optimizer': 'Optimizer',
+            'train.optimizer_adam': 'Adam (recommended)',
+            'train.optimizer_sgd': 'SGD with momentum',
+            'train.optimizer_rmsprop': 'RMSprop',
+            'train.optimizer_adagrad': 'AdaGrad',
+            'train.optimizer_hint': 'How the weights are updated after each batch. Adam works well on most churn data; try the others to compare on your own customers. The optimizer and its settings are saved in the model file.',
+            'train.preset': 'Training settings',
+            'train.preset_fast': 'Fast (quick first look)',
+            'train.preset_balanced': 'Balanced (recommended)',
+            'train.preset_thorough': 'Thorough (slower, closer fit)',
+            'train.preset_custom': 'Custom',
+            'train.epochs': 'Epochs',
+            'train.batch_size': 'Batch size',
+            'train.learning_rate': 'Learning rate',
+            'train.hidden_units': 'Hidden layer width (neurons)',
+            'train.preset_hint': 'Fast trains 30 epochs on a 32-neuron layer, Balanced 100 epochs on 64 and Thorough 300 epochs on 128 with smaller batches and a lower learning rate. Edit any value to use your own; your last settings are remembered in this browser and saved in the model file. A continued model keeps its own hidden width.',
+            'train.cv.folds': 'Cross-validation folds',
+            'train.cv.stratify': 'Stratify folds by outcome',
+            'train.cv.hint': 'Cross-validate splits the rows into this many folds, then trains on all folds but one and scores the one left out, once per fold, with the settings above. Cleaning, scaling and categories are fitted on the training folds only. Stratified folds keep the share of each outcome the same in every fold. Find best settings scores each try with these same folds.',
+            'train.search.mode': 'Settings search',
+            'train.search.mode_grid': 'Grid (every combination)',
+            'train.search.mode_random': 'Random',
+            'train.search.count': 'Random settings to try',
+            'train.search.minutes': 'Time budget (minutes)',
+            'train.search.hint': 'Find best settings tries combinations of epochs, learning rate and hidden width and scores each with the cross-validation above, preprocessing included. The grid tries 36 combinations, cheapest first; random tries the number you choose. The other settings above apply to every try. The search stops when the time budget runs out (0: no limit).',
+            'train.gradient_clip': 'Gradient clipping (max norm)',
+            'train.gradient_clip_hint': 'Caps the size of each weight update so a few extreme customers cannot make training blow up. 1 is a good starting point; 0 turns it off.',
+            'train.lr_schedule': 'Learning-rate schedule',
+            'train.lr_schedule_hint': 'Lowering the learning rate as training progresses often gives a slightly better final model. Warmup ramps it up over the first epochs.',
+            'train.lr_schedule_constant': 'Constant',
+            'train.lr_schedule_step': 'Step decay (halve every 10 epochs)',
+            'train.lr_schedule_cosine': 'Cosine annealing',
+            'train.lr_schedule_plateau': 'Reduce on plateau',
+            'train.lr_warmup': 'Warmup epochs',
+            'train.early_stopping': 'Early stopping patience (epochs)',
+            'train.early_stopping_hint': 'Stop when the validation loss (or training loss without a holdout) has not improved for this many epochs, and keep the weights from the best epoch. 0 trains for every epoch.',
+            'train.seed': 'Random seed',
+            'train.seed_placeholder': 'Random',
+            'train.seed_hint': 'Fixes the validation split, the starting weights and the shuffling order, so the same CSV and settings give the same model. Leave empty for a new random seed each run; the seed used is saved in the model file.',
             'train.dataset_summary': 'Dataset Summary',
             'train.customers': 'Customers:',
             'train.features': 'Features:',
             'train.features_source_cols': 'source columns',
             'train.btn_start': 'Train Churn Model',
+            'train.btn_cross_validate': 'Cross-validate',
             'train.btn_reset': 'Reset',
+            'train.btn_search': 'Find best settings',
+            'train.btn_pause': 'Pause',
+            'train.btn_resume': 'Resume',
+            'train.btn_stop': 'Stop and keep model',
             'train.progress.title': 'Training Progress',
             'train.progress.history_title': 'Training History',
             'train.progress.col_epoch': 'Epoch',
             'train.progress.col_loss': 'Loss',
             'train.progress.col_accuracy': 'Accuracy',
+            'train.progress.col_val_loss': 'Val loss',
+            'train.progress.col_val_accuracy': 'Val accuracy',
+            'train.progress.col_val_auc': 'Val AUC',
+            'train.progress.col_mae': 'MAE',
+            'train.progress.col_val_mae': 'Val MAE',
+            'train.progress.col_lr': 'Learning rate',
             'train.progress.epoch_of': 'Epoch {current} of {total}',
+            'train.model_info.title': 'Model',
+            'train.model_info.inputs': 'Inputs:',
+            'train.model_info.hidden': 'Hidden layers:',
+            'train.model_info.outputs': 'Outputs:',
+            'train.model_info.settings': 'Training settings:',
+            'train.model_info.hidden_value': '{units} neurons',
+            'train.model_info.settings_value': '{epochs} epochs, batch size {batchSize}, learning rate {learningRate} ({optimizer})',
+            'train.cv.title': 'Cross-Validation',
+            'train.cv.progress': 'Fold {fold} of {k}: epoch {epoch} of {epochs}',
+            'train.cv.progress_done': '{done} of {k} folds done',
+            'train.cv.btn_cancel': 'Cancel cross-validation',
+            'train.cv.summary': 'Mean ± standard deviation over the folds',
+            'train.cv.macro_note': 'Precision, recall, F1 and AUC are averaged over the outcomes (macro average).',
+            'train.cv.per_fold': 'Per fold',
+            'train.cv.col_metric': 'Metric',
+            'train.cv.col_mean': 'Mean ± std',
+            'train.cv.col_fold': 'Fold',
+            'train.cv.col_train_rows': 'Training rows',
+            'train.cv.col_test_rows': 'Scored rows',
+            'train.cv.metric_accuracy': 'Accuracy',
+            'train.cv.metric_precision': 'Precision',
+            'train.cv.metric_recall': 'Recall',
+            'train.cv.metric_f1': 'F1',
+            'train.cv.metric_auc': 'AUC',
+            'train.cv.metric_mae': 'MAE',
+            'train.cv.metric_rmse': 'RMSE',
+            'train.cv.metric_r2': 'R²',
+            'train.search.title': 'Find Best Settings',
+            'train.search.progress': '{done} of {total} settings tested',
+            'train.search.btn_cancel': 'Cancel search',
+            'train.search.btn_apply': 'Train with the best settings',
+            'train.search.leaderboard': 'Leaderboard',
+            'train.search.col_rank': '#',
+            'train.search.col_epochs': 'Epochs',
+            'train.search.col_learning_rate': 'Learning rate',
+            'train.search.col_hidden': 'Hidden width',
+            'train.search.col_auc': 'AUC',
+            'train.search.col_mae': 'MAE',
+            'train.search.col_accuracy': 'Accuracy',
+            'train.search.col_loss': 'Loss',
+            'train.search.diverged': 'Diverged (learning rate too high)',
+            'train.progress.paused': 'Paused after epoch {current} of {total}',
             'train.complete.title': 'Training Complete',
             'train.complete.body': 'Your churn model is ready! Download it and head to Score Customers to identify at-risk accounts.',
             'train.complete.download_model': 'Download Churn Model',
@@ -164,7 +284,49 @@
             'train.msg.err_detect_features': 'Could not detect input features from the CSV.',
             'train.msg.err_empty_training': 'Invalid training data: features or labels are empty',
             'train.msg.starting': 'Starting the Neural Network...',
+            'train.msg.class_balance': 'Balancing classes: {positives} churned vs {negatives} retained (churned rows weighted ×{weight}).',
+            'train.msg.class_weights': 'Balancing classes: {weights}.',
+            'train.msg.err_few_classes': 'Predicting several outcomes needs at least 2 distinct values in the churn column.',
+            'train.msg.err_many_classes': 'The churn column has {count} distinct values; at most {max} outcomes are supported. Pick a column with fewer outcomes or predict churn yes / no.',
+            'train.msg.err_numeric_target': 'No row has a number in the selected column. Pick a numeric column to predict a number.',
+            'train.msg.err_diverged_invalid_input': 'Training stopped in epoch {epoch}: the loss became NaN or infinite because some values could not be turned into valid numbers. Check the CSV for unusual values, then train again.',
+            'train.msg.err_diverged_extreme_features': 'Training stopped in epoch {epoch}: the loss blew up because some feature values are extremely large. Rescale or drop those columns, or turn on gradient clipping, then train again.',
+            'train.msg.err_diverged_learning_rate': 'Training stopped in epoch {epoch}: the loss blew up (NaN or infinite), most likely because the learning rate is too high for this data. Turn on gradient clipping (for example 1) or switch to Adam, then train again.',
+            'train.msg.engine_changed': 'These weights were trained on the {from} engine and continue on the {to} engine, which rounds slightly differently: the result will not match a run on the original engine with the same seed.',
+            'train.engine.simd': 'f32 WebAssembly SIMD',
+            'train.engine.f64': 'f64 WebAssembly',
+            'train.engine.js': 'JavaScript',
+            'train.msg.resuming': 'Resuming training from epoch {epoch} of {total}...',
+            'train.msg.err_resume': 'The interrupted training could not be found anymore. Upload the CSV and start training again.',
+            'train.msg.err_base_model': 'Could not load the model to continue: {error}',
+            'train.msg.err_base_model_preprocessing': 'the file has no saved preprocessing (feature columns and scaling). Retrain it with the current version first.',
+            'train.msg.err_base_model_columns': 'The CSV is missing columns the saved model was trained on: {columns}',
+            'train.msg.err_base_model_target': 'The column {column} is a feature of the saved model and cannot be the outcome to predict.',
+            'train.msg.err_base_model_classes': 'No rows have an outcome the saved model knows. New outcomes need a model trained from scratch.',
+            'train.msg.err_base_model_features': 'The saved model expects {expected} inputs but this data produces {actual}. Start from scratch to train on it.',
             'train.msg.training_complete': 'Model training completed successfully!',
+            'train.msg.early_stopped': 'Stopped early after epoch {epoch}; weights restored from epoch {best}.',
+            'train.msg.training_stopped': 'Training stopped after epoch {epoch}. The model keeps the weights trained so far and can be downloaded.',
+            'train.msg.seed': 'Seed: {seed}.',
+            'train.msg.err_seed': 'The random seed must be a whole number from 1 to 4294967295.',
+            'train.msg.err_epochs': 'Epochs must be a whole number from {min} to {max}.',
+            'train.msg.err_batch_size': 'The batch size must be a whole number from {min} to {max}.',
+            'train.msg.err_learning_rate': 'The learning rate must be a number from {min} to {max}.',
+            'train.msg.err_hidden_units': 'The hidden layer width must be a whole number from {min} to {max}.',
+            'train.msg.cv_started': 'Cross-validating with {k} folds…',
+            'train.msg.cv_done': 'Cross-validation complete over {k} folds.',
+            'train.msg.cv_stopped': 'Cross-validation cancelled after {done} of {k} folds.',
+            'train.msg.err_cv_base_model': 'Cross-validation is not available when continuing a saved model, whose weights were already trained.',
+            'train.msg.search_started': 'Testing {total} settings with {k}-fold cross-validation…',
+            'train.msg.search_done': 'Search complete: {done} of {total} settings tested. The best are at the top of the leaderboard.',
+            'train.msg.search_stopped': 'Search cancelled after {done} of {total} settings.',
+            'train.msg.search_timed_out': 'Time budget reached after {done} of {total} settings.',
+            'train.msg.err_search_none': 'No settings finished training without diverging. Try a lower learning rate or gradient clipping.',
+            'train.msg.err_search_base_model': 'Find best settings is not available when continuing a saved model, which keeps its own architecture.',
+            'train.msg.err_cv_folds': 'The number of folds must be a whole number from {min} to {max}.',
+            'train.msg.err_search_count': 'The number of random settings must be a whole number from {min} to {max}.',
+            'train.msg.err_search_minutes': 'The time budget must be from {min} to {max} minutes.',
+            'train.msg.err_cv_rows': 'Cross-validation with {k} folds needs at least {k} training rows.',
             'train.msg.err_training': 'Training error: {error}',
             'train.msg.err_no_model': 'No trained model to download',
             'train.msg.model_downloaded': 'Trained model downloaded successfully!',
@@ -196,6 +358,8 @@
             'predict.loading_model': 'Loading model...',
             'predict.btn_score': 'Score Customers',
             'predict.btn_reset': 'Reset',
+            'predict.btn_cancel': 'Cancel scoring',
+            'predict.progress': 'Scored {done} of {total} customers',
             'predict.btn_download': 'Download Results',
 
             'predict.results.title': 'Churn Risk Results',
@@ -209,13 +373,25 @@
             'predict.risk_tiers.range_watch': 'Score 0.20 – 0.50',
             'predict.risk_tiers.range_atrisk': 'Score 0.50 – 0.80',
             'predict.risk_tiers.range_critical': 'Score 0.80 – 1.00',
+            'predict.classes.title': 'Predicted Outcomes',
+            'predict.classes.subtitle': 'Customers grouped by their most likely outcome.',
+            'predict.values.title': 'Predicted Values',
+            'predict.values.subtitle': 'Summary of the estimates across all scored customers.',
+            'predict.values.average': 'Average',
+            'predict.values.total': 'Total',
+            'predict.values.min': 'Lowest',
+            'predict.values.max': 'Highest',
 
             'predict.metrics.title': 'Model Accuracy (vs. known outcomes)',
             'predict.metrics.accuracy': 'Accuracy:',
+            'predict.metrics.mae': 'Mean absolute error:',
+            'predict.metrics.rmse': 'Root mean squared error:',
+            'predict.metrics.r2': 'R²:',
             'predict.metrics.predicted_stayed': 'Predicted Stayed',
             'predict.metrics.predicted_churned': 'Predicted Churned',
             'predict.metrics.actual_stayed': 'Actually Stayed',
             'predict.metrics.actual_churned': 'Actually Churned',
+            'predict.metrics.actual_vs_predicted': 'Actual ↓ / Predicted →',
 
             'predict.filter.label': 'Churn score filter',
             'predict.filter.all': 'Show all customers',
@@ -237,6 +413,10 @@
             'predict.col.score': 'Churn Score',
             'predict.col.risk_level': 'Risk Level',
             'predict.col.risk_tier': 'Risk Tier',
+            'predict.col.predicted_class': 'Predicted Outcome',
+            'predict.col.confidence': 'Confidence',
+            'predict.col.class_probability': 'P({name})',
+            'predict.col.predicted_value': 'Predicted value',
 
             /* ===== Predict dynamic messages ===== */
             'predict.msg.model_loaded': 'Trained model loaded successfully!',
@@ -248,7 +428,9 @@
             'predict.msg.err_upload_both': 'Please upload both trained model and test data',
             'predict.msg.err_pick_id': 'Please select which column is the ID column.',
             'predict.msg.err_id_equals_target': 'The ID column cannot be the same as the churn column.',
+            'predict.msg.err_target_missing': 'The file has no column {column} to use as the churn column.',
             'predict.msg.scored': 'Predictions completed for {count} samples.',
+            'predict.msg.scoring_cancelled': 'Scoring cancelled.',
             'predict.msg.err_predict': 'Prediction error: {error}',
             'predict.msg.err_no_predictions': 'No predictions to download',
             'predict.msg.err_no_filter_match': 'No rows match the current churn score filter. Adjust the threshold or choose Show all customers.',
@@ -314,11 +496,11 @@
             'doc.nn.li2': '<b>Hidden layer</b> — 64 neurons with <b>ReLU</b> activation.',
             'doc.nn.li3': '<b>Output layer</b> — 1 neuron with <b>sigmoid</b> activation, producing a churn probability in <code>[0, 1]</code>.',
             'doc.nn.p2': 'Weights are initialized with <b>Xavier / Glorot uniform</b> initialization. The loss function is <b>binary cross-entropy</b>, which is the standard choice for sigmoid-output classifiers.',
-            'doc.nn.p3': 'Optimization uses <b>Adam</b> (adaptive moment estimation) with default hyper-parameters <code>β₁ = 0.9</code>, <code>β₂ = 0.999</code>, <code>ε = 1e-8</code>, a learning rate of <code>0.001</code>, a batch size of <code>32</code>, and <code>100</code> epochs. These values are tuned to work well out-of-the-box on typical subscription-business datasets.',
+            'doc.nn.p3': 'Optimization uses the optimizer chosen on the Train page: <b>Adam</b> (the default, with <code>β₁ = 0.9</code>, <code>β₂ = 0.999</code>, <code>ε = 1e-8</code>), <b>SGD with momentum</b> (<code>0.9</code>), <b>RMSprop</b> (<code>ρ = 0.9</code>) or <b>AdaGrad</b>. The epochs, batch size, learning rate and hidden-layer width come from a preset or your own values: <i>Balanced</i>, the default, trains <code>100</code> epochs in batches of <code>32</code> on <code>64</code> hidden neurons with a learning rate of <code>0.001</code> for Adam and RMSprop or <code>0.01</code> for SGD and AdaGrad; <i>Fast</i> trains <code>30</code> epochs in batches of <code>64</code> on <code>32</code> neurons at three times that rate, and <i>Thorough</i> <code>300</code> epochs in batches of <code>16</code> on <code>128</code> neurons at half of it. The settings used are saved in the model file.',
             'doc.wasm.title': 'WebAssembly Training Engine',
             'doc.wasm.p1': 'The performance-critical inner loop — forward pass, back-propagation, Adam updates, epoch-level training — is implemented in <b>AssemblyScript</b> and compiled ahead of time to a compact <code>wasm/nn.wasm</code> module. The source lives in <code>assembly/index.ts</code>.',
-            'doc.wasm.p2': 'The WebAssembly module manages its own linear memory: weights, biases, Adam first- and second-moment estimates, gradient accumulators, and the training dataset are all stored as flat <code>f64</code> arrays at fixed pointer offsets. JavaScript uploads features and labels once, then drives training one epoch at a time, reading back loss and accuracy after each epoch to power the live progress UI.',
-            'doc.wasm.p3': 'When WebAssembly is unavailable — for example on very old browsers or certain locked-down environments — the same network is trained by an equivalent <b>pure-JavaScript implementation</b> in <code>js/neural-network.js</code>. The model produced by either path is numerically compatible: weights can be exported from one and loaded into the other.',
+            'doc.wasm.p2': 'The WebAssembly module manages its own linear memory: weights, biases, Adam first- and second-moment estimates, gradient accumulators, and the training dataset are all stored as flat <code>f64</code> arrays at fixed pointer offsets (<code>f32</code> in the SIMD build that browsers with WebAssembly SIMD use for faster training). JavaScript uploads features and labels once, then drives training one epoch at a time, reading back loss and accuracy after each epoch to power the live progress UI.',
+            'doc.wasm.p3': 'When WebAssembly is unavailable — for example on very old browsers or certain locked-down environments — the same network is trained by an equivalent <b>pure-JavaScript implementation</b> in <code>js/nn-engine.js</code>. The f64 WebAssembly build and the JavaScript engine compute in the same double precision, while the <code>f32</code> SIMD build rounds each step to single precision, so its results differ slightly: the same seed gives the same model only on the same engine. Weights remain interchangeable — a model trained on any engine can be loaded, scored and continued on another. The engine used is saved with the model (<code>trainingConfig.engine</code>: <code>simd</code>, <code>f64</code> or <code>js</code>), and continuing or resuming training on a different one shows a warning.',
             'doc.pipeline.title': 'Data Pipeline',
             'doc.pipeline.intro': 'Before any neuron sees your data, marijoAI performs an automatic, deterministic preprocessing pipeline:',
             'doc.pipeline.li1': '<b>Format auto-detection.</b> A sample of the first few lines is scanned to pick the most likely delimiter (<code>,</code>, <code>;</code>, tab, or <code>|</code>) and to decide whether the first row is a header, using a numeric-ratio heuristic.',
@@ -425,7 +607,12 @@
             'privacy.processing.title': 'Traitement des données',
             'privacy.processing.body': 'Aucune donnée n\u2019est transmise à nos serveurs. Tout le traitement a lieu dans votre navigateur, sur votre appareil.',
             'privacy.personal.title': 'Données personnelles',
-            'privacy.personal.body': 'Nous ne collectons ni ne stockons de données personnelles. Les fichiers que vous importez sont traités localement et ne sont jamais envoyés à un serveur distant par cette application.',
+            'privacy.personal.body': 'Nous ne collectons pas de données personnelles. Les fichiers que vous importez sont traités localement et ne sont jamais envoyés à un serveur distant par cette application.',
+            'privacy.saved.title': 'Entraînements enregistrés',
+            'privacy.saved.body': 'Pendant l\u2019entraînement d\u2019un modèle sur la page Entraîner, ses données préparées (y compris les lignes de validation issues de votre fichier) et son dernier point de reprise sont conservés dans le stockage de ce navigateur, afin qu\u2019un entraînement interrompu par un rechargement ou un plantage puisse être repris. Ils restent sur votre appareil jusqu\u2019à ce que l\u2019entraînement se termine, soit réinitialisé ou ignoré, y compris si vous fermez l\u2019onglet en cours de route.',
+            'privacy.saved.none': 'Aucun entraînement n\u2019est enregistré dans ce navigateur.',
+            'privacy.saved.some': 'Un entraînement est enregistré dans ce navigateur.',
+            'privacy.saved.discard': 'Supprimer l\u2019entraînement enregistré',
             'privacy.contact.title': 'Contact',
             'privacy.contact.body': 'Pour toute question, contactez-nous sur <a href="https://www.linkedin.com/company/marijoai">notre page LinkedIn</a>.',
 
@@ -436,27 +623,142 @@
 
             /* ===== Train page ===== */
             'train.title': 'Entraîner un modèle de churn',
+            'train.resume.title': 'Entraînement interrompu détecté',
+            'train.resume.text': 'Un entraînement s\u2019est arrêté de façon inattendue après l\u2019époque {epoch} sur {total} (dernier enregistrement : {saved}). Vous pouvez le reprendre à partir de là sans importer le CSV à nouveau.',
+            'train.resume.btn': 'Reprendre l\u2019entraînement interrompu',
+            'train.resume.discard': 'Supprimer l\u2019entraînement enregistré',
             'train.data_file': 'Données clients (fichier CSV)',
+            'train.base_model': 'Poursuivre l\u2019entraînement d\u2019un modèle enregistré (facultatif)',
+            'train.base_model_hint': 'Chargez un churn_model.json pour continuer à l\u2019entraîner sur de nouvelles données au lieu de repartir de zéro. Ses colonnes, sa mise à l\u2019échelle et ses issues sont réutilisées : le CSV doit donc contenir les mêmes colonnes de caractéristiques.',
+            'train.base_model_loaded': 'Suite d\u2019un modèle enregistré : {features} colonnes de caractéristiques, prédiction de {target}.',
+            'train.base_model_clear': 'Repartir de zéro',
             'train.create_validation': 'Conserver un jeu de validation (exclu de l\u2019entraînement)',
-            'train.create_validation_hint': 'Cochez cette case pour créer un CSV séparé permettant de mesurer la précision du modèle avec des prédictions.',
+            'train.create_validation_hint': 'Cochez cette case pour créer un CSV séparé permettant de mesurer la précision du modèle avec des prédictions. Ce jeu est aussi évalué après chaque époque pour suivre la perte, la précision et l\u2019AUC de validation.',
             'train.has_id': 'Le jeu de données contient une colonne d\u2019identifiant',
             'train.has_id_hint': 'Cochez si une colonne contient des identifiants clients ou de ligne. Cette colonne sera exclue de l\u2019entraînement (non utilisée comme variable).',
             'train.id_column': 'Colonne d\u2019identifiant',
             'train.id_column_hint': 'Choisissez la colonne qui sert d\u2019identifiant. Elle ne peut pas être la colonne de churn.',
+            'train.task': 'Que prédire',
+            'train.task_binary': 'Churn oui / non',
+            'train.task_multiclass': 'Motif de churn (plusieurs issues)',
+            'train.task_hint': 'Choisissez plusieurs issues lorsque la colonne contient plus de deux valeurs, par exemple cancelled_price, cancelled_competitor, downgraded et retained. Chaque valeur distincte devient une classe et le modèle donne une probabilité pour chacune.',
+            'train.task_regression': 'Un nombre (ex. mois restants, revenu à risque)',
+            'train.task_regression_hint': 'Choisissez un nombre pour estimer une colonne numérique, comme les mois restants ou le revenu à risque. Les lignes sans nombre dans cette colonne sont ignorées.',
             'train.target_column': 'Colonne de churn (résultat à prédire)',
             'train.target_column_hint': 'Sélectionnez la colonne qui indique si un client a churné.',
+            'train.balance_classes': 'Équilibrer automatiquement les classes',
+            'train.balance_classes_hint': 'Recommandé lorsque les clients churnés sont peu nombreux. Les lignes churnées reçoivent plus de poids pendant l\u2019entraînement, selon la distribution des étiquettes.',
+            'train.loss': 'Fonction de perte',
+            'train.loss_hint': 'La perte focale concentre l\u2019entraînement sur les clients difficiles à classer, ce qui aide souvent lorsque le churn est rare.',
+            'train.loss_bce': 'Standard (entropie croisée)',
+            'train.loss_focal': 'Perte focale',
+            'train.loss_mse': 'Erreur quadratique moyenne',
+            'train.loss_huber': 'Huber (robuste aux valeurs extrêmes)',
+            'train.loss_regression_hint': 'Pour les nombres, la perte de Huber est moins perturbée par quelques valeurs extrêmes que l\u2019erreur quadratique moyenne.',
+            'train.optimizer': 'Optimiseur',
+            'train.optimizer_adam': 'Adam (recommandé)',
+            'train.optimizer_sgd': 'SGD avec momentum',
+            'train.optimizer_rmsprop': 'RMSprop',
+            'train.optimizer_adagrad': 'AdaGrad',
+            'train.optimizer_hint': 'La façon dont les poids sont mis à jour après chaque lot. Adam convient à la plupart des données de churn ; essayez les autres pour comparer sur vos propres clients. L\u2019optimiseur et ses réglages sont enregistrés dans le fichier du modèle.',
+            'train.preset': 'Réglages d\u2019entraînement',
+            'train.preset_fast': 'Rapide (premier aperçu)',
+            'train.preset_balanced': 'Équilibré (recommandé)',
+            'train.preset_thorough': 'Approfondi (plus lent, plus précis)',
+            'train.preset_custom': 'Personnalisé',
+            'train.epochs': 'Époques',
+            'train.batch_size': 'Taille de lot',
+            'train.learning_rate': 'Taux d\u2019apprentissage',
+            'train.hidden_units': 'Largeur de la couche cachée (neurones)',
+            'train.preset_hint': 'Rapide entraîne 30 époques sur une couche de 32 neurones, Équilibré 100 époques sur 64 et Approfondi 300 époques sur 128 avec des lots plus petits et un taux d\u2019apprentissage plus bas. Modifiez une valeur pour utiliser la vôtre ; vos derniers réglages sont mémorisés dans ce navigateur et enregistrés dans le fichier du modèle. Un modèle poursuivi garde sa propre largeur de couche cachée.',
+            'train.cv.folds': 'Plis de validation croisée',
+            'train.cv.stratify': 'Stratifier les plis par résultat',
+            'train.cv.hint': 'Valider par plis répartit les lignes en ce nombre de plis, puis entraîne sur tous les plis sauf un et évalue celui laissé de côté, une fois par pli, avec les réglages ci-dessus. Le nettoyage, la mise à l\u2019échelle et les catégories sont ajustés sur les plis d\u2019entraînement uniquement. Des plis stratifiés gardent la même part de chaque résultat dans chaque pli. Trouver les meilleurs réglages évalue chaque essai avec ces mêmes plis.',
+            'train.search.mode': 'Recherche de réglages',
+            'train.search.mode_grid': 'Grille (toutes les combinaisons)',
+            'train.search.mode_random': 'Aléatoire',
+            'train.search.count': 'Réglages aléatoires à essayer',
+            'train.search.minutes': 'Budget de temps (minutes)',
+            'train.search.hint': 'Trouver les meilleurs réglages essaie des combinaisons d\u2019époques, de taux d\u2019apprentissage et de largeur de couche cachée, et évalue chacune par la validation croisée ci-dessus, prétraitement compris. La grille essaie 36 combinaisons, les moins coûteuses d\u2019abord ; le mode aléatoire en essaie le nombre choisi. Les autres réglages ci-dessus s\u2019appliquent à chaque essai. La recherche s\u2019arrête à la fin du budget de temps (0 : sans limite).',
+            'train.gradient_clip': 'Écrêtage du gradient (norme max.)',
+            'train.gradient_clip_hint': 'Limite la taille de chaque mise à jour des poids pour que quelques clients extrêmes ne fassent pas diverger l\u2019entraînement. 1 est un bon point de départ ; 0 le désactive.',
+            'train.lr_schedule': 'Planification du taux d\u2019apprentissage',
+            'train.lr_schedule_hint': 'Réduire le taux d\u2019apprentissage au fil de l\u2019entraînement donne souvent un modèle final un peu meilleur. L\u2019échauffement l\u2019augmente progressivement pendant les premières époques.',
+            'train.lr_schedule_constant': 'Constant',
+            'train.lr_schedule_step': 'Décroissance par paliers (divisé par 2 toutes les 10 époques)',
+            'train.lr_schedule_cosine': 'Recuit cosinus',
+            'train.lr_schedule_plateau': 'Réduction sur plateau',
+            'train.lr_warmup': 'Époques d\u2019échauffement',
+            'train.early_stopping': 'Patience de l\u2019arrêt anticipé (époques)',
+            'train.early_stopping_hint': 'Arrête l\u2019entraînement lorsque la perte de validation (ou la perte d\u2019entraînement sans jeu de validation) ne s\u2019améliore plus pendant ce nombre d\u2019époques, et conserve les poids de la meilleure époque. 0 entraîne sur toutes les époques.',
+            'train.seed': 'Graine aléatoire',
+            'train.seed_placeholder': 'Aléatoire',
+            'train.seed_hint': 'Fixe la séparation de validation, les poids de départ et l\u2019ordre de mélange : le même CSV avec les mêmes réglages donne le même modèle. Laissez vide pour une nouvelle graine à chaque entraînement ; la graine utilisée est enregistrée dans le fichier du modèle.',
             'train.dataset_summary': 'Résumé du jeu de données',
             'train.customers': 'Clients :',
             'train.features': 'Variables :',
             'train.features_source_cols': 'colonnes sources',
             'train.btn_start': 'Entraîner le modèle de churn',
+            'train.btn_cross_validate': 'Valider par plis',
             'train.btn_reset': 'Réinitialiser',
+            'train.btn_search': 'Trouver les meilleurs réglages',
+            'train.btn_pause': 'Pause',
+            'train.btn_resume': 'Reprendre',
+            'train.btn_stop': 'Arrêter et garder le modèle',
             'train.progress.title': 'Progression de l\u2019entraînement',
             'train.progress.history_title': 'Historique d\u2019entraînement',
             'train.progress.col_epoch': 'Époque',
             'train.progress.col_loss': 'Perte',
             'train.progress.col_accuracy': 'Précision',
+            'train.progress.col_val_loss': 'Perte val.',
+            'train.progress.col_val_accuracy': 'Précision val.',
+            'train.progress.col_val_auc': 'AUC val.',
+            'train.progress.col_mae': 'EAM',
+            'train.progress.col_val_mae': 'EAM val.',
+            'train.progress.col_lr': 'Taux d\u2019apprentissage',
             'train.progress.epoch_of': 'Époque {current} sur {total}',
+            'train.model_info.title': 'Modèle',
+            'train.model_info.inputs': 'Entrées :',
+            'train.model_info.hidden': 'Couches cachées :',
+            'train.model_info.outputs': 'Sorties :',
+            'train.model_info.settings': 'Réglages d\u2019entraînement :',
+            'train.model_info.hidden_value': '{units} neurones',
+            'train.model_info.settings_value': '{epochs} époques, lots de {batchSize}, taux d\u2019apprentissage {learningRate} ({optimizer})',
+            'train.cv.title': 'Validation croisée',
+            'train.cv.progress': 'Pli {fold} sur {k} : époque {epoch} sur {epochs}',
+            'train.cv.progress_done': '{done} plis terminés sur {k}',
+            'train.cv.btn_cancel': 'Annuler la validation croisée',
+            'train.cv.summary': 'Moyenne ± écart type sur les plis',
+            'train.cv.macro_note': 'La précision, le rappel, le F1 et l\u2019AUC sont moyennés sur les résultats (moyenne macro).',
+            'train.cv.per_fold': 'Par pli',
+            'train.cv.col_metric': 'Mesure',
+            'train.cv.col_mean': 'Moyenne ± écart type',
+            'train.cv.col_fold': 'Pli',
+            'train.cv.col_train_rows': 'Lignes d\u2019entraînement',
+            'train.cv.col_test_rows': 'Lignes évaluées',
+            'train.cv.metric_accuracy': 'Exactitude',
+            'train.cv.metric_precision': 'Précision',
+            'train.cv.metric_recall': 'Rappel',
+            'train.cv.metric_f1': 'F1',
+            'train.cv.metric_auc': 'AUC',
+            'train.cv.metric_mae': 'MAE',
+            'train.cv.metric_rmse': 'RMSE',
+            'train.cv.metric_r2': 'R²',
+            'train.search.title': 'Trouver les meilleurs réglages',
+            'train.search.progress': '{done} réglages testés sur {total}',
+            'train.search.btn_cancel': 'Annuler la recherche',
+            'train.search.btn_apply': 'Entraîner avec les meilleurs réglages',
+            'train.search.leaderboard': 'Classement',
+            'train.search.col_rank': '#',
+            'train.search.col_epochs': 'Époques',
+            'train.search.col_learning_rate': 'Taux d\u2019apprentissage',
+            'train.search.col_hidden': 'Largeur cachée',
+            'train.search.col_auc': 'AUC',
+            'train.search.col_mae': 'MAE',
+            'train.search.col_accuracy': 'Précision',
+            'train.search.col_loss': 'Perte',
+            'train.search.diverged': 'Divergé (taux d\u2019apprentissage trop élevé)',
+            'train.progress.paused': 'En pause après l\u2019époque {current} sur {total}',
             'train.complete.title': 'Entraînement terminé',
             'train.complete.body': 'Votre modèle de churn est prêt ! Téléchargez-le et rendez-vous sur la page Scorer pour identifier les comptes à risque.',
             'train.complete.download_model': 'Télécharger le modèle de churn',
@@ -483,7 +785,49 @@
             'train.msg.err_detect_features': 'Impossible de détecter les variables d\u2019entrée dans le CSV.',
             'train.msg.err_empty_training': 'Données d\u2019entraînement invalides : les variables ou les étiquettes sont vides',
             'train.msg.starting': 'Démarrage du réseau de neurones…',
+            'train.msg.class_balance': 'Équilibrage des classes : {positives} churnés contre {negatives} retenus (lignes churnées pondérées ×{weight}).',
+            'train.msg.class_weights': 'Équilibrage des classes : {weights}.',
+            'train.msg.err_few_classes': 'Prédire plusieurs issues nécessite au moins 2 valeurs distinctes dans la colonne de churn.',
+            'train.msg.err_many_classes': 'La colonne de churn contient {count} valeurs distinctes ; {max} issues au maximum sont prises en charge. Choisissez une colonne avec moins d\u2019issues ou prédisez le churn oui / non.',
+            'train.msg.err_numeric_target': 'Aucune ligne ne contient de nombre dans la colonne choisie. Choisissez une colonne numérique pour prédire un nombre.',
+            'train.msg.err_diverged_invalid_input': 'Entraînement arrêté à l\u2019époque {epoch} : la perte est devenue NaN ou infinie car certaines valeurs n\u2019ont pas pu être converties en nombres valides. Vérifiez les valeurs inhabituelles du CSV, puis relancez l\u2019entraînement.',
+            'train.msg.err_diverged_extreme_features': 'Entraînement arrêté à l\u2019époque {epoch} : la perte a divergé car certaines valeurs de variables sont extrêmement grandes. Remettez ces colonnes à l\u2019échelle ou retirez-les, ou activez l\u2019écrêtage du gradient, puis relancez l\u2019entraînement.',
+            'train.msg.err_diverged_learning_rate': 'Entraînement arrêté à l\u2019époque {epoch} : la perte a divergé (NaN ou infinie), très probablement parce que le taux d\u2019apprentissage est trop élevé pour ces données. Activez l\u2019écrêtage du gradient (par exemple 1) ou passez à Adam, puis relancez l\u2019entraînement.',
+            'train.msg.engine_changed': 'Ces poids ont été entraînés avec le moteur {from} et continuent avec le moteur {to}, qui arrondit légèrement différemment : le résultat ne correspondra pas à un entraînement sur le moteur d\u2019origine avec la même graine.',
+            'train.engine.simd': 'WebAssembly SIMD f32',
+            'train.engine.f64': 'WebAssembly f64',
+            'train.engine.js': 'JavaScript',
+            'train.msg.resuming': 'Reprise de l\u2019entraînement à l\u2019époque {epoch} sur {total}...',
+            'train.msg.err_resume': 'L\u2019entraînement interrompu est introuvable. Importez le CSV et relancez l\u2019entraînement.',
+            'train.msg.err_base_model': 'Impossible de charger le modèle à poursuivre : {error}',
+            'train.msg.err_base_model_preprocessing': 'le fichier ne contient pas de prétraitement enregistré (colonnes de caractéristiques et mise à l\u2019échelle). Réentraînez-le d\u2019abord avec la version actuelle.',
+            'train.msg.err_base_model_columns': 'Il manque au CSV des colonnes sur lesquelles le modèle enregistré a été entraîné : {columns}',
+            'train.msg.err_base_model_target': 'La colonne {column} est une caractéristique du modèle enregistré et ne peut pas être l\u2019issue à prédire.',
+            'train.msg.err_base_model_classes': 'Aucune ligne n\u2019a une issue connue du modèle enregistré. De nouvelles issues nécessitent un modèle entraîné de zéro.',
+            'train.msg.err_base_model_features': 'Le modèle enregistré attend {expected} entrées mais ces données en produisent {actual}. Repartez de zéro pour l\u2019entraîner dessus.',
             'train.msg.training_complete': 'Entraînement du modèle terminé avec succès !',
+            'train.msg.early_stopped': 'Arrêt anticipé après l\u2019époque {epoch} ; poids restaurés depuis l\u2019époque {best}.',
+            'train.msg.training_stopped': 'Entraînement arrêté après l\u2019époque {epoch}. Le modèle conserve les poids appris jusqu\u2019ici et peut être téléchargé.',
+            'train.msg.seed': 'Graine : {seed}.',
+            'train.msg.err_seed': 'La graine aléatoire doit être un nombre entier entre 1 et 4294967295.',
+            'train.msg.err_epochs': 'Le nombre d\u2019époques doit être un nombre entier entre {min} et {max}.',
+            'train.msg.err_batch_size': 'La taille de lot doit être un nombre entier entre {min} et {max}.',
+            'train.msg.err_learning_rate': 'Le taux d\u2019apprentissage doit être un nombre entre {min} et {max}.',
+            'train.msg.err_hidden_units': 'La largeur de la couche cachée doit être un nombre entier entre {min} et {max}.',
+            'train.msg.cv_started': 'Validation croisée sur {k} plis…',
+            'train.msg.cv_done': 'Validation croisée terminée sur {k} plis.',
+            'train.msg.cv_stopped': 'Validation croisée annulée après {done} plis sur {k}.',
+            'train.msg.err_cv_base_model': 'La validation croisée n\u2019est pas disponible pour poursuivre un modèle enregistré, dont les poids sont déjà entraînés.',
+            'train.msg.search_started': 'Test de {total} réglages par validation croisée à {k} plis…',
+            'train.msg.search_done': 'Recherche terminée : {done} réglages testés sur {total}. Les meilleurs sont en haut du classement.',
+            'train.msg.search_stopped': 'Recherche annulée après {done} réglages sur {total}.',
+            'train.msg.search_timed_out': 'Budget de temps atteint après {done} réglages sur {total}.',
+            'train.msg.err_search_none': 'Aucun réglage n\u2019a terminé son entraînement sans diverger. Essayez un taux d\u2019apprentissage plus bas ou l\u2019écrêtage du gradient.',
+            'train.msg.err_search_base_model': 'Trouver les meilleurs réglages n\u2019est pas disponible pour poursuivre un modèle enregistré, qui garde sa propre architecture.',
+            'train.msg.err_cv_folds': 'Le nombre de plis doit être un nombre entier entre {min} et {max}.',
+            'train.msg.err_search_count': 'Le nombre de réglages aléatoires doit être un nombre entier entre {min} et {max}.',
+            'train.msg.err_search_minutes': 'Le budget de temps doit être compris entre {min} et {max} minutes.',
+            'train.msg.err_cv_rows': 'La validation croisée à {k} plis demande au moins {k} lignes d\u2019entraînement.',
             'train.msg.err_training': 'Erreur d\u2019entraînement : {error}',
             'train.msg.err_no_model': 'Aucun modèle entraîné à télécharger',
             'train.msg.model_downloaded': 'Modèle entraîné téléchargé avec succès !',
@@ -514,6 +858,8 @@
             'predict.loading_model': 'Chargement du modèle…',
             'predict.btn_score': 'Scorer les clients',
             'predict.btn_reset': 'Réinitialiser',
+            'predict.btn_cancel': 'Annuler l\u2019évaluation',
+            'predict.progress': '{done} clients évalués sur {total}',
             'predict.btn_download': 'Télécharger les résultats',
 
             'predict.results.title': 'Résultats de risque de churn',
@@ -527,13 +873,25 @@
             'predict.risk_tiers.range_watch': 'Score 0,20 – 0,50',
             'predict.risk_tiers.range_atrisk': 'Score 0,50 – 0,80',
             'predict.risk_tiers.range_critical': 'Score 0,80 – 1,00',
+            'predict.classes.title': 'Issues prédites',
+            'predict.classes.subtitle': 'Clients regroupés selon leur issue la plus probable.',
+            'predict.values.title': 'Valeurs prédites',
+            'predict.values.subtitle': 'Synthèse des estimations pour tous les clients évalués.',
+            'predict.values.average': 'Moyenne',
+            'predict.values.total': 'Total',
+            'predict.values.min': 'Minimum',
+            'predict.values.max': 'Maximum',
 
             'predict.metrics.title': 'Précision du modèle (vs. résultats connus)',
             'predict.metrics.accuracy': 'Précision :',
+            'predict.metrics.mae': 'Erreur absolue moyenne :',
+            'predict.metrics.rmse': 'Racine de l\u2019erreur quadratique moyenne :',
+            'predict.metrics.r2': 'R² :',
             'predict.metrics.predicted_stayed': 'Prédit : est resté',
             'predict.metrics.predicted_churned': 'Prédit : a churné',
             'predict.metrics.actual_stayed': 'Réellement resté',
             'predict.metrics.actual_churned': 'Réellement churné',
+            'predict.metrics.actual_vs_predicted': 'Réel ↓ / Prédit →',
 
             'predict.filter.label': 'Filtre par score de churn',
             'predict.filter.all': 'Afficher tous les clients',
@@ -555,6 +913,10 @@
             'predict.col.score': 'Score de churn',
             'predict.col.risk_level': 'Niveau de risque',
             'predict.col.risk_tier': 'Tranche de risque',
+            'predict.col.predicted_class': 'Issue prédite',
+            'predict.col.confidence': 'Confiance',
+            'predict.col.class_probability': 'P({name})',
+            'predict.col.predicted_value': 'Valeur prédite',
 
             'predict.msg.model_loaded': 'Modèle entraîné chargé avec succès !',
             'predict.msg.err_load_model': 'Erreur de chargement du modèle : {error}',
@@ -565,7 +927,9 @@
             'predict.msg.err_upload_both': 'Veuillez importer à la fois le modèle entraîné et les données de test.',
             'predict.msg.err_pick_id': 'Veuillez indiquer quelle colonne est la colonne d\u2019identifiant.',
             'predict.msg.err_id_equals_target': 'La colonne d\u2019identifiant ne peut pas être identique à la colonne de churn.',
+            'predict.msg.err_target_missing': 'Le fichier n\u2019a pas de colonne {column} à utiliser comme colonne de churn.',
             'predict.msg.scored': 'Prédictions effectuées pour {count} échantillons.',
+            'predict.msg.scoring_cancelled': 'Évaluation annulée.',
             'predict.msg.err_predict': 'Erreur de prédiction : {error}',
             'predict.msg.err_no_predictions': 'Aucune prédiction à télécharger',
             'predict.msg.err_no_filter_match': 'Aucune ligne ne correspond au filtre de score actuel. Ajustez le seuil ou choisissez « Afficher tous les clients ».',
@@ -631,11 +995,11 @@
             'doc.nn.li2': '<b>Couche cachée</b> — 64 neurones avec activation <b>ReLU</b>.',
             'doc.nn.li3': '<b>Couche de sortie</b> — 1 neurone avec activation <b>sigmoïde</b>, produisant une probabilité de churn dans <code>[0, 1]</code>.',
             'doc.nn.p2': 'Les poids sont initialisés selon <b>Xavier / Glorot uniforme</b>. La fonction de perte est l\u2019<b>entropie croisée binaire</b>, le choix standard pour les classificateurs à sortie sigmoïde.',
-            'doc.nn.p3': 'L\u2019optimisation utilise <b>Adam</b> (adaptive moment estimation) avec les hyper-paramètres par défaut <code>β₁ = 0,9</code>, <code>β₂ = 0,999</code>, <code>ε = 1e-8</code>, un taux d\u2019apprentissage de <code>0,001</code>, une taille de batch de <code>32</code> et <code>100</code> époques. Ces valeurs sont réglées pour fonctionner dès le départ sur des jeux de données typiques d\u2019entreprises par abonnement.',
+            'doc.nn.p3': 'L\u2019optimisation utilise l\u2019optimiseur choisi sur la page Entraîner : <b>Adam</b> (par défaut, avec <code>β₁ = 0,9</code>, <code>β₂ = 0,999</code>, <code>ε = 1e-8</code>), <b>SGD avec momentum</b> (<code>0,9</code>), <b>RMSprop</b> (<code>ρ = 0,9</code>) ou <b>AdaGrad</b>. Le nombre d\u2019époques, la taille de batch, le taux d\u2019apprentissage et la largeur de la couche cachée proviennent d\u2019un préréglage ou de vos propres valeurs : <i>Équilibré</i>, le réglage par défaut, entraîne <code>100</code> époques par batchs de <code>32</code> sur <code>64</code> neurones cachés avec un taux d\u2019apprentissage de <code>0,001</code> pour Adam et RMSprop ou de <code>0,01</code> pour SGD et AdaGrad ; <i>Rapide</i> entraîne <code>30</code> époques par batchs de <code>64</code> sur <code>32</code> neurones avec un taux trois fois plus élevé, et <i>Approfondi</i> <code>300</code> époques par batchs de <code>16</code> sur <code>128</code> neurones avec un taux deux fois plus faible. Les réglages utilisés sont enregistrés dans le fichier du modèle.',
             'doc.wasm.title': 'Moteur d\u2019entraînement WebAssembly',
             'doc.wasm.p1': 'La boucle critique en performance — passe avant, rétropropagation, mises à jour Adam, entraînement époque par époque — est implémentée en <b>AssemblyScript</b> et compilée à l\u2019avance en un module compact <code>wasm/nn.wasm</code>. Le code source se trouve dans <code>assembly/index.ts</code>.',
-            'doc.wasm.p2': 'Le module WebAssembly gère sa propre mémoire linéaire : poids, biais, estimations de premier et second moment d\u2019Adam, accumulateurs de gradient et jeu de données d\u2019entraînement sont tous stockés sous forme de tableaux plats <code>f64</code> à des offsets de pointeur fixes. JavaScript téléverse les variables et les étiquettes une fois, puis pilote l\u2019entraînement une époque à la fois, relisant la perte et la précision après chaque époque pour alimenter l\u2019UI de progression en direct.',
-            'doc.wasm.p3': 'Lorsque WebAssembly n\u2019est pas disponible — par exemple sur des navigateurs très anciens ou certains environnements verrouillés — le même réseau est entraîné par une <b>implémentation JavaScript pure</b> équivalente dans <code>js/neural-network.js</code>. Le modèle produit par l\u2019un ou l\u2019autre chemin est numériquement compatible : les poids peuvent être exportés de l\u2019un et chargés dans l\u2019autre.',
+            'doc.wasm.p2': 'Le module WebAssembly gère sa propre mémoire linéaire : poids, biais, estimations de premier et second moment d\u2019Adam, accumulateurs de gradient et jeu de données d\u2019entraînement sont tous stockés sous forme de tableaux plats <code>f64</code> à des offsets de pointeur fixes (<code>f32</code> dans la version SIMD, utilisée pour un entraînement plus rapide par les navigateurs qui prennent en charge WebAssembly SIMD). JavaScript téléverse les variables et les étiquettes une fois, puis pilote l\u2019entraînement une époque à la fois, relisant la perte et la précision après chaque époque pour alimenter l\u2019UI de progression en direct.',
+            'doc.wasm.p3': 'Lorsque WebAssembly n\u2019est pas disponible — par exemple sur des navigateurs très anciens ou certains environnements verrouillés — le même réseau est entraîné par une <b>implémentation JavaScript pure</b> équivalente dans <code>js/nn-engine.js</code>. La version WebAssembly f64 et le moteur JavaScript calculent avec la même double précision, tandis que la version SIMD <code>f32</code> arrondit chaque étape en simple précision : ses résultats diffèrent donc légèrement, et une même graine ne donne le même modèle que sur le même moteur. Les poids restent interchangeables — un modèle entraîné sur un moteur peut être chargé, utilisé et ré-entraîné sur un autre. Le moteur utilisé est enregistré avec le modèle (<code>trainingConfig.engine</code> : <code>simd</code>, <code>f64</code> ou <code>js</code>), et poursuivre ou reprendre l\u2019entraînement sur un autre moteur affiche un avertissement.',
             'doc.pipeline.title': 'Pipeline de données',
             'doc.pipeline.intro': 'Avant qu\u2019aucun neurone ne voie vos données, marijoAI exécute un pipeline de prétraitement automatique et déterministe :',
             'doc.pipeline.li1': '<b>Détection automatique du format.</b> Un échantillon des premières lignes est analysé pour déterminer le séparateur le plus probable (<code>,</code>, <code>;</code>, tabulation ou <code>|</code>) et pour décider si la première ligne est un en-tête, à l\u2019aide d\u2019une heuristique basée sur la proportion de valeurs numériques.',
@@ -742,7 +1106,12 @@
             'privacy.processing.title': 'Tratamiento de datos',
             'privacy.processing.body': 'No se transmite ningún dato a nuestros servidores. Todo el procesamiento ocurre en tu navegador, en tu dispositivo.',
             'privacy.personal.title': 'Datos personales',
-            'privacy.personal.body': 'No recopilamos ni almacenamos datos personales. Los archivos que subes se procesan localmente y esta aplicación nunca los envía a un servidor remoto.',
+            'privacy.personal.body': 'No recopilamos datos personales. Los archivos que subes se procesan localmente y esta aplicación nunca los envía a un servidor remoto.',
+            'privacy.saved.title': 'Entrenamientos guardados',
+            'privacy.saved.body': 'Mientras un modelo se entrena en la página Entrenar, sus datos preparados (incluidas las filas de validación de tu archivo) y su último punto de control se guardan en el almacenamiento de este navegador, para poder reanudar un entrenamiento interrumpido por una recarga o un fallo. Permanecen en tu dispositivo hasta que el entrenamiento termina, se reinicia o se descarta, también si cierras la pestaña a mitad.',
+            'privacy.saved.none': 'No hay ningún entrenamiento guardado en este navegador.',
+            'privacy.saved.some': 'Hay un entrenamiento guardado en este navegador.',
+            'privacy.saved.discard': 'Descartar el entrenamiento guardado',
             'privacy.contact.title': 'Contacto',
             'privacy.contact.body': 'Para cualquier consulta, contáctanos en <a href="https://www.linkedin.com/company/marijoai">nuestra página de LinkedIn</a>.',
 
@@ -753,27 +1122,142 @@
 
             /* ===== Train page ===== */
             'train.title': 'Entrenar modelo de churn',
+            'train.resume.title': 'Entrenamiento interrumpido encontrado',
+            'train.resume.text': 'Un entrenamiento se detuvo de forma inesperada tras la época {epoch} de {total} (último guardado: {saved}). Puedes retomarlo desde ahí sin volver a subir el CSV.',
+            'train.resume.btn': 'Reanudar el entrenamiento interrumpido',
+            'train.resume.discard': 'Descartar el entrenamiento guardado',
             'train.data_file': 'Datos de clientes (archivo CSV)',
+            'train.base_model': 'Seguir entrenando un modelo guardado (opcional)',
+            'train.base_model_hint': 'Carga un churn_model.json para seguir entrenándolo con datos nuevos en lugar de empezar desde cero. Se reutilizan sus columnas, su escalado y sus resultados, así que el CSV debe contener las mismas columnas de características.',
+            'train.base_model_loaded': 'Continuando un modelo guardado: {features} columnas de características, prediciendo {target}.',
+            'train.base_model_clear': 'Empezar desde cero',
             'train.create_validation': 'Reservar un conjunto de validación (excluido del entrenamiento)',
-            'train.create_validation_hint': 'Marca esta casilla para crear un CSV aparte y validar la precisión del modelo con predicciones.',
+            'train.create_validation_hint': 'Marca esta casilla para crear un CSV aparte y validar la precisión del modelo con predicciones. Este conjunto también se evalúa tras cada época para seguir la pérdida, la precisión y el AUC de validación.',
             'train.has_id': 'El conjunto de datos contiene una columna de ID',
             'train.has_id_hint': 'Marca si alguna columna contiene identificadores de cliente o de fila. Esa columna se excluirá del entrenamiento (no se usará como variable).',
             'train.id_column': 'Columna de ID',
             'train.id_column_hint': 'Elige qué columna es el identificador. No puede ser la columna de churn.',
+            'train.task': 'Qué predecir',
+            'train.task_binary': 'Churn sí / no',
+            'train.task_multiclass': 'Motivo de churn (varios resultados)',
+            'train.task_hint': 'Elige varios resultados cuando la columna tiene más de dos valores, como cancelled_price, cancelled_competitor, downgraded y retained. Cada valor distinto se convierte en una clase y el modelo da una probabilidad para cada una.',
+            'train.task_regression': 'Un número (p. ej. meses restantes, ingresos en riesgo)',
+            'train.task_regression_hint': 'Elige un número para estimar una columna numérica, como los meses restantes o los ingresos en riesgo. Las filas sin un número en esa columna se omiten.',
             'train.target_column': 'Columna de churn (resultado a predecir)',
             'train.target_column_hint': 'Selecciona la columna que indica si un cliente se ha ido.',
+            'train.balance_classes': 'Equilibrar clases automáticamente',
+            'train.balance_classes_hint': 'Recomendado cuando los clientes que se van son una parte pequeña. Las filas de churn reciben más peso durante el entrenamiento, según la distribución de etiquetas.',
+            'train.loss': 'Función de pérdida',
+            'train.loss_hint': 'La pérdida focal concentra el entrenamiento en los clientes difíciles de clasificar, lo que suele ayudar cuando el churn es poco frecuente.',
+            'train.loss_bce': 'Estándar (entropía cruzada)',
+            'train.loss_focal': 'Pérdida focal',
+            'train.loss_mse': 'Error cuadrático medio',
+            'train.loss_huber': 'Huber (robusta a valores atípicos)',
+            'train.loss_regression_hint': 'Para números, la pérdida de Huber se ve menos afectada por unos pocos valores extremos que el error cuadrático medio.',
+            'train.optimizer': 'Optimizador',
+            'train.optimizer_adam': 'Adam (recomendado)',
+            'train.optimizer_sgd': 'SGD con momentum',
+            'train.optimizer_rmsprop': 'RMSprop',
+            'train.optimizer_adagrad': 'AdaGrad',
+            'train.optimizer_hint': 'Cómo se actualizan los pesos tras cada lote. Adam funciona bien con la mayoría de los datos de churn; prueba los demás para comparar con tus propios clientes. El optimizador y sus ajustes se guardan en el archivo del modelo.',
+            'train.preset': 'Ajustes de entrenamiento',
+            'train.preset_fast': 'Rápido (primer vistazo)',
+            'train.preset_balanced': 'Equilibrado (recomendado)',
+            'train.preset_thorough': 'Exhaustivo (más lento, más preciso)',
+            'train.preset_custom': 'Personalizado',
+            'train.epochs': 'Épocas',
+            'train.batch_size': 'Tamaño de lote',
+            'train.learning_rate': 'Tasa de aprendizaje',
+            'train.hidden_units': 'Ancho de la capa oculta (neuronas)',
+            'train.preset_hint': 'Rápido entrena 30 épocas con una capa de 32 neuronas, Equilibrado 100 épocas con 64 y Exhaustivo 300 épocas con 128, con lotes más pequeños y una tasa de aprendizaje más baja. Cambia cualquier valor para usar el tuyo; tus últimos ajustes se recuerdan en este navegador y se guardan en el archivo del modelo. Un modelo continuado conserva su propio ancho de capa oculta.',
+            'train.cv.folds': 'Pliegues de validación cruzada',
+            'train.cv.stratify': 'Estratificar los pliegues por resultado',
+            'train.cv.hint': 'Validación cruzada reparte las filas en este número de pliegues, entrena con todos los pliegues menos uno y evalúa el que queda fuera, una vez por pliegue, con los ajustes de arriba. La limpieza, el escalado y las categorías se ajustan solo con los pliegues de entrenamiento. Los pliegues estratificados mantienen la misma proporción de cada resultado en cada pliegue. Buscar los mejores ajustes evalúa cada prueba con estos mismos pliegues.',
+            'train.search.mode': 'Búsqueda de ajustes',
+            'train.search.mode_grid': 'Cuadrícula (todas las combinaciones)',
+            'train.search.mode_random': 'Aleatoria',
+            'train.search.count': 'Ajustes aleatorios a probar',
+            'train.search.minutes': 'Límite de tiempo (minutos)',
+            'train.search.hint': 'Buscar los mejores ajustes prueba combinaciones de épocas, tasa de aprendizaje y ancho de capa oculta y evalúa cada una con la validación cruzada de arriba, preprocesamiento incluido. La cuadrícula prueba 36 combinaciones, las más rápidas primero; la búsqueda aleatoria prueba el número que elijas. Los demás ajustes de arriba se aplican a cada prueba. La búsqueda se detiene al agotarse el límite de tiempo (0: sin límite).',
+            'train.gradient_clip': 'Recorte del gradiente (norma máx.)',
+            'train.gradient_clip_hint': 'Limita el tamaño de cada actualización de pesos para que unos pocos clientes extremos no hagan divergir el entrenamiento. 1 es un buen punto de partida; 0 lo desactiva.',
+            'train.lr_schedule': 'Programación de la tasa de aprendizaje',
+            'train.lr_schedule_hint': 'Reducir la tasa de aprendizaje a medida que avanza el entrenamiento suele dar un modelo final algo mejor. El calentamiento la aumenta gradualmente durante las primeras épocas.',
+            'train.lr_schedule_constant': 'Constante',
+            'train.lr_schedule_step': 'Decaimiento por pasos (a la mitad cada 10 épocas)',
+            'train.lr_schedule_cosine': 'Recocido coseno',
+            'train.lr_schedule_plateau': 'Reducir en meseta',
+            'train.lr_warmup': 'Épocas de calentamiento',
+            'train.early_stopping': 'Paciencia de la parada temprana (épocas)',
+            'train.early_stopping_hint': 'Detiene el entrenamiento cuando la pérdida de validación (o la de entrenamiento si no hay conjunto de validación) no mejora durante este número de épocas, y conserva los pesos de la mejor época. 0 entrena todas las épocas.',
+            'train.seed': 'Semilla aleatoria',
+            'train.seed_placeholder': 'Aleatoria',
+            'train.seed_hint': 'Fija la división de validación, los pesos iniciales y el orden de mezcla, de modo que el mismo CSV con la misma configuración da el mismo modelo. Déjela vacía para una semilla nueva en cada entrenamiento; la semilla usada se guarda en el archivo del modelo.',
             'train.dataset_summary': 'Resumen del conjunto de datos',
             'train.customers': 'Clientes:',
             'train.features': 'Variables:',
             'train.features_source_cols': 'columnas de origen',
             'train.btn_start': 'Entrenar modelo de churn',
+            'train.btn_cross_validate': 'Validación cruzada',
             'train.btn_reset': 'Restablecer',
+            'train.btn_search': 'Buscar los mejores ajustes',
+            'train.btn_pause': 'Pausar',
+            'train.btn_resume': 'Reanudar',
+            'train.btn_stop': 'Detener y conservar el modelo',
             'train.progress.title': 'Progreso del entrenamiento',
             'train.progress.history_title': 'Historial de entrenamiento',
             'train.progress.col_epoch': 'Época',
             'train.progress.col_loss': 'Pérdida',
             'train.progress.col_accuracy': 'Precisión',
+            'train.progress.col_val_loss': 'Pérdida val.',
+            'train.progress.col_val_accuracy': 'Precisión val.',
+            'train.progress.col_val_auc': 'AUC val.',
+            'train.progress.col_mae': 'EAM',
+            'train.progress.col_val_mae': 'EAM val.',
+            'train.progress.col_lr': 'Tasa de aprendizaje',
             'train.progress.epoch_of': 'Época {current} de {total}',
+            'train.model_info.title': 'Modelo',
+            'train.model_info.inputs': 'Entradas:',
+            'train.model_info.hidden': 'Capas ocultas:',
+            'train.model_info.outputs': 'Salidas:',
+            'train.model_info.settings': 'Ajustes de entrenamiento:',
+            'train.model_info.hidden_value': '{units} neuronas',
+            'train.model_info.settings_value': '{epochs} épocas, lotes de {batchSize}, tasa de aprendizaje {learningRate} ({optimizer})',
+            'train.cv.title': 'Validación cruzada',
+            'train.cv.progress': 'Pliegue {fold} de {k}: época {epoch} de {epochs}',
+            'train.cv.progress_done': '{done} de {k} pliegues completados',
+            'train.cv.btn_cancel': 'Cancelar validación cruzada',
+            'train.cv.summary': 'Media ± desviación estándar sobre los pliegues',
+            'train.cv.macro_note': 'La precisión, la exhaustividad, el F1 y el AUC se promedian sobre los resultados (promedio macro).',
+            'train.cv.per_fold': 'Por pliegue',
+            'train.cv.col_metric': 'Métrica',
+            'train.cv.col_mean': 'Media ± desv. est.',
+            'train.cv.col_fold': 'Pliegue',
+            'train.cv.col_train_rows': 'Filas de entrenamiento',
+            'train.cv.col_test_rows': 'Filas evaluadas',
+            'train.cv.metric_accuracy': 'Exactitud',
+            'train.cv.metric_precision': 'Precisión',
+            'train.cv.metric_recall': 'Exhaustividad',
+            'train.cv.metric_f1': 'F1',
+            'train.cv.metric_auc': 'AUC',
+            'train.cv.metric_mae': 'MAE',
+            'train.cv.metric_rmse': 'RMSE',
+            'train.cv.metric_r2': 'R²',
+            'train.search.title': 'Buscar los mejores ajustes',
+            'train.search.progress': '{done} de {total} ajustes probados',
+            'train.search.btn_cancel': 'Cancelar búsqueda',
+            'train.search.btn_apply': 'Entrenar con los mejores ajustes',
+            'train.search.leaderboard': 'Clasificación',
+            'train.search.col_rank': '#',
+            'train.search.col_epochs': 'Épocas',
+            'train.search.col_learning_rate': 'Tasa de aprendizaje',
+            'train.search.col_hidden': 'Ancho oculto',
+            'train.search.col_auc': 'AUC',
+            'train.search.col_mae': 'MAE',
+            'train.search.col_accuracy': 'Precisión',
+            'train.search.col_loss': 'Pérdida',
+            'train.search.diverged': 'Divergió (tasa de aprendizaje demasiado alta)',
+            'train.progress.paused': 'En pausa tras la época {current} de {total}',
             'train.complete.title': 'Entrenamiento completado',
             'train.complete.body': '¡Tu modelo de churn está listo! Descárgalo y ve a Puntuar clientes para identificar las cuentas en riesgo.',
             'train.complete.download_model': 'Descargar modelo de churn',
@@ -799,7 +1283,49 @@
             'train.msg.err_detect_features': 'No se pudieron detectar variables de entrada en el CSV.',
             'train.msg.err_empty_training': 'Datos de entrenamiento no válidos: las variables o etiquetas están vacías',
             'train.msg.starting': 'Iniciando la red neuronal…',
+            'train.msg.class_balance': 'Equilibrando clases: {positives} con churn frente a {negatives} retenidos (filas de churn ponderadas ×{weight}).',
+            'train.msg.class_weights': 'Equilibrando clases: {weights}.',
+            'train.msg.err_few_classes': 'Predecir varios resultados requiere al menos 2 valores distintos en la columna de churn.',
+            'train.msg.err_many_classes': 'La columna de churn tiene {count} valores distintos; se admiten como máximo {max} resultados. Elige una columna con menos resultados o predice churn sí / no.',
+            'train.msg.err_numeric_target': 'Ninguna fila tiene un número en la columna seleccionada. Elige una columna numérica para predecir un número.',
+            'train.msg.err_diverged_invalid_input': 'Entrenamiento detenido en la época {epoch}: la pérdida se volvió NaN o infinita porque algunos valores no se pudieron convertir en números válidos. Revisa los valores inusuales del CSV y vuelve a entrenar.',
+            'train.msg.err_diverged_extreme_features': 'Entrenamiento detenido en la época {epoch}: la pérdida se disparó porque algunos valores de las variables son extremadamente grandes. Reescala o elimina esas columnas, o activa el recorte del gradiente, y vuelve a entrenar.',
+            'train.msg.err_diverged_learning_rate': 'Entrenamiento detenido en la época {epoch}: la pérdida se disparó (NaN o infinita), muy probablemente porque la tasa de aprendizaje es demasiado alta para estos datos. Activa el recorte del gradiente (por ejemplo 1) o cambia a Adam y vuelve a entrenar.',
+            'train.msg.engine_changed': 'Estos pesos se entrenaron con el motor {from} y continúan con el motor {to}, que redondea de forma ligeramente distinta: el resultado no coincidirá con un entrenamiento en el motor original con la misma semilla.',
+            'train.engine.simd': 'WebAssembly SIMD f32',
+            'train.engine.f64': 'WebAssembly f64',
+            'train.engine.js': 'JavaScript',
+            'train.msg.resuming': 'Reanudando el entrenamiento desde la época {epoch} de {total}...',
+            'train.msg.err_resume': 'Ya no se encuentra el entrenamiento interrumpido. Sube el CSV y vuelve a entrenar.',
+            'train.msg.err_base_model': 'No se pudo cargar el modelo para continuar: {error}',
+            'train.msg.err_base_model_preprocessing': 'el archivo no tiene preprocesamiento guardado (columnas de características y escalado). Vuelve a entrenarlo primero con la versión actual.',
+            'train.msg.err_base_model_columns': 'Al CSV le faltan columnas con las que se entrenó el modelo guardado: {columns}',
+            'train.msg.err_base_model_target': 'La columna {column} es una característica del modelo guardado y no puede ser el resultado a predecir.',
+            'train.msg.err_base_model_classes': 'Ninguna fila tiene un resultado que el modelo guardado conozca. Los resultados nuevos requieren un modelo entrenado desde cero.',
+            'train.msg.err_base_model_features': 'El modelo guardado espera {expected} entradas pero estos datos producen {actual}. Empieza desde cero para entrenar con ellos.',
             'train.msg.training_complete': '¡Entrenamiento del modelo completado con éxito!',
+            'train.msg.early_stopped': 'Parada temprana tras la época {epoch}; pesos restaurados desde la época {best}.',
+            'train.msg.training_stopped': 'Entrenamiento detenido tras la época {epoch}. El modelo conserva los pesos aprendidos hasta ahora y se puede descargar.',
+            'train.msg.seed': 'Semilla: {seed}.',
+            'train.msg.err_seed': 'La semilla aleatoria debe ser un número entero entre 1 y 4294967295.',
+            'train.msg.err_epochs': 'El número de épocas debe ser un número entero entre {min} y {max}.',
+            'train.msg.err_batch_size': 'El tamaño de lote debe ser un número entero entre {min} y {max}.',
+            'train.msg.err_learning_rate': 'La tasa de aprendizaje debe ser un número entre {min} y {max}.',
+            'train.msg.err_hidden_units': 'El ancho de la capa oculta debe ser un número entero entre {min} y {max}.',
+            'train.msg.cv_started': 'Validación cruzada con {k} pliegues…',
+            'train.msg.cv_done': 'Validación cruzada completada con {k} pliegues.',
+            'train.msg.cv_stopped': 'Validación cruzada cancelada tras {done} de {k} pliegues.',
+            'train.msg.err_cv_base_model': 'La validación cruzada no está disponible al continuar un modelo guardado, cuyos pesos ya están entrenados.',
+            'train.msg.search_started': 'Probando {total} ajustes con validación cruzada de {k} pliegues…',
+            'train.msg.search_done': 'Búsqueda completada: {done} de {total} ajustes probados. Los mejores están arriba en la clasificación.',
+            'train.msg.search_stopped': 'Búsqueda cancelada tras {done} de {total} ajustes.',
+            'train.msg.search_timed_out': 'Límite de tiempo alcanzado tras {done} de {total} ajustes.',
+            'train.msg.err_search_none': 'Ningún ajuste terminó el entrenamiento sin divergir. Prueba una tasa de aprendizaje más baja o el recorte de gradiente.',
+            'train.msg.err_search_base_model': 'Buscar los mejores ajustes no está disponible al continuar un modelo guardado, que conserva su propia arquitectura.',
+            'train.msg.err_cv_folds': 'El número de pliegues debe ser un número entero entre {min} y {max}.',
+            'train.msg.err_search_count': 'El número de ajustes aleatorios debe ser un número entero entre {min} y {max}.',
+            'train.msg.err_search_minutes': 'El límite de tiempo debe estar entre {min} y {max} minutos.',
+            'train.msg.err_cv_rows': 'La validación cruzada con {k} pliegues necesita al menos {k} filas de entrenamiento.',
             'train.msg.err_training': 'Error de entrenamiento: {error}',
             'train.msg.err_no_model': 'No hay modelo entrenado para descargar',
             'train.msg.model_downloaded': '¡Modelo entrenado descargado con éxito!',
@@ -830,6 +1356,8 @@
             'predict.loading_model': 'Cargando modelo…',
             'predict.btn_score': 'Puntuar clientes',
             'predict.btn_reset': 'Restablecer',
+            'predict.btn_cancel': 'Cancelar la evaluación',
+            'predict.progress': '{done} de {total} clientes evaluados',
             'predict.btn_download': 'Descargar resultados',
 
             'predict.results.title': 'Resultados de riesgo de churn',
@@ -843,13 +1371,25 @@
             'predict.risk_tiers.range_watch': 'Puntuación 0,20 – 0,50',
             'predict.risk_tiers.range_atrisk': 'Puntuación 0,50 – 0,80',
             'predict.risk_tiers.range_critical': 'Puntuación 0,80 – 1,00',
+            'predict.classes.title': 'Resultados previstos',
+            'predict.classes.subtitle': 'Clientes agrupados según su resultado más probable.',
+            'predict.values.title': 'Valores predichos',
+            'predict.values.subtitle': 'Resumen de las estimaciones de todos los clientes evaluados.',
+            'predict.values.average': 'Promedio',
+            'predict.values.total': 'Total',
+            'predict.values.min': 'Mínimo',
+            'predict.values.max': 'Máximo',
 
             'predict.metrics.title': 'Precisión del modelo (vs. resultados conocidos)',
             'predict.metrics.accuracy': 'Precisión:',
+            'predict.metrics.mae': 'Error absoluto medio:',
+            'predict.metrics.rmse': 'Raíz del error cuadrático medio:',
+            'predict.metrics.r2': 'R²:',
             'predict.metrics.predicted_stayed': 'Predicho: se quedó',
             'predict.metrics.predicted_churned': 'Predicho: se fue',
             'predict.metrics.actual_stayed': 'Realmente se quedó',
             'predict.metrics.actual_churned': 'Realmente se fue',
+            'predict.metrics.actual_vs_predicted': 'Real ↓ / Previsto →',
 
             'predict.filter.label': 'Filtro por puntuación de churn',
             'predict.filter.all': 'Mostrar todos los clientes',
@@ -871,6 +1411,10 @@
             'predict.col.score': 'Puntuación de churn',
             'predict.col.risk_level': 'Nivel de riesgo',
             'predict.col.risk_tier': 'Tramo de riesgo',
+            'predict.col.predicted_class': 'Resultado previsto',
+            'predict.col.confidence': 'Confianza',
+            'predict.col.class_probability': 'P({name})',
+            'predict.col.predicted_value': 'Valor predicho',
 
             'predict.msg.model_loaded': '¡Modelo entrenado cargado con éxito!',
             'predict.msg.err_load_model': 'Error al cargar el modelo: {error}',
@@ -881,7 +1425,9 @@
             'predict.msg.err_upload_both': 'Sube tanto el modelo entrenado como los datos de prueba.',
             'predict.msg.err_pick_id': 'Selecciona qué columna es la columna de ID.',
             'predict.msg.err_id_equals_target': 'La columna de ID no puede ser la misma que la columna de churn.',
+            'predict.msg.err_target_missing': 'El archivo no tiene ninguna columna {column} para usar como columna de churn.',
             'predict.msg.scored': 'Predicciones completadas para {count} muestras.',
+            'predict.msg.scoring_cancelled': 'Evaluación cancelada.',
             'predict.msg.err_predict': 'Error de predicción: {error}',
             'predict.msg.err_no_predictions': 'No hay predicciones para descargar',
             'predict.msg.err_no_filter_match': 'Ninguna fila coincide con el filtro actual de puntuación. Ajusta el umbral o elige «Mostrar todos los clientes».',
@@ -947,11 +1493,11 @@
             'doc.nn.li2': '<b>Capa oculta</b> — 64 neuronas con activación <b>ReLU</b>.',
             'doc.nn.li3': '<b>Capa de salida</b> — 1 neurona con activación <b>sigmoide</b>, que produce una probabilidad de churn en <code>[0, 1]</code>.',
             'doc.nn.p2': 'Los pesos se inicializan con <b>Xavier / Glorot uniforme</b>. La función de pérdida es la <b>entropía cruzada binaria</b>, la elección estándar para clasificadores con salida sigmoide.',
-            'doc.nn.p3': 'La optimización usa <b>Adam</b> (adaptive moment estimation) con los hiper-parámetros por defecto <code>β₁ = 0,9</code>, <code>β₂ = 0,999</code>, <code>ε = 1e-8</code>, una tasa de aprendizaje de <code>0,001</code>, un tamaño de batch de <code>32</code> y <code>100</code> épocas. Estos valores están ajustados para funcionar bien de serie con conjuntos típicos de negocios por suscripción.',
+            'doc.nn.p3': 'La optimización usa el optimizador elegido en la página Entrenar: <b>Adam</b> (por defecto, con <code>β₁ = 0,9</code>, <code>β₂ = 0,999</code>, <code>ε = 1e-8</code>), <b>SGD con momentum</b> (<code>0,9</code>), <b>RMSprop</b> (<code>ρ = 0,9</code>) o <b>AdaGrad</b>. Las épocas, el tamaño de batch, la tasa de aprendizaje y el ancho de la capa oculta vienen de un preajuste o de tus propios valores: <i>Equilibrado</i>, el predeterminado, entrena <code>100</code> épocas en batches de <code>32</code> sobre <code>64</code> neuronas ocultas con una tasa de aprendizaje de <code>0,001</code> para Adam y RMSprop o de <code>0,01</code> para SGD y AdaGrad; <i>Rápido</i> entrena <code>30</code> épocas en batches de <code>64</code> sobre <code>32</code> neuronas con el triple de esa tasa, y <i>Exhaustivo</i> <code>300</code> épocas en batches de <code>16</code> sobre <code>128</code> neuronas con la mitad. Los ajustes usados se guardan en el archivo del modelo.',
             'doc.wasm.title': 'Motor de entrenamiento en WebAssembly',
             'doc.wasm.p1': 'El bucle crítico en rendimiento — pasada hacia adelante, retropropagación, actualizaciones Adam, entrenamiento por épocas — está implementado en <b>AssemblyScript</b> y compilado a un módulo compacto <code>wasm/nn.wasm</code>. El código fuente está en <code>assembly/index.ts</code>.',
-            'doc.wasm.p2': 'El módulo WebAssembly gestiona su propia memoria lineal: pesos, sesgos, estimaciones de primer y segundo momento de Adam, acumuladores de gradiente y el conjunto de entrenamiento se guardan como arrays planos <code>f64</code> en offsets de puntero fijos. JavaScript sube variables y etiquetas una sola vez y después dirige el entrenamiento época a época, leyendo la pérdida y la precisión tras cada época para alimentar la UI de progreso en vivo.',
-            'doc.wasm.p3': 'Cuando WebAssembly no está disponible — por ejemplo en navegadores muy antiguos o en entornos muy restringidos — la misma red se entrena con una <b>implementación equivalente en JavaScript puro</b> en <code>js/neural-network.js</code>. El modelo producido por cualquiera de los dos caminos es numéricamente compatible: los pesos pueden exportarse desde uno y cargarse en el otro.',
+            'doc.wasm.p2': 'El módulo WebAssembly gestiona su propia memoria lineal: pesos, sesgos, estimaciones de primer y segundo momento de Adam, acumuladores de gradiente y el conjunto de entrenamiento se guardan como arrays planos <code>f64</code> en offsets de puntero fijos (<code>f32</code> en la versión SIMD, que usan los navegadores compatibles con WebAssembly SIMD para entrenar más rápido). JavaScript sube variables y etiquetas una sola vez y después dirige el entrenamiento época a época, leyendo la pérdida y la precisión tras cada época para alimentar la UI de progreso en vivo.',
+            'doc.wasm.p3': 'Cuando WebAssembly no está disponible — por ejemplo en navegadores muy antiguos o en entornos muy restringidos — la misma red se entrena con una <b>implementación equivalente en JavaScript puro</b> en <code>js/nn-engine.js</code>. La versión WebAssembly f64 y el motor JavaScript calculan con la misma doble precisión, mientras que la versión SIMD <code>f32</code> redondea cada paso a precisión simple, por lo que sus resultados difieren ligeramente: una misma semilla solo da el mismo modelo en el mismo motor. Los pesos siguen siendo intercambiables: un modelo entrenado en un motor puede cargarse, usarse y seguir entrenándose en otro. El motor usado se guarda con el modelo (<code>trainingConfig.engine</code>: <code>simd</code>, <code>f64</code> o <code>js</code>), y continuar o reanudar el entrenamiento en otro distinto muestra un aviso.',
             'doc.pipeline.title': 'Pipeline de datos',
             'doc.pipeline.intro': 'Antes de que ninguna neurona vea tus datos, marijoAI ejecuta un pipeline de preprocesamiento automático y determinista:',
             'doc.pipeline.li1': '<b>Detección automática del formato.</b> Se analiza una muestra de las primeras líneas para elegir el separador más probable (<code>,</code>, <code>;</code>, tabulador o <code>|</code>) y decidir si la primera fila es cabecera, mediante una heurística basada en la proporción de valores numéricos.',
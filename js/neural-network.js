@@ -1,5 +1,13 @@
 /**
- * Neural Network (ReLU hidden + Sigmoid output, Binary Cross-Entropy, Adam).
+ * Neural Network (hidden layers + Sigmoid / Softmax output, Cross-Entropy or
+ * Focal loss with optional class weighting, Adam). A 'linear' output layer
+ * turns it into a regression model trained with MSE or Huber loss.
+ *
+ * The layer stack comes from `config.architecture`: one input layer, any
+ * number of `hiddenLayers` (each with its own `units` and `activation`, one
+ * of `NeuralNetwork.ACTIVATIONS`, default 'relu') and one output layer.
+ * `weights[l]` / `biases[l]` hold the parameters connecting layer `l` to
+ * layer `l + 1`, so a single-hidden-layer model keeps its `[w0, w1]` shape.
  *
  * Training runs inside a dedicated Web Worker (`js/nn-worker.js`, embedded
  * into `js/nn-worker-embed.js`), so browser background-tab throttling and
@@ -7,7 +15,8 @@
  * event loop that runs even when the owning tab is hidden or not focused.
  *
  * Inference stays on the main thread using the WASM module loaded in
- * `js/nn-wasm.js` (exposed as `window._wasmNN`), because prediction is fast
+ * `js/nn-wasm.js` (exposed as `window._wasmNN`; the JavaScript engine of
+ * `js/nn-engine.js` when WebAssembly is unavailable), because prediction is fast
  * enough to not benefit from a worker round-trip. After training finishes,
  * the trained weights are pushed into the main-thread WASM so that
  * `forward()` / `predict()` can use them immediately.
@@ -21,7 +30,7 @@ class NeuralNetwork {
     constructor(config) {
         if (!window._wasmNN) {
             throw new Error(
-                'NeuralNetwork: WebAssembly module not loaded. ' +
+                'NeuralNetwork: neither the WebAssembly module nor the JavaScript engine is loaded. ' +
                 'Await window._wasmNNReady before constructing a network.'
             );
         }
@@ -30,6 +39,12 @@ class NeuralNetwork {
         this.layers = [];
         this.weights = [];
         this.biases = [];
+        this._trainingWorker = null; // set while train() is running
+        this._scoring = null;        // set while scoreRows() is running
+        this._disposed = false;      // set by dispose()
+        // { optimizer, step, m, v } after training, so a later train() with
+        // `warmStart` continues where this one stopped
+        this.optimizerState = null;
         this.initializeNetwork();
     }
 
@@ -43,6 +58,8 @@ class NeuralNetwork {
         });
 
         architecture.hiddenLayers.forEach(layer => {
+            // Record the activation explicitly so saved models reproduce it
+            if (!layer.activation) layer.activation = 'relu';
             this.layers.push({
                 type: 'hidden',
                 units: layer.units,
@@ -60,128 +77,385 @@ class NeuralNetwork {
     }
 
     // ── WASM lifecycle ─────────────────────────────────────────────
+    /**
+     * Units per layer, input first and output last, e.g. [20, 64, 32, 1].
+     */
+    _layerSizes() {
+        const { architecture } = this.config;
+        return [
+            architecture.inputLayer.units,
+            ...architecture.hiddenLayers.map(layer => layer.units),
+            architecture.outputLayer.units
+        ];
+    }
+
+    /**
+     * WASM activation code for each hidden layer, in layer order.
+     */
+    _hiddenActivationCodes() {
+        return this.config.architecture.hiddenLayers.map(layer => {
+            const name = layer.activation || 'relu';
+            const code = NeuralNetwork.ACTIVATIONS[name];
+            if (code === undefined) {
+                throw new Error(
+                    `NeuralNetwork: unsupported activation '${name}'. ` +
+                    `Use one of: ${Object.keys(NeuralNetwork.ACTIVATIONS).join(', ')}.`
+                );
+            }
+            return code;
+        });
+    }
+
+    /**
+     * WASM activation code for the output layer when it is not the default
+     * sigmoid / softmax, i.e. ACTIVATIONS.linear for regression; else 0.
+     */
+    _outputActivationCode() {
+        return this._isRegression() ? NeuralNetwork.ACTIVATIONS.linear : 0;
+    }
+
+    _isRegression() {
+        return this.config.architecture.outputLayer.activation === 'linear';
+    }
+
     _initWasm() {
-        const wasm = window._wasmNN;
-        const inputSize = this.config.architecture.inputLayer.units;
-        const hiddenSize = this.config.architecture.hiddenLayers[0].units;
-        const outputSize = this.config.architecture.outputLayer.units;
-        wasm.nn_init(inputSize, hiddenSize, outputSize);
+        this._initWasmLayers();
         this._syncWeightsFromWasm();
     }
 
-    _syncWeightsFromWasm() {
+    // Lay this network out in the main-thread WASM instance, which holds
+    // one network at a time (the one in NeuralNetwork._wasmOwner).
+    _initWasmLayers() {
         const wasm = window._wasmNN;
-        const inputSize = this.config.architecture.inputLayer.units;
-        const hiddenSize = this.config.architecture.hiddenLayers[0].units;
-        const outputSize = this.config.architecture.outputLayer.units;
-
-        const w0 = [];
-        const b0 = [];
-        for (let j = 0; j < hiddenSize; j++) {
-            const row = [];
-            for (let k = 0; k < inputSize; k++) {
-                row.push(wasm.nn_get_weight(0, j, k));
-            }
-            w0.push(row);
-            b0.push(wasm.nn_get_bias(0, j));
+        const sizes = this._layerSizes();
+        const activations = this._hiddenActivationCodes();
+        const outputActivation = this._outputActivationCode();
+        if (sizes.length > NeuralNetwork.MAX_LAYERS) {
+            throw new Error(
+                `NeuralNetwork: at most ${NeuralNetwork.MAX_LAYERS - 2} hidden layers are supported.`
+            );
         }
-
-        const w1 = [];
-        const b1 = [];
-        for (let j = 0; j < outputSize; j++) {
-            const row = [];
-            for (let k = 0; k < hiddenSize; k++) {
-                row.push(wasm.nn_get_weight(1, j, k));
-            }
-            w1.push(row);
-            b1.push(wasm.nn_get_bias(1, j));
+        if (!sizes.every(u => Number.isInteger(u) && u > 0)) {
+            throw new Error('NeuralNetwork: every layer needs a positive integer number of units.');
         }
+        wasm.nn_set_layer_count(sizes.length);
+        sizes.forEach((units, l) => wasm.nn_set_layer_units(l, units));
+        activations.forEach((code, i) => wasm.nn_set_layer_activation(i + 1, code));
+        if (outputActivation) wasm.nn_set_layer_activation(sizes.length - 1, outputActivation);
+        wasm.nn_init_layers();
+        NeuralNetwork._wasmOwner = this;
+    }
 
-        this.weights = [w0, w1];
-        this.biases = [b0, b1];
+    // Only the owner's weights are in WASM; otherwise this.weights is
+    // already the current copy.
+    _syncWeightsFromWasm() {
+        if (NeuralNetwork._wasmOwner !== this) return;
+        const params = window._wasmNNHelpers.readParams(window._wasmNN, this._layerSizes());
+        this.weights = params.weights;
+        this.biases = params.biases;
     }
 
     _pushWeightsToWasm() {
         const wasm = window._wasmNN;
-        const inputSize = this.config.architecture.inputLayer.units;
-        const hiddenSize = this.config.architecture.hiddenLayers[0].units;
-        const outputSize = this.config.architecture.outputLayer.units;
+        if (NeuralNetwork._wasmOwner !== this) this._initWasmLayers();
+        window._wasmNNHelpers.writeParams(wasm, this._layerSizes(), this.weights, this.biases);
+        wasm.nn_reset_adam();
+    }
 
-        for (let j = 0; j < hiddenSize; j++) {
-            for (let k = 0; k < inputSize; k++) {
-                wasm.nn_set_weight(0, j, k, this.weights[0][j][k]);
-            }
-            wasm.nn_set_bias(0, j, this.biases[0][j]);
-        }
+    // Put this network back into the WASM instance if another network has
+    // been created or loaded since.
+    _claimWasm() {
+        this._checkNotDisposed();
+        if (NeuralNetwork._wasmOwner !== this) this._pushWeightsToWasm();
+    }
 
-        for (let j = 0; j < outputSize; j++) {
-            for (let k = 0; k < hiddenSize; k++) {
-                wasm.nn_set_weight(1, j, k, this.weights[1][j][k]);
-            }
-            wasm.nn_set_bias(1, j, this.biases[1][j]);
-        }
+    _checkNotDisposed() {
+        if (this._disposed) throw new Error('NeuralNetwork: this network has been disposed.');
+    }
 
-        wasm.nn_reset_adam();
+    /**
+     * Output units: 1 for a sigmoid (binary) or linear (regression) model,
+     * the number of classes for a softmax model.
+     */
+    _outputSize() {
+        return this.config.architecture.outputLayer.units;
     }
 
     // ── Forward pass ───────────────────────────────────────────────
+    // Returns [probability] for binary models, one probability per class
+    // for multi-class models and [estimate] for regression models.
     forward(input) {
         if (!input || !Array.isArray(input)) throw new Error('Input must be an array');
+        this._claimWasm();
         const wasm = window._wasmNN;
         const helpers = window._wasmNNHelpers;
         helpers.uploadPredictInput(wasm, input);
-        return [wasm.nn_predict()];
+        const first = wasm.nn_predict();
+        const k = this._outputSize();
+        if (k === 1) return [first];
+        const mem = helpers.getRealView(wasm);
+        const start = wasm.nn_get_output_ptr() / mem.BYTES_PER_ELEMENT;
+        return Array.from(mem.subarray(start, start + k));
     }
 
     predict(x) {
         if (Array.isArray(x[0])) {
-            return x.map(sample => this.forward(sample));
+            const k = this._outputSize();
+            const flat = this.predictBatch(x);
+            return x.map((_, i) => Array.from(flat.subarray(i * k, (i + 1) * k)));
         }
         return this.forward(x);
     }
 
-    // ── Training (delegated to a Web Worker) ───────────────────────
-    async train(xTrain, yTrain, config) {
-        if (!Array.isArray(xTrain) || !Array.isArray(yTrain)) throw new Error('Training data must be arrays');
-        if (xTrain.length === 0 || yTrain.length === 0) throw new Error('Training data cannot be empty');
-        if (xTrain.length !== yTrain.length) throw new Error('xTrain and yTrain must have the same length');
+    /**
+     * Score many samples at once through `nn_predict_batch`. Returns a
+     * Float64Array with one probability per row (per row and class for
+     * multi-class models, row-major); callers with very large inputs should
+     * pass chunks so the main thread can breathe in between.
+     */
+    predictBatch(rows) {
+        if (!Array.isArray(rows)) throw new Error('Input must be an array of samples');
+        const inputSize = this._layerSizes()[0];
+        rows.forEach((row, i) => {
+            if (!Array.isArray(row) || row.length !== inputSize) {
+                throw new Error(`Sample ${i} must have ${inputSize} features`);
+            }
+        });
+        this._claimWasm();
+        return window._wasmNNHelpers.predictRows(window._wasmNN, rows, inputSize, this._outputSize());
+    }
 
+    // ── Worker plumbing (shared by training and scoring) ──────────
+    // Build the Worker source by prepending the module base64 as a
+    // `const NN_WASM_B64 = "...";` line. The worker uses it to
+    // instantiate WASM without needing a network fetch. It gets the same
+    // build as the main thread (see js/nn-wasm.js) when that one is embedded,
+    // or an empty string when the page runs on the JavaScript engine.
+    _createWorker() {
         if (typeof Worker === 'undefined') {
             throw new Error(
-                'NeuralNetwork.train(): Web Workers are not available in this environment.'
+                'NeuralNetwork: Web Workers are not available in this environment.'
             );
         }
         if (typeof window._nnWorkerSource !== 'string' || window._nnWorkerSource.length === 0) {
             throw new Error(
-                'NeuralNetwork.train(): Worker source missing. ' +
+                'NeuralNetwork: Worker source missing. ' +
                 'Make sure js/nn-worker-embed.js is loaded.'
             );
         }
-        if (typeof window._nnWasmBase64 !== 'string' || window._nnWasmBase64.length === 0) {
+        const jsEngine = window._nnWasmVariant === 'js';
+        if (!jsEngine && (typeof window._nnWasmBase64 !== 'string' || window._nnWasmBase64.length === 0)) {
             throw new Error(
-                'NeuralNetwork.train(): nn.wasm base64 missing. ' +
+                'NeuralNetwork: nn.wasm base64 missing. ' +
                 'Make sure js/nn-wasm-embed.js is loaded.'
             );
         }
 
+        const simd = window._nnWasmVariant === 'simd' &&
+            typeof window._nnWasmSimdBase64 === 'string' && window._nnWasmSimdBase64.length > 0;
+        let wasmBase64 = simd ? window._nnWasmSimdBase64 : window._nnWasmBase64;
+        if (jsEngine) wasmBase64 = ''; // the worker falls back to NNJsEngine too
+        const bootstrap =
+            'const NN_WASM_B64 = ' + JSON.stringify(wasmBase64) + ';\n' +
+            window._nnWorkerSource;
+        const blob = new Blob([bootstrap], { type: 'application/javascript' });
+        const blobUrl = URL.createObjectURL(blob);
+        return { worker: new Worker(blobUrl), blobUrl };
+    }
+
+    // ── Training (delegated to a Web Worker) ───────────────────────
+    /**
+     * train() options (also used by search()) checked and resolved: defaults
+     * applied, the loss as its WASM code, 'auto' class weights computed from
+     * `yTrain`, the LR schedule and optimizer normalized. Throws on an
+     * invalid option or label.
+     */
+    _runSettings(yTrain, config) {
         const {
             epochs = 100,
             batchSize = 32,
             learningRate = 0.001,
+            optimizer = 'adam',
+            adamBeta1,
+            adamBeta2,
+            adamEpsilon,
+            dropout = 0,
+            weightDecay = 0,
+            gradientClipNorm = 0,
+            loss = 'binaryCrossentropy',
+            positiveClassWeight = 1,
+            classWeights = null,
+            focalGamma = 2,
+            huberDelta = 1,
+            lrSchedule = 'constant',
+            validationData = null,
+            earlyStopping = null,
+            seed = NeuralNetwork.randomSeed()
+        } = config;
+        const numClasses = this._outputSize();
+        const regression = this._isRegression();
+        const multiClass = numClasses > 1 && !regression;
+
+        if (!Number.isInteger(epochs) || epochs < 1) {
+            throw new Error('epochs must be a whole number of at least 1');
+        }
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+            throw new Error('batchSize must be a whole number of at least 1');
+        }
+        if (typeof learningRate !== 'number' || !(learningRate > 0) || !isFinite(learningRate)) {
+            throw new Error('learningRate must be a positive number');
+        }
+
+        // `dropout` is either one rate for every hidden layer or an array
+        // with one rate per hidden layer.
+        const dropoutRates = this.config.architecture.hiddenLayers.map((_, i) => {
+            const rate = Array.isArray(dropout) ? (dropout[i] || 0) : dropout;
+            if (typeof rate !== 'number' || !(rate >= 0 && rate < 0.95)) {
+                throw new Error('Dropout rates must be numbers in [0, 0.95)');
+            }
+            return rate;
+        });
+        if (typeof weightDecay !== 'number' || !(weightDecay >= 0)) {
+            throw new Error('weightDecay must be a non-negative number');
+        }
+        if (typeof gradientClipNorm !== 'number' || !(gradientClipNorm >= 0) || !isFinite(gradientClipNorm)) {
+            throw new Error('gradientClipNorm must be a non-negative number (0 disables clipping)');
+        }
+
+        const lossCode = NeuralNetwork.LOSSES[loss];
+        if (lossCode === undefined) {
+            throw new Error(
+                `Unsupported loss '${loss}'. Use one of: ${Object.keys(NeuralNetwork.LOSSES).join(', ')}.`
+            );
+        }
+        const regressionLoss = NeuralNetwork.REGRESSION_LOSSES.includes(loss);
+        if (regression && (numClasses !== 1 || !regressionLoss)) {
+            throw new Error(
+                `Regression models have one linear output unit and use ${NeuralNetwork.REGRESSION_LOSSES.join(' or ')}`
+            );
+        }
+        if (!regression && regressionLoss) {
+            throw new Error(`'${loss}' needs a regression model (a linear output layer)`);
+        }
+        if (multiClass && loss === 'binaryCrossentropy') {
+            throw new Error("Multi-class models use 'categoricalCrossentropy' or 'focal'");
+        }
+        if (!multiClass && !regression && loss === 'categoricalCrossentropy') {
+            throw new Error("Single-output models use 'binaryCrossentropy' or 'focal'");
+        }
+        // Labels are 0/1 for one output unit, class indices for softmax and
+        // target values for regression.
+        const labelOf = (y) => (Array.isArray(y) ? y[0] : y);
+        if (regression) {
+            const bad = [yTrain, validationData ? validationData[1] : []].some(ys =>
+                Array.isArray(ys) && ys.some(y => typeof labelOf(y) !== 'number' || !isFinite(labelOf(y)))
+            );
+            if (bad) throw new Error('Regression targets must be finite numbers');
+        }
+        if (multiClass) {
+            const bad = [yTrain, validationData ? validationData[1] : []].some(ys =>
+                Array.isArray(ys) && ys.some(y => {
+                    const c = labelOf(y);
+                    return !Number.isInteger(c) || c < 0 || c >= numClasses;
+                })
+            );
+            if (bad) throw new Error(`Class labels must be whole numbers from 0 to ${numClasses - 1}`);
+        }
+        const positiveWeight = positiveClassWeight === 'auto' && !regression
+            ? NeuralNetwork.balancedPositiveWeight(yTrain)
+            : (regression ? 1 : positiveClassWeight);
+        if (typeof positiveWeight !== 'number' || !(positiveWeight > 0) || !isFinite(positiveWeight)) {
+            throw new Error("positiveClassWeight must be a positive number or 'auto'");
+        }
+        const perClassWeights = classWeights === 'auto'
+            ? NeuralNetwork.balancedClassWeights(yTrain, numClasses)
+            : classWeights;
+        if (perClassWeights !== null && (!multiClass || !Array.isArray(perClassWeights) ||
+            perClassWeights.length !== numClasses ||
+            !perClassWeights.every(w => typeof w === 'number' && w > 0 && isFinite(w)))) {
+            throw new Error(
+                `classWeights must be 'auto' or ${numClasses} positive numbers, and needs a multi-class model`
+            );
+        }
+        if (typeof focalGamma !== 'number' || !(focalGamma >= 0)) {
+            throw new Error('focalGamma must be a non-negative number');
+        }
+        if (typeof huberDelta !== 'number' || !(huberDelta > 0) || !isFinite(huberDelta)) {
+            throw new Error('huberDelta must be a positive number');
+        }
+        const schedule = NeuralNetwork.normalizeLrSchedule(lrSchedule);
+        // The older adamBeta1 / adamBeta2 / adamEpsilon options still apply
+        // when Adam is chosen by name.
+        const optimizerSpec = optimizer === 'adam'
+            ? { type: 'adam', beta1: adamBeta1, beta2: adamBeta2, epsilon: adamEpsilon }
+            : optimizer;
+        const optimizerParams = NeuralNetwork.normalizeOptimizer(optimizerSpec);
+        if (!Number.isInteger(seed) || seed < 1 || seed > NeuralNetwork.MAX_SEED) {
+            throw new Error(`seed must be a whole number from 1 to ${NeuralNetwork.MAX_SEED}`);
+        }
+
+        if (earlyStopping) {
+            if (!Number.isInteger(earlyStopping.patience) || earlyStopping.patience < 1) {
+                throw new Error('earlyStopping.patience must be a positive whole number');
+            }
+            if (earlyStopping.minDelta !== undefined &&
+                (typeof earlyStopping.minDelta !== 'number' || !(earlyStopping.minDelta >= 0))) {
+                throw new Error('earlyStopping.minDelta must be a non-negative number');
+            }
+        }
+
+        return {
+            epochs, batchSize, learningRate, dropoutRates, weightDecay, gradientClipNorm,
+            loss, lossCode, positiveWeight, perClassWeights, focalGamma, huberDelta,
+            schedule, optimizerParams, seed, earlyStopping
+        };
+    }
+
+    async train(xTrain, yTrain, config) {
+        if (!Array.isArray(xTrain) || !Array.isArray(yTrain)) throw new Error('Training data must be arrays');
+        if (xTrain.length === 0 || yTrain.length === 0) throw new Error('Training data cannot be empty');
+        if (xTrain.length !== yTrain.length) throw new Error('xTrain and yTrain must have the same length');
+        this._checkNotDisposed();
+
+        const {
             onEpochEnd = null,
-            adamBeta1 = 0.9,
-            adamBeta2 = 0.999,
-            adamEpsilon = 1e-8
+            validationData = null,
+            // Start from the current weights (e.g. a loaded model) instead
+            // of a fresh initialization
+            warmStart = false,
+            // Every `checkpointEvery` epochs onCheckpoint(checkpoint) gets
+            // the full run state; passing that object back as `resumeFrom`
+            // (with the same data and options) continues the run exactly.
+            checkpointEvery = 0,
+            onCheckpoint = null,
+            resumeFrom = null
         } = config;
+        const {
+            epochs, batchSize, learningRate, dropoutRates, weightDecay, gradientClipNorm,
+            loss, lossCode, positiveWeight, perClassWeights, focalGamma, huberDelta,
+            schedule, optimizerParams, seed, earlyStopping
+        } = this._runSettings(yTrain, config);
 
-        const inputSize = this.config.architecture.inputLayer.units;
-        const hiddenSize = this.config.architecture.hiddenLayers[0].units;
-        const outputSize = this.config.architecture.outputLayer.units;
+        const layerSizes = this._layerSizes();
+        const hiddenActivations = this._hiddenActivationCodes();
+        const outputActivation = this._outputActivationCode();
+        const inputSize = layerSizes[0];
+        const numClasses = this._outputSize();
+        const regression = this._isRegression();
+        const multiClass = numClasses > 1 && !regression;
         const nSamples = xTrain.length;
 
+        // `validationData` is an [xVal, yVal] pair scored after every epoch.
+        const [xVal, yVal] = validationData || [[], []];
+        if (!Array.isArray(xVal) || !Array.isArray(yVal) || xVal.length !== yVal.length) {
+            throw new Error('validationData must be an [xVal, yVal] pair of equal-length arrays');
+        }
+        const nValSamples = xVal.length;
+
         // Flatten features/labels into Float64Arrays for zero-copy transfer
         // (the underlying ArrayBuffers are transferred to the worker, which
         // avoids a structured-clone memcpy for big training sets).
+        const labelOf = (y) => (Array.isArray(y) ? y[0] : y);
         const featuresFlat = new Float64Array(nSamples * inputSize);
         for (let i = 0; i < nSamples; i++) {
             const row = xTrain[i];
@@ -190,24 +464,116 @@ class NeuralNetwork {
         }
         const labelsFlat = new Float64Array(nSamples);
         for (let i = 0; i < nSamples; i++) {
-            labelsFlat[i] = Array.isArray(yTrain[i]) ? yTrain[i][0] : yTrain[i];
+            labelsFlat[i] = labelOf(yTrain[i]);
+        }
+        const valFeaturesFlat = new Float64Array(nValSamples * inputSize);
+        const valLabelsFlat = new Float64Array(nValSamples);
+        for (let i = 0; i < nValSamples; i++) {
+            const row = xVal[i];
+            if (!Array.isArray(row) || row.length !== inputSize) {
+                throw new Error(`Validation sample ${i} must have ${inputSize} features`);
+            }
+            valFeaturesFlat.set(row, i * inputSize);
+            valLabelsFlat[i] = labelOf(yVal[i]);
         }
 
-        // Build the Worker source by prepending the nn.wasm base64 as a
-        // `const NN_WASM_B64 = "...";` line. The worker uses it to
-        // instantiate WASM without needing a network fetch.
-        const bootstrap =
-            'const NN_WASM_B64 = ' + JSON.stringify(window._nnWasmBase64) + ';\n' +
-            window._nnWorkerSource;
-        const blob = new Blob([bootstrap], { type: 'application/javascript' });
-        const blobUrl = URL.createObjectURL(blob);
-        const worker = new Worker(blobUrl);
+        if (!Number.isInteger(checkpointEvery) || checkpointEvery < 0) {
+            throw new Error('checkpointEvery must be a non-negative integer (0 disables checkpoints)');
+        }
+        if (resumeFrom && (resumeFrom.optimizer !== optimizerParams.type || !(resumeFrom.epoch < epochs))) {
+            throw new Error('resumeFrom does not belong to this training run (optimizer or epoch count differs)');
+        }
+
+        // Record the seed, engine, optimizer, regularization and the LR
+        // schedule with the model so saved files describe (and can
+        // reproduce) how they were trained. This comes after every argument
+        // check so that a rejected call leaves the saved config untouched.
+        const optimizerName = optimizerParams.type;
+        const optimizerSettings = Object.assign({}, optimizerParams);
+        delete optimizerSettings.type;
+        // Callers warn about a change of engine (NeuralNetwork.engineChange)
+        const engine = window._nnWasmVariant;
+        this.config.trainingConfig = Object.assign({}, this.config.trainingConfig, {
+            seed,
+            engine,
+            optimizer: optimizerName,
+            optimizerParams: optimizerSettings,
+            epochs,
+            batchSize,
+            learningRate,
+            lrSchedule: schedule,
+            dropout: dropoutRates,
+            weightDecay,
+            loss
+        });
+        if (regression) {
+            delete this.config.trainingConfig.positiveClassWeight;
+            delete this.config.trainingConfig.classWeights;
+        } else if (multiClass) {
+            delete this.config.trainingConfig.positiveClassWeight;
+            this.config.trainingConfig.classWeights = perClassWeights || new Array(numClasses).fill(1);
+        } else {
+            delete this.config.trainingConfig.classWeights;
+            this.config.trainingConfig.positiveClassWeight = positiveWeight;
+        }
+        if (loss === 'focal') this.config.trainingConfig.focalGamma = focalGamma;
+        if (loss === 'huber') this.config.trainingConfig.huberDelta = huberDelta;
+        if (gradientClipNorm > 0) {
+            this.config.trainingConfig.gradientClipNorm = gradientClipNorm;
+        } else {
+            delete this.config.trainingConfig.gradientClipNorm;
+        }
+        if (earlyStopping) {
+            this.config.trainingConfig.earlyStopping = {
+                patience: earlyStopping.patience,
+                minDelta: earlyStopping.minDelta || 0,
+                monitor: nValSamples > 0 ? 'valLoss' : 'loss'
+            };
+        } else {
+            delete this.config.trainingConfig.earlyStopping;
+        }
 
-        const history = { loss: [], accuracy: [] };
+        // Optimizer moments only carry over to the same optimizer
+        let initialWeights = null;
+        let optimizerState = null;
+        if (warmStart) {
+            initialWeights = { weights: this.weights, biases: this.biases };
+            const saved = this.optimizerState;
+            if (saved && saved.optimizer === optimizerName) {
+                optimizerState = {
+                    step: saved.step,
+                    m: Float64Array.from(saved.m),
+                    v: Float64Array.from(saved.v)
+                };
+            }
+        }
+
+        const { worker, blobUrl } = this._createWorker();
+        this._trainingWorker = worker;
+
+        // Regression reports mean absolute error where classification
+        // reports accuracy (and AUC on the holdout).
+        const history = regression
+            ? { loss: [], mae: [], learningRate: [] }
+            : { loss: [], accuracy: [], learningRate: [] };
+        if (nValSamples > 0 && regression) {
+            history.valLoss = [];
+            history.valMae = [];
+        } else if (nValSamples > 0) {
+            history.valLoss = [];
+            history.valAccuracy = [];
+            history.valAUC = [];
+        }
+        if (resumeFrom) {
+            Object.keys(history).forEach((key) => {
+                history[key].push(...(resumeFrom.history[key] || []));
+            });
+        }
         const t0 = performance.now();
 
         console.log(
-            `[WASM worker] Training ${nSamples} samples, ${inputSize} features, ${epochs} epochs`
+            `[WASM worker] Training ${nSamples} samples, ${inputSize} features, ` +
+            `layers ${layerSizes.join('-')}, ${epochs} epochs`
         );
 
         try {
@@ -215,53 +581,125 @@ class NeuralNetwork {
                 worker.onerror = (ev) => {
                     reject(new Error(ev.message || 'Worker error'));
                 };
-                worker.onmessage = async (e) => {
-                    const msg = e.data;
+                const handleMessage = async (msg) => {
                     if (!msg || !msg.type) return;
                     try {
-                        if (msg.type === 'epoch') {
+                        if (msg.type === 'epoch' && regression) {
+                            history.loss.push(msg.loss);
+                            history.mae.push(msg.mae);
+                            history.learningRate.push(msg.learningRate);
+                            const epochData = {
+                                epoch: msg.epoch,
+                                loss: msg.loss,
+                                mae: msg.mae,
+                                learningRate: msg.learningRate
+                            };
+                            if (nValSamples > 0) {
+                                history.valLoss.push(msg.valLoss);
+                                history.valMae.push(msg.valMae);
+                                epochData.valLoss = msg.valLoss;
+                                epochData.valMae = msg.valMae;
+                            }
+                            if (onEpochEnd) await onEpochEnd(epochData);
+                        } else if (msg.type === 'epoch') {
                             history.loss.push(msg.loss);
                             history.accuracy.push(msg.accuracy);
-                            if (onEpochEnd) {
-                                await onEpochEnd({
-                                    epoch: msg.epoch,
-                                    loss: msg.loss,
-                                    accuracy: msg.accuracy
+                            history.learningRate.push(msg.learningRate);
+                            const epochData = {
+                                epoch: msg.epoch,
+                                loss: msg.loss,
+                                accuracy: msg.accuracy,
+                                learningRate: msg.learningRate
+                            };
+                            if (nValSamples > 0) {
+                                history.valLoss.push(msg.valLoss);
+                                history.valAccuracy.push(msg.valAccuracy);
+                                history.valAUC.push(msg.valAUC);
+                                epochData.valLoss = msg.valLoss;
+                                epochData.valAccuracy = msg.valAccuracy;
+                                epochData.valAUC = msg.valAUC;
+                            }
+                            if (onEpochEnd) await onEpochEnd(epochData);
+                        } else if (msg.type === 'checkpoint') {
+                            if (onCheckpoint) {
+                                const checkpoint = Object.assign({}, msg, {
+                                    optimizer: optimizerName,
+                                    engine,
+                                    history: {}
+                                });
+                                delete checkpoint.type;
+                                Object.keys(history).forEach((key) => {
+                                    checkpoint.history[key] = history[key].slice();
                                 });
+                                await onCheckpoint(checkpoint);
                             }
                         } else if (msg.type === 'done') {
                             this.weights = msg.weights;
                             this.biases = msg.biases;
+                            history.bestEpoch = msg.bestEpoch;
+                            history.stoppedEarly = msg.stoppedEarly;
+                            history.stopped = msg.stopped;
+                            this.optimizerState = msg.optimizerState ? {
+                                optimizer: optimizerName,
+                                step: msg.optimizerState.step,
+                                m: Array.from(msg.optimizerState.m),
+                                v: Array.from(msg.optimizerState.v)
+                            } : null;
                             // Mirror trained weights into the main-thread WASM
                             // instance so forward()/predict() pick them up.
-                            this._pushWeightsToWasm();
+                            if (!this._disposed) this._pushWeightsToWasm();
                             resolve();
                         } else if (msg.type === 'error') {
-                            reject(new Error(msg.message || 'Worker error'));
+                            reject(NeuralNetwork.workerError(msg));
                         }
-                        // 'ready' is informational; no action required.
+                        // 'ready', 'paused' and 'resumed' are informational;
+                        // no action required.
                     } catch (err) {
                         reject(err);
                     }
                 };
+                // One message at a time, in order: 'done' waits for the
+                // onEpochEnd / onCheckpoint calls of the epochs before it.
+                let handling = Promise.resolve();
+                worker.onmessage = (e) => {
+                    handling = handling.then(() => handleMessage(e.data));
+                };
 
                 worker.postMessage({
                     type: 'train',
                     nSamples,
-                    inputSize,
-                    hiddenSize,
-                    outputSize,
+                    layerSizes,
+                    hiddenActivations,
+                    outputActivation,
                     featuresFlat,
                     labelsFlat,
                     epochs,
                     batchSize,
                     learningRate,
-                    adamBeta1,
-                    adamBeta2,
-                    adamEpsilon
-                }, [featuresFlat.buffer, labelsFlat.buffer]);
+                    optimizer: NeuralNetwork.OPTIMIZER_CODES[optimizerName],
+                    optimizerParams,
+                    dropoutRates,
+                    weightDecay,
+                    gradientClipNorm,
+                    lossType: lossCode,
+                    positiveWeight,
+                    classWeights: perClassWeights,
+                    focalGamma,
+                    huberDelta,
+                    lrSchedule: schedule,
+                    nValSamples,
+                    valFeaturesFlat,
+                    valLabelsFlat,
+                    earlyStopping: earlyStopping ? this.config.trainingConfig.earlyStopping : null,
+                    seed,
+                    initialWeights,
+                    optimizerState,
+                    checkpointEvery,
+                    resumeFrom
+                }, [featuresFlat.buffer, labelsFlat.buffer, valFeaturesFlat.buffer, valLabelsFlat.buffer]);
             });
         } finally {
+            this._trainingWorker = null;
             worker.terminate();
             URL.revokeObjectURL(blobUrl);
         }
@@ -272,15 +710,288 @@ class NeuralNetwork {
         return history;
     }
 
+    /**
+     * Cross-validated hyperparameter search. Every entry of `config.trials`
+     * (`{ epochs, learningRate, hiddenUnits }`, the width of every hidden
+     * layer) is trained from scratch on each fold's training rows in turn
+     * and scored on its held-out rows. The remaining options are train()'s
+     * and apply to every trial ('auto' class weights follow each fold's
+     * training labels); the network's own weights and trainingConfig are
+     * left untouched.
+     *
+     * `folds` holds at least 2 `{ features, labels, valFeatures, valLabels }`
+     * sets, as MLTrainingData.prepareFolds() makes them: each fold encoded
+     * with preprocessing fitted on its own training rows, so the feature
+     * count may differ from fold to fold. After each trial
+     * `onTrial({ index, folds })` gets the fold metrics (valLoss and
+     * valAccuracy / valAUC, or valMae for regression, plus bestEpoch) or
+     * `[{ diverged: true }]` when that trial's learning rate blew up.
+     * stopTraining() or running past `timeBudgetMs` (time paused with
+     * pauseTraining() left out) ends the search, the trial in progress
+     * unreported; it resolves with `{ results, completed, stopped,
+     * timedOut }`, `results[index]` being the folds of each finished trial.
+     */
+    async search(folds, config) {
+        if (!Array.isArray(folds) || folds.length < 2) throw new Error('A search needs at least 2 folds');
+        folds.forEach((fold) => {
+            const { features, labels, valFeatures, valLabels } = fold;
+            if (![features, labels, valFeatures, valLabels].every(Array.isArray)) {
+                throw new Error('Fold data must be arrays');
+            }
+            if (features.length === 0 || valFeatures.length === 0) throw new Error('Fold data cannot be empty');
+            if (features.length !== labels.length || valFeatures.length !== valLabels.length) {
+                throw new Error('Fold features and labels must have the same length');
+            }
+        });
+        this._checkNotDisposed();
+
+        const { trials, timeBudgetMs = 0, onTrial = null } = config;
+        const runConfig = Object.assign({}, config, { validationData: null });
+        const foldSettings = folds.map(fold => this._runSettings(fold.labels, runConfig));
+        const {
+            batchSize, dropoutRates, weightDecay, gradientClipNorm, lossCode,
+            focalGamma, huberDelta, schedule, optimizerParams, seed, earlyStopping
+        } = foldSettings[0];
+
+        if (!Array.isArray(trials) || trials.length === 0 || !trials.every(trial =>
+            Number.isInteger(trial.epochs) && trial.epochs >= 1 &&
+            typeof trial.learningRate === 'number' && trial.learningRate > 0 && isFinite(trial.learningRate) &&
+            Number.isInteger(trial.hiddenUnits) && trial.hiddenUnits >= 1)) {
+            throw new Error('trials must be { epochs, learningRate, hiddenUnits } settings');
+        }
+        if (typeof timeBudgetMs !== 'number' || !(timeBudgetMs >= 0)) {
+            throw new Error('timeBudgetMs must be a non-negative number (0 = no limit)');
+        }
+
+        const labelOf = (y) => (Array.isArray(y) ? y[0] : y);
+        const flatten = (rows, inputSize) => {
+            const flat = new Float64Array(rows.length * inputSize);
+            rows.forEach((row, i) => {
+                if (!Array.isArray(row) || row.length !== inputSize) {
+                    throw new Error(`Every sample of a fold must have ${inputSize} features`);
+                }
+                flat.set(row, i * inputSize);
+            });
+            return flat;
+        };
+        const foldData = folds.map((fold, f) => {
+            const inputSize = fold.features[0].length;
+            return {
+                inputSize,
+                nTrain: fold.features.length,
+                featuresFlat: flatten(fold.features, inputSize),
+                labelsFlat: Float64Array.from(fold.labels, labelOf),
+                nVal: fold.valFeatures.length,
+                valFeaturesFlat: flatten(fold.valFeatures, inputSize),
+                valLabelsFlat: Float64Array.from(fold.valLabels, labelOf),
+                positiveWeight: foldSettings[f].positiveWeight,
+                classWeights: foldSettings[f].perClassWeights
+            };
+        });
+        const k = folds.length;
+        const nSamples = foldData.reduce((sum, fold) => sum + fold.nVal, 0);
+
+        const { worker, blobUrl } = this._createWorker();
+        this._trainingWorker = worker;
+        const results = [];
+        const t0 = performance.now();
+
+        console.log(
+            `[WASM worker] Searching ${trials.length} settings with ${k}-fold cross-validation ` +
+            `on ${nSamples} samples`
+        );
+
+        try {
+            const summary = await new Promise((resolve, reject) => {
+                worker.onerror = (ev) => {
+                    reject(new Error(ev.message || 'Worker error'));
+                };
+                const handleMessage = async (msg) => {
+                    if (!msg || !msg.type) return;
+                    try {
+                        if (msg.type === 'trial') {
+                            results[msg.index] = msg.folds;
+                            if (onTrial) await onTrial({ index: msg.index, folds: msg.folds });
+                        } else if (msg.type === 'search-done') {
+                            resolve(msg);
+                        } else if (msg.type === 'error') {
+                            reject(NeuralNetwork.workerError(msg));
+                        }
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+                // In order, so 'search-done' waits for the last onTrial
+                let handling = Promise.resolve();
+                worker.onmessage = (e) => {
+                    handling = handling.then(() => handleMessage(e.data));
+                };
+
+                worker.postMessage({
+                    type: 'search',
+                    layerSizes: this._layerSizes(),
+                    hiddenActivations: this._hiddenActivationCodes(),
+                    outputActivation: this._outputActivationCode(),
+                    folds: foldData,
+                    trials,
+                    timeBudgetMs,
+                    batchSize,
+                    optimizer: NeuralNetwork.OPTIMIZER_CODES[optimizerParams.type],
+                    optimizerParams,
+                    dropoutRates,
+                    weightDecay,
+                    gradientClipNorm,
+                    lossType: lossCode,
+                    focalGamma,
+                    huberDelta,
+                    lrSchedule: schedule,
+                    earlyStopping,
+                    seed
+                }, [].concat(...foldData.map(fold => [
+                    fold.featuresFlat.buffer, fold.labelsFlat.buffer,
+                    fold.valFeaturesFlat.buffer, fold.valLabelsFlat.buffer
+                ])));
+            });
+            const elapsed = ((performance.now() - t0) / 1000).toFixed(2);
+            console.log(`[WASM worker] Search finished ${summary.completed} settings in ${elapsed}s`);
+            return {
+                results,
+                completed: summary.completed,
+                stopped: summary.stopped,
+                timedOut: summary.timedOut
+            };
+        } finally {
+            this._trainingWorker = null;
+            worker.terminate();
+            URL.revokeObjectURL(blobUrl);
+        }
+    }
+
+    // ── Controlling a running train() or search() call ───────────
+    // The worker picks these up between slices of mini-batches. After
+    // stopTraining(), train() resolves with the weights trained so far.
+    pauseTraining() { this._postTrainingControl('pause'); }
+    resumeTraining() { this._postTrainingControl('resume'); }
+    stopTraining() { this._postTrainingControl('stop'); }
+
+    isTraining() {
+        return !!this._trainingWorker;
+    }
+
+    _postTrainingControl(type) {
+        if (this._trainingWorker) this._trainingWorker.postMessage({ type });
+    }
+
+    // ── Scoring (delegated to a Web Worker) ────────────────────────
+    /**
+     * Encode and score raw CSV rows off the main thread.
+     *
+     * `encoder` is a `MLFeatureCodec.makeRowEncoder()` spec (its `inputSize`
+     * defaults to this network's). Rows are sent `chunkSize` at a time, and
+     * `onProgress({ done, total })` runs after each chunk comes back.
+     * Resolves with a Float64Array of scores (laid out like predictBatch()),
+     * or `null` when cancelScoring() was called first.
+     */
+    async scoreRows(rows, encoder, options = {}) {
+        const { chunkSize = 10000, onProgress = null } = options;
+        this._checkNotDisposed();
+        const sizes = this._layerSizes();
+        this._syncWeightsFromWasm();
+
+        const { worker, blobUrl } = this._createWorker();
+        const total = rows.length;
+        const k = this._outputSize();
+        const scores = new Float64Array(total * k);
+        const run = { worker, cancel: null };
+        this._scoring = run;
+
+        try {
+            return await new Promise((resolve, reject) => {
+                run.cancel = () => resolve(null);
+                let next = 0;
+                const sendNext = () => {
+                    const end = Math.min(next + chunkSize, total);
+                    worker.postMessage({ type: 'score-chunk', start: next, rows: rows.slice(next, end) });
+                    next = end;
+                };
+
+                worker.onerror = (ev) => {
+                    reject(new Error(ev.message || 'Worker error'));
+                };
+                worker.onmessage = async (e) => {
+                    const msg = e.data;
+                    if (!msg || !msg.type || this._scoring !== run) return;
+                    try {
+                        if (msg.type === 'scores') {
+                            scores.set(msg.scores, msg.start * k);
+                            const done = msg.start + msg.scores.length / k;
+                            // Queue the next chunk before updating progress
+                            // so the worker stays busy while the page paints.
+                            if (next < total) sendNext();
+                            if (onProgress) await onProgress({ done, total });
+                            if (done >= total) resolve(scores);
+                        } else if (msg.type === 'error') {
+                            reject(new Error(msg.message || 'Worker error'));
+                        }
+                    } catch (err) {
+                        reject(err);
+                    }
+                };
+
+                worker.postMessage({
+                    type: 'score-init',
+                    layerSizes: sizes,
+                    hiddenActivations: this._hiddenActivationCodes(),
+                    outputActivation: this._outputActivationCode(),
+                    weights: this.weights,
+                    biases: this.biases,
+                    encoder: Object.assign({ inputSize: sizes[0] }, encoder)
+                });
+                if (total === 0) resolve(scores);
+                else sendNext();
+            });
+        } finally {
+            if (this._scoring === run) this._scoring = null;
+            worker.terminate();
+            URL.revokeObjectURL(blobUrl);
+        }
+    }
+
+    cancelScoring() {
+        if (this._scoring && this._scoring.cancel) this._scoring.cancel();
+    }
+
+    // ── Releasing memory ───────────────────────────────────────────
+    /**
+     * Stop any training or scoring run of this network and release its
+     * buffers in the main-thread WASM instance, so pages that load many
+     * models keep a flat memory footprint. The network cannot be used
+     * afterwards; data already taken from it (e.g. save()) stays valid.
+     */
+    dispose() {
+        if (this._disposed) return;
+        this.stopTraining();
+        this.cancelScoring();
+        if (NeuralNetwork._wasmOwner === this) {
+            window._wasmNN.nn_reset_memory();
+            NeuralNetwork._wasmOwner = null;
+        }
+        this._disposed = true;
+    }
+
     // ── Persistence ────────────────────────────────────────────────
+    // The optimizer state is saved too, so a loaded model can be trained
+    // further (see the `warmStart` train() option) without a cold restart.
     save() {
         this._syncWeightsFromWasm();
-        return {
+        const data = {
             config: this.config,
             weights: this.weights,
             biases: this.biases,
             layers: this.layers
         };
+        if (this.optimizerState) data.optimizerState = this.optimizerState;
+        return data;
     }
 
     static load(modelData) {
@@ -288,9 +999,206 @@ class NeuralNetwork {
         network.weights = modelData.weights;
         network.biases = modelData.biases;
         network.layers = modelData.layers;
+        network.optimizerState = modelData.optimizerState || null;
         network._pushWeightsToWasm();
         return network;
     }
 }
 
+/**
+ * Error for a worker `error` message. Structured failures keep their
+ * details: a diverged run carries `code: 'diverged'`, the `epoch` and the
+ * likely `reason` ('invalid_input', 'extreme_features' or 'learning_rate').
+ */
+NeuralNetwork.workerError = function (msg) {
+    const err = new Error(msg.message || 'Worker error');
+    if (msg.code) {
+        err.code = msg.code;
+        err.epoch = msg.epoch;
+        err.reason = msg.reason;
+    }
+    return err;
+};
+
+// Input + hidden + output; mirrors MAX_LAYERS in assembly/index.ts.
+NeuralNetwork.MAX_LAYERS = 16;
+
+// Network whose layers and weights the main-thread WASM instance holds
+NeuralNetwork._wasmOwner = null;
+
+// Seeds are xorshift32 states, so 0 is excluded.
+NeuralNetwork.MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * The engine build `recorded` with a saved model (its trainingConfig.engine)
+ * or a checkpoint (its `engine`) — 'simd', 'f64' or 'js', see js/nn-wasm.js
+ * — when it is not the one this page loaded, as `{ from, to }`; null
+ * otherwise or when nothing was recorded. The f32 SIMD build rounds
+ * differently from the f64 and JavaScript engines, so a warm start or
+ * resume on another one no longer matches the same seed on the original.
+ */
+NeuralNetwork.engineChange = function (recorded) {
+    const current = window._nnWasmVariant;
+    return recorded && current && recorded !== current ? { from: recorded, to: current } : null;
+};
+
+NeuralNetwork.randomSeed = function () {
+    return 1 + Math.floor(Math.random() * NeuralNetwork.MAX_SEED);
+};
+
+/**
+ * Seeded generator of floats in [0, 1], using the same xorshift32 sequence
+ * as the WASM module. Used for the train/validation split so that one seed
+ * fixes the split, weight initialization and epoch shuffling together.
+ */
+NeuralNetwork.seededRandom = function (seed) {
+    let state = (seed >>> 0) || 42;
+    return function () {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        state >>>= 0;
+        return state / 4294967295;
+    };
+};
+
+// Training loss name → LOSS_* code in assembly/index.ts. Cross-entropy is
+// binary with one output unit and categorical with a softmax output; mse
+// and huber are for regression models.
+NeuralNetwork.LOSSES = {
+    binaryCrossentropy: 0,
+    categoricalCrossentropy: 0,
+    focal: 1,
+    mse: 2,
+    huber: 3
+};
+
+NeuralNetwork.REGRESSION_LOSSES = ['mse', 'huber'];
+
+/**
+ * Weight for label-1 samples that balances them against label-0 samples
+ * (negatives / positives); 1 when either class is missing.
+ */
+NeuralNetwork.balancedPositiveWeight = function (labels) {
+    let positives = 0;
+    for (let i = 0; i < labels.length; i++) {
+        const y = Array.isArray(labels[i]) ? labels[i][0] : labels[i];
+        if (y > 0.5) positives++;
+    }
+    const negatives = labels.length - positives;
+    if (positives === 0 || negatives === 0) return 1;
+    return negatives / positives;
+};
+
+/**
+ * Per-class weights n / (classes · count), so every class contributes
+ * equally to the loss; classes without samples get 1.
+ */
+NeuralNetwork.balancedClassWeights = function (labels, numClasses) {
+    const counts = new Array(numClasses).fill(0);
+    for (let i = 0; i < labels.length; i++) {
+        const y = Array.isArray(labels[i]) ? labels[i][0] : labels[i];
+        if (counts[y] !== undefined) counts[y]++;
+    }
+    return counts.map(c => (c > 0 ? labels.length / (numClasses * c) : 1));
+};
+
+// Default hyperparameters per optimizer; see applyUpdate() in
+// assembly/index.ts for the update rules.
+NeuralNetwork.OPTIMIZERS = {
+    adam: { beta1: 0.9, beta2: 0.999, epsilon: 1e-8 },
+    sgd: { momentum: 0.9 },
+    rmsprop: { rho: 0.9, epsilon: 1e-8 },
+    adagrad: { epsilon: 1e-8 }
+};
+
+// Optimizer name → OPT_* code in assembly/index.ts.
+NeuralNetwork.OPTIMIZER_CODES = {
+    adam: 0,
+    sgd: 1,
+    rmsprop: 2,
+    adagrad: 3
+};
+
+/**
+ * Fill in defaults for an optimizer and validate it. Accepts a name or an
+ * object `{ type, ...params }`, like normalizeLrSchedule(); the result is
+ * what the worker runs and what gets saved with the model.
+ */
+NeuralNetwork.normalizeOptimizer = function (optimizer) {
+    const spec = typeof optimizer === 'string' ? { type: optimizer } : Object.assign({}, optimizer);
+    const type = spec.type || 'adam';
+    const defaults = NeuralNetwork.OPTIMIZERS[type];
+    if (!defaults) {
+        throw new Error(
+            `Unsupported optimizer '${type}'. Use one of: ${Object.keys(NeuralNetwork.OPTIMIZERS).join(', ')}.`
+        );
+    }
+    const out = { type };
+    Object.keys(defaults).forEach((key) => {
+        out[key] = spec[key] !== undefined ? spec[key] : defaults[key];
+        if (typeof out[key] !== 'number' || !(out[key] >= 0) || !isFinite(out[key])) {
+            throw new Error(`Optimizer '${key}' must be a non-negative number`);
+        }
+    });
+    ['beta1', 'beta2', 'momentum', 'rho'].forEach((key) => {
+        if (out[key] !== undefined && !(out[key] < 1)) {
+            throw new Error(`Optimizer '${key}' must be below 1`);
+        }
+    });
+    if (out.epsilon !== undefined && !(out.epsilon > 0)) throw new Error("Optimizer 'epsilon' must be positive");
+    return out;
+};
+
+// Default parameters per learning-rate schedule type; see
+// scheduledLearningRate() in js/nn-worker.js for how each is applied.
+NeuralNetwork.LR_SCHEDULES = {
+    constant: {},
+    step: { stepSize: 10, gamma: 0.5 },
+    cosine: { minLearningRate: 0 },
+    plateau: { factor: 0.5, patience: 5, threshold: 1e-4, minLearningRate: 1e-6 }
+};
+
+/**
+ * Fill in defaults for a learning-rate schedule and validate it. Accepts a
+ * type name or an object `{ type, warmupEpochs, ...params }`; the result is
+ * what the worker runs and what gets saved with the model.
+ */
+NeuralNetwork.normalizeLrSchedule = function (schedule) {
+    const spec = typeof schedule === 'string' ? { type: schedule } : Object.assign({}, schedule);
+    const type = spec.type || 'constant';
+    const defaults = NeuralNetwork.LR_SCHEDULES[type];
+    if (!defaults) {
+        throw new Error(
+            `Unsupported learning-rate schedule '${type}'. Use one of: ${Object.keys(NeuralNetwork.LR_SCHEDULES).join(', ')}.`
+        );
+    }
+    const out = { type, warmupEpochs: 0 };
+    Object.keys(defaults).forEach((key) => { out[key] = defaults[key]; });
+    Object.keys(out).forEach((key) => {
+        if (key !== 'type' && spec[key] !== undefined) out[key] = spec[key];
+    });
+    Object.keys(out).forEach((key) => {
+        if (key !== 'type' && (typeof out[key] !== 'number' || !(out[key] >= 0) || !isFinite(out[key]))) {
+            throw new Error(`Learning-rate schedule '${key}' must be a non-negative number`);
+        }
+    });
+    if (!Number.isInteger(out.warmupEpochs)) throw new Error('warmupEpochs must be a whole number');
+    if (type === 'step' && !(out.stepSize >= 1)) throw new Error('Step schedule stepSize must be at least 1');
+    if (type === 'step' && !(out.gamma < 1)) throw new Error('Step schedule gamma must be below 1');
+    if (type === 'plateau' && !(out.factor < 1)) throw new Error('Plateau schedule factor must be below 1');
+    return out;
+};
+
+// Activation name → ACT_* code in assembly/index.ts. 'linear' is meant for
+// the output layer of regression models.
+NeuralNetwork.ACTIVATIONS = {
+    relu: 0,
+    tanh: 1,
+    leakyRelu: 2,
+    elu: 3,
+    gelu: 4,
+    linear: 5
+};
+
 window.NeuralNetwork = NeuralNetwork;
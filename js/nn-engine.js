@@ -0,0 +1,848 @@
+/**
+ * Pure-JavaScript neural network engine.
+ *
+ * A line-for-line port of `assembly/index.ts` (the f64 build), used when
+ * WebAssembly is disabled or the module cannot be loaded. `NNJsEngine.create()`
+ * returns an object with the same `nn_*` functions and a `memory` whose
+ * `buffer` holds every buffer at the same kind of byte offsets, so
+ * `js/nn-wasm.js`, the training worker and NeuralNetwork drive it exactly
+ * like the WASM module. The math runs in the same order on f64 values, so a
+ * model trained or scored here matches the f64 WASM build to the last bit
+ * or so (Math.exp / Math.tanh may round differently in the last place).
+ *
+ * Has no DOM dependencies: the same source is bundled into the training
+ * worker (see tools/embed-wasm.js).
+ */
+(function () {
+    const MAX_LAYERS = 16;
+    const PAGE_BYTES = 65536;
+    // First byte handed out, so that 0 keeps meaning "no buffer"
+    const ARENA_BASE = 16;
+
+    // Codes mirrored from assembly/index.ts
+    const ACT_RELU = 0;
+    const ACT_TANH = 1;
+    const ACT_LEAKY_RELU = 2;
+    const ACT_ELU = 3;
+    const ACT_GELU = 4;
+    const ACT_LINEAR = 5;
+
+    const LEAKY_SLOPE = 0.01;
+    const ELU_ALPHA = 1.0;
+    const GELU_C = 0.7978845608028654; // sqrt(2 / pi)
+    const GELU_K = 0.044715;
+
+    const LOSS_BCE = 0;
+    const LOSS_FOCAL = 1;
+    const LOSS_MSE = 2;
+    const LOSS_HUBER = 3;
+
+    const OPT_ADAM = 0;
+    const OPT_SGD = 1;
+    const OPT_RMSPROP = 2;
+    const OPT_ADAGRAD = 3;
+
+    const CLIP_EPS = 1e-15;
+
+    function relu(x) {
+        return x > 0.0 ? x : 0.0;
+    }
+
+    function sigmoid(x) {
+        return 1.0 / (1.0 + Math.exp(-x));
+    }
+
+    function gelu(x) {
+        return 0.5 * x * (1.0 + Math.tanh(GELU_C * (x + GELU_K * x * x * x)));
+    }
+
+    function activate(act, x) {
+        switch (act) {
+            case ACT_TANH: return Math.tanh(x);
+            case ACT_LEAKY_RELU: return x > 0.0 ? x : LEAKY_SLOPE * x;
+            case ACT_ELU: return x > 0.0 ? x : ELU_ALPHA * (Math.exp(x) - 1.0);
+            case ACT_GELU: return gelu(x);
+            case ACT_LINEAR: return x;
+            default: return relu(x);
+        }
+    }
+
+    function activationDerivative(act, z) {
+        switch (act) {
+            case ACT_TANH: {
+                const a = Math.tanh(z);
+                return 1.0 - a * a;
+            }
+            case ACT_LEAKY_RELU: return z > 0.0 ? 1.0 : LEAKY_SLOPE;
+            case ACT_ELU: return z > 0.0 ? 1.0 : ELU_ALPHA * Math.exp(z);
+            case ACT_GELU: {
+                const t = Math.tanh(GELU_C * (z + GELU_K * z * z * z));
+                return 0.5 * (1.0 + t) + 0.5 * z * (1.0 - t * t) * GELU_C * (1.0 + 3.0 * GELU_K * z * z);
+            }
+            case ACT_LINEAR: return 1.0;
+            default: return z > 0.0 ? 1.0 : 0.0;
+        }
+    }
+
+    function clipProb(p) {
+        return Math.max(CLIP_EPS, Math.min(1.0 - CLIP_EPS, p));
+    }
+
+    /**
+     * A fresh engine with its own memory and state, like a new instance of
+     * the WASM module.
+     */
+    function create() {
+        // ── Memory ───────────────────────────────────────────────────
+        // Pointers are byte offsets, as in WASM; F and I index the same
+        // bytes as f64 and i32. Both are rebuilt when memory grows.
+        const memory = { buffer: new ArrayBuffer(PAGE_BYTES) };
+        let F = new Float64Array(memory.buffer);
+        let I = new Int32Array(memory.buffer);
+
+        // Layer tables (static memory in the WASM build)
+        const layerUnits = new Int32Array(MAX_LAYERS);
+        const wOffset = new Int32Array(MAX_LAYERS);
+        const bOffset = new Int32Array(MAX_LAYERS);
+        const unitOffset = new Int32Array(MAX_LAYERS);
+        const activation = new Int32Array(MAX_LAYERS);
+        const dropout = new Float64Array(MAX_LAYERS);
+
+        let numLayers = 0;
+        let inputSize = 0;
+        let outputSize = 0;
+        let nSamples = 0;
+        let numParams = 0;
+        let numUnits = 0;
+
+        let paramsPtr = 0;
+        let mPtr = 0;
+        let vPtr = 0;
+        let gradPtr = 0;
+        let bestParamsPtr = 0;
+        let xDataPtr = 0;
+        let yDataPtr = 0;
+        let valXPtr = 0;
+        let valYPtr = 0;
+        let valPredPtr = 0;
+        let indicesPtr = 0;
+        let zPtr = 0;
+        let aPtr = 0;
+        let deltaPtr = 0;
+        let maskPtr = 0;
+        let predInputPtr = 0;
+        let batchXPtr = 0;
+        let batchOutPtr = 0;
+        let batchCapacity = 0;
+        let classWeightPtr = 0;
+
+        let adamT = 0;
+        let epochLoss = 0;
+        let epochAccuracy = 0;
+        let epochMae = 0;
+        let batchCursor = 0;
+        let runLoss = 0;
+        let runCorrect = 0;
+        let runAbsError = 0;
+        let runBatches = 0;
+        let nValSamples = 0;
+        let valCapacity = 0;
+        let valLoss = 0;
+        let valAccuracy = 0;
+        let valMae = 0;
+        let rngState = 42;
+        let weightDecay = 0;
+        let lossType = LOSS_BCE;
+        let positiveWeight = 1.0;
+        let focalGamma = 2.0;
+        let huberDelta = 1.0;
+        let optimizer = OPT_ADAM;
+        let momentum = 0.9;
+        let rho = 0.9;
+        let clipNorm = 0.0;
+
+        let arenaTop = 0;
+        let dataBase = 0;
+
+        function alloc(bytes) {
+            const ptr = ((arenaTop > 0 ? arenaTop : ARENA_BASE) + 15) & ~15;
+            const end = ptr + bytes;
+            if (end > memory.buffer.byteLength) {
+                const pages = Math.ceil(end / PAGE_BYTES);
+                const grown = new ArrayBuffer(pages * PAGE_BYTES);
+                new Uint8Array(grown).set(new Uint8Array(memory.buffer));
+                memory.buffer = grown;
+                F = new Float64Array(grown);
+                I = new Int32Array(grown);
+            }
+            arenaTop = end;
+            return ptr;
+        }
+
+        function releaseData() {
+            arenaTop = dataBase;
+            nSamples = 0;
+            nValSamples = 0;
+            valCapacity = 0;
+            batchCapacity = 0;
+            xDataPtr = 0;
+            yDataPtr = 0;
+            indicesPtr = 0;
+            valXPtr = 0;
+            valYPtr = 0;
+            valPredPtr = 0;
+            batchXPtr = 0;
+            batchOutPtr = 0;
+        }
+
+        function outputPtr() {
+            return aPtr + (unitOffset[numLayers - 1] << 3);
+        }
+
+        // ── PRNG (xorshift32) ────────────────────────────────────────
+        function xorshift32() {
+            let x = rngState;
+            x ^= x << 13;
+            x ^= x >>> 17;
+            x ^= x << 5;
+            rngState = x >>> 0;
+            return rngState;
+        }
+
+        function randomFloat() {
+            return xorshift32() / 4294967295.0;
+        }
+
+        function shuffleIndices() {
+            const base = indicesPtr >> 2;
+            for (let i = nSamples - 1; i > 0; i--) {
+                const j = xorshift32() % (i + 1);
+                const a = I[base + i];
+                I[base + i] = I[base + j];
+                I[base + j] = a;
+            }
+        }
+
+        // ── Forward pass ─────────────────────────────────────────────
+        function forward(xPtr, training) {
+            const last = numLayers - 1;
+            let inIdx = xPtr >> 3;
+            let inSize = inputSize;
+
+            for (let l = 1; l < numLayers; l++) {
+                const outSize = layerUnits[l];
+                const w = (paramsPtr >> 3) + wOffset[l];
+                const b = (paramsPtr >> 3) + bOffset[l];
+                const zOut = (zPtr >> 3) + unitOffset[l];
+                const aOut = (aPtr >> 3) + unitOffset[l];
+                const mOut = (maskPtr >> 3) + unitOffset[l];
+                const act = activation[l];
+                const rate = training && l !== last ? dropout[l] : 0.0;
+                const keepScale = 1.0 / (1.0 - rate);
+
+                for (let j = 0; j < outSize; j++) {
+                    const wBase = w + j * inSize;
+                    let sum = F[b + j];
+                    for (let k = 0; k < inSize; k++) sum += F[wBase + k] * F[inIdx + k];
+                    F[zOut + j] = sum;
+                    if (l === last) {
+                        if (act === ACT_LINEAR) F[aOut + j] = sum;
+                        else if (outSize === 1) F[aOut + j] = sigmoid(sum);
+                    } else if (rate > 0.0) {
+                        const scale = randomFloat() < rate ? 0.0 : keepScale;
+                        F[mOut + j] = scale;
+                        F[aOut + j] = activate(act, sum) * scale;
+                    } else {
+                        F[mOut + j] = 1.0;
+                        F[aOut + j] = activate(act, sum);
+                    }
+                }
+
+                if (l === last && outSize > 1 && act !== ACT_LINEAR) softmax(zOut, aOut, outSize);
+
+                inIdx = aOut;
+                inSize = outSize;
+            }
+            return F[inIdx];
+        }
+
+        function softmax(zIn, aOut, n) {
+            let maxZ = F[zIn];
+            for (let j = 1; j < n; j++) maxZ = Math.max(maxZ, F[zIn + j]);
+            let sum = 0.0;
+            for (let j = 0; j < n; j++) {
+                const e = Math.exp(F[zIn + j] - maxZ);
+                F[aOut + j] = e;
+                sum += e;
+            }
+            for (let j = 0; j < n; j++) F[aOut + j] = F[aOut + j] / sum;
+        }
+
+        function argmax(out) {
+            let best = 0;
+            for (let j = 1; j < outputSize; j++) {
+                if (F[out + j] > F[out + best]) best = j;
+            }
+            return best;
+        }
+
+        function isRegression() {
+            return lossType === LOSS_MSE || lossType === LOSS_HUBER;
+        }
+
+        // `out` is an f64 index from here on
+        function isCorrect(yTrue, out) {
+            if (isRegression()) return false;
+            if (outputSize > 1) return argmax(out) === Math.trunc(yTrue);
+            return (F[out] > 0.5 ? 1.0 : 0.0) === yTrue;
+        }
+
+        // ── Loss ─────────────────────────────────────────────────────
+        function sampleWeight(yTrue) {
+            if (outputSize > 1) return F[(classWeightPtr >> 3) + Math.trunc(yTrue)];
+            return yTrue > 0.5 ? positiveWeight : 1.0;
+        }
+
+        function sampleLoss(yTrue, out) {
+            if (isRegression()) {
+                const r = F[out] - yTrue;
+                if (lossType === LOSS_MSE) return r * r;
+                const absR = Math.abs(r);
+                return absR <= huberDelta ? 0.5 * r * r : huberDelta * (absR - 0.5 * huberDelta);
+            }
+            if (outputSize > 1) {
+                const pt = clipProb(F[out + Math.trunc(yTrue)]);
+                const focal = lossType === LOSS_FOCAL ? Math.pow(1.0 - pt, focalGamma) : 1.0;
+                return -sampleWeight(yTrue) * focal * Math.log(pt);
+            }
+            const clipped = clipProb(F[out]);
+            if (lossType === LOSS_FOCAL) {
+                const pt = yTrue > 0.5 ? clipped : 1.0 - clipped;
+                return -sampleWeight(yTrue) * Math.pow(1.0 - pt, focalGamma) * Math.log(pt);
+            }
+            const bce = -(yTrue * Math.log(clipped) + (1.0 - yTrue) * Math.log(1.0 - clipped));
+            return sampleWeight(yTrue) * bce;
+        }
+
+        function setOutputDeltas(yTrue, out) {
+            const dOut = (deltaPtr >> 3) + unitOffset[numLayers - 1];
+            if (isRegression()) {
+                const r = F[out] - yTrue;
+                F[dOut] = lossType === LOSS_MSE
+                    ? 2.0 * r
+                    : Math.max(-huberDelta, Math.min(huberDelta, r));
+                return;
+            }
+            if (outputSize === 1) {
+                F[dOut] = outputDelta(yTrue, F[out]);
+                return;
+            }
+            const t = Math.trunc(yTrue);
+            const pt = clipProb(F[out + t]);
+            let g = -1.0;
+            if (lossType === LOSS_FOCAL) {
+                const q = 1.0 - pt;
+                g = focalGamma * Math.pow(q, focalGamma - 1.0) * pt * Math.log(pt) - Math.pow(q, focalGamma);
+            }
+            g *= sampleWeight(yTrue);
+            for (let j = 0; j < outputSize; j++) {
+                F[dOut + j] = g * ((j === t ? 1.0 : 0.0) - F[out + j]);
+            }
+        }
+
+        function outputDelta(yTrue, yPred) {
+            if (lossType === LOSS_FOCAL) {
+                const clipped = clipProb(yPred);
+                const positive = yTrue > 0.5;
+                const pt = positive ? clipped : 1.0 - clipped;
+                const q = 1.0 - pt;
+                const qg = Math.pow(q, focalGamma);
+                const d = focalGamma * qg * pt * Math.log(pt) - qg * q;
+                return sampleWeight(yTrue) * (positive ? d : -d);
+            }
+            return sampleWeight(yTrue) * (yPred - yTrue);
+        }
+
+        // ── Backpropagation ──────────────────────────────────────────
+        function backpropSample(xPtr) {
+            const last = numLayers - 1;
+            const params = paramsPtr >> 3;
+            const grads = gradPtr >> 3;
+
+            for (let l = last; l >= 1; l--) {
+                const outSize = layerUnits[l];
+                const inSize = layerUnits[l - 1];
+                const inIdx = l === 1 ? xPtr >> 3 : (aPtr >> 3) + unitOffset[l - 1];
+                const dOut = (deltaPtr >> 3) + unitOffset[l];
+                const gw = grads + wOffset[l];
+                const gb = grads + bOffset[l];
+
+                for (let j = 0; j < outSize; j++) {
+                    const d = F[dOut + j];
+                    if (d === 0.0) continue;
+                    const gwBase = gw + j * inSize;
+                    for (let i = 0; i < inSize; i++) {
+                        F[gwBase + i] = F[gwBase + i] + d * F[inIdx + i];
+                    }
+                    F[gb + j] = F[gb + j] + d;
+                }
+
+                if (l === 1) break;
+
+                // Same row-by-row accumulation as the WASM build
+                const w = params + wOffset[l];
+                const zPrev = (zPtr >> 3) + unitOffset[l - 1];
+                const dPrev = (deltaPtr >> 3) + unitOffset[l - 1];
+                const mPrev = (maskPtr >> 3) + unitOffset[l - 1];
+                const act = activation[l - 1];
+                F.fill(0, dPrev, dPrev + inSize);
+                for (let j = 0; j < outSize; j++) {
+                    const d = F[dOut + j];
+                    const wBase = w + j * inSize;
+                    for (let k = 0; k < inSize; k++) {
+                        F[dPrev + k] = F[dPrev + k] + d * F[wBase + k];
+                    }
+                }
+                for (let k = 0; k < inSize; k++) {
+                    const z = F[zPrev + k];
+                    const mask = F[mPrev + k];
+                    if ((act === ACT_RELU && z <= 0.0) || mask === 0.0) {
+                        F[dPrev + k] = 0.0;
+                        continue;
+                    }
+                    let sum = F[dPrev + k];
+                    if (act !== ACT_RELU) sum *= activationDerivative(act, z);
+                    if (mask !== 1.0) sum *= mask;
+                    F[dPrev + k] = sum;
+                }
+            }
+        }
+
+        // ── Optimizer step ───────────────────────────────────────────
+        function applyWeightDecay(lr) {
+            if (weightDecay <= 0.0) return;
+            const shrink = 1.0 - lr * weightDecay;
+            const params = paramsPtr >> 3;
+            for (let l = 1; l < numLayers; l++) {
+                for (let i = wOffset[l]; i < bOffset[l]; i++) {
+                    F[params + i] = F[params + i] * shrink;
+                }
+            }
+        }
+
+        function clipGradients(batchSz) {
+            if (clipNorm <= 0.0) return;
+            const grads = gradPtr >> 3;
+            let sq = 0.0;
+            for (let i = 0; i < numParams; i++) {
+                const g = F[grads + i];
+                sq += g * g;
+            }
+            const norm = Math.sqrt(sq) / batchSz;
+            if (!(norm > clipNorm) || !isFinite(norm)) return;
+            const scale = clipNorm / norm;
+            for (let i = 0; i < numParams; i++) F[grads + i] = F[grads + i] * scale;
+        }
+
+        function applyUpdate(batchSz, lr, beta1, beta2, eps) {
+            clipGradients(batchSz);
+            applyWeightDecay(lr);
+            switch (optimizer) {
+                case OPT_SGD: applySgd(batchSz, lr); break;
+                case OPT_RMSPROP: applyRmsprop(batchSz, lr, eps); break;
+                case OPT_ADAGRAD: applyAdagrad(batchSz, lr, eps); break;
+                default: applyAdam(batchSz, lr, beta1, beta2, eps);
+            }
+        }
+
+        function applyAdam(batchSz, lr, beta1, beta2, eps) {
+            adamT++;
+            const invBatch = 1.0 / batchSz;
+            const bc1 = 1.0 - Math.pow(beta1, adamT);
+            const bc2 = 1.0 - Math.pow(beta2, adamT);
+            const lrT = lr * Math.sqrt(bc2) / (bc1 > 1e-12 ? bc1 : 1e-12);
+            const ob1 = 1.0 - beta1;
+            const ob2 = 1.0 - beta2;
+            const p = paramsPtr >> 3, g0 = gradPtr >> 3, m0 = mPtr >> 3, v0 = vPtr >> 3;
+            for (let i = 0; i < numParams; i++) {
+                const g = F[g0 + i] * invBatch;
+                const m = beta1 * F[m0 + i] + ob1 * g;
+                const v = beta2 * F[v0 + i] + ob2 * g * g;
+                F[m0 + i] = m;
+                F[v0 + i] = v;
+                F[p + i] = F[p + i] - lrT * (m / (Math.sqrt(v) + eps));
+            }
+        }
+
+        function applySgd(batchSz, lr) {
+            const invBatch = 1.0 / batchSz;
+            const p = paramsPtr >> 3, g0 = gradPtr >> 3, m0 = mPtr >> 3;
+            for (let i = 0; i < numParams; i++) {
+                const vel = momentum * F[m0 + i] + F[g0 + i] * invBatch;
+                F[m0 + i] = vel;
+                F[p + i] = F[p + i] - lr * vel;
+            }
+        }
+
+        function applyRmsprop(batchSz, lr, eps) {
+            const invBatch = 1.0 / batchSz;
+            const oneMinusRho = 1.0 - rho;
+            const p = paramsPtr >> 3, g0 = gradPtr >> 3, v0 = vPtr >> 3;
+            for (let i = 0; i < numParams; i++) {
+                const g = F[g0 + i] * invBatch;
+                const sq = rho * F[v0 + i] + oneMinusRho * g * g;
+                F[v0 + i] = sq;
+                F[p + i] = F[p + i] - lr * g / (Math.sqrt(sq) + eps);
+            }
+        }
+
+        function applyAdagrad(batchSz, lr, eps) {
+            const invBatch = 1.0 / batchSz;
+            const p = paramsPtr >> 3, g0 = gradPtr >> 3, v0 = vPtr >> 3;
+            for (let i = 0; i < numParams; i++) {
+                const g = F[g0 + i] * invBatch;
+                const sq = F[v0 + i] + g * g;
+                F[v0 + i] = sq;
+                F[p + i] = F[p + i] - lr * g / (Math.sqrt(sq) + eps);
+            }
+        }
+
+        // ── Exports (same names and behaviour as assembly/index.ts) ──
+        const nn = {
+            memory,
+
+            nn_set_layer_count(count) {
+                count |= 0;
+                numLayers = count < 2 ? 2 : (count > MAX_LAYERS ? MAX_LAYERS : count);
+                activation.fill(0);
+                dropout.fill(0);
+            },
+            nn_set_layer_units(layer, units) {
+                layer |= 0;
+                if (layer < 0 || layer >= MAX_LAYERS) return;
+                layerUnits[layer] = units | 0;
+            },
+            nn_set_layer_activation(layer, act) {
+                layer |= 0;
+                if (layer < 0 || layer >= MAX_LAYERS) return;
+                activation[layer] = act | 0;
+            },
+            nn_set_layer_dropout(layer, rate) {
+                layer |= 0;
+                if (layer < 0 || layer >= MAX_LAYERS) return;
+                dropout[layer] = rate > 0.0 ? (rate < 0.95 ? rate : 0.95) : 0.0;
+            },
+            nn_set_weight_decay(decay) {
+                weightDecay = decay > 0.0 ? decay : 0.0;
+            },
+            nn_set_loss(type, posWeight, gamma) {
+                type |= 0;
+                lossType = type >= LOSS_FOCAL && type <= LOSS_HUBER ? type : LOSS_BCE;
+                positiveWeight = posWeight > 0.0 ? posWeight : 1.0;
+                focalGamma = gamma >= 0.0 ? gamma : 0.0;
+            },
+            nn_set_optimizer(opt, mom, r) {
+                opt |= 0;
+                optimizer = opt >= OPT_ADAM && opt <= OPT_ADAGRAD ? opt : OPT_ADAM;
+                momentum = mom >= 0.0 && mom < 1.0 ? mom : 0.0;
+                rho = r > 0.0 && r < 1.0 ? r : 0.9;
+                if (numParams > 0) nn.nn_reset_adam();
+            },
+            nn_set_gradient_clip(maxNorm) {
+                clipNorm = maxNorm > 0.0 ? maxNorm : 0.0;
+            },
+            nn_set_huber_delta(delta) {
+                huberDelta = delta > 0.0 ? delta : 1.0;
+            },
+
+            nn_init_layers() {
+                inputSize = layerUnits[0];
+                outputSize = layerUnits[numLayers - 1];
+                adamT = 0;
+
+                let params = 0;
+                let unitsTotal = 0;
+                for (let l = 1; l < numLayers; l++) {
+                    const outSize = layerUnits[l];
+                    const inSize = layerUnits[l - 1];
+                    wOffset[l] = params;
+                    params += outSize * inSize;
+                    bOffset[l] = params;
+                    params += outSize;
+                    unitOffset[l] = unitsTotal;
+                    unitsTotal += outSize;
+                }
+                numParams = params;
+                numUnits = unitsTotal;
+
+                arenaTop = ARENA_BASE;
+                paramsPtr = alloc(numParams << 3);
+                mPtr = alloc(numParams << 3);
+                vPtr = alloc(numParams << 3);
+                gradPtr = alloc(numParams << 3);
+                bestParamsPtr = alloc(numParams << 3);
+                zPtr = alloc(numUnits << 3);
+                aPtr = alloc(numUnits << 3);
+                deltaPtr = alloc(numUnits << 3);
+                maskPtr = alloc(numUnits << 3);
+                predInputPtr = alloc(inputSize << 3);
+                classWeightPtr = alloc(outputSize << 3);
+                new Uint8Array(memory.buffer).fill(0, ARENA_BASE, arenaTop);
+                dataBase = arenaTop;
+                releaseData();
+                F.fill(1.0, classWeightPtr >> 3, (classWeightPtr >> 3) + outputSize);
+
+                // Xavier/Glorot uniform initialization, layer by layer
+                const p = paramsPtr >> 3;
+                for (let l = 1; l < numLayers; l++) {
+                    const outSize = layerUnits[l];
+                    const inSize = layerUnits[l - 1];
+                    const limit = Math.sqrt(6.0 / (inSize + outSize));
+                    const wSize = outSize * inSize;
+                    for (let i = 0; i < wSize; i++) {
+                        F[p + wOffset[l] + i] = (randomFloat() * 2.0 - 1.0) * limit;
+                    }
+                    F.fill(0, p + bOffset[l], p + bOffset[l] + outSize);
+                }
+            },
+            nn_init(inSize, hiddenSize, outSize) {
+                nn.nn_set_layer_count(3);
+                nn.nn_set_layer_units(0, inSize);
+                nn.nn_set_layer_units(1, hiddenSize);
+                nn.nn_set_layer_units(2, outSize);
+                nn.nn_init_layers();
+            },
+
+            nn_alloc_training_data(n) {
+                n |= 0;
+                releaseData();
+                nSamples = n;
+                xDataPtr = alloc((n * inputSize) << 3);
+                yDataPtr = alloc(n << 3);
+                indicesPtr = alloc(n << 2);
+                const base = indicesPtr >> 2;
+                for (let i = 0; i < n; i++) I[base + i] = i;
+            },
+            nn_alloc_validation_data(n) {
+                n |= 0;
+                nValSamples = n;
+                if (n <= valCapacity) return;
+                valXPtr = alloc((n * inputSize) << 3);
+                valYPtr = alloc(n << 3);
+                valPredPtr = alloc((n * outputSize) << 3);
+                valCapacity = n;
+            },
+            nn_reset_memory() {
+                dataBase = ARENA_BASE;
+                releaseData();
+                numParams = 0;
+                numUnits = 0;
+                paramsPtr = 0;
+                mPtr = 0;
+                vPtr = 0;
+                gradPtr = 0;
+                bestParamsPtr = 0;
+                zPtr = 0;
+                aPtr = 0;
+                deltaPtr = 0;
+                maskPtr = 0;
+                predInputPtr = 0;
+                classWeightPtr = 0;
+            },
+            nn_get_memory_used() {
+                return arenaTop > 0 ? arenaTop - ARENA_BASE : 0;
+            },
+            nn_set_class_weight(cls, weight) {
+                cls |= 0;
+                if (cls < 0 || cls >= outputSize) return;
+                F[(classWeightPtr >> 3) + cls] = weight > 0.0 ? weight : 1.0;
+            },
+
+            nn_get_x_ptr: () => xDataPtr,
+            nn_get_y_ptr: () => yDataPtr,
+            nn_get_val_x_ptr: () => valXPtr,
+            nn_get_val_y_ptr: () => valYPtr,
+            nn_get_val_pred_ptr: () => valPredPtr,
+            nn_get_pred_input_ptr: () => predInputPtr,
+            nn_get_batch_x_ptr: () => batchXPtr,
+            nn_get_batch_out_ptr: () => batchOutPtr,
+            nn_get_output_ptr: () => outputPtr(),
+            nn_get_real_bytes: () => 8,
+            nn_get_params_ptr: () => paramsPtr,
+            nn_get_param_count: () => numParams,
+            nn_get_moment1_ptr: () => mPtr,
+            nn_get_moment2_ptr: () => vPtr,
+            nn_get_optimizer_step: () => adamT,
+            nn_set_optimizer_step(step) {
+                step |= 0;
+                adamT = step > 0 ? step : 0;
+            },
+            nn_get_rng_state: () => rngState,
+            nn_set_rng_state(state) {
+                state >>>= 0;
+                rngState = state > 0 ? state : 42;
+            },
+            nn_get_indices_ptr: () => indicesPtr,
+            nn_get_best_params_ptr: () => bestParamsPtr,
+            nn_get_weight_offset: (layer) => wOffset[layer + 1],
+            nn_get_bias_offset: (layer) => bOffset[layer + 1],
+
+            nn_get_weight(layer, row, col) {
+                const l = layer + 1;
+                return F[(paramsPtr >> 3) + wOffset[l] + row * layerUnits[l - 1] + col];
+            },
+            nn_set_weight(layer, row, col, val) {
+                const l = layer + 1;
+                F[(paramsPtr >> 3) + wOffset[l] + row * layerUnits[l - 1] + col] = val;
+            },
+            nn_get_bias: (layer, idx) => F[(paramsPtr >> 3) + bOffset[layer + 1] + idx],
+            nn_set_bias(layer, idx, val) {
+                F[(paramsPtr >> 3) + bOffset[layer + 1] + idx] = val;
+            },
+
+            nn_get_epoch_loss: () => epochLoss,
+            nn_get_epoch_accuracy: () => epochAccuracy,
+            nn_get_val_loss: () => valLoss,
+            nn_get_val_accuracy: () => valAccuracy,
+            nn_get_epoch_mae: () => epochMae,
+            nn_get_val_mae: () => valMae,
+            nn_get_input_size: () => inputSize,
+            nn_get_hidden_size: () => (numLayers > 2 ? layerUnits[1] : 0),
+            nn_get_output_size: () => outputSize,
+            nn_get_layer_count: () => numLayers,
+            nn_get_layer_units: (layer) => layerUnits[layer],
+            nn_get_layer_activation: (layer) => activation[layer],
+            nn_get_layer_dropout: (layer) => dropout[layer],
+            nn_get_weight_decay: () => weightDecay,
+            nn_get_loss_type: () => lossType,
+            nn_get_positive_weight: () => positiveWeight,
+            nn_set_seed(seed) {
+                seed >>>= 0;
+                rngState = seed > 0 ? seed : 42;
+            },
+
+            nn_begin_epoch() {
+                shuffleIndices();
+                batchCursor = 0;
+                runLoss = 0.0;
+                runCorrect = 0.0;
+                runAbsError = 0.0;
+                runBatches = 0;
+            },
+            nn_train_batches(batchSize, maxBatches, lr, beta1, beta2, eps) {
+                batchSize |= 0;
+                maxBatches |= 0;
+                for (let b = 0; b < maxBatches && batchCursor < nSamples; b++) {
+                    const batchStart = batchCursor;
+                    const batchEnd = Math.min(batchStart + batchSize, nSamples);
+                    const curBatchSize = batchEnd - batchStart;
+
+                    F.fill(0, gradPtr >> 3, (gradPtr >> 3) + numParams);
+
+                    let batchLoss = 0.0;
+                    let batchCorrect = 0.0;
+                    let batchAbsError = 0.0;
+
+                    for (let bi = batchStart; bi < batchEnd; bi++) {
+                        const sIdx = I[(indicesPtr >> 2) + bi];
+                        const yTrue = F[(yDataPtr >> 3) + sIdx];
+                        const xPtr = xDataPtr + ((sIdx * inputSize) << 3);
+
+                        forward(xPtr, true);
+                        const out = outputPtr() >> 3;
+                        batchLoss += sampleLoss(yTrue, out);
+                        if (isCorrect(yTrue, out)) batchCorrect += 1.0;
+                        batchAbsError += Math.abs(F[out] - yTrue);
+
+                        setOutputDeltas(yTrue, out);
+                        backpropSample(xPtr);
+                    }
+
+                    applyUpdate(curBatchSize, lr, beta1, beta2, eps);
+
+                    runLoss += batchLoss / curBatchSize;
+                    runCorrect += batchCorrect / curBatchSize;
+                    runAbsError += batchAbsError / curBatchSize;
+                    runBatches++;
+                    batchCursor = batchEnd;
+                }
+
+                if (batchCursor < nSamples) return 0;
+                epochLoss = runLoss / runBatches;
+                epochAccuracy = runCorrect / runBatches;
+                epochMae = runAbsError / runBatches;
+                return 1;
+            },
+            nn_training_finite() {
+                if (!isFinite(runLoss)) return 0;
+                const p = paramsPtr >> 3;
+                for (let i = 0; i < numParams; i++) {
+                    if (!isFinite(F[p + i])) return 0;
+                }
+                return 1;
+            },
+            nn_train_epoch(batchSize, lr, beta1, beta2, eps) {
+                nn.nn_begin_epoch();
+                nn.nn_train_batches(batchSize, 0x7fffffff, lr, beta1, beta2, eps);
+            },
+
+            nn_evaluate_validation() {
+                nn.nn_predict_batch(valXPtr, valPredPtr, nValSamples);
+                let totalLoss = 0.0;
+                let totalCorrect = 0.0;
+                let totalAbsError = 0.0;
+                for (let i = 0; i < nValSamples; i++) {
+                    const yTrue = F[(valYPtr >> 3) + i];
+                    const pred = (valPredPtr >> 3) + i * outputSize;
+                    totalLoss += sampleLoss(yTrue, pred);
+                    if (isCorrect(yTrue, pred)) totalCorrect += 1.0;
+                    totalAbsError += Math.abs(F[pred] - yTrue);
+                }
+                const n = nValSamples > 0 ? nValSamples : 1.0;
+                valLoss = totalLoss / n;
+                valAccuracy = totalCorrect / n;
+                valMae = totalAbsError / n;
+            },
+
+            nn_snapshot_params() {
+                F.copyWithin(bestParamsPtr >> 3, paramsPtr >> 3, (paramsPtr >> 3) + numParams);
+            },
+            nn_restore_params() {
+                F.copyWithin(paramsPtr >> 3, bestParamsPtr >> 3, (bestParamsPtr >> 3) + numParams);
+            },
+
+            nn_predict: () => forward(predInputPtr, false),
+            nn_alloc_predict_batch(rows) {
+                rows |= 0;
+                if (rows <= batchCapacity) return;
+                batchXPtr = alloc((rows * inputSize) << 3);
+                batchOutPtr = alloc((rows * outputSize) << 3);
+                batchCapacity = rows;
+            },
+            nn_predict_batch(xPtr, outPtr, rows) {
+                const rowBytes = inputSize << 3;
+                const out = outPtr >> 3;
+                if (outputSize === 1) {
+                    for (let i = 0; i < rows; i++) F[out + i] = forward(xPtr + i * rowBytes, false);
+                    return;
+                }
+                for (let i = 0; i < rows; i++) {
+                    forward(xPtr + i * rowBytes, false);
+                    const src = outputPtr() >> 3;
+                    F.copyWithin(out + i * outputSize, src, src + outputSize);
+                }
+            },
+            nn_set_predict_feature(idx, val) {
+                F[(predInputPtr >> 3) + idx] = val;
+            },
+            nn_reset_adam() {
+                adamT = 0;
+                F.fill(0, mPtr >> 3, (mPtr >> 3) + numParams);
+                F.fill(0, vPtr >> 3, (vPtr >> 3) + numParams);
+            }
+        };
+        return nn;
+    }
+
+    (typeof window !== 'undefined' ? window : self).NNJsEngine = { create };
+})();
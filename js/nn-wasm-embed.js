@@ -4,4 +4,4 @@
  * This embedding lets the app run when index.html is opened via file://,
  * where fetch() of local .wasm binaries is blocked by browsers.
  */
-window._nnWasmBase64 = "AGFzbQEAAAABVA9gAAF/YAABfGAAAGABfwBgAXwBfGAFf3x8fHwAYAR/f39/AGABfwF/YAN/f38AYAN/f38BfGAEf39/fABgAn9/AXxgA39/fABgAnx8AXxgAn98AAINAQNlbnYFYWJvcnQABgMbGgcIAwAAAAkKCwwBAQAAAAMEBA0FBQEOAgICBQMBAAEGtgEgfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfAFEAAAAAAAAAAALfAFEAAAAAAAAAAALfwFBKgt/AUEAC3wBRAAAAAAAAAAACwfnAhUHbm5faW5pdAACFm5uX2FsbG9jX3RyYWluaW5nX2RhdGEAAwxubl9nZXRfeF9wdHIABAxubl9nZXRfeV9wdHIABRVubl9nZXRfcHJlZF9pbnB1dF9wdHIABg1ubl9nZXRfd2VpZ2h0AAcNbm5fc2V0X3dlaWdodAAIC25uX2dldF9iaWFzAAkLbm5fc2V0X2JpYXMAChFubl9nZXRfZXBvY2hfbG9zcwALFW5uX2dldF9lcG9jaF9hY2N1cmFjeQAMEW5uX2dldF9pbnB1dF9zaXplAA0Sbm5fZ2V0X2hpZGRlbl9zaXplAA4Sbm5fZ2V0X291dHB1dF9zaXplAA8Lbm5fc2V0X3NlZWQAEA5ubl90cmFpbl9lcG9jaAAVCm5uX3ByZWRpY3QAFhZubl9zZXRfcHJlZGljdF9mZWF0dXJlABcNbm5fcmVzZXRfYWRhbQAYBl9zdGFydAAZBm1lbW9yeQIACAEaDAKIAQqWLBqHAQEFfyAAQfz///8DSwRAQaAIQeAIQSFBHRAAAAsjHiEBIx5BBGoiAiAAQRNqQXBxQQRrIgBqIgM/ACIEQRB0QQ9qQXBxIgVLBEAgBCADIAVrQf//A2pBgIB8cUEQdiIFIAQgBUobQABBAEgEQCAFQABBAEgEQAALCwsgAyQeIAEgADYCACACC5UEAgh/AXwgACQAIAEkASACJAJBACQaIAAgAWwiA0EDdCIHEAEkBCABQQN0IggQASQFIAEgAmwiBEEDdCIJEAEkBiACQQN0IgoQASQHIANBA3QQASQIIANBA3QQASQMIAgQASQJIAFBA3QQASQNIARBA3QQASQKIARBA3QQASQOIAoQASQLIAJBA3QQASQPIANBA3QQASQQIAFBA3QQASQRIARBA3QQASQSIAJBA3QQASQTIAFBA3QQASQXIAFBA3QQASQYIABBA3QQASQZIwhBACAH/AsAIwxBACAH/AsAIwlBACAI/AsAIw1BACAI/AsAIwpBACAJ/AsAIw5BACAJ/AsAIwtBACAK/AsAIw9BACAK/AsARAAAAAAAABhAIAAgAWq3o58hCwNAIAMgBUoEQCMdIgBBDXQgAHMiAEERdiAAcyIAQQV0IABzIgAkHSMEIAVBA3RqIAC4RAAA4P///+9Bo0QAAAAAAAAAQKJEAAAAAAAA8L+gIAuiOQMAIAVBAWohBQwBCwsjBUEAIAFBA3T8CwBEAAAAAAAAGEAgASACarejnyELA0AgBCAGSgRAIx0iAEENdCAAcyIAQRF2IABzIgBBBXQgAHMiACQdIwYgBkEDdGogALhEAADg////70GjRAAAAAAAAABAokQAAAAAAADwv6AgC6I5AwAgBkEBaiEGDAELCyMHQQAgAkEDdPwLAAtHAQF/IAAkAyAAIwBsQQN0EAEkFCAAQQN0EAEkFSAAQQJ0EAEkFgNAIAAgAUoEQCMWIAFBAnRqIAE2AgAgAUEBaiEBDAELCwsEACMUCwQAIxULBAAjGQsrACAARQRAIwQgASMAbCACakEDdGorAwAPCyMGIAEjAWwgAmpBA3RqKwMACy4AIAAEQCMGIAEjAWwgAmpBA3RqIAM5AwAFIwQgASMAbCACakEDdGogAzkDAAsLHwAgAEUEQCMFIAFBA3RqKwMADwsjByABQQN0aisDAAsiACAABEAjByABQQN0aiACOQMABSMFIAFBA3RqIAI5AwALCwQAIxsLBAAjHAsEACMACwQAIwELBAAjAgsLACAAQSogABskHQv9AwMCfwJ+BHwCfCAAvSIDQjSIp0H/D3EiAUHJB2siAkE/TwRARAAAAAAAAPA/IAJBgICAgHhPDQEaIAFBiQhPBEBEAAAAAAAAAAAgA0KAgICAgICAeFENAhogAEQAAAAAAADwP6AgAUH/D08NAhpEAAAAAAAAAABEAAAAAAAA8H8gA0IAUxsMAgtBACEBCyAARP6CK2VHFWdAokQAAAAAAAA4Q6AiBb0iBEL/AINCAYanQQN0QZAJaiICKQMIIARCLYZ8IQMgACAFRAAAAAAAADjDoCIARAAA+v5CLna/oqAgAEQ6O568mvcMvaKgIgAgAKIhBSACKwMAIACgIAUgAEQ8VFVVVVXFP6JEvf3/////3z+goqAgBSAFoiAARBfQpGcREYE/okSRKxfPVVWlP6CioCEAIAFFBEACfCAEQoCAgIAIg1AEQCADQoCAgICAgICIP32/IgUgBSAAoqBEAAAAAAAAAH+iDAELIANCgICAgICAgPA/fCIDvyIFIACiIQcgBSAHoCIGmUQAAAAAAADwP2MEfEQAAAAAAADwPyAGpiIIIAagIgAgCCAAoSAGoCAFIAahIAegoKAgCKEiAEQAAAAAAAAAAGEEfCADQoCAgICAgICAgH+DvwUgAAsFIAYLRAAAAAAAABAAogsMAQsgA78iBSAFIACioAsL0gQDAn4CfwN8AnwgAL0iAUKAgICAgICA9z99QoCAgICAoMIBVARAIABEAAAAAAAA8L+gIgAgAKIiBSAAoiIGIABEy/3/////z7+iRHdVVVVVVdU/oCAFRAzdlZmZmck/oqAgBiAARDDeRKMkScI/okSnRWdVVVXFv6AgBURlPUKk//+/v6KgIAYgAET/aLBD65m5v6JEytYqKIRxvD+gIAVEhdCv94KBtz+ioCAGRM1F0XUTUrW/oqCioKKgoiAAIAAgACAARAAAAAAAAKBBoiIFoCAFoSIFIAWiRAAAAAAAAOC/oiIGoCIHoSAGoCAAIAWhRAAAAAAAAOC/oiAFIACgoqCgIAegDAELIAFCMIinIgNBEGtB4P8BTwRARAAAAAAAAPC/IAAgAKKjIAFCAYZQDQEaIAAgAUKAgICAgICA+P8AUQ0BGkEBIANB8P8BcUHw/wFGIANBgIACcRsEQCAAIAChIgAgAKMMAgsgAEQAAAAAAAAwQ6K9QoCAgICAgICgA30hAQsgAUKAgICAgICA8z99IgJCLYhC/wCDp0EEdCIDQZAZaiEEIAJCNIe5IgBEADj6/kIu5j+iIAQrAwigIgUgASACQoCAgICAgIB4g32/IANBkClqIgMrAwChIAMrAwihIAQrAwCiIgagIQcgBSAHoSAGoCAARDBnx5NX8y49oqAgBiAGoiIARAEAAAAAAOC/oqAgBiAAoiAGRJBF6////8+/okRbMFFVVVXVP6AgACAGRJ/IBuV1VcW/okQRAfEks5nJP6CioKKgIAegCwv4DAMFfgN/CXwgAZlEAAAAAAAAAEBlBEAgAUQAAAAAAAAAQGEEQCAAIACiDwsgAUQAAAAAAADgP2EEQCAAn5lEAAAAAAAA8H8gAEQAAAAAAADw/2IbDwsgAUQAAAAAAADwv2EEQEQAAAAAAADwPyAAow8LIAFEAAAAAAAA8D9hBEAgAA8LIAFEAAAAAAAAAABhBEBEAAAAAAAA8D8PCwsCfCABvSIFQjSIIQQgAL0iAkI0iCIDQgF9Qv4PWgR/QQEFIARC/w+DQr4HfUKAAVoLBEAgBUIBhiIGQgF9Qv////////9vWgRARAAAAAAAAPA/IAZQDQIaRAAAAAAAAPh/IAJCgICAgICAgPg/UQ0CGiAAIAGgIAZCgICAgICAgHBWIAJCAYYiAkKAgICAgICAcFZyDQIaRAAAAAAAAPh/IAJCgICAgICAgPD/AFENAhpEAAAAAAAAAAAgBUI/iFAgAkKAgICAgICA8P8AVEYNAhogASABogwCCyACQgGGQgF9Qv////////9vWgRARAAAAAAAAPA/IAAgAKIiAJogACACQj+IpwR/An9BACAFQjSIQv8PgyICQv8HVA0AGkECIAJCswhWDQAaQQAgBUIBQrMIIAJ9hiICQgF9g0IAUg0AGkEBIAIgBYNCAFINABpBAgtBAUYFQQALGyIAoyAAIAVCAFMbDAILIAJCAFMEQAJ/QQAgBUI0iEL/D4MiBkL/B1QNABpBAiAGQrMIVg0AGkEAIAVCAUKzCCAGfYYiBkIBfYNCAFINABpBASAFIAaDQgBSDQAaQQILIgdFBEAgACAAoSIAIACjDAMLIANC/w+DIQNBgIAQQQAgB0EBRhshCCACQv///////////wCDIQILIARC/w+DIgZCvgd9QoABWgRARAAAAAAAAPA/IAJCgICAgICAgPg/UQ0CGkQAAAAAAADwPyAGQr4HVA0CGkQAAAAAAADwf0QAAAAAAAAAACAEQoAQVCACQoCAgICAgID4P1ZGGwwCCyADUARAIABEAAAAAAAAMEOivUL///////////8Ag0KAgICAgICAoAN9IQILCyACIAJCgICAgNCqpfM/fSICQoCAgICAgIB4g30iA0KAgICACHxCgICAgHCDvyIKIAJCLYhC/wCDp0EFdEGQOWoiBysDACILokQAAAAAAADwv6AhDCACQjSHuSIORAA4+v5CLuY/oiAHKwMQoCIAIAwgA78gCqEgC6IiCqAiD6AhECAPIA9EAAAAAAAA4L+iIguiIREgECAMIAxEAAAAAAAA4L+iIhKiIgygIg0gDSAORDBnx5NX8y49oiAHKwMYoCAAIBChIA+goCAKIAsgEqCioCAQIA2hIAygoCAPIBGiIA9EBgAAAAAA4D+iRGBVVVVVVeW/oCARIA9EeqQpVVVV5b+iRE5VWZmZmek/oCARIA9Ewz8miysA8D+iROlFSJtbSfK/oKKgoqCioCIAoCIKoSAAoCQfAnwgBUKAgIBAg78iACAKvUKAgIBAg78iC6IiDL0iAkI0iKdB/w9xIgdByQdrIglBP08EQEQAAAAAAADwv0QAAAAAAADwPyAIGyAJQYCAgIB4Tw0BGkQAAAAAAAAAgEQAAAAAAAAAACAIG0QAAAAAAADw/0QAAAAAAADwfyAIGyACQgBTGyAHQYkITw0BGkEAIQcLIAxE/oIrZUcVZ0CiRAAAAAAAADhDoCINvSICQv8Ag0IBhqdBA3RBkAlqIgkpAwggAiAIrXxCLYZ8IQMgDCANRAAAAAAAADjDoCIMRAAA+v5CLna/oqAgDEQ6O568mvcMvaKgIAEgAKEgC6IgASAKIAuhIx+goqCgIgAgAKIhASAJKwMAIACgIAEgAEQ8VFVVVVXFP6JEvf3/////3z+goqAgASABoiAARBfQpGcREYE/okSRKxfPVVWlP6CioCEAIAdFBEACfCACQoCAgIAIg1AEQCADQoCAgICAgICIP32/IgEgASAAoqBEAAAAAAAAAH+iDAELIANCgICAgICAgPA/fCICvyIBIACiIQAgASAAoCIKmUQAAAAAAADwP2MEfEQAAAAAAADwPyAKpiILIAqgIgwgCyAMoSAKoCABIAqhIACgoKAgC6EiAEQAAAAAAAAAAGEEfCACQoCAgICAgICAgH+DvwUgAAsFIAoLRAAAAAAAABAAogsMAQsgA78iASABIACioAsLC/0EAgd/BXwjGkEBaiQaRAAAAAAAAPA/IAC3oyEMRAAAAAAAAPA/IAIjGrcQE6EhDSABRAAAAAAAAPA/IAMjGrcQE6GfoiANRBHqLYGZl3E9IA1EEeotgZmXcT1kG6MhDUQAAAAAAADwPyACoSEBRAAAAAAAAPA/IAOhIQ4jASMAbCEAA0AgACAFSgRAIAVBA3QiCSMQaisDACAMoiEPIAIgCSMIaiIKKwMAoiABIA+ioCEQIAMgCSMMaiILKwMAoiAOIA+iIA+ioCEPIAogEDkDACALIA85AwAgCSMEaiIJIAkrAwAgDSAQIA+fIASgo6KhOQMAIAVBAWohBQwBCwsDQCAGIwFIBEAgBkEDdCIAIxFqKwMAIAyiIQ8gAiAAIwlqIgUrAwCiIAEgD6KgIRAgAyAAIw1qIgkrAwCiIA4gD6IgD6KgIQ8gBSAQOQMAIAkgDzkDACAAIwVqIgAgACsDACANIBAgD58gBKCjoqE5AwAgBkEBaiEGDAELCyMCIwFsIQADQCAAIAdKBEAgB0EDdCIFIxJqKwMAIAyiIQ8gAiAFIwpqIgYrAwCiIAEgD6KgIRAgAyAFIw5qIgkrAwCiIA4gD6IgD6KgIQ8gBiAQOQMAIAkgDzkDACAFIwZqIgUgBSsDACANIBAgD58gBKCjoqE5AwAgB0EBaiEHDAELCwNAIAgjAkgEQCAIQQN0IgAjE2orAwAgDKIhDyACIAAjC2oiBSsDAKIgASAPoqAhECADIAAjD2oiBisDAKIgDiAPoiAPoqAhDyAFIBA5AwAgBiAPOQMAIAAjB2oiACAAKwMAIA0gECAPnyAEoKOioTkDACAIQQFqIQgMAQsLC6oHAgx/B3wjA0EBayEHA0AgB0EASgRAIx0iBUENdCAFcyIFQRF2IAVzIgVBBXQgBXMiCSQdIxYgB0ECdGoiBSgCACEIIAUjFiAJIAdBAWpwQQJ0aiIFKAIANgIAIAUgCDYCACAHQQFrIQcMAQsLA0AgBiMDSARAIAAgBmoiBSMDSgRAIwMhBQsgBSAGayENIxBBACMBIwBsQQN0/AsAIxFBACMBQQN0/AsAIxJBACMCIwFsQQN0/AsAIxNBACMCQQN0/AsARAAAAAAAAAAAIRdEAAAAAAAAAAAhFiAGIQcDQCAFIAdKBEAjFSMWIAdBAnRqKAIAIgpBA3RqKwMAIRNBACEQQQAhDyMUIAojAGxBA3RqIQkDQCAQIwFIBEAjBSAQQQN0aisDACERIwQgECMAbEEDdGohCEEAIQ4DQCAOIwBIBEAgESAIIA5BA3QiC2orAwAgCSALaisDAKKgIREgDkEBaiEODAELCyAQQQN0IggjF2ogETkDACAIIxhqIBFEAAAAAAAAAAAgEUQAAAAAAAAAAGQbOQMAIBBBAWohEAwBCwsjBysDACERA0AgDyMBSARAIBEgD0EDdCIIIwZqKwMAIAgjGGorAwCioCERIA9BAWohDwwBCwsgFyATRAAAAAAAAPA/IBGaEBFEAAAAAAAA8D+goyISRPf//////+8/pEQWVueerwPSPKUiERASokQAAAAAAADwPyAToUQAAAAAAADwPyARoRASoqChIRcgFkQAAAAAAADwP6AgFkQAAAAAAADwP0QAAAAAAAAAACASRAAAAAAAAOA/ZBsgE2EbIRZBACEPQQAhECMUIAojAGxBA3RqIQsgEiAToSESA0AgDyMBSARAIA9BA3QiCSMSaiIIIAgrAwAgEiAJIxhqKwMAoqA5AwAgD0EBaiEPDAELCyMTIgggCCsDACASoDkDAANAIBAjAUgEQCAQQQN0IggjF2orAwBEAAAAAAAAAABlRQRAIAgjBmorAwAgEqIhESMQIBAjAGxBA3RqIQpBACEPA0AgDyMASARAIAogD0EDdCIJaiIIIAgrAwAgESAJIAtqKwMAoqA5AwAgD0EBaiEPDAELCyMRIBBBA3RqIgggCCsDACARoDkDAAsgEEEBaiEQDAELCyAHQQFqIQcMAQsLIA0gASACIAMgBBAUIBUgFyANtyIRo6AhFSAUIBYgEaOgIRQgDEEBaiEMIAAgBmohBgwBCwsgFSAMtyIBoyQbIBQgAaMkHAvZAQIBfAV/A0AgASMBSARAIwUgAUEDdGorAwAhACMEIAEjAGxBA3RqIQRBACECA0AgAiMASARAIAAgBCACQQN0IgVqKwMAIxkgBWorAwCioCEAIAJBAWohAgwBCwsjGCABQQN0aiAARAAAAAAAAAAAIABEAAAAAAAAAABkGzkDACABQQFqIQEMAQsLIwcrAwAhAANAIAMjAUgEQCAAIANBA3QiASMGaisDACABIxhqKwMAoqAhACADQQFqIQMMAQsLRAAAAAAAAPA/IACaEBFEAAAAAAAA8D+gowsPACMZIABBA3RqIAE5AwALagEBf0EAJBojCEEAIwEjAGxBA3QiAPwLACMMQQAgAPwLACMJQQAjAUEDdCIA/AsAIw1BACAA/AsAIwpBACMCIwFsQQN0IgD8CwAjDkEAIAD8CwAjC0EAIwJBA3QiAPwLACMPQQAgAPwLAAsDAAELCABBnNkAJB4LC6ZOiAEAQYwICwE8AEGYCAsvAgAAACgAAABBAGwAbABvAGMAYQB0AGkAbwBuACAAdABvAG8AIABsAGEAcgBnAGUAQcwICwE8AEHYCAslAgAAAB4AAAB+AGwAaQBiAC8AcgB0AC8AcwB0AHUAYgAuAHQAcwBBngkL8g/wP26/iBpPO5s8NTP7qT327z9d3NicE2BxvGGAdz6a7O8/0WaHEHpekLyFf27oFePvPxP2ZzVS0ow8dIUV07DZ7z/6jvkjgM6LvN723Slr0O8/YcjmYU73YDzIm3UYRcfvP5nTM1vko5A8g/PGyj6+7z9te4NdppqXPA+J+WxYte8//O/9khq1jjz3R3IrkqzvP9GcL3A9vj48otHTMuyj7z8LbpCJNANqvBvT/q9mm+8/Dr0vKlJWlbxRWxLQAZPvP1XqTozvgFC8zDFswL2K7z8W9NW5I8mRvOAtqa6agu8/r1Vc6ePTgDxRjqXImHrvP0iTpeoVG4C8e1F9PLhy7z89Mt5V8B+PvOqNjDj5au8/v1MTP4yJizx1y2/rW2PvPybrEXac2Za81FwEhOBb7z9gLzo+9+yaPKq5aDGHVO8/nTiGy4Lnj7wd2fwiUE3vP43DpkRBb4o81oxiiDtG7z99BOSwBXqAPJbcfZFJP+8/lKio4/2Oljw4YnVuejjvP31IdPIYXoc8P6ayT84x7z/y5x+YK0eAPN184mVFK+8/XghxP3u4lryBY/Xh3yTvPzGrCW3h94I84d4f9Z0e7z/6v28amyE9vJDZ2tB/GO8/tAoMcoI3izwLA+SmhRLvP4/LzomSFG48Vi8+qa8M7z+2q7BNdU2DPBW3MQr+Bu8/THSs4gFChjwx2Ez8cAHvP0r401053Y88/xZksgj87j8EW447gKOGvPGfkl/F9u4/aFBLzO1KkrzLqTo3p/HuP44tURv4B5m8ZtgFba7s7j/SNpQ+6NFxvPef5TTb5+4/FRvOsxkZmbzlqBPDLePuP21MKqdIn4U8IjQSTKbe7j+KaSh6YBKTvByArARF2u4/W4kXSI+nWLwqLvchCtbuPxuaSWebLHy8l6hQ2fXR7j8RrMJg7WNDPC2JYWAIzu4/72QGOwlmljxXAB3tQcruP3kDodrhzG480DzBtaLG7j8wEg8/jv+TPN7T1/Aqw+4/sK96u86QdjwnKjbV2r/uP3fgVOu9HZM8Dd39mbK87j+Oo3EANJSPvKcsnXayue4/SaOT3Mzeh7xCZs+i2rbuP184D73G3ni8gk+dViu07j/2XHvsRhKGvA+SXcqkse4/jtf9GAU1kzzaJ7U2R6/uPwWbii+3mHs8/ceX1BKt7j8JVBzi4WOQPClUSN0Hq+4/6sYZUIXHNDy3RlmKJqnuPzXAZCvmMpQ8SCGtFW+n7j+fdplhSuSMvAncdrnhpe4/qE3vO8UzjLyFVTqwfqTuP67pK4l4U4S8IMPMNEaj7j9YWFZ43c6TvCUiVYI4ou4/ZBl+gKoQVzxzqUzUVaHuPygiXr/vs5O8zTt/Zp6g7j+CuTSHrRJqvL/aC3USoO4/7qltuO9nY7wvGmU8sp/uP1GI4FQ93IC8hJRR+X2f7j/PPlp+ZB94vHRf7Oh1n+4/sH2LwEruhrx0gaVImp/uP4rmVR4yGYa8yWdCVuuf7j/T1Aley5yQPD9d3k9poO4/HaVNudwye7yHAetzFKHuP2vAZ1T97JQ8MsEwAe2h7j9VbNar4etlPGJOzzbzou4/Qs+zL8WhiLwSGj5UJ6TuPzQ3O/G2aZO8E85MmYml7j8e/xk6hF6AvK3HI0Yap+4/bldy2FDUlLztkkSb2ajuPwCKDltnrZA8mWaK2ceq7j+06vDBL7eNPNugKkLlrO4//+fFnGC2ZbyMRLUWMq/uP0Rf81mD9ns8NncVma6x7j+DPR6nHwmTvMb/kQtbtO4/KR5si7ipXbzlxc2wN7fuP1m5kHz5I2y8D1LIy0S67j+q+fQiQ0OSvFBO3p+Cve4/S45m12zKhby6B8pw8cDuPyfOkSv8r3E8kPCjgpHE7j+7cwrhNdJtPCMj4xljyO4/YyJiIgTFh7xl5V17ZszuP9Ux4uOGHIs8My1K7JvQ7j8Vu7zT0buRvF0lPrID1e4/0jHunDHMkDxYszATntnuP7Nac26EaYQ8v/15VWve7j+0nY6Xzd+CvHrz079r4+4/hzPLkncajDyt01qZn+juP/rZ0UqPe5C8ZraNKQfu7j+6rtxW2cNVvPsVT7ii8+4/QPamPQ6kkLw6WeWNcvnuPzSTrTj01mi8R1778nb/7j81ilhr4u6RvEoGoTCwBe8/zd1fCtf/dDzSwUuQHgzvP6yYkvr7vZG8CR7XW8IS7z+zDK8wrm5zPJxShd2bGe8/lP2fXDLjjjx60P9fqyDvP6xZCdGP4IQ8S9FXLvEn7z9nGk44r81jPLXnBpRtL+8/aBmSbCxrZzxpkO/cIDfvP9K1zIMYioC8+sNdVQs/7z9v+v8/Xa2PvHyJB0otR+8/Sal1OK4NkLzyiQ0Ih0/vP6cHPaaFo3Q8h6T73BhY7z8PIkAgnpGCvJiDyRbjYO8/rJLB1VBajjyFMtsD5mnvP0trAaxZOoQ8YLQB8yFz7z8fPrQHIdWCvF+bezOXfO8/yQ1HO7kqibwpofUURobvP9OIOmAEtnQ89j+L5y6Q7z9xcp1R7MWDPINMx/tRmu8/8JHTjxL3j7zakKSir6TvP310I+KYro288WeOLUiv7z8IIKpBvMOOPCdaYe4buu8/Muupw5QrhDyXums3K8XvP+6F0TGpZIo8QEVuW3bQ7z/t4zvkujeOvBS+nK392+8/nc2RTTuJdzzYkJ6BwefvP4nMYEHBBVM88XGPK8Lz7z8AQZAZC4AQn97gw/A09z8AkOZ5f8zXvx/pLGp4E/c/AAANwu5v17+gtfoIYPL2PwDgURPjE9e/fYwTH6bR9j8AeCg4W7jWv9G0xQtJsfY/AHiAkFVd1r+6DC8zR5H2PwAAGHbQAta/I0IiGJ9x9j8AkJCGyqjVv9kepZlPUvY/AFADVkNP1b/EJI+qVjP2PwBAa8M39tS/FNyda7MU9j8AUKj9p53Uv0xcxlJk9vU/AKiJOZJF1L9PLJG1Z9j1PwC4sDn07dO/3pBby7y69T8AcI9EzpbTv3ga2fJhnfU/AKC9Fx5A07+HVkYSVoD1PwCARu/i6dK/02vnzpdj9T8A4DA4G5TSv5N/p+IlR/U/AIjajMU+0r+DRQZC/yr1PwCQJynh6dG/372y2yIP9T8A+EgrbZXRv9feNEeP8/Q/APi5mmdB0b9AKN7PQ9j0PwCY75TQ7dC/yKN4wD699D8AENsYpZrQv4ol4MN/ovQ/ALhjUuZH0L80hNQkBYj0PwDwhkUi68+/Cy0ZG85t9D8AsBd1SkfPv1QYOdPZU/Q/ADAQPUSkzr9ahLREJzr0PwCw6UQNAs6/+/gVQbUg9D8A8HcpomDNv7H0PtqCB/Q/AJCVBAHAzL+P/lddj+7zPwAQiVYpIMy/6UwLoNnV8z8AEIGNF4HLvyvBEMBgvfM/ANDTzMniyr+42nUrJKXzPwCQEi5ARcq/AtCfzSKN8z8A8B1od6jJvxx6hMVbdfM/ADBIaW0Myb/iNq1Jzl3zPwDARaYgcci/QNRNmHlG8z8AMBS0j9bHvyTL/85cL/M/AHBiPLg8x79JDaF1dxjzPwBgN5uao8a/kDk+N8gB8z8AoLdUMQvGv0H4lbtO6/I/ADAkdn1zxb/RqRkCCtXyPwAwwo973MS/Kv23qPm+8j8AANJRLEbEv6sbDHocqfI/AACDvIqww78wtRRgcpPyPwAASWuZG8O/9aFXV/p98j8AQKSQVIfCv787HZuzaPI/AKB5+Lnzwb+99Y+DnVPyPwCgLCXIYMG/OwjJqrc+8j8AIPdXf87Av7ZAqSsBKvI/AKD+Sdw8wL8yQcyWeRXyPwCAS7y9V7+/m/zSHSAB8j8AQECWCDe+vwtITUn07PE/AED5PpgXvb9pZY9S9djxPwCg2E5n+bu/fH5XESPF8T8AYC8gedy6v+kmy3R8sfE/AIAo58PAub+2GiwMAZ7xPwDAcrNGpri/vXC2e7CK8T8AAKyzAY23v7a87yWKd/E/AAA4RfF0tr/aMUw1jWTxPwCAh20OXrW/3V8nkLlR8T8A4KHeXEi0v0zSMqQOP/E/AKBqTdkzs7/a+RByiyzxPwBgxfh5ILK/MbXsKDAa8T8AIGKYRg6xv680hNr7B/E/AADSamz6r7+za04P7vXwPwBAd0qN2q2/zp8qXQbk8D8AAIXk7LyrvyGlLGNE0vA/AMASQImhqb8amOJ8p8DwPwDAAjNYiKe/0TbGgy+v8D8AgNZnXnGlvzkToJjbnfA/AIBlSYpco7/f51Kvq4zwPwBAFWTjSaG/+yhOL5978D8AgOuCwHKevxmPNYy1avA/AIBSUvFVmr8s+eyl7lnwPwCAgc9iPZa/kCzRzUlJ8D8AAKqM+yiSv6mt8MbGOPA/AAD5IHsxjL+pMnkTZSjwPwAAql01GYS/SHPqJyQY8D8AAOzCAxJ4v5WxFAYECPA/AAAkeQkEYL8a+ib3H+DvPwAAkITz728/dOphwhyh7z8AAD01QdyHPy6ZgbAQY+8/AIDCxKPOkz/Nre489iXvPwAAiRTBn5s/5xORA8jp7j8AABHO2LChP6uxy3iAru4/AMAB0FuKpT+bDJ2iGnTuPwCA2ECDXKk/tZkKg5E67j8AgFfvaietP1aaYAngAe4/AMCY5Zh1sD+Yu3flAcrtPwAgDeP1U7I/A5F8C/KS7T8AADiL3S60P85c+2asXO0/AMBXh1kGtj+d3l6qLCftPwAAajV22rc/zSxrPm7y7D8AYBxOQ6u5PwJ5p6Jtvuw/AGANu8d4uz9tCDdtJovsPwAg5zITQ70/BFhdvZRY7D8AYN5xMQq/P4yfuzO1Juw/AECRKxVnwD8/5+zug/XrPwCwkoKFR8E/wZbbdf3E6z8AMMrNbibCPyhKhgweles/AFDFptcDwz8sPu/F4mXrPwAQMzzD38M/i4jJZ0g36z8AgHprNrrEP0owHSFLCes/APDRKDmTxT9+7/KF6NvqPwDwGCTNasY/oj1gMR2v6j8AkGbs+EDHP6dY0z/mguo/APAa9cAVyD+LcwnvQFfqPwCA9lQp6cg/J0urkCos6j8AQPgCNrvJP9HykxOgAeo/AAAsHO2Lyj8bPNskn9fpPwDQAVxRW8s/kLHHBSWu6T8AwLzMZynMPy/Ol/Iuhek/AGBI1TX2zD91S6TuulzpPwDARjS9wc0/OEjnncY06T8A4M+4AYzOP+ZSZy9PDek/AJAXwAlVzz+d1/+OUuboPwC4HxJsDtA/fADMn86/6D8A0JMOuHHQPw7DvtrAmeg/AHCGnmvU0D/7FyOqJ3ToPwDQSzOHNtE/CJqzrABP6D8ASCNnDZjRP1U+ZehJKug/AIDM4P/40T9gAvSVAQboPwBoY9dfWdI/KaPgYyXi5z8AqBQJMLnSP6213Hezvuc/AGBDEHIY0z/CJZdnqpvnPwAY7G0md9M/VwYX8gd55z8AMK/7T9XTPwwT1tvKVuc/AOAv4+4y1D8AQZApC4AQa7ZPAQAQ5j88W0KRbAJ+PJW0TQMAMOY/QV0ASOq/jTx41JQNAFDmP7el1oanf448rW9OBwBw5j9MJVRr6vxhPK4P3/7/j+Y//Q5ZTCd+fLy8xWMHALDmPwHa3EhowYq89sFcHgDQ5j8Rk0mdHD+DPD72Bev/7+Y/Uy3iGgSAfryAl4YOABDnP1J5CXFm/3s8Euln/P8v5z8kh70m4gCMPGoRgd//T+c/0gHxbpECbryQnGcPAHDnP3ScVM1x/Ge8Nch++v+P5z+DBPWewb6BPObCIP7/r+c/ZWTMKRd+cLwAyT/t/8/nPxyLewhygIC8dhom6f/v5z+u+Z1tKMCNPOijnAQAEOg/M0zlUdJ/iTyPLJMXADDoP4HzMLbp/oq8nHMzBgBQ6D+8NWVrv7+JPMaJQiAAcOg/dXsR82W/i7wEefXr/4/oP1fLPaJuAIm83wS8IgCw6D8KS+A43wB9vIobDOX/z+g/BZ//RnEAiLxDjpH8/+/oPzhwetB7gYM8x1/6HgAQ6T8DtN92kT6JPLl7RhMAMOk/dgKYS06AfzxvB+7m/0/pPy5i/9nwfo+80RI83v9v6T+6OCaWqoJwvA2KRfT/j+k/76hkkRuAh7w+Lpjd/6/pPzeTWorgQIe8ZvtJ7f/P6T8A4JvBCM4/PFGc8SAA8Ok/CluIJ6o/irwGsEURABDqP1baWJlI/3Q8+va7BwAw6j8YbSuKq76MPHkdlxAAUOo/MHl43cr+iDxILvUdAHDqP9ur2D12QY+8UjNZHACQ6j8SdsKEAr+OvEs+TyoAsOo/Xz//PAT9abzRHq7X/8/qP7RwkBLnPoK8eARR7v/v6j+j3g7gPgZqPFsNZdv/D+s/uQofOMgGWjxXyqr+/y/rPx08I3QeAXm83LqV2f9P6z+fKoZoEP95vJxlniQAcOs/Pk+G0EX/ijxAFof5/4/rP/nDwpZ3/nw8T8sE0v+v6z/EK/LuJ/9jvEVcQdL/z+s/Ieo77rf/bLzfCWP4/+/rP1wLLpcDQYG8U3a14f8P7D8ZareUZMGLPONX+vH/L+w/7cYwje/+ZLwk5L/c/0/sP3VH7LxoP4S897lU7f9v7D/s4FPwo36EPNWPmev/j+w/8ZL5jQaDczyaISUhALDsPwQOGGSO/Wi8nEaU3f/P7D9y6sccvn6OPHbE/er/7+w//oifrTm+jjwr+JoWABDtP3FauaiRfXU8HfcPDQAw7T/ax3BpkMGJPMQPeer/T+0/DP5YxTcOWLzlh9wuAHDtP0QPwU3WgH+8qoLcIQCQ7T9cXP2Uj3x0vIMCa9j/r+0/fmEhxR1/jDw5R2wpANDtP1Ox/7KeAYg89ZBE5f/v7T+JzFLG0gBuPJT2q83/D+4/0mktIECDf7zdyFLb/y/uP2QIG8rBAHs87xZC8v9P7j9Rq5SwqP9yPBFeiuj/b+4/Wb7vsXP2V7wN/54RAJDuPwHIC16NgIS8RBel3/+v7j+1IEPVBgB4PKF/EhoA0O4/klxWYPgCULzEvLoHAPDuPxHmNV1EQIW8Ao169f8P7z8Fke85MftPvMeK5R4AMO8/VRFz8qyBijyUNIL1/0/vP0PH19RBP4o8a0yp/P9v7z91eJgc9AJivEHE+eH/j+8/S+d39NF9dzx+4+DS/6/vPzGjfJoZAW+8nuR3HADQ7z+xrM5L7oFxPDHD4Pf/7+8/WodwATcFbrxuYGX0/w/wP9oKHEmtfoq8WHqG8/8v8D/gsvzDaX+XvBcN/P3/T/A/W5TLNP6/lzyCTc0DAHDwP8tW5MCDAII86Mvy+f+P8D8adTe+3/9tvGXaDAEAsPA/6ybmrn8/kbw406QBANDwP/efSHn6fYA8/f3a+v/v8D/Aa9ZwBQR3vJb9ugsAEPE/YgtthNSAjjxd9OX6/y/xP+82/WT6v5082ZrVDQBQ8T+uUBJwdwCaPJpVIQ8AcPE/7t7j4vn9jTwmVCf8/4/xP3NyO9wwAJE8WTw9EgCw8T+IAQOAeX+ZPLeeKfj/z/E/Z4yfqzL5ZbwA1Ir0/+/xP+tbp52/f5M8pIaLDAAQ8j8iW/2Ra4CfPANDhQMAMPI/M7+f68L/kzyE9rz//0/yP3IuLn7nAXY82SEp9f9v8j9hDH92u/x/PDw6kxQAkPI/K0ECPMoCcrwTY1UUALDyPwIf8jOCgJK8O1L+6//P8j/y3E84fv+IvJatuAsA8PI/xUEwUFH/hbyv4nr7/w/zP50oXohxAIG8f1+s/v8v8z8Vt7c/Xf+RvFZnpgwAUPM/vYKLIoJ/lTwh9/sRAHDzP8zVDcS6AIA8uS9Z+f+P8z9Rp7ItnT+UvELS3QQAsPM/4Th2cGt/hTxXybL1/8/zPzESvxA6Ano8GLSw6v/v8z+wUrFmbX+YPPSvMhUAEPQ/JIUZXzf4Zzwpi0cXADD0P0NR3HLmAYM8Y7SV5/9P9D9aibK4af+JPOB1BOj/b/Q/VPLCm7HAlbznwW/v/4/0P3IqOvIJQJs8BKe+5f+v9D9FfQ2/t/+UvN4nEBcA0PQ/PWrccWTAmbziPvAPAPD0PxxThQuJf5c80UvcEgAQ9T82pGZxZQRgPHonBRYAMPU/CTIjzs6/lrxMcNvs/0/1P9ehBQVyAom8qVRf7/9v9T8SZMkO5r+bPBIQ5hcAkPU/kO+vgcV+iDySPskDALD1P8AMvwoIQZ+8vBlJHQDQ9T8pRyX7KoGYvIl6uOf/7/U/BGntgLd+lLwAQZU5CwOg9j8AQaE5CxfIufKCLNa/gFY3KCS0+jwAAAAAAID2PwBBwTkLFwhYv73R1b8g9+DYCKUcvQAAAAAAYPY/AEHhOQsXWEUXd3bVv21QttWkYiO9AAAAAABA9j8AQYE6Cxf4LYetGtW/1WewnuSE5rwAAAAAACD2PwBBoToLF3h3lV++1L/gPimTaRsEvQAAAAAAAPY/AEHBOgsXYBzCi2HUv8yETEgv2BM9AAAAAADg9T8AQeE6CxeohoYwBNS/OguC7fNC3DwAAAAAAMD1PwBBgTsLF0hpVUym079glFGGxrEgPQAAAAAAoPU/AEGhOwsXgJia3UfTv5KAxdRNWSU9AAAAAACA9T8AQcE7Cxcg4bri6NK/2Cu3mR57Jj0AAAAAAGD1PwBB4TsLF4jeE1qJ0r8/sM+2FMoVPQAAAAAAYPU/AEGBPAsXiN4TWonSvz+wz7YUyhU9AAAAAABA9T8AQaE8Cxd4z/tBKdK/dtpTKCRaFr0AAAAAACD1PwBBwTwLF5hpwZjI0b8EVOdovK8fvQAAAAAAAPU/AEHhPAsXqKurXGfRv/CogjPGHx89AAAAAADg9D8AQYE9CxdIrvmLBdG/ZloF/cSoJr0AAAAAAMD0PwBBoT0LF5Bz4iSj0L8OA/R+7msMvQAAAAAAoPQ/AEHBPQsX0LSUJUDQv38t9J64NvC8AAAAAACg9D8AQeE9CxfQtJQlQNC/fy30nrg28LwAAAAAAID0PwBBgT4LF0BebRi5z7+HPJmrKlcNPQAAAAAAYPQ/AEGhPgsXYNzLrfDOvySvhpy3Jis9AAAAAABA9D8AQcE+CxfwKm4HJ86/EP8/VE8vF70AAAAAACD0PwBB4T4LF8BPayFczb8baMq7kbohPQAAAAAAAPQ/AEGBPwsXoJrH94/MvzSEn2hPeSc9AAAAAAAA9D8AQaE/Cxegmsf3j8y/NISfaE95Jz0AAAAAAODzPwBBwT8LF5AtdIbCy7+Pt4sxsE4ZPQAAAAAAwPM/AEHhPwsXwIBOyfPKv2aQzT9jTro8AAAAAACg8z8AQYHAAAsXsOIfvCPKv+rBRtxkjCW9AAAAAACg8z8AQaHAAAsXsOIfvCPKv+rBRtxkjCW9AAAAAACA8z8AQcHAAAsXUPScWlLJv+PUwQTZ0Sq9AAAAAABg8z8AQeHAAAsX0CBloH/Ivwn623+/vSs9AAAAAABA8z8AQYHBAAsX4BACiavHv1hKU3KQ2ys9AAAAAABA8z8AQaHBAAsX4BACiavHv1hKU3KQ2ys9AAAAAAAg8z8AQcHBAAsX0BnnD9bGv2bisqNq5BC9AAAAAAAA8z8AQeHBAAsXkKdwMP/FvzlQEJ9Dnh69AAAAAAAA8z8AQYHCAAsXkKdwMP/FvzlQEJ9Dnh69AAAAAADg8j8AQaHCAAsXsKHj5SbFv49bB5CL3iC9AAAAAADA8j8AQcHCAAsXgMtsK03Evzx4NWHBDBc9AAAAAADA8j8AQeHCAAsXgMtsK03Evzx4NWHBDBc9AAAAAACg8j8AQYHDAAsXkB4g/HHDvzpUJ02GePE8AAAAAACA8j8AQaHDAAsX8B/4UpXCvwjEcRcwjSS9AAAAAABg8j8AQcHDAAsXYC/VKrfBv5ajERikgC69AAAAAABg8j8AQeHDAAsXYC/VKrfBv5ajERikgC69AAAAAABA8j8AQYHEAAsXkNB8ftfAv/Rb6IiWaQo9AAAAAABA8j8AQaHEAAsXkNB8ftfAv/Rb6IiWaQo9AAAAAAAg8j8AQcHEAAsX4Nsxkey/v/Izo1xUdSW9AAAAAAAA8j8AQeLEAAsWK24HJ76/PADwKiw0Kj0AAAAAAADyPwBBgsUACxYrbgcnvr88APAqLDQqPQAAAAAA4PE/AEGhxQALF8Bbj1RevL8Gvl9YVwwdvQAAAAAAwPE/AEHBxQALF+BKOm2Sur/IqlvoNTklPQAAAAAAwPE/AEHhxQALF+BKOm2Sur/IqlvoNTklPQAAAAAAoPE/AEGBxgALF6Ax1kXDuL9oVi9NKXwTPQAAAAAAoPE/AEGhxgALF6Ax1kXDuL9oVi9NKXwTPQAAAAAAgPE/AEHBxgALF2DlitLwtr/aczPJN5cmvQAAAAAAYPE/AEHhxgALFyAGPwcbtb9XXsZhWwIfPQAAAAAAYPE/AEGBxwALFyAGPwcbtb9XXsZhWwIfPQAAAAAAQPE/AEGhxwALF+AbltdBs7/fE/nM2l4sPQAAAAAAQPE/AEHBxwALF+AbltdBs7/fE/nM2l4sPQAAAAAAIPE/AEHhxwALF4Cj7jZlsb8Jo492XnwUPQAAAAAAAPE/AEGByAALF4ARwDAKr7+RjjaDnlktPQAAAAAAAPE/AEGhyAALF4ARwDAKr7+RjjaDnlktPQAAAAAA4PA/AEHByAALF4AZcd1Cq79McNbleoIcPQAAAAAA4PA/AEHhyAALF4AZcd1Cq79McNbleoIcPQAAAAAAwPA/AEGByQALF8Ay9lh0p7/uofI0RvwsvQAAAAAAwPA/AEGhyQALF8Ay9lh0p7/uofI0RvwsvQAAAAAAoPA/AEHByQALF8D+uYeeo7+q/ib1twL1PAAAAAAAoPA/AEHhyQALF8D+uYeeo7+q/ib1twL1PAAAAAAAgPA/AEGCygALFngOm4Kfv+QJfnwmgCm9AAAAAACA8D8AQaLKAAsWeA6bgp+/5Al+fCaAKb0AAAAAAGDwPwBBwcoACxeA1QcbuZe/Oab6k1SNKL0AAAAAAEDwPwBB4soACxb8sKjAj7+cptP2fB7fvAAAAAAAQPA/AEGCywALFvywqMCPv5ym0/Z8Ht+8AAAAAAAg8D8AQaLLAAsWEGsq4H+/5EDaDT/iGb0AAAAAACDwPwBBwssACxYQayrgf7/kQNoNP+IZvQAAAAAAAPA/AEH2ywALAvA/AEGVzAALA8DvPwBBoswACxaJdRUQgD/oK52Za8cQvQAAAAAAgO8/AEHBzAALF4CTWFYgkD/S9+IGW9wjvQAAAAAAQO8/AEHizAALFskoJUmYPzQMWjK6oCq9AAAAAAAA7z8AQYHNAAsXQOeJXUGgP1PX8VzAEQE9AAAAAADA7j8AQaLNAAsWLtSuZqQ/KP29dXMWLL0AAAAAAIDuPwBBwc0ACxfAnxSqlKg/fSZa0JV5Gb0AAAAAAEDuPwBB4c0ACxfA3c1zy6w/ByjYR/JoGr0AAAAAACDuPwBBgc4ACxfABsAx6q4/ezvJTz4RDr0AAAAAAODtPwBBoc4ACxdgRtE7l7E/m54NVl0yJb0AAAAAAKDtPwBBwc4ACxfg0af1vbM/107bpV7ILD0AAAAAAGDtPwBB4c4ACxegl01a6bU/Hh1dPAZpLL0AAAAAAEDtPwBBgc8ACxfA6grTALc/Mu2dqY0e7DwAAAAAAADtPwBBoc8ACxdAWV1eM7k/2ke9OlwRIz0AAAAAAMDsPwBBwc8ACxdgrY3Iars/5Wj3K4CQE70AAAAAAKDsPwBB4c8ACxdAvAFYiLw/06xaxtFGJj0AAAAAAGDsPwBBgdAACxcgCoM5x74/4EXmr2jALb0AAAAAAEDsPwBBodAACxfg2zmR6L8//QqhT9Y0Jb0AAAAAAADsPwBBwdAACxfgJ4KOF8E/8gctznjvIT0AAAAAAODrPwBB4dAACxfwI34rqsE/NJk4RI6nLD0AAAAAAKDrPwBBgdEACxeAhgxh0cI/obSBy2ydAz0AAAAAAIDrPwBBodEACxeQFbD8ZcM/iXJLI6gvxjwAAAAAAEDrPwBBwdEACxewM4M9kcQ/eLb9VHmDJT0AAAAAACDrPwBB4dEACxewoeTlJ8U/x31p5egzJj0AAAAAAODqPwBBgdIACxcQjL5OV8Y/eC48LIvPGT0AAAAAAMDqPwBBodIACxdwdYsS8MY/4SGc5Y0RJb0AAAAAAKDqPwBBwdIACxdQRIWNicc/BUORcBBmHL0AAAAAAGDqPwBB4tIACxY566++yD/RLOmqVD0HvQAAAAAAQOo/AEGC0wALFvfcWlrJP2//oFgo8gc9AAAAAAAA6j8AQaHTAAsX4Io87ZPKP2khVlBDcii9AAAAAADg6T8AQcHTAAsX0FtX2DHLP6rhrE6NNQy9AAAAAADA6T8AQeHTAAsX4Ds4h9DLP7YSVFnESy29AAAAAACg6T8AQYHUAAsXEPDG+2/MP9IrlsVy7PG8AAAAAABg6T8AQaHUAAsXkNSwPbHNPzWwFfcq/yq9AAAAAABA6T8AQcHUAAsXEOf/DlPOPzD0QWAnEsI8AAAAAAAg6T8AQeLUAAsW3eSt9c4/EY67ZRUhyrwAAAAAAADpPwBBgdUACxews2wcmc8/MN8MyuzLGz0AAAAAAMDoPwBBodUACxdYTWA4cdA/kU7tFtuc+DwAAAAAAKDoPwBBwdUACxdgYWctxNA/6eo8FosYJz0AAAAAAIDoPwBB4dUACxfoJ4KOF9E/HPClYw4hLL0AAAAAAGDoPwBBgdYACxf4rMtca9E/gRal982aKz0AAAAAAEDoPwBBodYACxdoWmOZv9E/t71HUe2mLD0AAAAAACDoPwBBwdYACxe4Dm1FFNI/6rpGut6HCj0AAAAAAODnPwBB4dYACxeQ3HzwvtI/9ARQSvqcKj0AAAAAAMDnPwBBgdcACxdg0+HxFNM/uDwh03riKL0AAAAAAKDnPwBBodcACxcQvnZna9M/yHfxsM1uET0AAAAAAIDnPwBBwdcACxcwM3dSwtM/XL0GtlQ7GD0AAAAAAGDnPwBB4dcACxfo1SO0GdQ/neCQ7DbkCD0AAAAAAEDnPwBBgdgACxfIccKNcdQ/ddZnCc4nL70AAAAAACDnPwBBodgACxcwF57gydQ/pNgKG4kgLr0AAAAAAADnPwBBwdgACxegOAeuItU/WcdkgXC+Lj0AAAAAAODmPwBB4dgACxfQyFP3e9U/70Bd7u2tHz0AAAAAAMDmPwBBgdkACw9gWd+91dU/3GWkCCoLCr0=";
+window._nnWasmBase64 = "AGFzbQEAAAABfBZgAAF/YAAAYAABfGABfwBgAX8Bf2ABfAF8YAJ/fABgAXwAYAJ/fwBgA398fABgA39/fwBgAn9/AXxgBX98fHx8AGADf39/AXxgBH9/f3wAYAN/f3wAYAF/AXxgAn98AXxgAnx8AXxgAnx/AXxgAnx/AGAGf398fHx8AX8DVFMDCAgGBwkBCQcHAQoDAwEABgAAAAAAAAAAAAAAAAAAAAMAAwAABAQNDgsPAgICAgICAAAAAAQEEAIAAgEFBQURCxIFExQDDBUADAoBAQECAwYBAQUDAQABBoEDNX8BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt8AUQAAAAAAAAAAAt8AUQAAAAAAAAAAAt8AUQAAAAAAAAAAAt/AUEAC3wBRAAAAAAAAAAAC3wBRAAAAAAAAAAAC3wBRAAAAAAAAAAAC38BQQALfwFBAAt/AUEAC3wBRAAAAAAAAAAAC3wBRAAAAAAAAAAAC3wBRAAAAAAAAAAAC38BQSoLfAFEAAAAAAAAAAALfwFBAAt8AUQAAAAAAADwPwt/AUEAC3wBRAAAAAAAAABAC3wBRAAAAAAAAPA/C38BQQALfAFEzczMzMzM7D8LfAFEzczMzMzM7D8LfAFEAAAAAAAAAAALfwFBAAt/AUEAC3wBRAAAAAAAAAAACwexC0kSbm5fc2V0X2xheWVyX2NvdW50AAASbm5fc2V0X2xheWVyX3VuaXRzAAEXbm5fc2V0X2xheWVyX2FjdGl2YXRpb24AAhRubl9zZXRfbGF5ZXJfZHJvcG91dAADE25uX3NldF93ZWlnaHRfZGVjYXkABAtubl9zZXRfbG9zcwAFEG5uX3NldF9vcHRpbWl6ZXIABxRubl9zZXRfZ3JhZGllbnRfY2xpcAAIEm5uX3NldF9odWJlcl9kZWx0YQAJDm5uX2luaXRfbGF5ZXJzAAoHbm5faW5pdAALFm5uX2FsbG9jX3RyYWluaW5nX2RhdGEADBhubl9hbGxvY192YWxpZGF0aW9uX2RhdGEADQ9ubl9yZXNldF9tZW1vcnkADhJubl9nZXRfbWVtb3J5X3VzZWQADxNubl9zZXRfY2xhc3Nfd2VpZ2h0ABAMbm5fZ2V0X3hfcHRyABEMbm5fZ2V0X3lfcHRyABIQbm5fZ2V0X3ZhbF94X3B0cgATEG5uX2dldF92YWxfeV9wdHIAFBNubl9nZXRfdmFsX3ByZWRfcHRyABUVbm5fZ2V0X3ByZWRfaW5wdXRfcHRyABYSbm5fZ2V0X2JhdGNoX3hfcHRyABcUbm5fZ2V0X2JhdGNoX291dF9wdHIAGBFubl9nZXRfb3V0cHV0X3B0cgAZEW5uX2dldF9yZWFsX2J5dGVzABoRbm5fZ2V0X3BhcmFtc19wdHIAGxJubl9nZXRfcGFyYW1fY291bnQAHBJubl9nZXRfbW9tZW50MV9wdHIAHRJubl9nZXRfbW9tZW50Ml9wdHIAHhVubl9nZXRfb3B0aW1pemVyX3N0ZXAAHxVubl9zZXRfb3B0aW1pemVyX3N0ZXAAIBBubl9nZXRfcm5nX3N0YXRlACEQbm5fc2V0X3JuZ19zdGF0ZQAiEm5uX2dldF9pbmRpY2VzX3B0cgAjFm5uX2dldF9iZXN0X3BhcmFtc19wdHIAJBRubl9nZXRfd2VpZ2h0X29mZnNldAAlEm5uX2dldF9iaWFzX29mZnNldAAmDW5uX2dldF93ZWlnaHQAJw1ubl9zZXRfd2VpZ2h0ACgLbm5fZ2V0X2JpYXMAKQtubl9zZXRfYmlhcwAqEW5uX2dldF9lcG9jaF9sb3NzACsVbm5fZ2V0X2Vwb2NoX2FjY3VyYWN5ACwPbm5fZ2V0X3ZhbF9sb3NzAC0Tbm5fZ2V0X3ZhbF9hY2N1cmFjeQAuEG5uX2dldF9lcG9jaF9tYWUALw5ubl9nZXRfdmFsX21hZQAwEW5uX2dldF9pbnB1dF9zaXplADESbm5fZ2V0X2hpZGRlbl9zaXplADISbm5fZ2V0X291dHB1dF9zaXplADMSbm5fZ2V0X2xheWVyX2NvdW50ADQSbm5fZ2V0X2xheWVyX3VuaXRzADUXbm5fZ2V0X2xheWVyX2FjdGl2YXRpb24ANhRubl9nZXRfbGF5ZXJfZHJvcG91dAA3E25uX2dldF93ZWlnaHRfZGVjYXkAOBBubl9nZXRfbG9zc190eXBlADkWbm5fZ2V0X3Bvc2l0aXZlX3dlaWdodAA6C25uX3NldF9zZWVkACIObm5fYmVnaW5fZXBvY2gAOxBubl90cmFpbl9iYXRjaGVzAEcSbm5fdHJhaW5pbmdfZmluaXRlAEgObm5fdHJhaW5fZXBvY2gASRZubl9ldmFsdWF0ZV92YWxpZGF0aW9uAEsSbm5fc25hcHNob3RfcGFyYW1zAEwRbm5fcmVzdG9yZV9wYXJhbXMATQpubl9wcmVkaWN0AE4Wbm5fYWxsb2NfcHJlZGljdF9iYXRjaABPEG5uX3ByZWRpY3RfYmF0Y2gAShZubl9zZXRfcHJlZGljdF9mZWF0dXJlAFANbm5fcmVzZXRfYWRhbQAGBl9zdGFydABRBm1lbW9yeQIACAFSDAKEAQrJW1MsAEECQRAgACAAQRBKGyAAQQJIGyQAQYAKQQBBwAD8CwBBwApBAEGAAfwLAAsfACAAQQBIIABBEE5yBEAPCyAAQQJ0QYAIaiABNgIACx8AIABBAEggAEEQTnIEQA8LIABBAnRBgApqIAE2AgALSwAgAEEASCAAQRBOcgRADwsgAEEDdEHACmogAURmZmZmZmbuPyABRGZmZmZmZu4/YxtEAAAAAAAAAAAgAUQAAAAAAAAAAGQbOQMACxwAIABEAAAAAAAAAAAgAEQAAAAAAAAAAGQbJCgLSAAgAEEAIABBA0wgAEEASnEbJCkgAUQAAAAAAADwPyABRAAAAAAAAAAAZBskKiACRAAAAAAAAAAAIAJEAAAAAAAAAABmGyQsCx8BAX9BACQZIwdBACMEQQN0IgD8CwAjCEEAIAD8CwALhQEAIABBACAAQQNMIABBAE5xGyQuIAFEAAAAAAAAAAAgAUQAAAAAAADwP2MgAUQAAAAAAAAAAGZxGyQvIAJEzczMzMzM7D8gAkQAAAAAAADwP2MgAkQAAAAAAAAAAGRxGyQwIwRBAEoEQEEAJBkjB0EAIwRBA3QiAPwLACMIQQAgAPwLAAsLHAAgAEQAAAAAAAAAACAARAAAAAAAAAAAZBskMQscACAARAAAAAAAAPA/IABEAAAAAAAAAABkGyQtC6YJAgZ/AXxBgAgoAgAkASMAQQJ0KAL8ByQCQQAkGUEBIQADQCAAIwBIBEAgAEECdCIDQYAIaigCACEEIAMoAvwHIQUgA0HACGogAjYCACADQYAJaiACIAQgBWxqIgI2AgAgAiAEaiECIANBwAlqIAE2AgAgASAEaiEBIABBAWohAAwBCwsgAiQEIAEkBUHA2wAkMiMEQQN0QcDbAGoiAD8AQRB0IgFLBEAgACABa0H//wNqQRB2QABBAEgEQAALCyAAJDJBwNsAJAYjMkHA2wAjMhtBD2pBcHEiACMEQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJAcjMkHA2wAjMhtBD2pBcHEiACMEQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJAgjMkHA2wAjMhtBD2pBcHEiACMEQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJAkjMkHA2wAjMhtBD2pBcHEiACMEQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJAojMkHA2wAjMhtBD2pBcHEiACMFQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJBEjMkHA2wAjMhtBD2pBcHEiACMFQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJBIjMkHA2wAjMhtBD2pBcHEiACMFQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJBMjMkHA2wAjMhtBD2pBcHEiACMFQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJBQjMkHA2wAjMhtBD2pBcHEiACMBQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJBUjMkHA2wAjMhtBD2pBcHEiACMCQQN0aiIBPwBBEHQiAksEQCABIAJrQf//A2pBEHZAAEEASARAAAsLIAEkMiAAJCtBwNsAQQAjMkHA2wBr/AsAIzIkMyMzJDJBACQDQQAkIkEAJCNBACQYQQAkC0EAJAxBACQQQQAkDUEAJA5BACQPQQAkFkEAJBdBACEAA0AgACMCSARAIysgAEEDdGpEAAAAAAAA8D85AwAgAEEBaiEADAELC0EBIQADQCAAIwBIBEBEAAAAAAAAGEAgAEECdCIBQYAIaigCACICIAEoAvwHIgNqt6OfIQYgAUHACGooAgAhBCACIANsIQNBACEBA0AgASADSARAIyciBSAFQQ10cyIFIAVBEXZzIgUgBUEFdHMiBSQnIwYgASAEakEDdGogBbhEAADg////70GjRAAAAAAAAABAokQAAAAAAADwv6AgBqI5AwAgAUEBaiEBDAELCyMGIABBAnRBgAlqKAIAQQN0akEAIAJBA3T8CwAgAEEBaiEADAELCws2AEEDJABBgApBAEHAAPwLAEHACkEAQYAB/AsAQYAIIAA2AgBBhAggATYCAEGICCACNgIAEAoLpgIBBH8jMyQyQQAkA0EAJCJBACQjQQAkGEEAJAtBACQMQQAkEEEAJA1BACQOQQAkD0EAJBZBACQXIAAkAyMyQcDbACMyG0EPakFwcSICIAAjAWxBA3RqIgM/AEEQdCIESwRAIAMgBGtB//8DakEQdkAAQQBIBEAACwsgAyQyIAIkCyMyQcDbACMyG0EPakFwcSICIABBA3RqIgM/AEEQdCIESwRAIAMgBGtB//8DakEQdkAAQQBIBEAACwsgAyQyIAIkDCMyQcDbACMyG0EPakFwcSICIABBAnRqIgM/AEEQdCIESwRAIAMgBGtB//8DakEQdkAAQQBIBEAACwsgAyQyIAIkEANAIAAgAUoEQCMQIAFBAnRqIAE2AgAgAUEBaiEBDAELCwvhAQEDfyAAJCIgACMjTARADwsjMkHA2wAjMhtBD2pBcHEiASAAIwFsQQN0aiICPwBBEHQiA0sEQCACIANrQf//A2pBEHZAAEEASARAAAsLIAIkMiABJA0jMkHA2wAjMhtBD2pBcHEiASAAQQN0aiICPwBBEHQiA0sEQCACIANrQf//A2pBEHZAAEEASARAAAsLIAIkMiABJA4jMkHA2wAjMhtBD2pBcHEiASAAIwJsQQN0aiICPwBBEHQiA0sEQCACIANrQf//A2pBEHZAAEEASARAAAsLIAIkMiABJA8gACQjC3IAQcDbACQzQcDbACQyQQAkA0EAJCJBACQjQQAkGEEAJAtBACQMQQAkEEEAJA1BACQOQQAkD0EAJBZBACQXQQAkBEEAJAVBACQGQQAkB0EAJAhBACQJQQAkCkEAJBFBACQSQQAkE0EAJBRBACQVQQAkKwsOACMyQcDbAGtBACMyGws0ACAAQQBIIAAjAk5yBEAPCyMrIABBA3RqIAFEAAAAAAAA8D8gAUQAAAAAAAAAAGQbOQMACwQAIwsLBAAjDAsEACMNCwQAIw4LBAAjDwsEACMVCwQAIxYLBAAjFwsUACMSIwBBAnRBvAlqKAIAQQN0agsEAEEICwQAIwYLBAAjBAsEACMHCwQAIwgLBAAjGQsOACAAQQAgAEEAShskGQsEACMnCwsAIABBKiAAGyQnCwQAIxALBAAjCgsOACAAQQJ0QcQIaigCAAsOACAAQQJ0QYQJaigCAAspACMGIABBAWpBAnQiAEHACGooAgAgASAAKAL8B2xqIAJqQQN0aisDAAsrACMGIABBAWpBAnQiAEHACGooAgAgASAAKAL8B2xqIAJqQQN0aiADOQMACxoAIwYgASAAQQJ0QYQJaigCAGpBA3RqKwMACxwAIwYgASAAQQJ0QYQJaigCAGpBA3RqIAI5AwALBAAjGgsEACMbCwQAIyQLBAAjJQsEACMcCwQAIyYLBAAjAQsTACMAQQJKBH9BhAgoAgAFQQALCwQAIwILBAAjAAsOACAAQQJ0QYAIaigCAAsOACAAQQJ0QYAKaigCAAsOACAAQQN0QcAKaisDAAsEACMoCwQAIykLBAAjKguUAQEEfyMDQQFrIQADQCAAQQBKBEAjJyIBQQ10IAFzIgFBEXYgAXMiAUEFdCABcyICJCcjECAAQQJ0aiIDKAIAIQEgAyMQIAIgAEEBanBBAnRqIgIoAgA2AgAgAiABNgIAIABBAWshAAwBCwtBACQdRAAAAAAAAAAAJB5EAAAAAAAAAAAkH0QAAAAAAAAAACQgQQAkIQv9AwMCfwJ+BHwCfCAAvSIDQjSIp0H/D3EiAUHJB2siAkE/TwRARAAAAAAAAPA/IAJBgICAgHhPDQEaIAFBiQhPBEBEAAAAAAAAAAAgA0KAgICAgICAeFENAhogAEQAAAAAAADwP6AgAUH/D08NAhpEAAAAAAAAAABEAAAAAAAA8H8gA0IAUxsMAgtBACEBCyAARP6CK2VHFWdAokQAAAAAAAA4Q6AiBb0iBEL/AINCAYanQQN0QcALaiICKQMIIARCLYZ8IQMgACAFRAAAAAAAADjDoCIARAAA+v5CLna/oqAgAEQ6O568mvcMvaKgIgAgAKIhBSACKwMAIACgIAUgAEQ8VFVVVVXFP6JEvf3/////3z+goqAgBSAFoiAARBfQpGcREYE/okSRKxfPVVWlP6CioCEAIAFFBEACfCAEQoCAgIAIg1AEQCADQoCAgICAgICIP32/IgUgBSAAoqBEAAAAAAAAAH+iDAELIANCgICAgICAgPA/fCIDvyIFIACiIQcgBSAHoCIGmUQAAAAAAADwP2MEfEQAAAAAAADwPyAGpiIIIAagIgAgCCAAoSAGoCAFIAahIAegoKAgCKEiAEQAAAAAAAAAAGEEfCADQoCAgICAgICAgH+DvwUgAAsFIAYLRAAAAAAAABAAogsMAQsgA78iBSAFIACioAsL+wQDA38EfAF+IAC9IghCIIinQf////8HcSECIAhCP4inIQMgAkH60I2CBE8EQCAAIABiBEAgAA8LIAMEQEQAAAAAAADwvw8LIABE7zn6/kIuhkBkBEAgAEQAAAAAAADgf6IPCwsgAkHC3Nj+A0sEQCAAQQEgA0EBdGsgAET+gitlRxX3P6JEAAAAAAAA4D8gAKag/AIgAkGyxcL/A0kbIgG3IgBEAADg/kIu5j+ioSIEIAQgAER2PHk17znqPaIiBKEiAKEgBKEhBAUgAkGAgMDkA0kEQCAADwsLIAAgAEQAAAAAAADgP6IiBqIiBSAFoiEHRAAAAAAAAAhAIAVE9BARERERob+iRAAAAAAAAPA/oCAHIAVEt9uqnhnOFL+iRIVV/hmgAVo/oCAHIAVELcMJbrf9ir6iRDlS5obKz9A+oKKgoqAiByAGoqEhBiAFIAcgBqFEAAAAAAAAGEAgACAGoqGjoiEGIAFFBEAgACAAIAaiIAWhoQ8LIAAgBiAEoaIgBKEgBaEhBCABQX9GBEAgACAEoUQAAAAAAADgP6JEAAAAAAAA4L+gDwsgAUEBRgRAIABEAAAAAAAA0L9jBEAgBCAARAAAAAAAAOA/oKFEAAAAAAAAAMCiDwsgACAEoUQAAAAAAAAAQKJEAAAAAAAA8D+gDwsgAaxC/wd8QjSGvyEFIAFBAEggAUE4SnIEQCAAIAShRAAAAAAAAPA/oCIAIACgRAAAAAAAAOB/oiAAIAWiIAFBgAhGG0QAAAAAAADwv6APCyAARAAAAAAAAPA/Qv8HIAGsfUI0hr8iAKEgBKFEAAAAAAAA8D8gBCAAoKEgAUEUSBugIAWiC8kBAwF/AX4BfCAAvUL///////////8AgyICvyEDIAJCIIinIgFB6qeG/wNLBHwgAUGAgNCBBEsEfEQAAAAAAADwP0QAAAAAAAAAACADo6EFRAAAAAAAAPA/RAAAAAAAAABAIAMgA6AQPUQAAAAAAAAAQKCjoQsFIAFBrrHB/gNLBHwgAyADoBA9IgMgA0QAAAAAAAAAQKCjBSABQYCAwABPBHwgA0QAAAAAAAAAwKIQPSIDmiADRAAAAAAAAABAoKMFIAMLCwsgAKYLtwEAAkACQAJAAkACQAJAIABBAWsOBQABAgMEBQsgARA+DwsgASABRHsUrkfheoQ/oiABRAAAAAAAAAAAZBsPCyABRAAAAAAAAAAAZAR8IAEFIAEQPEQAAAAAAADwv6ALDwsgAUQAAAAAAADgP6IgASABRPcBSG3i5KY/oiABoiABoqBEUTbUM0WI6T+iED5EAAAAAAAA8D+gog8LIAEPCyABRAAAAAAAAAAAIAFEAAAAAAAAAABkGwveBQIOfwR8IwBBAWshCiMBIQJBASEHA0AgByMASARAIAdBAnQiBUGACGooAgAhAyMGIAVBwAhqKAIAQQN0aiEMIwYgBUGACWooAgBBA3RqIQ0gBUHACWooAgBBA3QiBCMRaiEIIxIgBGohBCAFQYAKaigCACEJRAAAAAAAAPA/RAAAAAAAAPA/IAcgCkdBACABGwR8IAdBA3RBwApqKwMABUQAAAAAAAAAAAsiEqGjIRMjFCAHQQJ0QcAJaigCAEEDdGohC0EAIQYDQCADIAZKBEAgDCACIAZsQQN0aiEPIA0gBkEDdGorAwAhEEEAIQUDQCACIAVKBEAgECAPIAVBA3QiDmorAwAgACAOaisDAKKgIRAgBUEBaiEFDAELCyAGQQN0IgUgCGogEDkDACAHIApGBEAgCUEFRgRAIAQgBWogEDkDAAUgA0EBRgRAIAQgBkEDdGpEAAAAAAAA8D8gEJoQPEQAAAAAAADwP6CjOQMACwsFIBJEAAAAAAAAAABkBEAjJyIFIAVBDXRzIgUgBUERdnMiBSAFQQV0cyIFJCcgBkEDdCIOIAtqRAAAAAAAAAAAIBMgEiAFuEQAAOD////vQaNkGyIROQMAIAQgDmogCSAQED8gEaI5AwAFIAZBA3QiBSALakQAAAAAAADwPzkDACAEIAVqIAkgEBA/OQMACwsgBkEBaiEGDAELCyAHIApGIANBAUpxIAlBBUdxBEAgCCsDACERQQEhAANAIAAgA0gEQCAIIABBA3RqKwMAIBGlIREgAEEBaiEADAELC0QAAAAAAAAAACEQQQAhAANAIAAgA0gEQCAAQQN0IgIgCGorAwAgEaEQPCESIAIgBGogEjkDACAQIBKgIRAgAEEBaiEADAELC0EAIQADQCAAIANIBEAgBCAAQQN0aiICIAIrAwAgEKM5AwAgAEEBaiEADAELCwsgBCEAIAMhAiAHQQFqIQcMAQsLIAArAwAL+AwDBX4Dfwl8IAGZRAAAAAAAAABAZQRAIAFEAAAAAAAAAEBhBEAgACAAog8LIAFEAAAAAAAA4D9hBEAgAJ+ZRAAAAAAAAPB/IABEAAAAAAAA8P9iGw8LIAFEAAAAAAAA8L9hBEBEAAAAAAAA8D8gAKMPCyABRAAAAAAAAPA/YQRAIAAPCyABRAAAAAAAAAAAYQRARAAAAAAAAPA/DwsLAnwgAb0iBUI0iCEEIAC9IgJCNIgiA0IBfUL+D1oEf0EBBSAEQv8Pg0K+B31CgAFaCwRAIAVCAYYiBkIBfUL/////////b1oEQEQAAAAAAADwPyAGUA0CGkQAAAAAAAD4fyACQoCAgICAgID4P1ENAhogACABoCAGQoCAgICAgIBwViACQgGGIgJCgICAgICAgHBWcg0CGkQAAAAAAAD4fyACQoCAgICAgIDw/wBRDQIaRAAAAAAAAAAAIAVCP4hQIAJCgICAgICAgPD/AFRGDQIaIAEgAaIMAgsgAkIBhkIBfUL/////////b1oEQEQAAAAAAADwPyAAIACiIgCaIAAgAkI/iKcEfwJ/QQAgBUI0iEL/D4MiAkL/B1QNABpBAiACQrMIVg0AGkEAIAVCAUKzCCACfYYiAkIBfYNCAFINABpBASACIAWDQgBSDQAaQQILQQFGBUEACxsiAKMgACAFQgBTGwwCCyACQgBTBEACf0EAIAVCNIhC/w+DIgZC/wdUDQAaQQIgBkKzCFYNABpBACAFQgFCswggBn2GIgZCAX2DQgBSDQAaQQEgBSAGg0IAUg0AGkECCyIHRQRAIAAgAKEiACAAowwDCyADQv8PgyEDQYCAEEEAIAdBAUYbIQggAkL///////////8AgyECCyAEQv8PgyIGQr4HfUKAAVoEQEQAAAAAAADwPyACQoCAgICAgID4P1ENAhpEAAAAAAAA8D8gBkK+B1QNAhpEAAAAAAAA8H9EAAAAAAAAAAAgBEKAEFQgAkKAgICAgICA+D9WRhsMAgsgA1AEQCAARAAAAAAAADBDor1C////////////AINCgICAgICAgKADfSECCwsgAiACQoCAgIDQqqXzP30iAkKAgICAgICAeIN9IgNCgICAgAh8QoCAgIBwg78iCiACQi2IQv8Ag6dBBXRBwBtqIgcrAwAiC6JEAAAAAAAA8L+gIQwgAkI0h7kiDkQAOPr+Qi7mP6IgBysDEKAiACAMIAO/IAqhIAuiIgqgIg+gIRAgDyAPRAAAAAAAAOC/oiILoiERIBAgDCAMRAAAAAAAAOC/oiISoiIMoCINIA0gDkQwZ8eTV/MuPaIgBysDGKAgACAQoSAPoKAgCiALIBKgoqAgECANoSAMoKAgDyARoiAPRAYAAAAAAOA/okRgVVVVVVXlv6AgESAPRHqkKVVVVeW/okROVVmZmZnpP6AgESAPRMM/JosrAPA/okTpRUibW0nyv6CioKKgoqAiAKAiCqEgAKAkNAJ8IAVCgICAQIO/IgAgCr1CgICAQIO/IguiIgy9IgJCNIinQf8PcSIHQckHayIJQT9PBEBEAAAAAAAA8L9EAAAAAAAA8D8gCBsgCUGAgICAeE8NARpEAAAAAAAAAIBEAAAAAAAAAAAgCBtEAAAAAAAA8P9EAAAAAAAA8H8gCBsgAkIAUxsgB0GJCE8NARpBACEHCyAMRP6CK2VHFWdAokQAAAAAAAA4Q6AiDb0iAkL/AINCAYanQQN0QcALaiIJKQMIIAIgCK18Qi2GfCEDIAwgDUQAAAAAAAA4w6AiDEQAAPr+Qi52v6KgIAxEOjuevJr3DL2ioCABIAChIAuiIAEgCiALoSM0oKKgoCIAIACiIQEgCSsDACAAoCABIABEPFRVVVVVxT+iRL39/////98/oKKgIAEgAaIgAEQX0KRnERGBP6JEkSsXz1VVpT+goqAhACAHRQRAAnwgAkKAgICACINQBEAgA0KAgICAgICAiD99vyIBIAEgAKKgRAAAAAAAAAB/ogwBCyADQoCAgICAgIDwP3wiAr8iASAAoiEAIAEgAKAiCplEAAAAAAAA8D9jBHxEAAAAAAAA8D8gCqYiCyAKoCIMIAsgDKEgCqAgASAKoSAAoKCgIAuhIgBEAAAAAAAAAABhBHwgAkKAgICAgICAgIB/g78FIAALBSAKC0QAAAAAAAAQAKILDAELIAO/IgEgASAAoqALCwvTBAMCfgJ/A3wCfCAAvSIBQoCAgICAgID3P31CgICAgICgwgFUBEAgAEQAAAAAAADwv6AiACAAoiIFIACiIgYgAETL/f/////Pv6JEd1VVVVVV1T+gIAVEDN2VmZmZyT+ioCAGIABEMN5EoyRJwj+iRKdFZ1VVVcW/oCAFRGU9QqT//7+/oqAgBiAARP9osEPrmbm/okTK1ioohHG8P6AgBUSF0K/3goG3P6KgIAZEzUXRdRNStb+ioKKgoqCiIAAgACAAIABEAAAAAAAAoEGiIgWgIAWhIgUgBaJEAAAAAAAA4L+iIgagIgehIAagIAAgBaFEAAAAAAAA4L+iIAUgAKCioKAgB6AMAQsgAUIwiKciA0EQa0Hg/wFPBEBEAAAAAAAA8L8gACAAoqMgAUIBhlANARogACABQoCAgICAgID4/wBRDQEaQQEgA0Hw/wFxQfD/AUYgA0GAgAJxGwRAIAAgAKEiACAAowwCCyAARAAAAAAAADBDor1CgICAgICAgKADfSEBCyABQoCAgICAgIDzP30iAkItiEL/AIOnQQR0IgNBwDtqIQQgAkI0h7kiAEQAOPr+Qi7mP6IgBCsDCKAiBSABIAJCgICAgICAgHiDfb8gA0HAywBqIgMrAwChIAMrAwihIAQrAwCiIgagIQcgBSAHoSAGoCAARDBnx5NX8y49oqAgBiAGoiIARAEAAAAAAOC/oqAgBiAAoiAGRJBF6////8+/okRbMFFVVVXVP6AgACAGRJ/IBuV1VcW/okQRAfEks5nJP6CioKKgIAegCwvJAwIBfwJ8IylBAkYiAiMpQQNGcgRAIAErAwAgAKEhACACBEAgACAAog8LIACZIgMjLWUEfCAARAAAAAAAAOA/oiAAogUjLSADIy1EAAAAAAAA4D+ioaILDwsjAkEBSgRAIAEgAPwCQQN0aisDAET3///////vP6REFlbnnq8D0jylIQMjKUEBRgR8RAAAAAAAAPA/IAOhIywQQQVEAAAAAAAA8D8LIQQCfCMCQQFKBEAjKyAA/AJBA3RqKwMADAELIypEAAAAAAAA8D8gAEQAAAAAAADgP2QbC5ogBKIgAxBCog8LIAErAwBE9///////7z+kRBZW556vA9I8pSEDIylBAUYEQCADRAAAAAAAAPA/IAOhIABEAAAAAAAA4D9kGyEDAnwjAkEBSgRAIysgAPwCQQN0aisDAAwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwuaRAAAAAAAAPA/IAOhIywQQaIgAxBCog8LIAAgAxBCokQAAAAAAADwPyAAoUQAAAAAAADwPyADoRBCoqCaIQMCfCMCQQFKBEAjKyAA/AJBA3RqKwMADAELIypEAAAAAAAA8D8gAEQAAAAAAADgP2QbCyADogueBAIEfwN8IxMjAEECdEG8CWooAgBBA3RqIQMjKUECRiIEIylBA0ZyBEAgASsDACAAoSEAIAMgBAR8IAAgAKAFIy2aIAAjLaSlCzkDAA8LIwJBAUYEQCADAnwgASsDACEGIylBAUYEQEQAAAAAAADwPyAGRPf//////+8/pEQWVueerwPSPKUiBkQAAAAAAADwPyAGoSAARAAAAAAAAOA/ZCIBGyIHoSIIIywQQSEGIywgBqIgB6IgBxBCoiAGIAiioSEGAnwjAkEBSgRAIysgAPwCQQN0aisDAAwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwsgBiAGmiABG6IMAQsCfCMCQQFKBEAjKyAA/AJBA3RqKwMADAELIypEAAAAAAAA8D8gAEQAAAAAAADgP2QbCyAGIAChogs5AwAPCyABIAD8AiIFQQN0aisDAET3///////vP6REFlbnnq8D0jylIQYjKUEBRgR8IyxEAAAAAAAA8D8gBqEiByMsRAAAAAAAAPC/oBBBoiAGoiAGEEKiIAcjLBBBoQVEAAAAAAAA8L8LAnwjAkEBSgRAIysgAPwCQQN0aisDAAwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwuiIQADQCACIwJIBEAgAkEDdCIEIANqIABEAAAAAAAA8D9EAAAAAAAAAAAgAiAFRhsgASAEaisDAKGiOQMAIAJBAWohAgwBCwsLkAcCDn8DfCMAQQFrIQQDQCAEQQBKBEACQCAEQQJ0IgFBgAhqKAIAIQYgASgC/AchBSAEQQFGBH8gAAUjEiAEQQJ0QbwJaigCAEEDdGoLIQEjEyAEQQJ0IgJBwAlqKAIAQQN0aiEHIwkgAkHACGooAgBBA3RqIQgjCSACQYAJaigCAEEDdGohCUEAIQIDQCACIAZIBEAgByACQQN0aisDACIPRAAAAAAAAAAAYgRAIAggAiAFbEEDdGohCkEAIQMDQCADIAVIBEAgCiADQQN0IgtqIgwgDCsDACAPIAEgC2orAwCioDkDACADQQFqIQMMAQsLIAkgAkEDdGoiAyADKwMAIA+gOQMACyACQQFqIQIMAQsLIARBAUYNACMGIARBAnQiAUHACGooAgBBA3RqIQkgAUG8CWooAgBBA3QiAiMRaiEKIxQgAmohCyABQfwJaigCACEMIxMgAmoiAUEAIAVBA3T8CwBBACECA0AgAiAGSARAIAkgAiAFbEEDdGohDSAHIAJBA3RqKwMAIQ9BACEDA0AgAyAFSARAIANBA3QiCCABaiIOIA4rAwAgDyAIIA1qKwMAoqA5AwAgA0EBaiEDDAELCyACQQFqIQIMAQsLQQAhAgNAIAIgBUgEQAJAIAxFIAogAkEDdCIDaisDACIRRAAAAAAAAAAAZXEgAyALaisDACIQRAAAAAAAAAAAYXIEQCABIANqRAAAAAAAAAAAOQMADAELIAEgAkEDdGorAwAhDyAMBEAgDwJ8AkACQAJAAkACQAJAIAxBAWsOBQABAgMEBQtEAAAAAAAA8D8gERA+Ig8gD6KhDAULRAAAAAAAAPA/RHsUrkfheoQ/IBFEAAAAAAAAAABkGwwECyARRAAAAAAAAAAAZAR8RAAAAAAAAPA/BSAREDwLDAMLIBEgEUT3AUht4uSmP6IgEaIgEaKgRFE21DNFiOk/ohA+Ig9EAAAAAAAA8D+gRAAAAAAAAOA/oiARRAAAAAAAAOA/okQAAAAAAADwPyAPIA+ioaJEUTbUM0WI6T+iIBFEeQH20akrwT+iIBGiRAAAAAAAAPA/oKKgDAILRAAAAAAAAPA/DAELRAAAAAAAAPA/RAAAAAAAAAAAIBFEAAAAAAAAAABkGwuiIQ8LIAEgAkEDdGogDyAQoiAPIBBEAAAAAAAA8D9iGzkDAAsgAkEBaiECDAELCyAEQQFrIQQMAgsLCwvvBgIEfwV8AkAjMUQAAAAAAAAAAGUNAANAIAUjBEgEQCAJIwkgBUEDdGorAwAiCSAJoqAhCSAFQQFqIQUMAQsLIAmfIAC3oyIJIzFkRSAJIAmhRAAAAAAAAAAAYnINACMxIAmjIQlBACEFA0AgBSMESARAIwkgBUEDdGoiBiAGKwMAIAmiOQMAIAVBAWohBQwBCwsLIyhEAAAAAAAAAABlRQRARAAAAAAAAPA/IAEjKKKhIQlBASEFA0AgBSMASARAIAVBAnQiBkGACWooAgAhCCAGQcAIaigCACEGA0AgBiAISARAIwYgBkEDdGoiByAHKwMAIAmiOQMAIAZBAWohBgwBCwsgBUEBaiEFDAELCwsCQAJAAkACQAJAIy5BAWsOAwABAgMLRAAAAAAAAPA/IAC3oyECQQAhAANAIAAjBEgEQCMvIABBA3QiBSMHaiIGKwMAoiMJIAVqKwMAIAKioCEDIAYgAzkDACMGIAVqIgUgBSsDACABIAOioTkDACAAQQFqIQAMAQsLDAMLRAAAAAAAAPA/IAC3oyECRAAAAAAAAPA/IzChIQNBACEAA0AgACMESARAIABBA3QiBSMIaiIGIzAgBisDAKIgAyMJIAVqKwMAIAKiIgmiIAmioCIKOQMAIwYgBWoiBSAFKwMAIAEgCaIgCp8gBKCjoTkDACAAQQFqIQAMAQsLDAILRAAAAAAAAPA/IAC3oyECQQAhAANAIAAjBEgEQCAAQQN0IgUjCGoiBiAGKwMAIwkgBWorAwAgAqIiAyADoqAiCTkDACMGIAVqIgUgBSsDACABIAOiIAmfIASgo6E5AwAgAEEBaiEADAELCwwBCyMZQQFqJBlEAAAAAAAA8D8gALejIQlEAAAAAAAA8D8gAiMZtxBBoSEKIAFEAAAAAAAA8D8gAyMZtxBBoZ+iIApEEeotgZmXcT0gCkQR6i2BmZdxPWQboyEKRAAAAAAAAPA/IAKhIQtEAAAAAAAA8D8gA6EhDEEAIQADQCAAIwRIBEAgAiAAQQN0IgUjB2oiBisDAKIgCyMJIAVqKwMAIAmiIg2ioCEBIAMjCCAFaiIHKwMAoiAMIA2iIA2ioCENIAYgATkDACAHIA05AwAjBiAFaiIFIAUrAwAgCiABIA2fIASgo6KhOQMAIABBAWohAAwBCwsLC8sDAgh/BHwDQCMdIwNIIAEgCkpxBEAjHSIHIABqIgYjA0oEQCMDIQYLIAYgB2shCyMJQQAjBEEDdPwLAEQAAAAAAAAAACEPRAAAAAAAAAAAIQ5EAAAAAAAAAAAhEANAIAYgB0oEQCMMIxAgB0ECdGooAgAiCEEDdGorAwAhESMLIAgjAWxBA3RqIgxBARBAGiAPIBEjEiMAQQJ0QbwJaigCAEEDdGoiDRBDoCEPIA5EAAAAAAAA8D+gIA4Cf0EAIylBA0YjKUECRnINABojAkEBSgRAQQAhCUEBIQgDQCAIIwJIBEAgCCAJIA0gCEEDdGorAwAgDSAJQQN0aisDAGQbIQkgCEEBaiEIDAELCyAR/AIgCUYMAQtEAAAAAAAA8D9EAAAAAAAAAAAgDSsDAEQAAAAAAADgP2QbIBFhCxshDiAQIA0rAwAgEaGZoCEQIBEgDRBEIAwQRSAHQQFqIQcMAQsLIAsgAiADIAQgBRBGIx4gDyALtyIPo6AkHiMfIA4gD6OgJB8jICAQIA+joCQgIyFBAWokISAGJB0gCkEBaiEKDAELCyMdIwNIBEBBAA8LIx4jIbciAqMkGiMfIAKjJBsjICACoyQcQQELUwIBfAF/Ix4iACAAoUQAAAAAAAAAAGIEQEEADwsDQCABIwRIBEAjBiABQQN0aisDACIAIAChRAAAAAAAAAAAYgRAQQAPCyABQQFqIQEMAQsLQQELpwEBBH8jA0EBayEFA0AgBUEASgRAIyciBkENdCAGcyIGQRF2IAZzIgZBBXQgBnMiByQnIxAgBUECdGoiCCgCACEGIAgjECAHIAVBAWpwQQJ0aiIHKAIANgIAIAcgBjYCACAFQQFrIQUMAQsLQQAkHUQAAAAAAAAAACQeRAAAAAAAAAAAJB9EAAAAAAAAAAAkIEEAJCEgAEH/////ByABIAIgAyAEEEcaC4cBAQN/IwFBA3QhBCMCQQFGBEADQCACIANKBEAgASADQQN0aiAAIAMgBGxqQQAQQDkDACADQQFqIQMMAQsLDwsjAkEDdCEFA0AgAiADSgRAIAAgAyAEbGpBABBAGiABIAMgBWxqIxIjAEECdEG8CWooAgBBA3RqIAX8CgAAIANBAWohAwwBCwsLjAICBHwEfyMNIw8jIhBKA0AgBSMiSARAIAEjDiAFQQN0aisDACIDIw8gBSMCbEEDdGoiBhBDoCEBIABEAAAAAAAA8D+gIAACf0EAIylBA0YjKUECRnINABojAkEBSgRAQQAhB0EBIQQDQCAEIwJIBEAgBCAHIAYgBEEDdGorAwAgBiAHQQN0aisDAGQbIQcgBEEBaiEEDAELCyAD/AIgB0YMAQtEAAAAAAAA8D9EAAAAAAAAAAAgBisDAEQAAAAAAADgP2QbIANhCxshACACIAYrAwAgA6GZoCECIAVBAWohBQwBCwsgASMit0QAAAAAAADwPyMiQQBKGyIBoyQkIAAgAaMkJSACIAGjJCYLDwAjCiMGIwRBA3T8CgAACw8AIwYjCiMEQQN0/AoAAAsIACMVQQAQQAubAQEDfyAAIxhMBEAPCyMyQcDbACMyG0EPakFwcSIBIAAjAWxBA3RqIgI/AEEQdCIDSwRAIAIgA2tB//8DakEQdkAAQQBIBEAACwsgAiQyIAEkFiMyQcDbACMyG0EPakFwcSIBIAAjAmxBA3RqIgI/AEEQdCIDSwRAIAIgA2tB//8DakEQdkAAQQBIBEAACwsgAiQyIAEkFyAAJBgLDwAjFSAAQQN0aiABOQMACwMAAQsKAEEAJClBACQuCwvUTIQBAEHOCwvyD/A/br+IGk87mzw1M/upPfbvP13c2JwTYHG8YYB3Pprs7z/RZocQel6QvIV/bugV4+8/E/ZnNVLSjDx0hRXTsNnvP/qO+SOAzou83vbdKWvQ7z9hyOZhTvdgPMibdRhFx+8/mdMzW+SjkDyD88bKPr7vP217g12mmpc8D4n5bFi17z/87/2SGrWOPPdHciuSrO8/0ZwvcD2+Pjyi0dMy7KPvPwtukIk0A2q8G9P+r2ab7z8OvS8qUlaVvFFbEtABk+8/VepOjO+AULzMMWzAvYrvPxb01bkjyZG84C2prpqC7z+vVVzp49OAPFGOpciYeu8/SJOl6hUbgLx7UX08uHLvPz0y3lXwH4+86o2MOPlq7z+/UxM/jImLPHXLb+tbY+8/JusRdpzZlrzUXASE4FvvP2AvOj737Jo8qrloMYdU7z+dOIbLguePvB3Z/CJQTe8/jcOmREFvijzWjGKIO0bvP30E5LAFeoA8ltx9kUk/7z+UqKjj/Y6WPDhidW56OO8/fUh08hhehzw/prJPzjHvP/LnH5grR4A83XziZUUr7z9eCHE/e7iWvIFj9eHfJO8/MasJbeH3gjzh3h/1nR7vP/q/bxqbIT28kNna0H8Y7z+0CgxygjeLPAsD5KaFEu8/j8vOiZIUbjxWLz6prwzvP7arsE11TYM8FbcxCv4G7z9MdKziAUKGPDHYTPxwAe8/SvjTXTndjzz/FmSyCPzuPwRbjjuAo4a88Z+SX8X27j9oUEvM7UqSvMupOjen8e4/ji1RG/gHmbxm2AVtruzuP9I2lD7o0XG895/lNNvn7j8VG86zGRmZvOWoE8Mt4+4/bUwqp0ifhTwiNBJMpt7uP4ppKHpgEpO8HICsBEXa7j9biRdIj6dYvCou9yEK1u4/G5pJZ5ssfLyXqFDZ9dHuPxGswmDtY0M8LYlhYAjO7j/vZAY7CWaWPFcAHe1Byu4/eQOh2uHMbjzQPMG1osbuPzASDz+O/5M83tPX8CrD7j+wr3q7zpB2PCcqNtXav+4/d+BU670dkzwN3f2ZsrzuP46jcQA0lI+8pyyddrK57j9Jo5PczN6HvEJmz6Latu4/XzgPvcbeeLyCT51WK7TuP/Zce+xGEoa8D5JdyqSx7j+O1/0YBTWTPNontTZHr+4/BZuKL7eYezz9x5fUEq3uPwlUHOLhY5A8KVRI3Qer7j/qxhlQhcc0PLdGWYomqe4/NcBkK+YylDxIIa0Vb6fuP592mWFK5Iy8Cdx2ueGl7j+oTe87xTOMvIVVOrB+pO4/rukriXhThLwgw8w0RqPuP1hYVnjdzpO8JSJVgjii7j9kGX6AqhBXPHOpTNRVoe4/KCJev++zk7zNO39mnqDuP4K5NIetEmq8v9oLdRKg7j/uqW2472djvC8aZTyyn+4/UYjgVD3cgLyElFH5fZ/uP88+Wn5kH3i8dF/s6HWf7j+wfYvASu6GvHSBpUian+4/iuZVHjIZhrzJZ0JW65/uP9PUCV7LnJA8P13eT2mg7j8dpU253DJ7vIcB63MUoe4/a8BnVP3slDwywTAB7aHuP1Vs1qvh62U8Yk7PNvOi7j9Cz7MvxaGIvBIaPlQnpO4/NDc78bZpk7wTzkyZiaXuPx7/GTqEXoC8rccjRhqn7j9uV3LYUNSUvO2SRJvZqO4/AIoOW2etkDyZZorZx6ruP7Tq8MEvt40826AqQuWs7j//58WcYLZlvIxEtRYyr+4/RF/zWYP2ezw2dxWZrrHuP4M9HqcfCZO8xv+RC1u07j8pHmyLuKldvOXFzbA3t+4/WbmQfPkjbLwPUsjLRLruP6r59CJDQ5K8UE7en4K97j9LjmbXbMqFvLoHynDxwO4/J86RK/yvcTyQ8KOCkcTuP7tzCuE10m08IyPjGWPI7j9jImIiBMWHvGXlXXtmzO4/1THi44YcizwzLUrsm9DuPxW7vNPRu5G8XSU+sgPV7j/SMe6cMcyQPFizMBOe2e4/s1pzboRphDy//XlVa97uP7SdjpfN34K8evPTv2vj7j+HM8uSdxqMPK3TWpmf6O4/+tnRSo97kLxmto0pB+7uP7qu3FbZw1W8+xVPuKLz7j9A9qY9DqSQvDpZ5Y1y+e4/NJOtOPTWaLxHXvvydv/uPzWKWGvi7pG8SgahMLAF7z/N3V8K1/90PNLBS5AeDO8/rJiS+vu9kbwJHtdbwhLvP7MMrzCubnM8nFKF3ZsZ7z+U/Z9cMuOOPHrQ/1+rIO8/rFkJ0Y/ghDxL0Vcu8SfvP2caTjivzWM8tecGlG0v7z9oGZJsLGtnPGmQ79wgN+8/0rXMgxiKgLz6w11VCz/vP2/6/z9drY+8fIkHSi1H7z9JqXU4rg2QvPKJDQiHT+8/pwc9poWjdDyHpPvcGFjvPw8iQCCekYK8mIPJFuNg7z+sksHVUFqOPIUy2wPmae8/S2sBrFk6hDxgtAHzIXPvPx8+tAch1YK8X5t7M5d87z/JDUc7uSqJvCmh9RRGhu8/04g6YAS2dDz2P4vnLpDvP3FynVHsxYM8g0zH+1Ga7z/wkdOPEvePvNqQpKKvpO8/fXQj4piujbzxZ44tSK/vPwggqkG8w448J1ph7hu67z8y66nDlCuEPJe6azcrxe8/7oXRMalkijxARW5bdtDvP+3jO+S6N468FL6crf3b7z+dzZFNO4l3PNiQnoHB5+8/icxgQcEFUzzxcY8rwvPvPwBBxRsLA6D2PwBB0RsLF8i58oIs1r+AVjcoJLT6PAAAAAAAgPY/AEHxGwsXCFi/vdHVvyD34NgIpRy9AAAAAABg9j8AQZEcCxdYRRd3dtW/bVC21aRiI70AAAAAAED2PwBBsRwLF/gth60a1b/VZ7Ce5ITmvAAAAAAAIPY/AEHRHAsXeHeVX77Uv+A+KZNpGwS9AAAAAAAA9j8AQfEcCxdgHMKLYdS/zIRMSC/YEz0AAAAAAOD1PwBBkR0LF6iGhjAE1L86C4Lt80LcPAAAAAAAwPU/AEGxHQsXSGlVTKbTv2CUUYbGsSA9AAAAAACg9T8AQdEdCxeAmJrdR9O/koDF1E1ZJT0AAAAAAID1PwBB8R0LFyDhuuLo0r/YK7eZHnsmPQAAAAAAYPU/AEGRHgsXiN4TWonSvz+wz7YUyhU9AAAAAABg9T8AQbEeCxeI3hNaidK/P7DPthTKFT0AAAAAAED1PwBB0R4LF3jP+0Ep0r922lMoJFoWvQAAAAAAIPU/AEHxHgsXmGnBmMjRvwRU52i8rx+9AAAAAAAA9T8AQZEfCxeoq6tcZ9G/8KiCM8YfHz0AAAAAAOD0PwBBsR8LF0iu+YsF0b9mWgX9xKgmvQAAAAAAwPQ/AEHRHwsXkHPiJKPQvw4D9H7uawy9AAAAAACg9D8AQfEfCxfQtJQlQNC/fy30nrg28LwAAAAAAKD0PwBBkSALF9C0lCVA0L9/LfSeuDbwvAAAAAAAgPQ/AEGxIAsXQF5tGLnPv4c8masqVw09AAAAAABg9D8AQdEgCxdg3Mut8M6/JK+GnLcmKz0AAAAAAED0PwBB8SALF/Aqbgcnzr8Q/z9UTy8XvQAAAAAAIPQ/AEGRIQsXwE9rIVzNvxtoyruRuiE9AAAAAAAA9D8AQbEhCxegmsf3j8y/NISfaE95Jz0AAAAAAAD0PwBB0SELF6Cax/ePzL80hJ9oT3knPQAAAAAA4PM/AEHxIQsXkC10hsLLv4+3izGwThk9AAAAAADA8z8AQZEiCxfAgE7J88q/ZpDNP2NOujwAAAAAAKDzPwBBsSILF7DiH7wjyr/qwUbcZIwlvQAAAAAAoPM/AEHRIgsXsOIfvCPKv+rBRtxkjCW9AAAAAACA8z8AQfEiCxdQ9JxaUsm/49TBBNnRKr0AAAAAAGDzPwBBkSMLF9AgZaB/yL8J+tt/v70rPQAAAAAAQPM/AEGxIwsX4BACiavHv1hKU3KQ2ys9AAAAAABA8z8AQdEjCxfgEAKJq8e/WEpTcpDbKz0AAAAAACDzPwBB8SMLF9AZ5w/Wxr9m4rKjauQQvQAAAAAAAPM/AEGRJAsXkKdwMP/FvzlQEJ9Dnh69AAAAAAAA8z8AQbEkCxeQp3Aw/8W/OVAQn0OeHr0AAAAAAODyPwBB0SQLF7Ch4+Umxb+PWweQi94gvQAAAAAAwPI/AEHxJAsXgMtsK03Evzx4NWHBDBc9AAAAAADA8j8AQZElCxeAy2wrTcS/PHg1YcEMFz0AAAAAAKDyPwBBsSULF5AeIPxxw786VCdNhnjxPAAAAAAAgPI/AEHRJQsX8B/4UpXCvwjEcRcwjSS9AAAAAABg8j8AQfElCxdgL9Uqt8G/lqMRGKSALr0AAAAAAGDyPwBBkSYLF2Av1Sq3wb+WoxEYpIAuvQAAAAAAQPI/AEGxJgsXkNB8ftfAv/Rb6IiWaQo9AAAAAABA8j8AQdEmCxeQ0Hx+18C/9FvoiJZpCj0AAAAAACDyPwBB8SYLF+DbMZHsv7/yM6NcVHUlvQAAAAAAAPI/AEGSJwsWK24HJ76/PADwKiw0Kj0AAAAAAADyPwBBsicLFituBye+vzwA8CosNCo9AAAAAADg8T8AQdEnCxfAW49UXry/Br5fWFcMHb0AAAAAAMDxPwBB8ScLF+BKOm2Sur/IqlvoNTklPQAAAAAAwPE/AEGRKAsX4Eo6bZK6v8iqW+g1OSU9AAAAAACg8T8AQbEoCxegMdZFw7i/aFYvTSl8Ez0AAAAAAKDxPwBB0SgLF6Ax1kXDuL9oVi9NKXwTPQAAAAAAgPE/AEHxKAsXYOWK0vC2v9pzM8k3lya9AAAAAABg8T8AQZEpCxcgBj8HG7W/V17GYVsCHz0AAAAAAGDxPwBBsSkLFyAGPwcbtb9XXsZhWwIfPQAAAAAAQPE/AEHRKQsX4BuW10Gzv98T+czaXiw9AAAAAABA8T8AQfEpCxfgG5bXQbO/3xP5zNpeLD0AAAAAACDxPwBBkSoLF4Cj7jZlsb8Jo492XnwUPQAAAAAAAPE/AEGxKgsXgBHAMAqvv5GONoOeWS09AAAAAAAA8T8AQdEqCxeAEcAwCq+/kY42g55ZLT0AAAAAAODwPwBB8SoLF4AZcd1Cq79McNbleoIcPQAAAAAA4PA/AEGRKwsXgBlx3UKrv0xw1uV6ghw9AAAAAADA8D8AQbErCxfAMvZYdKe/7qHyNEb8LL0AAAAAAMDwPwBB0SsLF8Ay9lh0p7/uofI0RvwsvQAAAAAAoPA/AEHxKwsXwP65h56jv6r+JvW3AvU8AAAAAACg8D8AQZEsCxfA/rmHnqO/qv4m9bcC9TwAAAAAAIDwPwBBsiwLFngOm4Kfv+QJfnwmgCm9AAAAAACA8D8AQdIsCxZ4DpuCn7/kCX58JoApvQAAAAAAYPA/AEHxLAsXgNUHG7mXvzmm+pNUjSi9AAAAAABA8D8AQZItCxb8sKjAj7+cptP2fB7fvAAAAAAAQPA/AEGyLQsW/LCowI+/nKbT9nwe37wAAAAAACDwPwBB0i0LFhBrKuB/v+RA2g0/4hm9AAAAAAAg8D8AQfItCxYQayrgf7/kQNoNP+IZvQAAAAAAAPA/AEGmLgsC8D8AQcUuCwPA7z8AQdIuCxaJdRUQgD/oK52Za8cQvQAAAAAAgO8/AEHxLgsXgJNYViCQP9L34gZb3CO9AAAAAABA7z8AQZIvCxbJKCVJmD80DFoyuqAqvQAAAAAAAO8/AEGxLwsXQOeJXUGgP1PX8VzAEQE9AAAAAADA7j8AQdIvCxYu1K5mpD8o/b11cxYsvQAAAAAAgO4/AEHxLwsXwJ8UqpSoP30mWtCVeRm9AAAAAABA7j8AQZEwCxfA3c1zy6w/ByjYR/JoGr0AAAAAACDuPwBBsTALF8AGwDHqrj97O8lPPhEOvQAAAAAA4O0/AEHRMAsXYEbRO5exP5ueDVZdMiW9AAAAAACg7T8AQfEwCxfg0af1vbM/107bpV7ILD0AAAAAAGDtPwBBkTELF6CXTVrptT8eHV08BmksvQAAAAAAQO0/AEGxMQsXwOoK0wC3PzLtnamNHuw8AAAAAAAA7T8AQdExCxdAWV1eM7k/2ke9OlwRIz0AAAAAAMDsPwBB8TELF2Ctjchquz/laPcrgJATvQAAAAAAoOw/AEGRMgsXQLwBWIi8P9OsWsbRRiY9AAAAAABg7D8AQbEyCxcgCoM5x74/4EXmr2jALb0AAAAAAEDsPwBB0TILF+DbOZHovz/9CqFP1jQlvQAAAAAAAOw/AEHxMgsX4CeCjhfBP/IHLc547yE9AAAAAADg6z8AQZEzCxfwI34rqsE/NJk4RI6nLD0AAAAAAKDrPwBBsTMLF4CGDGHRwj+htIHLbJ0DPQAAAAAAgOs/AEHRMwsXkBWw/GXDP4lySyOoL8Y8AAAAAABA6z8AQfEzCxewM4M9kcQ/eLb9VHmDJT0AAAAAACDrPwBBkTQLF7Ch5OUnxT/HfWnl6DMmPQAAAAAA4Oo/AEGxNAsXEIy+TlfGP3guPCyLzxk9AAAAAADA6j8AQdE0CxdwdYsS8MY/4SGc5Y0RJb0AAAAAAKDqPwBB8TQLF1BEhY2Jxz8FQ5FwEGYcvQAAAAAAYOo/AEGSNQsWOeuvvsg/0SzpqlQ9B70AAAAAAEDqPwBBsjULFvfcWlrJP2//oFgo8gc9AAAAAAAA6j8AQdE1Cxfgijztk8o/aSFWUENyKL0AAAAAAODpPwBB8TULF9BbV9gxyz+q4axOjTUMvQAAAAAAwOk/AEGRNgsX4Ds4h9DLP7YSVFnESy29AAAAAACg6T8AQbE2CxcQ8Mb7b8w/0iuWxXLs8bwAAAAAAGDpPwBB0TYLF5DUsD2xzT81sBX3Kv8qvQAAAAAAQOk/AEHxNgsXEOf/DlPOPzD0QWAnEsI8AAAAAAAg6T8AQZI3Cxbd5K31zj8RjrtlFSHKvAAAAAAAAOk/AEGxNwsXsLNsHJnPPzDfDMrsyxs9AAAAAADA6D8AQdE3CxdYTWA4cdA/kU7tFtuc+DwAAAAAAKDoPwBB8TcLF2BhZy3E0D/p6jwWixgnPQAAAAAAgOg/AEGROAsX6CeCjhfRPxzwpWMOISy9AAAAAABg6D8AQbE4Cxf4rMtca9E/gRal982aKz0AAAAAAEDoPwBB0TgLF2haY5m/0T+3vUdR7aYsPQAAAAAAIOg/AEHxOAsXuA5tRRTSP+q6Rrrehwo9AAAAAADg5z8AQZE5CxeQ3HzwvtI/9ARQSvqcKj0AAAAAAMDnPwBBsTkLF2DT4fEU0z+4PCHTeuIovQAAAAAAoOc/AEHROQsXEL52Z2vTP8h38bDNbhE9AAAAAACA5z8AQfE5CxcwM3dSwtM/XL0GtlQ7GD0AAAAAAGDnPwBBkToLF+jVI7QZ1D+d4JDsNuQIPQAAAAAAQOc/AEGxOgsXyHHCjXHUP3XWZwnOJy+9AAAAAAAg5z8AQdE6CxcwF57gydQ/pNgKG4kgLr0AAAAAAADnPwBB8ToLF6A4B64i1T9Zx2SBcL4uPQAAAAAA4OY/AEGROwsX0MhT93vVP+9AXe7trR89AAAAAADA5j8AQbE7Cw9gWd+91dU/3GWkCCoLCr0AQcA7C4AQn97gw/A09z8AkOZ5f8zXvx/pLGp4E/c/AAANwu5v17+gtfoIYPL2PwDgURPjE9e/fYwTH6bR9j8AeCg4W7jWv9G0xQtJsfY/AHiAkFVd1r+6DC8zR5H2PwAAGHbQAta/I0IiGJ9x9j8AkJCGyqjVv9kepZlPUvY/AFADVkNP1b/EJI+qVjP2PwBAa8M39tS/FNyda7MU9j8AUKj9p53Uv0xcxlJk9vU/AKiJOZJF1L9PLJG1Z9j1PwC4sDn07dO/3pBby7y69T8AcI9EzpbTv3ga2fJhnfU/AKC9Fx5A07+HVkYSVoD1PwCARu/i6dK/02vnzpdj9T8A4DA4G5TSv5N/p+IlR/U/AIjajMU+0r+DRQZC/yr1PwCQJynh6dG/372y2yIP9T8A+EgrbZXRv9feNEeP8/Q/APi5mmdB0b9AKN7PQ9j0PwCY75TQ7dC/yKN4wD699D8AENsYpZrQv4ol4MN/ovQ/ALhjUuZH0L80hNQkBYj0PwDwhkUi68+/Cy0ZG85t9D8AsBd1SkfPv1QYOdPZU/Q/ADAQPUSkzr9ahLREJzr0PwCw6UQNAs6/+/gVQbUg9D8A8HcpomDNv7H0PtqCB/Q/AJCVBAHAzL+P/lddj+7zPwAQiVYpIMy/6UwLoNnV8z8AEIGNF4HLvyvBEMBgvfM/ANDTzMniyr+42nUrJKXzPwCQEi5ARcq/AtCfzSKN8z8A8B1od6jJvxx6hMVbdfM/ADBIaW0Myb/iNq1Jzl3zPwDARaYgcci/QNRNmHlG8z8AMBS0j9bHvyTL/85cL/M/AHBiPLg8x79JDaF1dxjzPwBgN5uao8a/kDk+N8gB8z8AoLdUMQvGv0H4lbtO6/I/ADAkdn1zxb/RqRkCCtXyPwAwwo973MS/Kv23qPm+8j8AANJRLEbEv6sbDHocqfI/AACDvIqww78wtRRgcpPyPwAASWuZG8O/9aFXV/p98j8AQKSQVIfCv787HZuzaPI/AKB5+Lnzwb+99Y+DnVPyPwCgLCXIYMG/OwjJqrc+8j8AIPdXf87Av7ZAqSsBKvI/AKD+Sdw8wL8yQcyWeRXyPwCAS7y9V7+/m/zSHSAB8j8AQECWCDe+vwtITUn07PE/AED5PpgXvb9pZY9S9djxPwCg2E5n+bu/fH5XESPF8T8AYC8gedy6v+kmy3R8sfE/AIAo58PAub+2GiwMAZ7xPwDAcrNGpri/vXC2e7CK8T8AAKyzAY23v7a87yWKd/E/AAA4RfF0tr/aMUw1jWTxPwCAh20OXrW/3V8nkLlR8T8A4KHeXEi0v0zSMqQOP/E/AKBqTdkzs7/a+RByiyzxPwBgxfh5ILK/MbXsKDAa8T8AIGKYRg6xv680hNr7B/E/AADSamz6r7+za04P7vXwPwBAd0qN2q2/zp8qXQbk8D8AAIXk7LyrvyGlLGNE0vA/AMASQImhqb8amOJ8p8DwPwDAAjNYiKe/0TbGgy+v8D8AgNZnXnGlvzkToJjbnfA/AIBlSYpco7/f51Kvq4zwPwBAFWTjSaG/+yhOL5978D8AgOuCwHKevxmPNYy1avA/AIBSUvFVmr8s+eyl7lnwPwCAgc9iPZa/kCzRzUlJ8D8AAKqM+yiSv6mt8MbGOPA/AAD5IHsxjL+pMnkTZSjwPwAAql01GYS/SHPqJyQY8D8AAOzCAxJ4v5WxFAYECPA/AAAkeQkEYL8a+ib3H+DvPwAAkITz728/dOphwhyh7z8AAD01QdyHPy6ZgbAQY+8/AIDCxKPOkz/Nre489iXvPwAAiRTBn5s/5xORA8jp7j8AABHO2LChP6uxy3iAru4/AMAB0FuKpT+bDJ2iGnTuPwCA2ECDXKk/tZkKg5E67j8AgFfvaietP1aaYAngAe4/AMCY5Zh1sD+Yu3flAcrtPwAgDeP1U7I/A5F8C/KS7T8AADiL3S60P85c+2asXO0/AMBXh1kGtj+d3l6qLCftPwAAajV22rc/zSxrPm7y7D8AYBxOQ6u5PwJ5p6Jtvuw/AGANu8d4uz9tCDdtJovsPwAg5zITQ70/BFhdvZRY7D8AYN5xMQq/P4yfuzO1Juw/AECRKxVnwD8/5+zug/XrPwCwkoKFR8E/wZbbdf3E6z8AMMrNbibCPyhKhgweles/AFDFptcDwz8sPu/F4mXrPwAQMzzD38M/i4jJZ0g36z8AgHprNrrEP0owHSFLCes/APDRKDmTxT9+7/KF6NvqPwDwGCTNasY/oj1gMR2v6j8AkGbs+EDHP6dY0z/mguo/APAa9cAVyD+LcwnvQFfqPwCA9lQp6cg/J0urkCos6j8AQPgCNrvJP9HykxOgAeo/AAAsHO2Lyj8bPNskn9fpPwDQAVxRW8s/kLHHBSWu6T8AwLzMZynMPy/Ol/Iuhek/AGBI1TX2zD91S6TuulzpPwDARjS9wc0/OEjnncY06T8A4M+4AYzOP+ZSZy9PDek/AJAXwAlVzz+d1/+OUuboPwC4HxJsDtA/fADMn86/6D8A0JMOuHHQPw7DvtrAmeg/AHCGnmvU0D/7FyOqJ3ToPwDQSzOHNtE/CJqzrABP6D8ASCNnDZjRP1U+ZehJKug/AIDM4P/40T9gAvSVAQboPwBoY9dfWdI/KaPgYyXi5z8AqBQJMLnSP6213Hezvuc/AGBDEHIY0z/CJZdnqpvnPwAY7G0md9M/VwYX8gd55z8AMK/7T9XTPwwT1tvKVuc/AOAv4+4y1D8AQcDLAAuAEGu2TwEAEOY/PFtCkWwCfjyVtE0DADDmP0FdAEjqv408eNSUDQBQ5j+3pdaGp3+OPK1vTgcAcOY/TCVUa+r8YTyuD9/+/4/mP/0OWUwnfny8vMVjBwCw5j8B2txIaMGKvPbBXB4A0OY/EZNJnRw/gzw+9gXr/+/mP1Mt4hoEgH68gJeGDgAQ5z9SeQlxZv97PBLpZ/z/L+c/JIe9JuIAjDxqEYHf/0/nP9IB8W6RAm68kJxnDwBw5z90nFTNcfxnvDXIfvr/j+c/gwT1nsG+gTzmwiD+/6/nP2VkzCkXfnC8AMk/7f/P5z8ci3sIcoCAvHYaJun/7+c/rvmdbSjAjTzoo5wEABDoPzNM5VHSf4k8jyyTFwAw6D+B8zC26f6KvJxzMwYAUOg/vDVla7+/iTzGiUIgAHDoP3V7EfNlv4u8BHn16/+P6D9Xyz2ibgCJvN8EvCIAsOg/CkvgON8AfbyKGwzl/8/oPwWf/0ZxAIi8Q46R/P/v6D84cHrQe4GDPMdf+h4AEOk/A7TfdpE+iTy5e0YTADDpP3YCmEtOgH88bwfu5v9P6T8uYv/Z8H6PvNESPN7/b+k/ujgmlqqCcLwNikX0/4/pP++oZJEbgIe8Pi6Y3f+v6T83k1qK4ECHvGb7Se3/z+k/AOCbwQjOPzxRnPEgAPDpPwpbiCeqP4q8BrBFEQAQ6j9W2liZSP90PPr2uwcAMOo/GG0riqu+jDx5HZcQAFDqPzB5eN3K/og8SC71HQBw6j/bq9g9dkGPvFIzWRwAkOo/EnbChAK/jrxLPk8qALDqP18//zwE/Wm80R6u1//P6j+0cJAS5z6CvHgEUe7/7+o/o94O4D4GajxbDWXb/w/rP7kKHzjIBlo8V8qq/v8v6z8dPCN0HgF5vNy6ldn/T+s/nyqGaBD/ebycZZ4kAHDrPz5PhtBF/4o8QBaH+f+P6z/5w8KWd/58PE/LBNL/r+s/xCvy7if/Y7xFXEHS/8/rPyHqO+63/2y83wlj+P/v6z9cCy6XA0GBvFN2teH/D+w/GWq3lGTBizzjV/rx/y/sP+3GMI3v/mS8JOS/3P9P7D91R+y8aD+EvPe5VO3/b+w/7OBT8KN+hDzVj5nr/4/sP/GS+Y0Gg3M8miElIQCw7D8EDhhkjv1ovJxGlN3/z+w/curHHL5+jjx2xP3q/+/sP/6In605vo48K/iaFgAQ7T9xWrmokX11PB33Dw0AMO0/2sdwaZDBiTzED3nq/0/tPwz+WMU3Dli85YfcLgBw7T9ED8FN1oB/vKqC3CEAkO0/XFz9lI98dLyDAmvY/6/tP35hIcUdf4w8OUdsKQDQ7T9Tsf+yngGIPPWQROX/7+0/icxSxtIAbjyU9qvN/w/uP9JpLSBAg3+83chS2/8v7j9kCBvKwQB7PO8WQvL/T+4/UauUsKj/cjwRXoro/2/uP1m+77Fz9le8Df+eEQCQ7j8ByAtejYCEvEQXpd//r+4/tSBD1QYAeDyhfxIaANDuP5JcVmD4AlC8xLy6BwDw7j8R5jVdRECFvAKNevX/D+8/BZHvOTH7T7zHiuUeADDvP1URc/KsgYo8lDSC9f9P7z9Dx9fUQT+KPGtMqfz/b+8/dXiYHPQCYrxBxPnh/4/vP0vnd/TRfXc8fuPg0v+v7z8xo3yaGQFvvJ7kdxwA0O8/sazOS+6BcTwxw+D3/+/vP1qHcAE3BW68bmBl9P8P8D/aChxJrX6KvFh6hvP/L/A/4LL8w2l/l7wXDfz9/0/wP1uUyzT+v5c8gk3NAwBw8D/LVuTAgwCCPOjL8vn/j/A/GnU3vt//bbxl2gwBALDwP+sm5q5/P5G8ONOkAQDQ8D/3n0h5+n2APP392vr/7/A/wGvWcAUEd7yW/boLABDxP2ILbYTUgI48XfTl+v8v8T/vNv1k+r+dPNma1Q0AUPE/rlAScHcAmjyaVSEPAHDxP+7e4+L5/Y08JlQn/P+P8T9zcjvcMACRPFk8PRIAsPE/iAEDgHl/mTy3nin4/8/xP2eMn6sy+WW8ANSK9P/v8T/rW6edv3+TPKSGiwwAEPI/Ilv9kWuAnzwDQ4UDADDyPzO/n+vC/5M8hPa8//9P8j9yLi5+5wF2PNkhKfX/b/I/YQx/drv8fzw8OpMUAJDyPytBAjzKAnK8E2NVFACw8j8CH/IzgoCSvDtS/uv/z/I/8txPOH7/iLyWrbgLAPDyP8VBMFBR/4W8r+J6+/8P8z+dKF6IcQCBvH9frP7/L/M/Fbe3P13/kbxWZ6YMAFDzP72CiyKCf5U8Iff7EQBw8z/M1Q3EugCAPLkvWfn/j/M/UaeyLZ0/lLxC0t0EALDzP+E4dnBrf4U8V8my9f/P8z8xEr8QOgJ6PBi0sOr/7/M/sFKxZm1/mDz0rzIVABD0PySFGV83+Gc8KYtHFwAw9D9DUdxy5gGDPGO0lef/T/Q/WomyuGn/iTzgdQTo/2/0P1TywpuxwJW858Fv7/+P9D9yKjryCUCbPASnvuX/r/Q/RX0Nv7f/lLzeJxAXAND0Pz1q3HFkwJm84j7wDwDw9D8cU4ULiX+XPNFL3BIAEPU/NqRmcWUEYDx6JwUWADD1PwkyI87Ov5a8THDb7P9P9T/XoQUFcgKJvKlUX+//b/U/EmTJDua/mzwSEOYXAJD1P5Dvr4HFfog8kj7JAwCw9T/ADL8KCEGfvLwZSR0A0PU/KUcl+yqBmLyJerjn/+/1PwRp7YC3fpS8";
@@ -0,0 +1,7 @@
+/**
+ * Auto-generated: base64-encoded contents of wasm/nn-simd.wasm.
+ * Regenerate with: npm run asembed:wasm
+ * This embedding lets the app run when index.html is opened via file://,
+ * where fetch() of local .wasm binaries is blocked by browsers.
+ */
+window._nnWasmSimdBase64 = "AGFzbQEAAAABfBZgAAF/YAAAYAABfGABfwBgAX8Bf2ABfAF8YAJ/fABgAXwAYAV/fHx8fABgAn9/AGADf3x8AGADf39/AGACf38BfGADf39/AXxgBH9/f3wAYAN/f3wAYAF/AXxgAn98AXxgAnx8AXxgAnx/AXxgAnx/AGAGf398fHx8AX8DVVQDCQkGBwoBCgcHAQsDAwEABgAAAAAAAAAAAAAAAAAAAAMAAwAABAQNDgwPAgICAgICAAAAAAQEEAIAAgEFBQURDBIFExQDCAgVAAgLAQEBAgMGAQEFAwEAAQaBAzV/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfwFBAAt/AUEAC38BQQALfAFEAAAAAAAAAAALfAFEAAAAAAAAAAALfAFEAAAAAAAAAAALfwFBAAt8AUQAAAAAAAAAAAt8AUQAAAAAAAAAAAt8AUQAAAAAAAAAAAt/AUEAC38BQQALfwFBAAt8AUQAAAAAAAAAAAt8AUQAAAAAAAAAAAt8AUQAAAAAAAAAAAt/AUEqC3wBRAAAAAAAAAAAC38BQQALfAFEAAAAAAAA8D8LfwFBAAt8AUQAAAAAAAAAQAt8AUQAAAAAAADwPwt/AUEAC3wBRM3MzMzMzOw/C3wBRM3MzMzMzOw/C3wBRAAAAAAAAAAAC38BQQALfwFBAAt8AUQAAAAAAAAAAAsHsQtJEm5uX3NldF9sYXllcl9jb3VudAAAEm5uX3NldF9sYXllcl91bml0cwABF25uX3NldF9sYXllcl9hY3RpdmF0aW9uAAIUbm5fc2V0X2xheWVyX2Ryb3BvdXQAAxNubl9zZXRfd2VpZ2h0X2RlY2F5AAQLbm5fc2V0X2xvc3MABRBubl9zZXRfb3B0aW1pemVyAAcUbm5fc2V0X2dyYWRpZW50X2NsaXAACBJubl9zZXRfaHViZXJfZGVsdGEACQ5ubl9pbml0X2xheWVycwAKB25uX2luaXQACxZubl9hbGxvY190cmFpbmluZ19kYXRhAAwYbm5fYWxsb2NfdmFsaWRhdGlvbl9kYXRhAA0Pbm5fcmVzZXRfbWVtb3J5AA4Sbm5fZ2V0X21lbW9yeV91c2VkAA8Tbm5fc2V0X2NsYXNzX3dlaWdodAAQDG5uX2dldF94X3B0cgARDG5uX2dldF95X3B0cgASEG5uX2dldF92YWxfeF9wdHIAExBubl9nZXRfdmFsX3lfcHRyABQTbm5fZ2V0X3ZhbF9wcmVkX3B0cgAVFW5uX2dldF9wcmVkX2lucHV0X3B0cgAWEm5uX2dldF9iYXRjaF94X3B0cgAXFG5uX2dldF9iYXRjaF9vdXRfcHRyABgRbm5fZ2V0X291dHB1dF9wdHIAGRFubl9nZXRfcmVhbF9ieXRlcwAaEW5uX2dldF9wYXJhbXNfcHRyABsSbm5fZ2V0X3BhcmFtX2NvdW50ABwSbm5fZ2V0X21vbWVudDFfcHRyAB0Sbm5fZ2V0X21vbWVudDJfcHRyAB4Vbm5fZ2V0X29wdGltaXplcl9zdGVwAB8Vbm5fc2V0X29wdGltaXplcl9zdGVwACAQbm5fZ2V0X3JuZ19zdGF0ZQAhEG5uX3NldF9ybmdfc3RhdGUAIhJubl9nZXRfaW5kaWNlc19wdHIAIxZubl9nZXRfYmVzdF9wYXJhbXNfcHRyACQUbm5fZ2V0X3dlaWdodF9vZmZzZXQAJRJubl9nZXRfYmlhc19vZmZzZXQAJg1ubl9nZXRfd2VpZ2h0ACcNbm5fc2V0X3dlaWdodAAoC25uX2dldF9iaWFzACkLbm5fc2V0X2JpYXMAKhFubl9nZXRfZXBvY2hfbG9zcwArFW5uX2dldF9lcG9jaF9hY2N1cmFjeQAsD25uX2dldF92YWxfbG9zcwAtE25uX2dldF92YWxfYWNjdXJhY3kALhBubl9nZXRfZXBvY2hfbWFlAC8Obm5fZ2V0X3ZhbF9tYWUAMBFubl9nZXRfaW5wdXRfc2l6ZQAxEm5uX2dldF9oaWRkZW5fc2l6ZQAyEm5uX2dldF9vdXRwdXRfc2l6ZQAzEm5uX2dldF9sYXllcl9jb3VudAA0Em5uX2dldF9sYXllcl91bml0cwA1F25uX2dldF9sYXllcl9hY3RpdmF0aW9uADYUbm5fZ2V0X2xheWVyX2Ryb3BvdXQANxNubl9nZXRfd2VpZ2h0X2RlY2F5ADgQbm5fZ2V0X2xvc3NfdHlwZQA5Fm5uX2dldF9wb3NpdGl2ZV93ZWlnaHQAOgtubl9zZXRfc2VlZAAiDm5uX2JlZ2luX2Vwb2NoADsQbm5fdHJhaW5fYmF0Y2hlcwBIEm5uX3RyYWluaW5nX2Zpbml0ZQBJDm5uX3RyYWluX2Vwb2NoAEoWbm5fZXZhbHVhdGVfdmFsaWRhdGlvbgBMEm5uX3NuYXBzaG90X3BhcmFtcwBNEW5uX3Jlc3RvcmVfcGFyYW1zAE4Kbm5fcHJlZGljdABPFm5uX2FsbG9jX3ByZWRpY3RfYmF0Y2gAUBBubl9wcmVkaWN0X2JhdGNoAEsWbm5fc2V0X3ByZWRpY3RfZmVhdHVyZQBRDW5uX3Jlc2V0X2FkYW0ABgZfc3RhcnQAUgZtZW1vcnkCAAgBUwwChAEK6V9ULABBAkEQIAAgAEEQShsgAEECSBskAEGACkEAQcAA/AsAQcAKQQBBgAH8CwALHwAgAEEASCAAQRBOcgRADwsgAEECdEGACGogATYCAAsfACAAQQBIIABBEE5yBEAPCyAAQQJ0QYAKaiABNgIAC0sAIABBAEggAEEQTnIEQA8LIABBA3RBwApqIAFEZmZmZmZm7j8gAURmZmZmZmbuP2MbRAAAAAAAAAAAIAFEAAAAAAAAAABkGzkDAAscACAARAAAAAAAAAAAIABEAAAAAAAAAABkGyQoC0gAIABBACAAQQNMIABBAEpxGyQpIAFEAAAAAAAA8D8gAUQAAAAAAAAAAGQbJCogAkQAAAAAAAAAACACRAAAAAAAAAAAZhskLAsfAQF/QQAkGSMHQQAjBEECdCIA/AsAIwhBACAA/AsAC4UBACAAQQAgAEEDTCAAQQBOcRskLiABRAAAAAAAAAAAIAFEAAAAAAAA8D9jIAFEAAAAAAAAAABmcRskLyACRM3MzMzMzOw/IAJEAAAAAAAA8D9jIAJEAAAAAAAAAABkcRskMCMEQQBKBEBBACQZIwdBACMEQQJ0IgD8CwAjCEEAIAD8CwALCxwAIABEAAAAAAAAAAAgAEQAAAAAAAAAAGQbJDELHAAgAEQAAAAAAADwPyAARAAAAAAAAAAAZBskLQujCQIGfwF8QYAIKAIAJAEjAEECdCgC/AckAkEAJBlBASEAA0AgACMASARAIABBAnQiA0GACGooAgAhBCADKAL8ByEFIANBwAhqIAI2AgAgA0GACWogAiAEIAVsaiICNgIAIAIgBGohAiADQcAJaiABNgIAIAEgBGohASAAQQFqIQAMAQsLIAIkBCABJAVBwNsAJDIjBEECdEHA2wBqIgA/AEEQdCIBSwRAIAAgAWtB//8DakEQdkAAQQBIBEAACwsgACQyQcDbACQGIzJBwNsAIzIbQQ9qQXBxIgAjBEECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQHIzJBwNsAIzIbQQ9qQXBxIgAjBEECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQIIzJBwNsAIzIbQQ9qQXBxIgAjBEECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQJIzJBwNsAIzIbQQ9qQXBxIgAjBEECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQKIzJBwNsAIzIbQQ9qQXBxIgAjBUECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQRIzJBwNsAIzIbQQ9qQXBxIgAjBUECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQSIzJBwNsAIzIbQQ9qQXBxIgAjBUECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQTIzJBwNsAIzIbQQ9qQXBxIgAjBUECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQUIzJBwNsAIzIbQQ9qQXBxIgAjAUECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQVIzJBwNsAIzIbQQ9qQXBxIgAjAkECdGoiAT8AQRB0IgJLBEAgASACa0H//wNqQRB2QABBAEgEQAALCyABJDIgACQrQcDbAEEAIzJBwNsAa/wLACMyJDMjMyQyQQAkA0EAJCJBACQjQQAkGEEAJAtBACQMQQAkEEEAJA1BACQOQQAkD0EAJBZBACQXQQAhAANAIAAjAkgEQCMrIABBAnRqQwAAgD84AgAgAEEBaiEADAELC0EBIQADQCAAIwBIBEBEAAAAAAAAGEAgAEECdCIBQYAIaigCACICIAEoAvwHIgNqt6OfIQYgAUHACGooAgAhBCACIANsIQNBACEBA0AgASADSARAIyciBSAFQQ10cyIFIAVBEXZzIgUgBUEFdHMiBSQnIwYgASAEakECdGogBbhEAADg////70GjRAAAAAAAAABAokQAAAAAAADwv6AgBqK2OAIAIAFBAWohAQwBCwsjBiAAQQJ0QYAJaigCAEECdGpBACACQQJ0/AsAIABBAWohAAwBCwsLNgBBAyQAQYAKQQBBwAD8CwBBwApBAEGAAfwLAEGACCAANgIAQYQIIAE2AgBBiAggAjYCABAKC6YCAQR/IzMkMkEAJANBACQiQQAkI0EAJBhBACQLQQAkDEEAJBBBACQNQQAkDkEAJA9BACQWQQAkFyAAJAMjMkHA2wAjMhtBD2pBcHEiAiAAIwFsQQJ0aiIDPwBBEHQiBEsEQCADIARrQf//A2pBEHZAAEEASARAAAsLIAMkMiACJAsjMkHA2wAjMhtBD2pBcHEiAiAAQQJ0aiIDPwBBEHQiBEsEQCADIARrQf//A2pBEHZAAEEASARAAAsLIAMkMiACJAwjMkHA2wAjMhtBD2pBcHEiAiAAQQJ0aiIDPwBBEHQiBEsEQCADIARrQf//A2pBEHZAAEEASARAAAsLIAMkMiACJBADQCAAIAFKBEAjECABQQJ0aiABNgIAIAFBAWohAQwBCwsL4QEBA38gACQiIAAjI0wEQA8LIzJBwNsAIzIbQQ9qQXBxIgEgACMBbEECdGoiAj8AQRB0IgNLBEAgAiADa0H//wNqQRB2QABBAEgEQAALCyACJDIgASQNIzJBwNsAIzIbQQ9qQXBxIgEgAEECdGoiAj8AQRB0IgNLBEAgAiADa0H//wNqQRB2QABBAEgEQAALCyACJDIgASQOIzJBwNsAIzIbQQ9qQXBxIgEgACMCbEECdGoiAj8AQRB0IgNLBEAgAiADa0H//wNqQRB2QABBAEgEQAALCyACJDIgASQPIAAkIwtyAEHA2wAkM0HA2wAkMkEAJANBACQiQQAkI0EAJBhBACQLQQAkDEEAJBBBACQNQQAkDkEAJA9BACQWQQAkF0EAJARBACQFQQAkBkEAJAdBACQIQQAkCUEAJApBACQRQQAkEkEAJBNBACQUQQAkFUEAJCsLDgAjMkHA2wBrQQAjMhsLNQAgAEEASCAAIwJOcgRADwsjKyAAQQJ0aiABRAAAAAAAAPA/IAFEAAAAAAAAAABkG7Y4AgALBAAjCwsEACMMCwQAIw0LBAAjDgsEACMPCwQAIxULBAAjFgsEACMXCxQAIxIjAEECdEG8CWooAgBBAnRqCwQAQQQLBAAjBgsEACMECwQAIwcLBAAjCAsEACMZCw4AIABBACAAQQBKGyQZCwQAIycLCwAgAEEqIAAbJCcLBAAjEAsEACMKCw4AIABBAnRBxAhqKAIACw4AIABBAnRBhAlqKAIACyoAIwYgAEEBakECdCIAQcAIaigCACABIAAoAvwHbGogAmpBAnRqKgIAuwssACMGIABBAWpBAnQiAEHACGooAgAgASAAKAL8B2xqIAJqQQJ0aiADtjgCAAsbACMGIAEgAEECdEGECWooAgBqQQJ0aioCALsLHQAjBiABIABBAnRBhAlqKAIAakECdGogArY4AgALBAAjGgsEACMbCwQAIyQLBAAjJQsEACMcCwQAIyYLBAAjAQsTACMAQQJKBH9BhAgoAgAFQQALCwQAIwILBAAjAAsOACAAQQJ0QYAIaigCAAsOACAAQQJ0QYAKaigCAAsOACAAQQN0QcAKaisDAAsEACMoCwQAIykLBAAjKguUAQEEfyMDQQFrIQADQCAAQQBKBEAjJyIBQQ10IAFzIgFBEXYgAXMiAUEFdCABcyICJCcjECAAQQJ0aiIDKAIAIQEgAyMQIAIgAEEBanBBAnRqIgIoAgA2AgAgAiABNgIAIABBAWshAAwBCwtBACQdRAAAAAAAAAAAJB5EAAAAAAAAAAAkH0QAAAAAAAAAACQgQQAkIQv9AwMCfwJ+BHwCfCAAvSIDQjSIp0H/D3EiAUHJB2siAkE/TwRARAAAAAAAAPA/IAJBgICAgHhPDQEaIAFBiQhPBEBEAAAAAAAAAAAgA0KAgICAgICAeFENAhogAEQAAAAAAADwP6AgAUH/D08NAhpEAAAAAAAAAABEAAAAAAAA8H8gA0IAUxsMAgtBACEBCyAARP6CK2VHFWdAokQAAAAAAAA4Q6AiBb0iBEL/AINCAYanQQN0QcALaiICKQMIIARCLYZ8IQMgACAFRAAAAAAAADjDoCIARAAA+v5CLna/oqAgAEQ6O568mvcMvaKgIgAgAKIhBSACKwMAIACgIAUgAEQ8VFVVVVXFP6JEvf3/////3z+goqAgBSAFoiAARBfQpGcREYE/okSRKxfPVVWlP6CioCEAIAFFBEACfCAEQoCAgIAIg1AEQCADQoCAgICAgICIP32/IgUgBSAAoqBEAAAAAAAAAH+iDAELIANCgICAgICAgPA/fCIDvyIFIACiIQcgBSAHoCIGmUQAAAAAAADwP2MEfEQAAAAAAADwPyAGpiIIIAagIgAgCCAAoSAGoCAFIAahIAegoKAgCKEiAEQAAAAAAAAAAGEEfCADQoCAgICAgICAgH+DvwUgAAsFIAYLRAAAAAAAABAAogsMAQsgA78iBSAFIACioAsL+wQDA38EfAF+IAC9IghCIIinQf////8HcSECIAhCP4inIQMgAkH60I2CBE8EQCAAIABiBEAgAA8LIAMEQEQAAAAAAADwvw8LIABE7zn6/kIuhkBkBEAgAEQAAAAAAADgf6IPCwsgAkHC3Nj+A0sEQCAAQQEgA0EBdGsgAET+gitlRxX3P6JEAAAAAAAA4D8gAKag/AIgAkGyxcL/A0kbIgG3IgBEAADg/kIu5j+ioSIEIAQgAER2PHk17znqPaIiBKEiAKEgBKEhBAUgAkGAgMDkA0kEQCAADwsLIAAgAEQAAAAAAADgP6IiBqIiBSAFoiEHRAAAAAAAAAhAIAVE9BARERERob+iRAAAAAAAAPA/oCAHIAVEt9uqnhnOFL+iRIVV/hmgAVo/oCAHIAVELcMJbrf9ir6iRDlS5obKz9A+oKKgoqAiByAGoqEhBiAFIAcgBqFEAAAAAAAAGEAgACAGoqGjoiEGIAFFBEAgACAAIAaiIAWhoQ8LIAAgBiAEoaIgBKEgBaEhBCABQX9GBEAgACAEoUQAAAAAAADgP6JEAAAAAAAA4L+gDwsgAUEBRgRAIABEAAAAAAAA0L9jBEAgBCAARAAAAAAAAOA/oKFEAAAAAAAAAMCiDwsgACAEoUQAAAAAAAAAQKJEAAAAAAAA8D+gDwsgAaxC/wd8QjSGvyEFIAFBAEggAUE4SnIEQCAAIAShRAAAAAAAAPA/oCIAIACgRAAAAAAAAOB/oiAAIAWiIAFBgAhGG0QAAAAAAADwv6APCyAARAAAAAAAAPA/Qv8HIAGsfUI0hr8iAKEgBKFEAAAAAAAA8D8gBCAAoKEgAUEUSBugIAWiC8kBAwF/AX4BfCAAvUL///////////8AgyICvyEDIAJCIIinIgFB6qeG/wNLBHwgAUGAgNCBBEsEfEQAAAAAAADwP0QAAAAAAAAAACADo6EFRAAAAAAAAPA/RAAAAAAAAABAIAMgA6AQPUQAAAAAAAAAQKCjoQsFIAFBrrHB/gNLBHwgAyADoBA9IgMgA0QAAAAAAAAAQKCjBSABQYCAwABPBHwgA0QAAAAAAAAAwKIQPSIDmiADRAAAAAAAAABAoKMFIAMLCwsgAKYLtwEAAkACQAJAAkACQAJAIABBAWsOBQABAgMEBQsgARA+DwsgASABRHsUrkfheoQ/oiABRAAAAAAAAAAAZBsPCyABRAAAAAAAAAAAZAR8IAEFIAEQPEQAAAAAAADwv6ALDwsgAUQAAAAAAADgP6IgASABRPcBSG3i5KY/oiABoiABoqBEUTbUM0WI6T+iED5EAAAAAAAA8D+gog8LIAEPCyABRAAAAAAAAAAAIAFEAAAAAAAAAABkGwvXBgQOfwR8AX0BeyMAQQFrIQsjASEDQQEhDwNAIA8jAEgEQCAPQQJ0IgVBgAhqKAIAIQQjBiAFQcAIaigCAEECdGohCCMGIAVBgAlqKAIAQQJ0aiEHIAVBwAlqKAIAQQJ0IgIjEWohDSMSIAJqIQIgBUGACmooAgAhDEQAAAAAAADwP0QAAAAAAADwPyALIA9HQQAgARsEfCAPQQN0QcAKaisDAAVEAAAAAAAAAAALIhKhoyEQIxQgD0ECdEHACWooAgBBAnRqIQpBACEOA0AgBCAOSgRAIAggAyAObEECdGohCSAHIA5BAnRqKgIAuyERQQAhBf0MAAAAAAAAAAAAAAAAAAAAACEVA0AgBUEEaiIGIANMBEAgFSAFQQJ0IgUgCWr9AAQAIAAgBWr9AAQA/eYB/eQBIRUgBiEFDAELCyARIBX9HwAgFf0fAZIgFf0fApIgFf0fA5K7oCERA0AgAyAFSgRAIBEgBUECdCIGIAlqKgIAuyAAIAZqKgIAu6KgIREgBUEBaiEFDAELCyAOQQJ0IgUgDWogEbYiFDgCACALIA9GBEAgDEEFRgRAIAIgBWogFDgCAAUgBEEBRgRAIAIgDkECdGpEAAAAAAAA8D8gEZoQPEQAAAAAAADwP6CjtjgCAAsLBSASRAAAAAAAAAAAZARAIyciBSAFQQ10cyIFIAVBEXZzIgUgBUEFdHMiBSQnIA5BAnQiBiAKakQAAAAAAAAAACAQIBIgBbhEAADg////70GjZBsiE7Y4AgAgAiAGaiAMIBEQPyATorY4AgAFIA5BAnQiBSAKakMAAIA/OAIAIAIgBWogDCARED+2OAIACwsgDkEBaiEODAELCyALIA9GIARBAUpxIAxBBUdxBEAgDSoCALshEEEBIQADQCAAIARIBEAgDSAAQQJ0aioCALsgEKUhECAAQQFqIQAMAQsLRAAAAAAAAAAAIRFBACEAA0AgACAESARAIABBAnQiAyANaioCALsgEKEQPCESIAIgA2ogErY4AgAgESASoCERIABBAWohAAwBCwtBACEAA0AgACAESARAIAIgAEECdGoiAyADKgIAuyARo7Y4AgAgAEEBaiEADAELCwsgAiEAIAQhAyAPQQFqIQ8MAQsLIAAqAgC7C/gMAwV+A38JfCABmUQAAAAAAAAAQGUEQCABRAAAAAAAAABAYQRAIAAgAKIPCyABRAAAAAAAAOA/YQRAIACfmUQAAAAAAADwfyAARAAAAAAAAPD/YhsPCyABRAAAAAAAAPC/YQRARAAAAAAAAPA/IACjDwsgAUQAAAAAAADwP2EEQCAADwsgAUQAAAAAAAAAAGEEQEQAAAAAAADwPw8LCwJ8IAG9IgVCNIghBCAAvSICQjSIIgNCAX1C/g9aBH9BAQUgBEL/D4NCvgd9QoABWgsEQCAFQgGGIgZCAX1C/////////29aBEBEAAAAAAAA8D8gBlANAhpEAAAAAAAA+H8gAkKAgICAgICA+D9RDQIaIAAgAaAgBkKAgICAgICAcFYgAkIBhiICQoCAgICAgIBwVnINAhpEAAAAAAAA+H8gAkKAgICAgICA8P8AUQ0CGkQAAAAAAAAAACAFQj+IUCACQoCAgICAgIDw/wBURg0CGiABIAGiDAILIAJCAYZCAX1C/////////29aBEBEAAAAAAAA8D8gACAAoiIAmiAAIAJCP4inBH8Cf0EAIAVCNIhC/w+DIgJC/wdUDQAaQQIgAkKzCFYNABpBACAFQgFCswggAn2GIgJCAX2DQgBSDQAaQQEgAiAFg0IAUg0AGkECC0EBRgVBAAsbIgCjIAAgBUIAUxsMAgsgAkIAUwRAAn9BACAFQjSIQv8PgyIGQv8HVA0AGkECIAZCswhWDQAaQQAgBUIBQrMIIAZ9hiIGQgF9g0IAUg0AGkEBIAUgBoNCAFINABpBAgsiB0UEQCAAIAChIgAgAKMMAwsgA0L/D4MhA0GAgBBBACAHQQFGGyEIIAJC////////////AIMhAgsgBEL/D4MiBkK+B31CgAFaBEBEAAAAAAAA8D8gAkKAgICAgICA+D9RDQIaRAAAAAAAAPA/IAZCvgdUDQIaRAAAAAAAAPB/RAAAAAAAAAAAIARCgBBUIAJCgICAgICAgPg/VkYbDAILIANQBEAgAEQAAAAAAAAwQ6K9Qv///////////wCDQoCAgICAgICgA30hAgsLIAIgAkKAgICA0Kql8z99IgJCgICAgICAgHiDfSIDQoCAgIAIfEKAgICAcIO/IgogAkItiEL/AIOnQQV0QcAbaiIHKwMAIguiRAAAAAAAAPC/oCEMIAJCNIe5Ig5EADj6/kIu5j+iIAcrAxCgIgAgDCADvyAKoSALoiIKoCIPoCEQIA8gD0QAAAAAAADgv6IiC6IhESAQIAwgDEQAAAAAAADgv6IiEqIiDKAiDSANIA5EMGfHk1fzLj2iIAcrAxigIAAgEKEgD6CgIAogCyASoKKgIBAgDaEgDKCgIA8gEaIgD0QGAAAAAADgP6JEYFVVVVVV5b+gIBEgD0R6pClVVVXlv6JETlVZmZmZ6T+gIBEgD0TDPyaLKwDwP6JE6UVIm1tJ8r+goqCioKKgIgCgIgqhIACgJDQCfCAFQoCAgECDvyIAIAq9QoCAgECDvyILoiIMvSICQjSIp0H/D3EiB0HJB2siCUE/TwRARAAAAAAAAPC/RAAAAAAAAPA/IAgbIAlBgICAgHhPDQEaRAAAAAAAAACARAAAAAAAAAAAIAgbRAAAAAAAAPD/RAAAAAAAAPB/IAgbIAJCAFMbIAdBiQhPDQEaQQAhBwsgDET+gitlRxVnQKJEAAAAAAAAOEOgIg29IgJC/wCDQgGGp0EDdEHAC2oiCSkDCCACIAitfEIthnwhAyAMIA1EAAAAAAAAOMOgIgxEAAD6/kIudr+ioCAMRDo7nrya9wy9oqAgASAAoSALoiABIAogC6EjNKCioKAiACAAoiEBIAkrAwAgAKAgASAARDxUVVVVVcU/okS9/f/////fP6CioCABIAGiIABEF9CkZxERgT+iRJErF89VVaU/oKKgIQAgB0UEQAJ8IAJCgICAgAiDUARAIANCgICAgICAgIg/fb8iASABIACioEQAAAAAAAAAf6IMAQsgA0KAgICAgICA8D98IgK/IgEgAKIhACABIACgIgqZRAAAAAAAAPA/YwR8RAAAAAAAAPA/IAqmIgsgCqAiDCALIAyhIAqgIAEgCqEgAKCgoCALoSIARAAAAAAAAAAAYQR8IAJCgICAgICAgICAf4O/BSAACwUgCgtEAAAAAAAAEACiCwwBCyADvyIBIAEgAKKgCwsL0wQDAn4CfwN8AnwgAL0iAUKAgICAgICA9z99QoCAgICAoMIBVARAIABEAAAAAAAA8L+gIgAgAKIiBSAAoiIGIABEy/3/////z7+iRHdVVVVVVdU/oCAFRAzdlZmZmck/oqAgBiAARDDeRKMkScI/okSnRWdVVVXFv6AgBURlPUKk//+/v6KgIAYgAET/aLBD65m5v6JEytYqKIRxvD+gIAVEhdCv94KBtz+ioCAGRM1F0XUTUrW/oqCioKKgoiAAIAAgACAARAAAAAAAAKBBoiIFoCAFoSIFIAWiRAAAAAAAAOC/oiIGoCIHoSAGoCAAIAWhRAAAAAAAAOC/oiAFIACgoqCgIAegDAELIAFCMIinIgNBEGtB4P8BTwRARAAAAAAAAPC/IAAgAKKjIAFCAYZQDQEaIAAgAUKAgICAgICA+P8AUQ0BGkEBIANB8P8BcUHw/wFGIANBgIACcRsEQCAAIAChIgAgAKMMAgsgAEQAAAAAAAAwQ6K9QoCAgICAgICgA30hAQsgAUKAgICAgICA8z99IgJCLYhC/wCDp0EEdCIDQcA7aiEEIAJCNIe5IgBEADj6/kIu5j+iIAQrAwigIgUgASACQoCAgICAgIB4g32/IANBwMsAaiIDKwMAoSADKwMIoSAEKwMAoiIGoCEHIAUgB6EgBqAgAEQwZ8eTV/MuPaKgIAYgBqIiAEQBAAAAAADgv6KgIAYgAKIgBkSQRev////Pv6JEWzBRVVVV1T+gIAAgBkSfyAbldVXFv6JEEQHxJLOZyT+goqCioCAHoAsLzwMCAX8CfCMpQQJGIgIjKUEDRnIEQCABKgIAuyAAoSEAIAIEQCAAIACiDwsgAJkiAyMtZQR8IABEAAAAAAAA4D+iIACiBSMtIAMjLUQAAAAAAADgP6KhogsPCyMCQQFKBEAgASAA/AJBAnRqKgIAu0T3///////vP6REFlbnnq8D0jylIQMjKUEBRgR8RAAAAAAAAPA/IAOhIywQQQVEAAAAAAAA8D8LIQQCfCMCQQFKBEAjKyAA/AJBAnRqKgIAuwwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwuaIASiIAMQQqIPCyABKgIAu0T3///////vP6REFlbnnq8D0jylIQMjKUEBRgRAIANEAAAAAAAA8D8gA6EgAEQAAAAAAADgP2QbIQMCfCMCQQFKBEAjKyAA/AJBAnRqKgIAuwwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwuaRAAAAAAAAPA/IAOhIywQQaIgAxBCog8LIAAgAxBCokQAAAAAAADwPyAAoUQAAAAAAADwPyADoRBCoqCaIQMCfCMCQQFKBEAjKyAA/AJBAnRqKgIAuwwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwsgA6ILqAQCBH8DfCMTIwBBAnRBvAlqKAIAQQJ0aiEDIylBAkYiBCMpQQNGcgRAIAEqAgC7IAChIQAgAyAEBHwgACAAoAUjLZogACMtpKULtjgCAA8LIwJBAUYEQCADAnwgASoCALshBiMpQQFGBEBEAAAAAAAA8D8gBkT3///////vP6REFlbnnq8D0jylIgZEAAAAAAAA8D8gBqEgAEQAAAAAAADgP2QiARsiB6EiCCMsEEEhBiMsIAaiIAeiIAcQQqIgBiAIoqEhBgJ8IwJBAUoEQCMrIAD8AkECdGoqAgC7DAELIypEAAAAAAAA8D8gAEQAAAAAAADgP2QbCyAGIAaaIAEbogwBCwJ8IwJBAUoEQCMrIAD8AkECdGoqAgC7DAELIypEAAAAAAAA8D8gAEQAAAAAAADgP2QbCyAGIAChogu2OAIADwsgASAA/AIiBUECdGoqAgC7RPf//////+8/pEQWVueerwPSPKUhBiMpQQFGBHwjLEQAAAAAAADwPyAGoSIHIyxEAAAAAAAA8L+gEEGiIAaiIAYQQqIgByMsEEGhBUQAAAAAAADwvwsCfCMCQQFKBEAjKyAA/AJBAnRqKgIAuwwBCyMqRAAAAAAAAPA/IABEAAAAAAAA4D9kGwuiIQADQCACIwJIBEAgAkECdCIEIANqIABEAAAAAAAA8D9EAAAAAAAAAAAgAiAFRhsgASAEaioCALuhorY4AgAgAkEBaiECDAELCwuiCAMOfwN8AXsjAEEBayEFA0AgBUEASgRAAkAgBUECdCIBQYAIaigCACEHIAEoAvwHIQYgBUEBRgR/IAAFIxIgBUECdEG8CWooAgBBAnRqCyEDIxMgBUECdCIBQcAJaigCAEECdGohCCMJIAFBwAhqKAIAQQJ0aiEJIwkgAUGACWooAgBBAnRqIQpBACEEA0AgBCAHSARAIAggBEECdGoqAgC7Ig9EAAAAAAAAAABiBEAgCSAEIAZsQQJ0aiELQQAhASAPtv0TIRIDQCABQQRqIgIgBkwEQCABQQJ0IgEgC2oiDCAM/QAEACASIAEgA2r9AAQA/eYB/eQB/QsEACACIQEMAQsLA0AgASAGSARAIAFBAnQiAiALaiIMIAwqAgC7IA8gAiADaioCALuioLY4AgAgAUEBaiEBDAELCyAKIARBAnRqIgEgASoCALsgD6C2OAIACyAEQQFqIQQMAQsLIAVBAUYNACMGIAVBAnQiAUHACGooAgBBAnRqIQkgAUG8CWooAgBBAnQiAiMRaiEKIxQgAmohCyABQfwJaigCACEMIxMgAmoiDUEAIAZBAnT8CwBBACEEA0AgBCAHSARAIAkgBCAGbEECdGohA0EAIQEgCCAEQQJ0aioCALsiD7b9EyESA0AgAUEEaiICIAZMBEAgAUECdCIBIA1qIg4gDv0ABAAgEiABIANq/QAEAP3mAf3kAf0LBAAgAiEBDAELCwNAIAEgBkgEQCABQQJ0IgIgDWoiDiAOKgIAuyAPIAIgA2oqAgC7oqC2OAIAIAFBAWohAQwBCwsgBEEBaiEEDAELC0EAIQEDQCABIAZIBEACQCAMRSAKIAFBAnQiAmoqAgC7IhFEAAAAAAAAAABlcSACIAtqKgIAuyIQRAAAAAAAAAAAYXIEQCACIA1qQwAAAAA4AgAMAQsgDSABQQJ0aioCALshDyAMBEAgDwJ8AkACQAJAAkACQAJAIAxBAWsOBQABAgMEBQtEAAAAAAAA8D8gERA+Ig8gD6KhDAULRAAAAAAAAPA/RHsUrkfheoQ/IBFEAAAAAAAAAABkGwwECyARRAAAAAAAAAAAZAR8RAAAAAAAAPA/BSAREDwLDAMLIBEgEUT3AUht4uSmP6IgEaIgEaKgRFE21DNFiOk/ohA+Ig9EAAAAAAAA8D+gRAAAAAAAAOA/oiARRAAAAAAAAOA/okQAAAAAAADwPyAPIA+ioaJEUTbUM0WI6T+iIBFEeQH20akrwT+iIBGiRAAAAAAAAPA/oKKgDAILRAAAAAAAAPA/DAELRAAAAAAAAPA/RAAAAAAAAAAAIBFEAAAAAAAAAABkGwuiIQ8LIA0gAUECdGogDyAQoiAPIBBEAAAAAAAA8D9iG7Y4AgALIAFBAWohAQwBCwsgBUEBayEFDAILCwsLyAMDA38JewV8IxlBAWokGUQAAAAAAADwPyACIxm3EEGhIRREAAAAAAAA8D8gALejIhG2/RMhCSACtv0TIQogA7b9EyELRAAAAAAAAPA/IAKhIhK2/RMhDEQAAAAAAADwPyADoSITtv0TIQ0gAUQAAAAAAADwPyADIxm3EEGhn6IgFEQR6i2BmZdxPSAURBHqLYGZl3E9ZBujIgG2/RMhDiAEtv0TIQ8DQCAFQQRqIgAjBEwEQCAFQQJ0IgUjCWr9AAQAIAn95gEhECALIwggBWoiBv0ABAD95gEgDSAQIBD95gH95gH95AEhCCAKIwcgBWoiB/0ABAD95gEgDCAQ/eYB/eQBIRAgByAQ/QsEACAGIAj9CwQAIwYgBWoiBSAF/QAEACAOIBAgCP3jASAP/eQB/ecB/eYB/eUB/QsEACAAIQUMAQsLA0AgBSMESARAIAIgBUECdCIAIwdqIgYqAgC7oiASIwkgAGoqAgC7IBGiIhSioCEVIAMjCCAAaiIHKgIAu6IgEyAUoiAUoqAhFCAGIBW2OAIAIAcgFLY4AgAjBiAAaiIAIAAqAgC7IAEgFSAUnyAEoKOiobY4AgAgBUEBaiEFDAELCwubBQIEfwJ8AkAjMUQAAAAAAAAAAGUNAANAIAUjBEgEQCAJIwkgBUECdGoqAgC7IgkgCaKgIQkgBUEBaiEFDAELCyAJnyAAt6MiCSMxZEUgCSAJoUQAAAAAAAAAAGJyDQAjMSAJoyEJQQAhBQNAIAUjBEgEQCMJIAVBAnRqIgYgBioCALsgCaK2OAIAIAVBAWohBQwBCwsLIyhEAAAAAAAAAABlRQRARAAAAAAAAPA/IAEjKKKhIQlBASEFA0AgBSMASARAIAVBAnQiBkGACWooAgAhByAGQcAIaigCACEGA0AgBiAHSARAIwYgBkECdGoiCCAIKgIAuyAJorY4AgAgBkEBaiEGDAELCyAFQQFqIQUMAQsLCwJAAkACQAJAAkAjLkEBaw4DAAECAwtEAAAAAAAA8D8gALejIQJBACEAA0AgACMESARAIy8gAEECdCIFIwdqIgYqAgC7oiMJIAVqKgIAuyACoqAhAyAGIAO2OAIAIwYgBWoiBSAFKgIAuyABIAOiobY4AgAgAEEBaiEADAELCwwDC0QAAAAAAADwPyAAt6MhA0QAAAAAAADwPyMwoSEJQQAhAANAIAAjBEgEQCAAQQJ0IgUjCGoiBiMwIAYqAgC7oiAJIwkgBWoqAgC7IAOiIgqiIAqioCICtjgCACMGIAVqIgUgBSoCALsgASAKoiACnyAEoKOhtjgCACAAQQFqIQAMAQsLDAILRAAAAAAAAPA/IAC3oyECQQAhAANAIAAjBEgEQCAAQQJ0IgUjCGoiBiAGKgIAuyMJIAVqKgIAuyACoiIDIAOioCIJtjgCACMGIAVqIgUgBSoCALsgASADoiAJnyAEoKOhtjgCACAAQQFqIQAMAQsLDAELIAAgASACIAMgBBBGCwvQAwIIfwR8A0AjHSMDSCABIApKcQRAIx0iByAAaiIGIwNKBEAjAyEGCyAGIAdrIQsjCUEAIwRBAnT8CwBEAAAAAAAAAAAhD0QAAAAAAAAAACEORAAAAAAAAAAAIRADQCAGIAdKBEAjDCMQIAdBAnRqKAIAIghBAnRqKgIAuyERIwsgCCMBbEECdGoiDEEBEEAaIA8gESMSIwBBAnRBvAlqKAIAQQJ0aiINEEOgIQ8gDkQAAAAAAADwP6AgDgJ/QQAjKUEDRiMpQQJGcg0AGiMCQQFKBEBBACEJQQEhCANAIAgjAkgEQCAIIAkgDSAIQQJ0aioCALsgDSAJQQJ0aioCALtkGyEJIAhBAWohCAwBCwsgEfwCIAlGDAELRAAAAAAAAPA/RAAAAAAAAAAAIA0qAgC7RAAAAAAAAOA/ZBsgEWELGyEOIBAgDSoCALsgEaGZoCEQIBEgDRBEIAwQRSAHQQFqIQcMAQsLIAsgAiADIAQgBRBHIx4gDyALtyIPo6AkHiMfIA4gD6OgJB8jICAQIA+joCQgIyFBAWokISAGJB0gCkEBaiEKDAELCyMdIwNIBEBBAA8LIx4jIbciAqMkGiMfIAKjJBsjICACoyQcQQELVAIBfAF/Ix4iACAAoUQAAAAAAAAAAGIEQEEADwsDQCABIwRIBEAjBiABQQJ0aioCALsiACAAoUQAAAAAAAAAAGIEQEEADwsgAUEBaiEBDAELC0EBC6cBAQR/IwNBAWshBQNAIAVBAEoEQCMnIgZBDXQgBnMiBkERdiAGcyIGQQV0IAZzIgckJyMQIAVBAnRqIggoAgAhBiAIIxAgByAFQQFqcEECdGoiBygCADYCACAHIAY2AgAgBUEBayEFDAELC0EAJB1EAAAAAAAAAAAkHkQAAAAAAAAAACQfRAAAAAAAAAAAJCBBACQhIABB/////wcgASACIAMgBBBIGguIAQEDfyMBQQJ0IQQjAkEBRgRAA0AgAiADSgRAIAEgA0ECdGogACADIARsakEAEEC2OAIAIANBAWohAwwBCwsPCyMCQQJ0IQUDQCACIANKBEAgACADIARsakEAEEAaIAEgAyAFbGojEiMAQQJ0QbwJaigCAEECdGogBfwKAAAgA0EBaiEDDAELCwuRAgIEfAR/Iw0jDyMiEEsDQCAFIyJIBEAgASMOIAVBAnRqKgIAuyIDIw8gBSMCbEECdGoiBhBDoCEBIABEAAAAAAAA8D+gIAACf0EAIylBA0YjKUECRnINABojAkEBSgRAQQAhB0EBIQQDQCAEIwJIBEAgBCAHIAYgBEECdGoqAgC7IAYgB0ECdGoqAgC7ZBshByAEQQFqIQQMAQsLIAP8AiAHRgwBC0QAAAAAAADwP0QAAAAAAAAAACAGKgIAu0QAAAAAAADgP2QbIANhCxshACACIAYqAgC7IAOhmaAhAiAFQQFqIQUMAQsLIAEjIrdEAAAAAAAA8D8jIkEAShsiAaMkJCAAIAGjJCUgAiABoyQmCw8AIwojBiMEQQJ0/AoAAAsPACMGIwojBEECdPwKAAALCAAjFUEAEEALmwEBA38gACMYTARADwsjMkHA2wAjMhtBD2pBcHEiASAAIwFsQQJ0aiICPwBBEHQiA0sEQCACIANrQf//A2pBEHZAAEEASARAAAsLIAIkMiABJBYjMkHA2wAjMhtBD2pBcHEiASAAIwJsQQJ0aiICPwBBEHQiA0sEQCACIANrQf//A2pBEHZAAEEASARAAAsLIAIkMiABJBcgACQYCxAAIxUgAEECdGogAbY4AgALAwABCwoAQQAkKUEAJC4LC9RMhAEAQc4LC/IP8D9uv4gaTzubPDUz+6k99u8/XdzYnBNgcbxhgHc+muzvP9FmhxB6XpC8hX9u6BXj7z8T9mc1UtKMPHSFFdOw2e8/+o75I4DOi7ze9t0pa9DvP2HI5mFO92A8yJt1GEXH7z+Z0zNb5KOQPIPzxso+vu8/bXuDXaaalzwPiflsWLXvP/zv/ZIatY4890dyK5Ks7z/RnC9wPb4+PKLR0zLso+8/C26QiTQDarwb0/6vZpvvPw69LypSVpW8UVsS0AGT7z9V6k6M74BQvMwxbMC9iu8/FvTVuSPJkbzgLamumoLvP69VXOnj04A8UY6lyJh67z9Ik6XqFRuAvHtRfTy4cu8/PTLeVfAfj7zqjYw4+WrvP79TEz+MiYs8dctv61tj7z8m6xF2nNmWvNRcBITgW+8/YC86PvfsmjyquWgxh1TvP504hsuC54+8Hdn8IlBN7z+Nw6ZEQW+KPNaMYog7Ru8/fQTksAV6gDyW3H2RST/vP5SoqOP9jpY8OGJ1bno47z99SHTyGF6HPD+msk/OMe8/8ucfmCtHgDzdfOJlRSvvP14IcT97uJa8gWP14d8k7z8xqwlt4feCPOHeH/WdHu8/+r9vGpshPbyQ2drQfxjvP7QKDHKCN4s8CwPkpoUS7z+Py86JkhRuPFYvPqmvDO8/tquwTXVNgzwVtzEK/gbvP0x0rOIBQoY8MdhM/HAB7z9K+NNdOd2PPP8WZLII/O4/BFuOO4Cjhrzxn5JfxfbuP2hQS8ztSpK8y6k6N6fx7j+OLVEb+AeZvGbYBW2u7O4/0jaUPujRcbz3n+U02+fuPxUbzrMZGZm85agTwy3j7j9tTCqnSJ+FPCI0Ekym3u4/imkoemASk7wcgKwERdruP1uJF0iPp1i8Ki73IQrW7j8bmklnmyx8vJeoUNn10e4/EazCYO1jQzwtiWFgCM7uP+9kBjsJZpY8VwAd7UHK7j95A6Ha4cxuPNA8wbWixu4/MBIPP47/kzze09fwKsPuP7CvervOkHY8Jyo21dq/7j934FTrvR2TPA3d/ZmyvO4/jqNxADSUj7ynLJ12srnuP0mjk9zM3oe8QmbPotq27j9fOA+9xt54vIJPnVYrtO4/9lx77EYShrwPkl3KpLHuP47X/RgFNZM82ie1Nkev7j8Fm4ovt5h7PP3Hl9QSre4/CVQc4uFjkDwpVEjdB6vuP+rGGVCFxzQ8t0ZZiiap7j81wGQr5jKUPEghrRVvp+4/n3aZYUrkjLwJ3Ha54aXuP6hN7zvFM4y8hVU6sH6k7j+u6SuJeFOEvCDDzDRGo+4/WFhWeN3Ok7wlIlWCOKLuP2QZfoCqEFc8c6lM1FWh7j8oIl6/77OTvM07f2aeoO4/grk0h60Sary/2gt1EqDuP+6pbbjvZ2O8LxplPLKf7j9RiOBUPdyAvISUUfl9n+4/zz5afmQfeLx0X+zodZ/uP7B9i8BK7oa8dIGlSJqf7j+K5lUeMhmGvMlnQlbrn+4/09QJXsuckDw/Xd5PaaDuPx2lTbncMnu8hwHrcxSh7j9rwGdU/eyUPDLBMAHtoe4/VWzWq+HrZTxiTs8286LuP0LPsy/FoYi8Eho+VCek7j80NzvxtmmTvBPOTJmJpe4/Hv8ZOoRegLytxyNGGqfuP25XcthQ1JS87ZJEm9mo7j8Aig5bZ62QPJlmitnHqu4/tOrwwS+3jTzboCpC5azuP//nxZxgtmW8jES1FjKv7j9EX/NZg/Z7PDZ3FZmuse4/gz0epx8Jk7zG/5ELW7TuPykebIu4qV285cXNsDe37j9ZuZB8+SNsvA9SyMtEuu4/qvn0IkNDkrxQTt6fgr3uP0uOZtdsyoW8ugfKcPHA7j8nzpEr/K9xPJDwo4KRxO4/u3MK4TXSbTwjI+MZY8juP2MiYiIExYe8ZeVde2bM7j/VMeLjhhyLPDMtSuyb0O4/Fbu809G7kbxdJT6yA9XuP9Ix7pwxzJA8WLMwE57Z7j+zWnNuhGmEPL/9eVVr3u4/tJ2Ol83fgrx689O/a+PuP4czy5J3Gow8rdNamZ/o7j/62dFKj3uQvGa2jSkH7u4/uq7cVtnDVbz7FU+4ovPuP0D2pj0OpJC8OlnljXL57j80k6049NZovEde+/J2/+4/NYpYa+LukbxKBqEwsAXvP83dXwrX/3Q80sFLkB4M7z+smJL6+72RvAke11vCEu8/swyvMK5uczycUoXdmxnvP5T9n1wy4448etD/X6sg7z+sWQnRj+CEPEvRVy7xJ+8/ZxpOOK/NYzy15waUbS/vP2gZkmwsa2c8aZDv3CA37z/StcyDGIqAvPrDXVULP+8/b/r/P12tj7x8iQdKLUfvP0mpdTiuDZC88okNCIdP7z+nBz2mhaN0PIek+9wYWO8/DyJAIJ6RgryYg8kW42DvP6ySwdVQWo48hTLbA+Zp7z9LawGsWTqEPGC0AfMhc+8/Hz60ByHVgrxfm3szl3zvP8kNRzu5Kom8KaH1FEaG7z/TiDpgBLZ0PPY/i+cukO8/cXKdUezFgzyDTMf7UZrvP/CR048S94+82pCkoq+k7z99dCPimK6NvPFnji1Ir+8/CCCqQbzDjjwnWmHuG7rvPzLrqcOUK4Q8l7prNyvF7z/uhdExqWSKPEBFblt20O8/7eM75Lo3jrwUvpyt/dvvP53NkU07iXc82JCegcHn7z+JzGBBwQVTPPFxjyvC8+8/AEHFGwsDoPY/AEHRGwsXyLnygizWv4BWNygktPo8AAAAAACA9j8AQfEbCxcIWL+90dW/IPfg2AilHL0AAAAAAGD2PwBBkRwLF1hFF3d21b9tULbVpGIjvQAAAAAAQPY/AEGxHAsX+C2HrRrVv9VnsJ7khOa8AAAAAAAg9j8AQdEcCxd4d5VfvtS/4D4pk2kbBL0AAAAAAAD2PwBB8RwLF2Acwoth1L/MhExIL9gTPQAAAAAA4PU/AEGRHQsXqIaGMATUvzoLgu3zQtw8AAAAAADA9T8AQbEdCxdIaVVMptO/YJRRhsaxID0AAAAAAKD1PwBB0R0LF4CYmt1H07+SgMXUTVklPQAAAAAAgPU/AEHxHQsXIOG64ujSv9grt5keeyY9AAAAAABg9T8AQZEeCxeI3hNaidK/P7DPthTKFT0AAAAAAGD1PwBBsR4LF4jeE1qJ0r8/sM+2FMoVPQAAAAAAQPU/AEHRHgsXeM/7QSnSv3baUygkWha9AAAAAAAg9T8AQfEeCxeYacGYyNG/BFTnaLyvH70AAAAAAAD1PwBBkR8LF6irq1xn0b/wqIIzxh8fPQAAAAAA4PQ/AEGxHwsXSK75iwXRv2ZaBf3EqCa9AAAAAADA9D8AQdEfCxeQc+Iko9C/DgP0fu5rDL0AAAAAAKD0PwBB8R8LF9C0lCVA0L9/LfSeuDbwvAAAAAAAoPQ/AEGRIAsX0LSUJUDQv38t9J64NvC8AAAAAACA9D8AQbEgCxdAXm0Yuc+/hzyZqypXDT0AAAAAAGD0PwBB0SALF2Dcy63wzr8kr4actyYrPQAAAAAAQPQ/AEHxIAsX8CpuByfOvxD/P1RPLxe9AAAAAAAg9D8AQZEhCxfAT2shXM2/G2jKu5G6IT0AAAAAAAD0PwBBsSELF6Cax/ePzL80hJ9oT3knPQAAAAAAAPQ/AEHRIQsXoJrH94/MvzSEn2hPeSc9AAAAAADg8z8AQfEhCxeQLXSGwsu/j7eLMbBOGT0AAAAAAMDzPwBBkSILF8CATsnzyr9mkM0/Y066PAAAAAAAoPM/AEGxIgsXsOIfvCPKv+rBRtxkjCW9AAAAAACg8z8AQdEiCxew4h+8I8q/6sFG3GSMJb0AAAAAAIDzPwBB8SILF1D0nFpSyb/j1MEE2dEqvQAAAAAAYPM/AEGRIwsX0CBloH/Ivwn623+/vSs9AAAAAABA8z8AQbEjCxfgEAKJq8e/WEpTcpDbKz0AAAAAAEDzPwBB0SMLF+AQAomrx79YSlNykNsrPQAAAAAAIPM/AEHxIwsX0BnnD9bGv2bisqNq5BC9AAAAAAAA8z8AQZEkCxeQp3Aw/8W/OVAQn0OeHr0AAAAAAADzPwBBsSQLF5CncDD/xb85UBCfQ54evQAAAAAA4PI/AEHRJAsXsKHj5SbFv49bB5CL3iC9AAAAAADA8j8AQfEkCxeAy2wrTcS/PHg1YcEMFz0AAAAAAMDyPwBBkSULF4DLbCtNxL88eDVhwQwXPQAAAAAAoPI/AEGxJQsXkB4g/HHDvzpUJ02GePE8AAAAAACA8j8AQdElCxfwH/hSlcK/CMRxFzCNJL0AAAAAAGDyPwBB8SULF2Av1Sq3wb+WoxEYpIAuvQAAAAAAYPI/AEGRJgsXYC/VKrfBv5ajERikgC69AAAAAABA8j8AQbEmCxeQ0Hx+18C/9FvoiJZpCj0AAAAAAEDyPwBB0SYLF5DQfH7XwL/0W+iIlmkKPQAAAAAAIPI/AEHxJgsX4Nsxkey/v/Izo1xUdSW9AAAAAAAA8j8AQZInCxYrbgcnvr88APAqLDQqPQAAAAAAAPI/AEGyJwsWK24HJ76/PADwKiw0Kj0AAAAAAODxPwBB0ScLF8Bbj1RevL8Gvl9YVwwdvQAAAAAAwPE/AEHxJwsX4Eo6bZK6v8iqW+g1OSU9AAAAAADA8T8AQZEoCxfgSjptkrq/yKpb6DU5JT0AAAAAAKDxPwBBsSgLF6Ax1kXDuL9oVi9NKXwTPQAAAAAAoPE/AEHRKAsXoDHWRcO4v2hWL00pfBM9AAAAAACA8T8AQfEoCxdg5YrS8La/2nMzyTeXJr0AAAAAAGDxPwBBkSkLFyAGPwcbtb9XXsZhWwIfPQAAAAAAYPE/AEGxKQsXIAY/Bxu1v1dexmFbAh89AAAAAABA8T8AQdEpCxfgG5bXQbO/3xP5zNpeLD0AAAAAAEDxPwBB8SkLF+AbltdBs7/fE/nM2l4sPQAAAAAAIPE/AEGRKgsXgKPuNmWxvwmjj3ZefBQ9AAAAAAAA8T8AQbEqCxeAEcAwCq+/kY42g55ZLT0AAAAAAADxPwBB0SoLF4ARwDAKr7+RjjaDnlktPQAAAAAA4PA/AEHxKgsXgBlx3UKrv0xw1uV6ghw9AAAAAADg8D8AQZErCxeAGXHdQqu/THDW5XqCHD0AAAAAAMDwPwBBsSsLF8Ay9lh0p7/uofI0RvwsvQAAAAAAwPA/AEHRKwsXwDL2WHSnv+6h8jRG/Cy9AAAAAACg8D8AQfErCxfA/rmHnqO/qv4m9bcC9TwAAAAAAKDwPwBBkSwLF8D+uYeeo7+q/ib1twL1PAAAAAAAgPA/AEGyLAsWeA6bgp+/5Al+fCaAKb0AAAAAAIDwPwBB0iwLFngOm4Kfv+QJfnwmgCm9AAAAAABg8D8AQfEsCxeA1QcbuZe/Oab6k1SNKL0AAAAAAEDwPwBBki0LFvywqMCPv5ym0/Z8Ht+8AAAAAABA8D8AQbItCxb8sKjAj7+cptP2fB7fvAAAAAAAIPA/AEHSLQsWEGsq4H+/5EDaDT/iGb0AAAAAACDwPwBB8i0LFhBrKuB/v+RA2g0/4hm9AAAAAAAA8D8AQaYuCwLwPwBBxS4LA8DvPwBB0i4LFol1FRCAP+grnZlrxxC9AAAAAACA7z8AQfEuCxeAk1hWIJA/0vfiBlvcI70AAAAAAEDvPwBBki8LFskoJUmYPzQMWjK6oCq9AAAAAAAA7z8AQbEvCxdA54ldQaA/U9fxXMARAT0AAAAAAMDuPwBB0i8LFi7UrmakPyj9vXVzFiy9AAAAAACA7j8AQfEvCxfAnxSqlKg/fSZa0JV5Gb0AAAAAAEDuPwBBkTALF8DdzXPLrD8HKNhH8mgavQAAAAAAIO4/AEGxMAsXwAbAMequP3s7yU8+EQ69AAAAAADg7T8AQdEwCxdgRtE7l7E/m54NVl0yJb0AAAAAAKDtPwBB8TALF+DRp/W9sz/XTtulXsgsPQAAAAAAYO0/AEGRMQsXoJdNWum1Px4dXTwGaSy9AAAAAABA7T8AQbExCxfA6grTALc/Mu2dqY0e7DwAAAAAAADtPwBB0TELF0BZXV4zuT/aR706XBEjPQAAAAAAwOw/AEHxMQsXYK2NyGq7P+Vo9yuAkBO9AAAAAACg7D8AQZEyCxdAvAFYiLw/06xaxtFGJj0AAAAAAGDsPwBBsTILFyAKgznHvj/gReavaMAtvQAAAAAAQOw/AEHRMgsX4Ns5kei/P/0KoU/WNCW9AAAAAAAA7D8AQfEyCxfgJ4KOF8E/8gctznjvIT0AAAAAAODrPwBBkTMLF/AjfiuqwT80mThEjqcsPQAAAAAAoOs/AEGxMwsXgIYMYdHCP6G0gctsnQM9AAAAAACA6z8AQdEzCxeQFbD8ZcM/iXJLI6gvxjwAAAAAAEDrPwBB8TMLF7Azgz2RxD94tv1UeYMlPQAAAAAAIOs/AEGRNAsXsKHk5SfFP8d9aeXoMyY9AAAAAADg6j8AQbE0CxcQjL5OV8Y/eC48LIvPGT0AAAAAAMDqPwBB0TQLF3B1ixLwxj/hIZzljRElvQAAAAAAoOo/AEHxNAsXUESFjYnHPwVDkXAQZhy9AAAAAABg6j8AQZI1CxY566++yD/RLOmqVD0HvQAAAAAAQOo/AEGyNQsW99xaWsk/b/+gWCjyBz0AAAAAAADqPwBB0TULF+CKPO2Tyj9pIVZQQ3IovQAAAAAA4Ok/AEHxNQsX0FtX2DHLP6rhrE6NNQy9AAAAAADA6T8AQZE2CxfgOziH0Ms/thJUWcRLLb0AAAAAAKDpPwBBsTYLFxDwxvtvzD/SK5bFcuzxvAAAAAAAYOk/AEHRNgsXkNSwPbHNPzWwFfcq/yq9AAAAAABA6T8AQfE2CxcQ5/8OU84/MPRBYCcSwjwAAAAAACDpPwBBkjcLFt3krfXOPxGOu2UVIcq8AAAAAAAA6T8AQbE3Cxews2wcmc8/MN8MyuzLGz0AAAAAAMDoPwBB0TcLF1hNYDhx0D+RTu0W25z4PAAAAAAAoOg/AEHxNwsXYGFnLcTQP+nqPBaLGCc9AAAAAACA6D8AQZE4CxfoJ4KOF9E/HPClYw4hLL0AAAAAAGDoPwBBsTgLF/isy1xr0T+BFqX3zZorPQAAAAAAQOg/AEHROAsXaFpjmb/RP7e9R1Htpiw9AAAAAAAg6D8AQfE4Cxe4Dm1FFNI/6rpGut6HCj0AAAAAAODnPwBBkTkLF5DcfPC+0j/0BFBK+pwqPQAAAAAAwOc/AEGxOQsXYNPh8RTTP7g8IdN64ii9AAAAAACg5z8AQdE5CxcQvnZna9M/yHfxsM1uET0AAAAAAIDnPwBB8TkLFzAzd1LC0z9cvQa2VDsYPQAAAAAAYOc/AEGROgsX6NUjtBnUP53gkOw25Ag9AAAAAABA5z8AQbE6CxfIccKNcdQ/ddZnCc4nL70AAAAAACDnPwBB0ToLFzAXnuDJ1D+k2AobiSAuvQAAAAAAAOc/AEHxOgsXoDgHriLVP1nHZIFwvi49AAAAAADg5j8AQZE7CxfQyFP3e9U/70Bd7u2tHz0AAAAAAMDmPwBBsTsLD2BZ373V1T/cZaQIKgsKvQBBwDsLgBCf3uDD8DT3PwCQ5nl/zNe/H+ksangT9z8AAA3C7m/Xv6C1+ghg8vY/AOBRE+MT1799jBMfptH2PwB4KDhbuNa/0bTFC0mx9j8AeICQVV3Wv7oMLzNHkfY/AAAYdtAC1r8jQiIYn3H2PwCQkIbKqNW/2R6lmU9S9j8AUANWQ0/Vv8Qkj6pWM/Y/AEBrwzf21L8U3J1rsxT2PwBQqP2nndS/TFzGUmT29T8AqIk5kkXUv08skbVn2PU/ALiwOfTt07/ekFvLvLr1PwBwj0TOltO/eBrZ8mGd9T8AoL0XHkDTv4dWRhJWgPU/AIBG7+Lp0r/Ta+fOl2P1PwDgMDgblNK/k3+n4iVH9T8AiNqMxT7Sv4NFBkL/KvU/AJAnKeHp0b/fvbLbIg/1PwD4SCttldG/1940R4/z9D8A+LmaZ0HRv0Ao3s9D2PQ/AJjvlNDt0L/Io3jAPr30PwAQ2xilmtC/iiXgw3+i9D8AuGNS5kfQvzSE1CQFiPQ/APCGRSLrz78LLRkbzm30PwCwF3VKR8+/VBg509lT9D8AMBA9RKTOv1qEtEQnOvQ/ALDpRA0Czr/7+BVBtSD0PwDwdymiYM2/sfQ+2oIH9D8AkJUEAcDMv4/+V12P7vM/ABCJVikgzL/pTAug2dXzPwAQgY0Xgcu/K8EQwGC98z8A0NPMyeLKv7jadSskpfM/AJASLkBFyr8C0J/NIo3zPwDwHWh3qMm/HHqExVt18z8AMEhpbQzJv+I2rUnOXfM/AMBFpiBxyL9A1E2YeUbzPwAwFLSP1se/JMv/zlwv8z8AcGI8uDzHv0kNoXV3GPM/AGA3m5qjxr+QOT43yAHzPwCgt1QxC8a/QfiVu07r8j8AMCR2fXPFv9GpGQIK1fI/ADDCj3vcxL8q/beo+b7yPwAA0lEsRsS/qxsMehyp8j8AAIO8irDDvzC1FGByk/I/AABJa5kbw7/1oVdX+n3yPwBApJBUh8K/vzsdm7No8j8AoHn4ufPBv731j4OdU/I/AKAsJchgwb87CMmqtz7yPwAg91d/zsC/tkCpKwEq8j8AoP5J3DzAvzJBzJZ5FfI/AIBLvL1Xv7+b/NIdIAHyPwBAQJYIN76/C0hNSfTs8T8AQPk+mBe9v2llj1L12PE/AKDYTmf5u798flcRI8XxPwBgLyB53Lq/6SbLdHyx8T8AgCjnw8C5v7YaLAwBnvE/AMBys0amuL+9cLZ7sIrxPwAArLMBjbe/trzvJYp38T8AADhF8XS2v9oxTDWNZPE/AICHbQ5etb/dXyeQuVHxPwDgod5cSLS/TNIypA4/8T8AoGpN2TOzv9r5EHKLLPE/AGDF+Hkgsr8xtewoMBrxPwAgYphGDrG/rzSE2vsH8T8AANJqbPqvv7NrTg/u9fA/AEB3So3arb/OnypdBuTwPwAAheTsvKu/IaUsY0TS8D8AwBJAiaGpvxqY4nynwPA/AMACM1iIp7/RNsaDL6/wPwCA1mdecaW/OROgmNud8D8AgGVJilyjv9/nUq+rjPA/AEAVZONJob/7KE4vn3vwPwCA64LAcp6/GY81jLVq8D8AgFJS8VWavyz57KXuWfA/AICBz2I9lr+QLNHNSUnwPwAAqoz7KJK/qa3wxsY48D8AAPkgezGMv6kyeRNlKPA/AACqXTUZhL9Ic+onJBjwPwAA7MIDEni/lbEUBgQI8D8AACR5CQRgvxr6Jvcf4O8/AACQhPPvbz906mHCHKHvPwAAPTVB3Ic/LpmBsBBj7z8AgMLEo86TP82t7jz2Je8/AACJFMGfmz/nE5EDyOnuPwAAEc7YsKE/q7HLeICu7j8AwAHQW4qlP5sMnaIadO4/AIDYQINcqT+1mQqDkTruPwCAV+9qJ60/VppgCeAB7j8AwJjlmHWwP5i7d+UByu0/ACAN4/VTsj8DkXwL8pLtPwAAOIvdLrQ/zlz7Zqxc7T8AwFeHWQa2P53eXqosJ+0/AABqNXbatz/NLGs+bvLsPwBgHE5Dq7k/Anmnom2+7D8AYA27x3i7P20IN20mi+w/ACDnMhNDvT8EWF29lFjsPwBg3nExCr8/jJ+7M7Um7D8AQJErFWfAPz/n7O6D9es/ALCSgoVHwT/Bltt1/cTrPwAwys1uJsI/KEqGDB6V6z8AUMWm1wPDPyw+78XiZes/ABAzPMPfwz+LiMlnSDfrPwCAems2usQ/SjAdIUsJ6z8A8NEoOZPFP37v8oXo2+o/APAYJM1qxj+iPWAxHa/qPwCQZuz4QMc/p1jTP+aC6j8A8Br1wBXIP4tzCe9AV+o/AID2VCnpyD8nS6uQKizqPwBA+AI2u8k/0fKTE6AB6j8AACwc7YvKPxs82ySf1+k/ANABXFFbyz+QsccFJa7pPwDAvMxnKcw/L86X8i6F6T8AYEjVNfbMP3VLpO66XOk/AMBGNL3BzT84SOedxjTpPwDgz7gBjM4/5lJnL08N6T8AkBfACVXPP53X/45S5ug/ALgfEmwO0D98AMyfzr/oPwDQkw64cdA/DsO+2sCZ6D8AcIaea9TQP/sXI6ondOg/ANBLM4c20T8ImrOsAE/oPwBII2cNmNE/VT5l6Ekq6D8AgMzg//jRP2AC9JUBBug/AGhj119Z0j8po+BjJeLnPwCoFAkwudI/rbXcd7O+5z8AYEMQchjTP8Ill2eqm+c/ABjsbSZ30z9XBhfyB3nnPwAwr/tP1dM/DBPW28pW5z8A4C/j7jLUPwBBwMsAC4AQa7ZPAQAQ5j88W0KRbAJ+PJW0TQMAMOY/QV0ASOq/jTx41JQNAFDmP7el1oanf448rW9OBwBw5j9MJVRr6vxhPK4P3/7/j+Y//Q5ZTCd+fLy8xWMHALDmPwHa3EhowYq89sFcHgDQ5j8Rk0mdHD+DPD72Bev/7+Y/Uy3iGgSAfryAl4YOABDnP1J5CXFm/3s8Euln/P8v5z8kh70m4gCMPGoRgd//T+c/0gHxbpECbryQnGcPAHDnP3ScVM1x/Ge8Nch++v+P5z+DBPWewb6BPObCIP7/r+c/ZWTMKRd+cLwAyT/t/8/nPxyLewhygIC8dhom6f/v5z+u+Z1tKMCNPOijnAQAEOg/M0zlUdJ/iTyPLJMXADDoP4HzMLbp/oq8nHMzBgBQ6D+8NWVrv7+JPMaJQiAAcOg/dXsR82W/i7wEefXr/4/oP1fLPaJuAIm83wS8IgCw6D8KS+A43wB9vIobDOX/z+g/BZ//RnEAiLxDjpH8/+/oPzhwetB7gYM8x1/6HgAQ6T8DtN92kT6JPLl7RhMAMOk/dgKYS06AfzxvB+7m/0/pPy5i/9nwfo+80RI83v9v6T+6OCaWqoJwvA2KRfT/j+k/76hkkRuAh7w+Lpjd/6/pPzeTWorgQIe8ZvtJ7f/P6T8A4JvBCM4/PFGc8SAA8Ok/CluIJ6o/irwGsEURABDqP1baWJlI/3Q8+va7BwAw6j8YbSuKq76MPHkdlxAAUOo/MHl43cr+iDxILvUdAHDqP9ur2D12QY+8UjNZHACQ6j8SdsKEAr+OvEs+TyoAsOo/Xz//PAT9abzRHq7X/8/qP7RwkBLnPoK8eARR7v/v6j+j3g7gPgZqPFsNZdv/D+s/uQofOMgGWjxXyqr+/y/rPx08I3QeAXm83LqV2f9P6z+fKoZoEP95vJxlniQAcOs/Pk+G0EX/ijxAFof5/4/rP/nDwpZ3/nw8T8sE0v+v6z/EK/LuJ/9jvEVcQdL/z+s/Ieo77rf/bLzfCWP4/+/rP1wLLpcDQYG8U3a14f8P7D8ZareUZMGLPONX+vH/L+w/7cYwje/+ZLwk5L/c/0/sP3VH7LxoP4S897lU7f9v7D/s4FPwo36EPNWPmev/j+w/8ZL5jQaDczyaISUhALDsPwQOGGSO/Wi8nEaU3f/P7D9y6sccvn6OPHbE/er/7+w//oifrTm+jjwr+JoWABDtP3FauaiRfXU8HfcPDQAw7T/ax3BpkMGJPMQPeer/T+0/DP5YxTcOWLzlh9wuAHDtP0QPwU3WgH+8qoLcIQCQ7T9cXP2Uj3x0vIMCa9j/r+0/fmEhxR1/jDw5R2wpANDtP1Ox/7KeAYg89ZBE5f/v7T+JzFLG0gBuPJT2q83/D+4/0mktIECDf7zdyFLb/y/uP2QIG8rBAHs87xZC8v9P7j9Rq5SwqP9yPBFeiuj/b+4/Wb7vsXP2V7wN/54RAJDuPwHIC16NgIS8RBel3/+v7j+1IEPVBgB4PKF/EhoA0O4/klxWYPgCULzEvLoHAPDuPxHmNV1EQIW8Ao169f8P7z8Fke85MftPvMeK5R4AMO8/VRFz8qyBijyUNIL1/0/vP0PH19RBP4o8a0yp/P9v7z91eJgc9AJivEHE+eH/j+8/S+d39NF9dzx+4+DS/6/vPzGjfJoZAW+8nuR3HADQ7z+xrM5L7oFxPDHD4Pf/7+8/WodwATcFbrxuYGX0/w/wP9oKHEmtfoq8WHqG8/8v8D/gsvzDaX+XvBcN/P3/T/A/W5TLNP6/lzyCTc0DAHDwP8tW5MCDAII86Mvy+f+P8D8adTe+3/9tvGXaDAEAsPA/6ybmrn8/kbw406QBANDwP/efSHn6fYA8/f3a+v/v8D/Aa9ZwBQR3vJb9ugsAEPE/YgtthNSAjjxd9OX6/y/xP+82/WT6v5082ZrVDQBQ8T+uUBJwdwCaPJpVIQ8AcPE/7t7j4vn9jTwmVCf8/4/xP3NyO9wwAJE8WTw9EgCw8T+IAQOAeX+ZPLeeKfj/z/E/Z4yfqzL5ZbwA1Ir0/+/xP+tbp52/f5M8pIaLDAAQ8j8iW/2Ra4CfPANDhQMAMPI/M7+f68L/kzyE9rz//0/yP3IuLn7nAXY82SEp9f9v8j9hDH92u/x/PDw6kxQAkPI/K0ECPMoCcrwTY1UUALDyPwIf8jOCgJK8O1L+6//P8j/y3E84fv+IvJatuAsA8PI/xUEwUFH/hbyv4nr7/w/zP50oXohxAIG8f1+s/v8v8z8Vt7c/Xf+RvFZnpgwAUPM/vYKLIoJ/lTwh9/sRAHDzP8zVDcS6AIA8uS9Z+f+P8z9Rp7ItnT+UvELS3QQAsPM/4Th2cGt/hTxXybL1/8/zPzESvxA6Ano8GLSw6v/v8z+wUrFmbX+YPPSvMhUAEPQ/JIUZXzf4Zzwpi0cXADD0P0NR3HLmAYM8Y7SV5/9P9D9aibK4af+JPOB1BOj/b/Q/VPLCm7HAlbznwW/v/4/0P3IqOvIJQJs8BKe+5f+v9D9FfQ2/t/+UvN4nEBcA0PQ/PWrccWTAmbziPvAPAPD0PxxThQuJf5c80UvcEgAQ9T82pGZxZQRgPHonBRYAMPU/CTIjzs6/lrxMcNvs/0/1P9ehBQVyAom8qVRf7/9v9T8SZMkO5r+bPBIQ5hcAkPU/kO+vgcV+iDySPskDALD1P8AMvwoIQZ+8vBlJHQDQ9T8pRyX7KoGYvIl6uOf/7/U/BGntgLd+lLw=";
@@ -7,6 +7,18 @@
  * only for environments where the embed script is missing (e.g. developing
  * against a rebuilt wasm without re-running the embed step).
  *
+ * There are two builds of the same source: `wasm/nn-simd.wasm` stores f32 and
+ * runs the training kernels with 128-bit SIMD, `wasm/nn.wasm` stores f64 with
+ * scalar code. The SIMD build is used when the browser supports WASM SIMD
+ * (probed with WebAssembly.validate), the f64 one otherwise or if the SIMD
+ * module fails to load. When neither can be used (WebAssembly is disabled by
+ * policy in some locked-down browsers) the pure-JavaScript engine from
+ * `js/nn-engine.js` stands in with the same exports. `window._nnWasmVariant`
+ * tells which one ('simd', 'f64' or 'js') was loaded; the training worker
+ * uses the same one. A host can narrow the choice by setting
+ * `window._nnEnginePreference` to 'f64' (no SIMD) or 'js' before this script
+ * runs, e.g. to reproduce results of another build (see node/index.js).
+ *
  * Consumers must `await window._wasmNNReady` before touching `_wasmNN` — if
  * loading fails the promise resolves to `false` and `_wasmNN` stays `null`,
  * which surfaces as a clear error when a NeuralNetwork is constructed.
@@ -15,7 +27,25 @@
 (function () {
     'use strict';
 
-    const WASM_PATH = 'wasm/nn.wasm';
+    const VARIANTS = {
+        simd: { path: 'wasm/nn-simd.wasm', global: '_nnWasmSimdBase64' },
+        f64: { path: 'wasm/nn.wasm', global: '_nnWasmBase64' }
+    };
+
+    // Smallest module using a v128 instruction; it only validates where
+    // WASM SIMD is supported.
+    const SIMD_PROBE = new Uint8Array([
+        0, 97, 115, 109, 1, 0, 0, 0, 1, 5, 1, 96, 0, 1, 123, 3, 2, 1, 0, 10, 10, 1,
+        8, 0, 65, 0, 253, 15, 253, 98, 11
+    ]);
+
+    function simdSupported() {
+        try {
+            return WebAssembly.validate(SIMD_PROBE);
+        } catch (err) {
+            return false;
+        }
+    }
 
     function base64ToBytes(b64) {
         const bin = atob(b64);
@@ -25,50 +55,87 @@
         return out;
     }
 
-    async function loadWasm() {
-        if (typeof WebAssembly === 'undefined') {
-            console.error('[WASM] WebAssembly is not supported in this browser.');
-            return null;
-        }
-
-        const imports = { env: { abort: () => { throw new Error('WASM abort'); } } };
-        let wasmModule = null;
+    async function instantiateVariant(variant, imports) {
+        const { path, global } = VARIANTS[variant];
 
         // 1. Preferred: instantiate from embedded base64 bytes (works under file://).
-        if (typeof window._nnWasmBase64 === 'string' && window._nnWasmBase64.length > 0) {
+        if (typeof window[global] === 'string' && window[global].length > 0) {
             try {
-                const bytes = base64ToBytes(window._nnWasmBase64);
-                wasmModule = await WebAssembly.instantiate(bytes, imports);
+                return await WebAssembly.instantiate(base64ToBytes(window[global]), imports);
             } catch (err) {
-                console.warn('[WASM] Embedded nn.wasm failed to instantiate:',
+                console.warn('[WASM] Embedded ' + path + ' failed to instantiate:',
                     err && err.message);
             }
         }
 
         // 2. Fallback: fetch the binary (requires http(s)).
-        if (wasmModule == null) {
-            try {
-                if (typeof WebAssembly.instantiateStreaming === 'function') {
-                    wasmModule = await WebAssembly.instantiateStreaming(
-                        fetch(WASM_PATH), imports
-                    );
-                } else {
-                    const response = await fetch(WASM_PATH);
-                    const bytes = await response.arrayBuffer();
-                    wasmModule = await WebAssembly.instantiate(bytes, imports);
+        try {
+            if (typeof WebAssembly.instantiateStreaming === 'function') {
+                return await WebAssembly.instantiateStreaming(fetch(path), imports);
+            }
+            const response = await fetch(path);
+            const bytes = await response.arrayBuffer();
+            return await WebAssembly.instantiate(bytes, imports);
+        } catch (err) {
+            console.warn('[WASM] Failed to load ' + path + ':', err && err.message);
+            return null;
+        }
+    }
+
+    async function loadWasm() {
+        let wasmModule = null;
+
+        const preference = window._nnEnginePreference;
+        if (typeof WebAssembly === 'undefined') {
+            console.warn('[WASM] WebAssembly is not supported in this browser.');
+        } else if (preference !== 'js') {
+            const imports = { env: { abort: () => { throw new Error('WASM abort'); } } };
+            const simd = preference !== 'f64' && simdSupported();
+            for (const variant of simd ? ['simd', 'f64'] : ['f64']) {
+                wasmModule = await instantiateVariant(variant, imports);
+                if (wasmModule) {
+                    window._nnWasmVariant = variant;
+                    break;
                 }
-            } catch (err) {
-                console.error('[WASM] Failed to load nn.wasm:',
-                    err && err.message);
+            }
+        }
+
+        // 3. Last resort: the same network in plain JavaScript (js/nn-engine.js).
+        if (wasmModule == null) {
+            if (typeof window.NNJsEngine === 'undefined') {
+                console.error('[WASM] Failed to load the neural network module.');
                 return null;
             }
+            if (preference !== 'js') {
+                console.warn('[WASM] Falling back to the JavaScript engine (slower).');
+            }
+            window._nnWasmVariant = 'js';
         }
 
         try {
-            const exports = wasmModule.instance.exports;
+            const exports = wasmModule ? wasmModule.instance.exports : window.NNJsEngine.create();
 
             // Validate that required functions exist
             const required = [
+                'nn_set_layer_count', 'nn_set_layer_units', 'nn_init_layers',
+                'nn_set_layer_activation', 'nn_get_layer_activation',
+                'nn_set_layer_dropout', 'nn_set_weight_decay', 'nn_set_loss',
+                'nn_get_layer_count', 'nn_get_layer_units',
+                'nn_alloc_validation_data', 'nn_evaluate_validation',
+                'nn_snapshot_params', 'nn_restore_params',
+                'nn_begin_epoch', 'nn_train_batches',
+                'nn_alloc_predict_batch', 'nn_predict_batch',
+                'nn_get_batch_x_ptr', 'nn_get_batch_out_ptr', 'nn_get_output_ptr',
+                'nn_set_class_weight', 'nn_set_huber_delta', 'nn_set_optimizer',
+                'nn_set_gradient_clip', 'nn_training_finite',
+                'nn_get_epoch_mae', 'nn_get_val_mae',
+                'nn_get_params_ptr', 'nn_get_param_count',
+                'nn_get_moment1_ptr', 'nn_get_moment2_ptr',
+                'nn_get_optimizer_step', 'nn_set_optimizer_step',
+                'nn_get_rng_state', 'nn_set_rng_state',
+                'nn_get_indices_ptr', 'nn_get_best_params_ptr',
+                'nn_reset_memory', 'nn_get_memory_used', 'nn_get_real_bytes',
+                'nn_get_weight_offset', 'nn_get_bias_offset',
                 'nn_init', 'nn_alloc_training_data', 'nn_get_x_ptr', 'nn_get_y_ptr',
                 'nn_train_epoch', 'nn_get_epoch_loss', 'nn_get_epoch_accuracy',
                 'nn_predict', 'nn_set_predict_feature', 'nn_get_pred_input_ptr',
@@ -84,7 +151,8 @@
                 }
             }
 
-            console.log('[WASM] Neural network module loaded successfully (' +
+            console.log('[WASM] Neural network module (' + window._nnWasmVariant +
+                ') loaded successfully (' +
                 (exports.memory.buffer.byteLength / 1024).toFixed(0) + ' KB initial memory)');
 
             return exports;
@@ -95,12 +163,16 @@
     }
 
     /**
-     * Helper: get a Float64Array view into WASM memory.
+     * Helper: get a view into WASM memory typed like the module's buffers
+     * (Float64Array, or Float32Array for the SIMD build). Divide byte
+     * pointers by its BYTES_PER_ELEMENT to index it.
      * IMPORTANT: this view is invalidated when memory grows.
      * Always call this after any WASM function that may allocate.
      */
-    function getF64View(wasmExports) {
-        return new Float64Array(wasmExports.memory.buffer);
+    function getRealView(wasmExports) {
+        return wasmExports.nn_get_real_bytes() === 4
+            ? new Float32Array(wasmExports.memory.buffer)
+            : new Float64Array(wasmExports.memory.buffer);
     }
 
     /**
@@ -111,13 +183,13 @@
      */
     function uploadFeatures(wasm, features, inputSize) {
         const xPtr = wasm.nn_get_x_ptr();
-        const f64 = getF64View(wasm);
-        const baseIdx = xPtr >>> 3; // byte offset to f64 index
+        const mem = getRealView(wasm);
+        const baseIdx = xPtr / mem.BYTES_PER_ELEMENT; // byte offset to element index
         for (let i = 0; i < features.length; i++) {
             const rowBase = baseIdx + i * inputSize;
             const row = features[i];
             for (let j = 0; j < inputSize; j++) {
-                f64[rowBase + j] = row[j];
+                mem[rowBase + j] = row[j];
             }
         }
     }
@@ -127,10 +199,10 @@
      */
     function uploadLabels(wasm, labels) {
         const yPtr = wasm.nn_get_y_ptr();
-        const f64 = getF64View(wasm);
-        const baseIdx = yPtr >>> 3;
+        const mem = getRealView(wasm);
+        const baseIdx = yPtr / mem.BYTES_PER_ELEMENT;
         for (let i = 0; i < labels.length; i++) {
-            f64[baseIdx + i] = Array.isArray(labels[i]) ? labels[i][0] : labels[i];
+            mem[baseIdx + i] = Array.isArray(labels[i]) ? labels[i][0] : labels[i];
         }
     }
 
@@ -139,19 +211,91 @@
      */
     function uploadPredictInput(wasm, input) {
         const ptr = wasm.nn_get_pred_input_ptr();
-        const f64 = getF64View(wasm);
-        const baseIdx = ptr >>> 3;
+        const mem = getRealView(wasm);
+        const baseIdx = ptr / mem.BYTES_PER_ELEMENT;
         for (let i = 0; i < input.length; i++) {
-            f64[baseIdx + i] = input[i];
+            mem[baseIdx + i] = input[i];
+        }
+    }
+
+    /**
+     * Score many feature vectors with one `nn_predict_batch` call.
+     * @param {object} wasm - WASM exports
+     * @param {number[][]} rows - feature vectors, each `inputSize` long
+     * @param {number} inputSize - features per sample
+     * @param {number} [outputSize=1] - outputs per sample (classes for softmax)
+     * @returns {Float64Array} `outputSize` scores per row, row-major
+     */
+    function predictRows(wasm, rows, inputSize, outputSize = 1) {
+        const n = rows.length;
+        wasm.nn_alloc_predict_batch(n);
+        // View taken after the allocation, which may have grown memory.
+        const mem = getRealView(wasm);
+        const xBase = wasm.nn_get_batch_x_ptr() / mem.BYTES_PER_ELEMENT;
+        for (let i = 0; i < n; i++) {
+            mem.set(rows[i], xBase + i * inputSize);
+        }
+        wasm.nn_predict_batch(wasm.nn_get_batch_x_ptr(), wasm.nn_get_batch_out_ptr(), n);
+        const outBase = wasm.nn_get_batch_out_ptr() / mem.BYTES_PER_ELEMENT;
+        return Float64Array.from(mem.subarray(outBase, outBase + n * outputSize));
+    }
+
+    // The flat parameter buffer, viewed like getRealView().
+    function getParamsView(wasm) {
+        const mem = getRealView(wasm);
+        const start = wasm.nn_get_params_ptr() / mem.BYTES_PER_ELEMENT;
+        return mem.subarray(start, start + wasm.nn_get_param_count());
+    }
+
+    /**
+     * Read all weights and biases out of the flat parameter buffer.
+     * @param {object} wasm - WASM exports
+     * @param {number[]} sizes - units per layer, input first
+     * @returns {{weights: number[][][], biases: number[][]}}
+     */
+    function readParams(wasm, sizes) {
+        const params = getParamsView(wasm);
+        const weights = [];
+        const biases = [];
+        for (let l = 0; l < sizes.length - 1; l++) {
+            const inSize = sizes[l];
+            const wOff = wasm.nn_get_weight_offset(l);
+            const bOff = wasm.nn_get_bias_offset(l);
+            const w = [];
+            for (let j = 0; j < sizes[l + 1]; j++) {
+                w.push(Array.from(params.subarray(wOff + j * inSize, wOff + (j + 1) * inSize)));
+            }
+            weights.push(w);
+            biases.push(Array.from(params.subarray(bOff, bOff + sizes[l + 1])));
+        }
+        return { weights, biases };
+    }
+
+    /**
+     * Write weights and biases (shaped as returned by readParams) back into
+     * the flat parameter buffer.
+     */
+    function writeParams(wasm, sizes, weights, biases) {
+        const params = getParamsView(wasm);
+        for (let l = 0; l < sizes.length - 1; l++) {
+            const inSize = sizes[l];
+            const wOff = wasm.nn_get_weight_offset(l);
+            for (let j = 0; j < sizes[l + 1]; j++) {
+                params.set(weights[l][j], wOff + j * inSize);
+            }
+            params.set(biases[l], wasm.nn_get_bias_offset(l));
         }
     }
 
     // Expose helpers alongside the WASM module
     window._wasmNNHelpers = {
-        getF64View,
+        getRealView,
         uploadFeatures,
         uploadLabels,
-        uploadPredictInput
+        uploadPredictInput,
+        predictRows,
+        readParams,
+        writeParams
     };
 
     // Load WASM module on page load. Expose a promise so callers can await readiness.
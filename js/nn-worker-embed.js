@@ -1,7 +1,7 @@
 /**
- * Auto-generated: string-embedded copy of js/nn-worker.js.
+ * Auto-generated: string-embedded copy of js/feature-codec.js + js/scoring.js + js/nn-engine.js + js/nn-worker.js.
  * Regenerate with: npm run asembed:wasm
  * The main thread wraps this source in a Blob to create a Web Worker
  * (works identically over http(s):// and file://).
  */
-window._nnWorkerSource = "/**\r\n * Neural-network training Web Worker.\r\n *\r\n * Runs the WASM training loop off the main thread so that browser background\r\n * throttling (and in the worst case full tab freezing) cannot slow training\r\n * down when the user switches focus to another tab.\r\n *\r\n * The main thread builds this worker from a Blob URL and prepends a\r\n * `NN_WASM_B64` declaration holding the base64-encoded nn.wasm bytes. That\r\n * prefix is what lets the worker instantiate WebAssembly without any fetch\r\n * (so it also works under file://). See `_trainInWorker()` in\r\n * `js/neural-network.js` for the exact wrapper.\r\n *\r\n * Protocol\r\n * --------\r\n * Main → Worker:\r\n *   { type: 'train',\r\n *     nSamples, inputSize, hiddenSize, outputSize,\r\n *     featuresFlat: Float64Array, labelsFlat: Float64Array,\r\n *     epochs, batchSize, learningRate,\r\n *     adamBeta1, adamBeta2, adamEpsilon }\r\n *\r\n * Worker → Main:\r\n *   { type: 'ready' }                          // sent after wasm instantiated\r\n *   { type: 'epoch', epoch, loss, accuracy }   // one per completed epoch\r\n *   { type: 'done', weights, biases }          // training finished\r\n *   { type: 'error', message }                 // anything threw\r\n */\r\n'use strict';\r\n\r\nlet wasm = null;\r\n\r\nfunction base64ToBytes(b64) {\r\n    const bin = atob(b64);\r\n    const len = bin.length;\r\n    const out = new Uint8Array(len);\r\n    for (let i = 0; i < len; i++) out[i] = bin.charCodeAt(i);\r\n    return out;\r\n}\r\n\r\nasync function ensureWasm() {\r\n    if (wasm) return;\r\n    // NN_WASM_B64 is injected by the main thread as a `const` prefix prepended\r\n    // to this source when building the Blob worker.\r\n    if (typeof NN_WASM_B64 !== 'string' || NN_WASM_B64.length === 0) {\r\n        throw new Error('Worker: NN_WASM_B64 not injected by host.');\r\n    }\r\n    const bytes = base64ToBytes(NN_WASM_B64);\r\n    const imports = { env: { abort: () => { throw new Error('WASM abort'); } } };\r\n    const mod = await WebAssembly.instantiate(bytes, imports);\r\n    wasm = mod.instance.exports;\r\n    self.postMessage({ type: 'ready' });\r\n}\r\n\r\nfunction uploadFlat(ptr, flatF64) {\r\n    const f64 = new Float64Array(wasm.memory.buffer);\r\n    f64.set(flatF64, ptr >>> 3);\r\n}\r\n\r\nfunction extractWeights(inputSize, hiddenSize, outputSize) {\r\n    const w0 = [];\r\n    const b0 = [];\r\n    for (let j = 0; j < hiddenSize; j++) {\r\n        const row = new Array(inputSize);\r\n        for (let k = 0; k < inputSize; k++) row[k] = wasm.nn_get_weight(0, j, k);\r\n        w0.push(row);\r\n        b0.push(wasm.nn_get_bias(0, j));\r\n    }\r\n    const w1 = [];\r\n    const b1 = [];\r\n    for (let j = 0; j < outputSize; j++) {\r\n        const row = new Array(hiddenSize);\r\n        for (let k = 0; k < hiddenSize; k++) row[k] = wasm.nn_get_weight(1, j, k);\r\n        w1.push(row);\r\n        b1.push(wasm.nn_get_bias(1, j));\r\n    }\r\n    return { weights: [w0, w1], biases: [b0, b1] };\r\n}\r\n\r\nself.onmessage = async (e) => {\r\n    const msg = e.data;\r\n    try {\r\n        if (msg && msg.type === 'train') {\r\n            await ensureWasm();\r\n\r\n            const {\r\n                nSamples, inputSize, hiddenSize, outputSize,\r\n                featuresFlat, labelsFlat,\r\n                epochs, batchSize, learningRate,\r\n                adamBeta1, adamBeta2, adamEpsilon\r\n            } = msg;\r\n\r\n            wasm.nn_init(inputSize, hiddenSize, outputSize);\r\n            wasm.nn_alloc_training_data(nSamples);\r\n\r\n            // WASM memory may have grown; re-read the buffer each time before\r\n            // copying data in.\r\n            uploadFlat(wasm.nn_get_x_ptr(), featuresFlat);\r\n            uploadFlat(wasm.nn_get_y_ptr(), labelsFlat);\r\n\r\n            for (let epoch = 0; epoch < epochs; epoch++) {\r\n                wasm.nn_train_epoch(\r\n                    batchSize, learningRate,\r\n                    adamBeta1, adamBeta2, adamEpsilon\r\n                );\r\n                const loss = wasm.nn_get_epoch_loss();\r\n                const accuracy = wasm.nn_get_epoch_accuracy();\r\n                self.postMessage({\r\n                    type: 'epoch',\r\n                    epoch: epoch + 1,\r\n                    loss: loss,\r\n                    accuracy: accuracy\r\n                });\r\n            }\r\n\r\n            const out = extractWeights(inputSize, hiddenSize, outputSize);\r\n            self.postMessage({\r\n                type: 'done',\r\n                weights: out.weights,\r\n                biases: out.biases\r\n            });\r\n        }\r\n    } catch (err) {\r\n        self.postMessage({\r\n            type: 'error',\r\n            message: (err && err.message) || String(err)\r\n        });\r\n    }\r\n};\r\n";
+window._nnWorkerSource = "/**\n * Feature encoding for the churn NN: min–max numeric columns and one-hot for\n * categorical string columns. Shared by train and predict so saved models match.\n * Also holds the CSV delimiter / header detection both pages use.\n *\n * Has no DOM dependencies: the same source is also bundled in front of\n * js/nn-worker.js (see tools/embed-wasm.js) so the scoring worker encodes\n * rows exactly like the page does.\n */\n(function () {\n    const ML = {};\n\n    /**\n     * True when every non-empty cell parses to a finite number (strict).\n     * Empty cells are ignored.\n     */\n    ML.isNumericColumn = function (rows, key) {\n        for (let r = 0; r < rows.length; r++) {\n            const v = rows[r][key];\n            if (v === '' || v === null || v === undefined) continue;\n            const n = parseFloat(v);\n            if (isNaN(n) || !isFinite(n)) return false;\n        }\n        return true;\n    };\n\n    ML.collectCategories = function (rows, key) {\n        const set = new Set();\n        for (let i = 0; i < rows.length; i++) {\n            const v = rows[i][key];\n            if (v === '' || v === null || v === undefined) continue;\n            set.add(String(v).trim());\n        }\n        return Array.from(set).sort();\n    };\n\n    /**\n     * @param {string[]} candidateKeys column order (excludes label and id)\n     * @param {object[]} trainRows rows used to learn categories and stats\n     * @returns {Array<{kind:'numeric',key:string}|{kind:'onehot',key:string,categories:string[]}>}\n     */\n    ML.buildFeaturePipeline = function (candidateKeys, trainRows) {\n        const pipeline = [];\n        for (let i = 0; i < candidateKeys.length; i++) {\n            const key = candidateKeys[i];\n            if (ML.isNumericColumn(trainRows, key)) {\n                pipeline.push({ kind: 'numeric', key });\n            } else {\n                const categories = ML.collectCategories(trainRows, key);\n                if (categories.length === 0) {\n                    pipeline.push({ kind: 'numeric', key });\n                } else {\n                    pipeline.push({ kind: 'onehot', key, categories });\n                }\n            }\n        }\n        return pipeline;\n    };\n\n    /**\n     * Guess the delimiter (`,` `;` tab `|`) and whether the first line is a\n     * header from the start of a CSV file (the pages read its first 2 KB).\n     * @returns {{delimiter: string, hasHeader: boolean}}\n     */\n    ML.detectCsvFormat = function (text) {\n        const sample = String(text || '').split('\\n').slice(0, 5).map(l => l.replace(/\\r/g, ''));\n        const candidates = [',', ';', '\\t', '|'];\n        let best = { delimiter: ',', score: -1 };\n        for (let d = 0; d < candidates.length; d++) {\n            const delim = candidates[d];\n            const counts = sample.map(line => line.split(delim).length);\n            const avg = counts.reduce((a, b) => a + b, 0) / (counts.length || 1);\n            if (avg > best.score) {\n                best = { delimiter: delim, score: avg };\n            }\n        }\n        // Header heuristic\n        let hasHeader = true;\n        if (sample.length >= 2) {\n            const first = sample[0].split(best.delimiter);\n            const second = sample[1].split(best.delimiter);\n            const isNumeric = (arr) => {\n                let numericCount = 0, total = 0;\n                for (let i = 0; i < arr.length; i++) {\n                    const v = arr[i].trim();\n                    if (v === '') continue;\n                    total++;\n                    const n = parseFloat(v);\n                    if (!isNaN(n) && isFinite(n)) numericCount++;\n                }\n                return total > 0 && numericCount / total > 0.6;\n            };\n            const firstNumeric = isNumeric(first);\n            const secondNumeric = isNumeric(second);\n            hasHeader = !firstNumeric && secondNumeric;\n        }\n        return { delimiter: best.delimiter, hasHeader };\n    };\n\n    ML.pipelineInputDimension = function (pipeline) {\n        let n = 0;\n        for (let i = 0; i < pipeline.length; i++) {\n            const col = pipeline[i];\n            if (col.kind === 'numeric') n += 1;\n            else if (col.kind === 'onehot') n += col.categories.length;\n        }\n        return n;\n    };\n\n    /**\n     * @param {object} mins maxs means keyed by column name (numeric only)\n     */\n    ML.encodeFeatureRow = function (pipeline, mins, maxs, means, row) {\n        const out = [];\n        const mn = mins || {};\n        const mx = maxs || {};\n        const mu = means || {};\n\n        for (let i = 0; i < pipeline.length; i++) {\n            const col = pipeline[i];\n            if (col.kind === 'numeric') {\n                const key = col.key;\n                let v = parseFloat(row[key]);\n                if (isNaN(v) || !isFinite(v)) {\n                    const m = mu[key];\n                    v = typeof m === 'number' && isFinite(m) ? m : 0;\n                }\n                let min = mn[key];\n                let max = mx[key];\n                if (typeof min !== 'number' || !isFinite(min)) min = 0;\n                if (typeof max !== 'number' || !isFinite(max)) max = min + 1;\n                const span = max - min;\n                let scaled = span === 0 ? 0 : (v - min) / span;\n                if (scaled < 0) scaled = 0;\n                if (scaled > 1) scaled = 1;\n                out.push(scaled);\n            } else if (col.kind === 'onehot') {\n                const raw = row[col.key];\n                const str =\n                    raw === '' || raw === null || raw === undefined\n                        ? ''\n                        : String(raw).trim();\n                const cats = col.categories;\n                const idx = cats.indexOf(str);\n                for (let j = 0; j < cats.length; j++) {\n                    out.push(idx === j ? 1 : 0);\n                }\n            }\n        }\n        return out;\n    };\n\n    /**\n     * Build a function turning one CSV row into a model input vector.\n     *\n     * `spec` is `{ featureColumns, featureKeys, mins, maxs, means, inputSize }`:\n     * models saved with `featureColumns` use encodeFeatureRow(); older models\n     * only have `featureKeys` (numeric, min–max scaled when mins/maxs exist).\n     * Vectors are trimmed or zero-padded to `inputSize`.\n     */\n    ML.makeRowEncoder = function (spec) {\n        const mins = spec.mins || {};\n        const maxs = spec.maxs || {};\n        const means = spec.means || {};\n        const inputSize = spec.inputSize;\n\n        let encode;\n        if (Array.isArray(spec.featureColumns)) {\n            encode = (row) => ML.encodeFeatureRow(spec.featureColumns, mins, maxs, means, row);\n        } else {\n            const keys = spec.featureKeys || [];\n            const scale = !!(spec.mins && spec.maxs);\n            encode = (row) => keys.map((key) => {\n                const n = parseFloat(row[key]);\n                const val = isNaN(n) ? 0 : n;\n                if (!scale) return val;\n                const min = typeof mins[key] === 'number' ? mins[key] : 0;\n                const max = typeof maxs[key] === 'number' ? maxs[key] : 1;\n                let scaled = (val - min) / (max - min || 1);\n                if (scaled < 0) scaled = 0;\n                if (scaled > 1) scaled = 1;\n                return scaled;\n            });\n        }\n\n        return (row) => {\n            const arr = encode(row);\n            if (arr.length > inputSize) return arr.slice(0, inputSize);\n            while (arr.length < inputSize) arr.push(0);\n            return arr;\n        };\n    };\n\n    (typeof window !== 'undefined' ? window : self).MLFeatureCodec = ML;\n})();\n\n\n/**\n * Scoring rules for a saved churn model: which columns feed it, how raw\n * outputs become scores, risk tiers and predicted classes, the rows of the\n * exported predictions CSV and metrics against known outcomes.\n *\n * Has no DOM dependencies, so the Predict page and the command-line tool\n * (node/cli.js) score a file the same way. Texts come from the `t(key,\n * params)` translator passed in (window.i18n.t on the page).\n */\n(function () {\n    const SC = {};\n\n    // Risk tier bucketing based on churn score (0 = will stay, 1 = will churn).\n    // Tiers are inclusive of the lower bound and exclusive of the upper bound,\n    // except for the top tier which includes 1.0.\n    SC.RISK_TIERS = [\n        { key: 'safe', upTo: 0.20, range: '0.00 – 0.20' },\n        { key: 'watch', upTo: 0.50, range: '0.20 – 0.50' },\n        { key: 'atrisk', upTo: 0.80, range: '0.50 – 0.80' },\n        { key: 'critical', upTo: Infinity, range: '0.80 – 1.00' }\n    ];\n\n    // `{ key, range }` of the tier a churn score falls in (label key:\n    // `predict.risk_tiers.<key>`).\n    SC.riskTier = function (score) {\n        const s = (typeof score === 'number' && !isNaN(score)) ? score : 0;\n        for (let i = 0; i < SC.RISK_TIERS.length - 1; i++) {\n            if (s < SC.RISK_TIERS[i].upTo) return SC.RISK_TIERS[i];\n        }\n        return SC.RISK_TIERS[SC.RISK_TIERS.length - 1];\n    };\n\n    /**\n     * Class names of a multi-class model in output order, or null for a\n     * single-output (binary) model.\n     */\n    SC.modelClasses = function (config) {\n        const units = config.architecture.outputLayer.units;\n        if (!(units > 1) || config.architecture.outputLayer.activation === 'linear') return null;\n        const saved = config.preprocessing && config.preprocessing.classes;\n        if (Array.isArray(saved) && saved.length === units) return saved.map(String);\n        return Array.from({ length: units }, (_, i) => String(i));\n    };\n\n    /**\n     * Target scaling `{ mean, std }` of a regression (linear output) model,\n     * identity when the model was saved without one; null for classifiers.\n     */\n    SC.modelTargetScaling = function (config) {\n        if (config.architecture.outputLayer.activation !== 'linear') return null;\n        const saved = config.preprocessing && config.preprocessing.targetScaling;\n        if (saved && isFinite(saved.mean) && saved.std > 0) return { mean: saved.mean, std: saved.std };\n        return { mean: 0, std: 1 };\n    };\n\n    SC.reverseMappings = function (labelMappings) {\n        // Create reverse mapping: numeric value -> array of original string values\n        const reverse = {};\n        Object.entries(labelMappings).forEach(([original, numeric]) => {\n            if (!reverse[numeric]) {\n                reverse[numeric] = [];\n            }\n            reverse[numeric].push(original);\n        });\n        // Sort each array to have most common/representative values first\n        Object.keys(reverse).forEach(key => {\n            reverse[key].sort();\n        });\n        return reverse;\n    };\n\n    /**\n     * Input columns of a model for a file and the NeuralNetwork#scoreRows()\n     * encoder that turns its rows into input vectors the way the model was\n     * trained (see MLFeatureCodec.makeRowEncoder).\n     * @param {object|null} preprocessing the model's config.preprocessing\n     * @param {object[]} rows parsed CSV rows\n     * @param {{idKey?: string|null, targetKey?: string|null}} [columns]\n     *   columns of the file that are not features\n     * @returns {{featureKeys: string[], encoder: object}}\n     */\n    SC.inputSpec = function (preprocessing, rows, columns = {}) {\n        const { idKey = null, targetKey = null } = columns;\n        const cols = Object.keys(rows[0] || {});\n        let featureKeys = [];\n\n        if (preprocessing && Array.isArray(preprocessing.featureColumns)) {\n            featureKeys =\n                preprocessing.featureKeys && preprocessing.featureKeys.length\n                    ? preprocessing.featureKeys.slice()\n                    : cols.filter((k) => k !== idKey && k !== targetKey);\n            return {\n                featureKeys,\n                encoder: {\n                    featureColumns: preprocessing.featureColumns,\n                    mins: preprocessing.mins,\n                    maxs: preprocessing.maxs,\n                    means: preprocessing.means\n                }\n            };\n        }\n\n        if (preprocessing && Array.isArray(preprocessing.featureKeys)) {\n            featureKeys = preprocessing.featureKeys.slice();\n        } else {\n            const featureCandidates = cols.filter((k) => k !== idKey && k !== targetKey);\n            featureKeys = featureCandidates.filter((k) => {\n                for (let i = 0; i < rows.length; i++) {\n                    const v = rows[i][k];\n                    if (v !== '' && v !== null && v !== undefined) {\n                        const n = parseFloat(v);\n                        if (!isNaN(n)) return true;\n                    }\n                }\n                return false;\n            });\n        }\n        return {\n            featureKeys,\n            encoder: {\n                featureKeys,\n                mins: preprocessing ? preprocessing.mins : null,\n                maxs: preprocessing ? preprocessing.maxs : null\n            }\n        };\n    };\n\n    /**\n     * One result per row from the raw model outputs of scoreRows().\n     * Binary: `prediction` (churn score), `predictedClass`, `riskTierKey` /\n     * `riskTierLabel`; multi-class: the top class and all `probabilities`;\n     * regression: `prediction` in the target's unit.\n     * @param {Float64Array} scores\n     * @param {object[]} rows the scored rows\n     * @param {object} model `{ featureKeys, classes, targetScaling,\n     *   labelMappings }` (see modelClasses / modelTargetScaling)\n     * @param {function(string, object=): string} t translator\n     */\n    SC.results = function (scores, rows, model, t) {\n        const { featureKeys, classes, targetScaling: scaling, labelMappings } = model;\n        const reverseMappings = labelMappings ? SC.reverseMappings(labelMappings) : null;\n\n        return rows.map((row, index) => {\n            if (scaling) {\n                // Regression: undo the training-time target scaling\n                return {\n                    datasetRow: index + 1,\n                    input: featureKeys.map(k => row[k]),\n                    prediction: scores[index] * scaling.std + scaling.mean\n                };\n            }\n            if (classes) {\n                // Multi-class: the score is the top class probability\n                const probabilities = Array.from(\n                    scores.subarray(index * classes.length, (index + 1) * classes.length)\n                );\n                let best = 0;\n                for (let c = 1; c < probabilities.length; c++) {\n                    if (probabilities[c] > probabilities[best]) best = c;\n                }\n                return {\n                    datasetRow: index + 1,\n                    input: featureKeys.map(k => row[k]),\n                    prediction: probabilities[best],\n                    probabilities: probabilities,\n                    predictedClass: classes[best],\n                    predictedNumeric: best\n                };\n            }\n\n            const prediction = scores[index];\n            const predVal = (typeof prediction === 'number' && !isNaN(prediction)) ? prediction : 0.5;\n            const predictedNumeric = predVal > 0.5 ? 1 : 0;\n\n            // Use label mappings to show meaningful class names\n            let predictedClass;\n            if (reverseMappings && reverseMappings[predictedNumeric]) {\n                predictedClass = reverseMappings[predictedNumeric][0];\n            } else {\n                predictedClass = predictedNumeric === 1 ? t('predict.risk_tiers.atrisk') : t('predict.risk_tiers.safe');\n            }\n\n            const riskTier = SC.riskTier(predVal);\n\n            return {\n                datasetRow: index + 1,\n                input: featureKeys.map(k => row[k]),\n                prediction: predVal,\n                predictedClass: predictedClass,\n                predictedNumeric: predictedNumeric,\n                riskTierKey: riskTier.key,\n                riskTierLabel: t('predict.risk_tiers.' + riskTier.key)\n            };\n        });\n    };\n\n    /**\n     * Area under the ROC curve of `scores` for 0/1 `labels` (rank-sum\n     * statistic, ties averaged); NaN when either class is missing.\n     */\n    SC.rocAuc = function (scores, labels) {\n        const n = scores.length;\n        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => scores[a] - scores[b]);\n        let positives = 0;\n        let rankSum = 0;\n        for (let i = 0; i < n;) {\n            let j = i;\n            while (j + 1 < n && scores[order[j + 1]] === scores[order[i]]) j++;\n            const avgRank = (i + j) / 2 + 1;\n            for (let r = i; r <= j; r++) {\n                if (labels[order[r]] > 0.5) {\n                    positives++;\n                    rankSum += avgRank;\n                }\n            }\n            i = j + 1;\n        }\n        const negatives = n - positives;\n        if (positives === 0 || negatives === 0) return NaN;\n        return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);\n    };\n\n    /**\n     * One-vs-rest ROC AUC averaged over the classes present in `labels`\n     * (class indices), for row-major [n × numClasses] `scores`; NaN when\n     * none can be computed.\n     */\n    SC.macroRocAuc = function (scores, labels, numClasses) {\n        const n = labels.length;\n        const column = new Float64Array(n);\n        const isClass = new Float64Array(n);\n        let sum = 0;\n        let count = 0;\n        for (let c = 0; c < numClasses; c++) {\n            for (let i = 0; i < n; i++) {\n                column[i] = scores[i * numClasses + c];\n                isClass[i] = labels[i] === c ? 1 : 0;\n            }\n            const auc = SC.rocAuc(column, isClass);\n            if (!isNaN(auc)) {\n                sum += auc;\n                count++;\n            }\n        }\n        return count > 0 ? sum / count : NaN;\n    };\n\n    /**\n     * Metrics of raw model outputs against known prepared labels (0/1,\n     * class indices, or standardized targets as MLTrainingData.prepare()\n     * makes them). Binary: accuracy, precision, recall, F1 (churn = the\n     * positive class, score > 0.5) and AUC; multi-class: accuracy and the\n     * per-class precision, recall, F1 and one-vs-rest AUC averaged over the\n     * classes present (macro); regression: MAE, RMSE and R² in the target's\n     * unit. AUC is NaN when it cannot be computed.\n     * @param {Float64Array} scores as returned by predictBatch()\n     * @param {number[]} labels\n     * @param {{classes: string[]|null, targetScaling: object|null}} model\n     */\n    SC.evaluate = function (scores, labels, model) {\n        const { classes, targetScaling: scaling } = model;\n        const n = labels.length;\n        if (scaling) {\n            let absSum = 0;\n            let squareSum = 0;\n            let mean = 0;\n            for (let i = 0; i < n; i++) mean += labels[i] * scaling.std + scaling.mean;\n            mean /= n;\n            let totalSquares = 0;\n            for (let i = 0; i < n; i++) {\n                const actual = labels[i] * scaling.std + scaling.mean;\n                const error = scores[i] * scaling.std + scaling.mean - actual;\n                absSum += Math.abs(error);\n                squareSum += error * error;\n                totalSquares += (actual - mean) * (actual - mean);\n            }\n            return {\n                mae: absSum / n,\n                rmse: Math.sqrt(squareSum / n),\n                r2: totalSquares > 0 ? 1 - squareSum / totalSquares : NaN\n            };\n        }\n\n        const k = classes ? classes.length : 2;\n        const predicted = new Array(n);\n        for (let i = 0; i < n; i++) {\n            if (!classes) {\n                predicted[i] = scores[i] > 0.5 ? 1 : 0;\n                continue;\n            }\n            let best = 0;\n            for (let c = 1; c < k; c++) {\n                if (scores[i * k + c] > scores[i * k + best]) best = c;\n            }\n            predicted[i] = best;\n        }\n        // Precision, recall and F1 of one class against the rest\n        const classMetrics = (c) => {\n            let tp = 0;\n            let fp = 0;\n            let fn = 0;\n            for (let i = 0; i < n; i++) {\n                if (predicted[i] === c && labels[i] === c) tp++;\n                else if (predicted[i] === c) fp++;\n                else if (labels[i] === c) fn++;\n            }\n            const precision = (tp + fp) > 0 ? tp / (tp + fp) : 0;\n            const recall = (tp + fn) > 0 ? tp / (tp + fn) : 0;\n            const f1 = (precision + recall) > 0 ? (2 * precision * recall) / (precision + recall) : 0;\n            return { precision, recall, f1 };\n        };\n        let correct = 0;\n        for (let i = 0; i < n; i++) if (predicted[i] === labels[i]) correct++;\n        const accuracy = n > 0 ? correct / n : NaN;\n\n        if (!classes) {\n            return Object.assign({ accuracy }, classMetrics(1), { auc: SC.rocAuc(scores, labels) });\n        }\n        const present = [];\n        for (let c = 0; c < k; c++) if (labels.includes(c)) present.push(c);\n        const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;\n        const perClass = present.map(classMetrics);\n        return {\n            accuracy,\n            precision: average(perClass.map(m => m.precision)),\n            recall: average(perClass.map(m => m.recall)),\n            f1: average(perClass.map(m => m.f1)),\n            auc: SC.macroRocAuc(scores, labels, k)\n        };\n    };\n\n    // Rows of the downloaded predictions CSV (column name → cell).\n    SC.exportRows = function (results, model, t) {\n        const { classes, targetScaling } = model;\n        return results.map((result) => {\n            const row = {};\n            if (targetScaling) {\n                row[t('predict.col.customer')] = result.datasetRow;\n                row[t('predict.col.predicted_value')] = result.prediction.toFixed(4);\n                return row;\n            }\n            if (classes) {\n                row[t('predict.col.customer')] = result.datasetRow;\n                row[t('predict.col.predicted_class')] = result.predictedClass;\n                row[t('predict.col.confidence')] = result.prediction.toFixed(4);\n                classes.forEach((name, c) => {\n                    row[t('predict.col.class_probability', { name })] = result.probabilities[c].toFixed(4);\n                });\n                return row;\n            }\n            row[t('predict.col.customer')] = result.datasetRow;\n            row[t('predict.col.score')] = result.prediction.toFixed(4);\n            row[t('predict.col.risk_level')] = result.predictedClass;\n            row[t('predict.col.risk_tier')] = result.riskTierLabel || t('predict.risk_tiers.' + SC.riskTier(result.prediction).key);\n            return row;\n        });\n    };\n\n    (typeof window !== 'undefined' ? window : self).MLScoring = SC;\n})();\n\n/**\n * Pure-JavaScript neural network engine.\n *\n * A line-for-line port of `assembly/index.ts` (the f64 build), used when\n * WebAssembly is disabled or the module cannot be loaded. `NNJsEngine.create()`\n * returns an object with the same `nn_*` functions and a `memory` whose\n * `buffer` holds every buffer at the same kind of byte offsets, so\n * `js/nn-wasm.js`, the training worker and NeuralNetwork drive it exactly\n * like the WASM module. The math runs in the same order on f64 values, so a\n * model trained or scored here matches the f64 WASM build to the last bit\n * or so (Math.exp / Math.tanh may round differently in the last place).\n *\n * Has no DOM dependencies: the same source is bundled into the training\n * worker (see tools/embed-wasm.js).\n */\n(function () {\n    const MAX_LAYERS = 16;\n    const PAGE_BYTES = 65536;\n    // First byte handed out, so that 0 keeps meaning \"no buffer\"\n    const ARENA_BASE = 16;\n\n    // Codes mirrored from assembly/index.ts\n    const ACT_RELU = 0;\n    const ACT_TANH = 1;\n    const ACT_LEAKY_RELU = 2;\n    const ACT_ELU = 3;\n    const ACT_GELU = 4;\n    const ACT_LINEAR = 5;\n\n    const LEAKY_SLOPE = 0.01;\n    const ELU_ALPHA = 1.0;\n    const GELU_C = 0.7978845608028654; // sqrt(2 / pi)\n    const GELU_K = 0.044715;\n\n    const LOSS_BCE = 0;\n    const LOSS_FOCAL = 1;\n    const LOSS_MSE = 2;\n    const LOSS_HUBER = 3;\n\n    const OPT_ADAM = 0;\n    const OPT_SGD = 1;\n    const OPT_RMSPROP = 2;\n    const OPT_ADAGRAD = 3;\n\n    const CLIP_EPS = 1e-15;\n\n    function relu(x) {\n        return x > 0.0 ? x : 0.0;\n    }\n\n    function sigmoid(x) {\n        return 1.0 / (1.0 + Math.exp(-x));\n    }\n\n    function gelu(x) {\n        return 0.5 * x * (1.0 + Math.tanh(GELU_C * (x + GELU_K * x * x * x)));\n    }\n\n    function activate(act, x) {\n        switch (act) {\n            case ACT_TANH: return Math.tanh(x);\n            case ACT_LEAKY_RELU: return x > 0.0 ? x : LEAKY_SLOPE * x;\n            case ACT_ELU: return x > 0.0 ? x : ELU_ALPHA * (Math.exp(x) - 1.0);\n            case ACT_GELU: return gelu(x);\n            case ACT_LINEAR: return x;\n            default: return relu(x);\n        }\n    }\n\n    function activationDerivative(act, z) {\n        switch (act) {\n            case ACT_TANH: {\n                const a = Math.tanh(z);\n                return 1.0 - a * a;\n            }\n            case ACT_LEAKY_RELU: return z > 0.0 ? 1.0 : LEAKY_SLOPE;\n            case ACT_ELU: return z > 0.0 ? 1.0 : ELU_ALPHA * Math.exp(z);\n            case ACT_GELU: {\n                const t = Math.tanh(GELU_C * (z + GELU_K * z * z * z));\n                return 0.5 * (1.0 + t) + 0.5 * z * (1.0 - t * t) * GELU_C * (1.0 + 3.0 * GELU_K * z * z);\n            }\n            case ACT_LINEAR: return 1.0;\n            default: return z > 0.0 ? 1.0 : 0.0;\n        }\n    }\n\n    function clipProb(p) {\n        return Math.max(CLIP_EPS, Math.min(1.0 - CLIP_EPS, p));\n    }\n\n    /**\n     * A fresh engine with its own memory and state, like a new instance of\n     * the WASM module.\n     */\n    function create() {\n        // ── Memory ───────────────────────────────────────────────────\n        // Pointers are byte offsets, as in WASM; F and I index the same\n        // bytes as f64 and i32. Both are rebuilt when memory grows.\n        const memory = { buffer: new ArrayBuffer(PAGE_BYTES) };\n        let F = new Float64Array(memory.buffer);\n        let I = new Int32Array(memory.buffer);\n\n        // Layer tables (static memory in the WASM build)\n        const layerUnits = new Int32Array(MAX_LAYERS);\n        const wOffset = new Int32Array(MAX_LAYERS);\n        const bOffset = new Int32Array(MAX_LAYERS);\n        const unitOffset = new Int32Array(MAX_LAYERS);\n        const activation = new Int32Array(MAX_LAYERS);\n        const dropout = new Float64Array(MAX_LAYERS);\n\n        let numLayers = 0;\n        let inputSize = 0;\n        let outputSize = 0;\n        let nSamples = 0;\n        let numParams = 0;\n        let numUnits = 0;\n\n        let paramsPtr = 0;\n        let mPtr = 0;\n        let vPtr = 0;\n        let gradPtr = 0;\n        let bestParamsPtr = 0;\n        let xDataPtr = 0;\n        let yDataPtr = 0;\n        let valXPtr = 0;\n        let valYPtr = 0;\n        let valPredPtr = 0;\n        let indicesPtr = 0;\n        let zPtr = 0;\n        let aPtr = 0;\n        let deltaPtr = 0;\n        let maskPtr = 0;\n        let predInputPtr = 0;\n        let batchXPtr = 0;\n        let batchOutPtr = 0;\n        let batchCapacity = 0;\n        let classWeightPtr = 0;\n\n        let adamT = 0;\n        let epochLoss = 0;\n        let epochAccuracy = 0;\n        let epochMae = 0;\n        let batchCursor = 0;\n        let runLoss = 0;\n        let runCorrect = 0;\n        let runAbsError = 0;\n        let runBatches = 0;\n        let nValSamples = 0;\n        let valCapacity = 0;\n        let valLoss = 0;\n        let valAccuracy = 0;\n        let valMae = 0;\n        let rngState = 42;\n        let weightDecay = 0;\n        let lossType = LOSS_BCE;\n        let positiveWeight = 1.0;\n        let focalGamma = 2.0;\n        let huberDelta = 1.0;\n        let optimizer = OPT_ADAM;\n        let momentum = 0.9;\n        let rho = 0.9;\n        let clipNorm = 0.0;\n\n        let arenaTop = 0;\n        let dataBase = 0;\n\n        function alloc(bytes) {\n            const ptr = ((arenaTop > 0 ? arenaTop : ARENA_BASE) + 15) & ~15;\n            const end = ptr + bytes;\n            if (end > memory.buffer.byteLength) {\n                const pages = Math.ceil(end / PAGE_BYTES);\n                const grown = new ArrayBuffer(pages * PAGE_BYTES);\n                new Uint8Array(grown).set(new Uint8Array(memory.buffer));\n                memory.buffer = grown;\n                F = new Float64Array(grown);\n                I = new Int32Array(grown);\n            }\n            arenaTop = end;\n            return ptr;\n        }\n\n        function releaseData() {\n            arenaTop = dataBase;\n            nSamples = 0;\n            nValSamples = 0;\n            valCapacity = 0;\n            batchCapacity = 0;\n            xDataPtr = 0;\n            yDataPtr = 0;\n            indicesPtr = 0;\n            valXPtr = 0;\n            valYPtr = 0;\n            valPredPtr = 0;\n            batchXPtr = 0;\n            batchOutPtr = 0;\n        }\n\n        function outputPtr() {\n            return aPtr + (unitOffset[numLayers - 1] << 3);\n        }\n\n        // ── PRNG (xorshift32) ────────────────────────────────────────\n        function xorshift32() {\n            let x = rngState;\n            x ^= x << 13;\n            x ^= x >>> 17;\n            x ^= x << 5;\n            rngState = x >>> 0;\n            return rngState;\n        }\n\n        function randomFloat() {\n            return xorshift32() / 4294967295.0;\n        }\n\n        function shuffleIndices() {\n            const base = indicesPtr >> 2;\n            for (let i = nSamples - 1; i > 0; i--) {\n                const j = xorshift32() % (i + 1);\n                const a = I[base + i];\n                I[base + i] = I[base + j];\n                I[base + j] = a;\n            }\n        }\n\n        // ── Forward pass ─────────────────────────────────────────────\n        function forward(xPtr, training) {\n            const last = numLayers - 1;\n            let inIdx = xPtr >> 3;\n            let inSize = inputSize;\n\n            for (let l = 1; l < numLayers; l++) {\n                const outSize = layerUnits[l];\n                const w = (paramsPtr >> 3) + wOffset[l];\n                const b = (paramsPtr >> 3) + bOffset[l];\n                const zOut = (zPtr >> 3) + unitOffset[l];\n                const aOut = (aPtr >> 3) + unitOffset[l];\n                const mOut = (maskPtr >> 3) + unitOffset[l];\n                const act = activation[l];\n                const rate = training && l !== last ? dropout[l] : 0.0;\n                const keepScale = 1.0 / (1.0 - rate);\n\n                for (let j = 0; j < outSize; j++) {\n                    const wBase = w + j * inSize;\n                    let sum = F[b + j];\n                    for (let k = 0; k < inSize; k++) sum += F[wBase + k] * F[inIdx + k];\n                    F[zOut + j] = sum;\n                    if (l === last) {\n                        if (act === ACT_LINEAR) F[aOut + j] = sum;\n                        else if (outSize === 1) F[aOut + j] = sigmoid(sum);\n                    } else if (rate > 0.0) {\n                        const scale = randomFloat() < rate ? 0.0 : keepScale;\n                        F[mOut + j] = scale;\n                        F[aOut + j] = activate(act, sum) * scale;\n                    } else {\n                        F[mOut + j] = 1.0;\n                        F[aOut + j] = activate(act, sum);\n                    }\n                }\n\n                if (l === last && outSize > 1 && act !== ACT_LINEAR) softmax(zOut, aOut, outSize);\n\n                inIdx = aOut;\n                inSize = outSize;\n            }\n            return F[inIdx];\n        }\n\n        function softmax(zIn, aOut, n) {\n            let maxZ = F[zIn];\n            for (let j = 1; j < n; j++) maxZ = Math.max(maxZ, F[zIn + j]);\n            let sum = 0.0;\n            for (let j = 0; j < n; j++) {\n                const e = Math.exp(F[zIn + j] - maxZ);\n                F[aOut + j] = e;\n                sum += e;\n            }\n            for (let j = 0; j < n; j++) F[aOut + j] = F[aOut + j] / sum;\n        }\n\n        function argmax(out) {\n            let best = 0;\n            for (let j = 1; j < outputSize; j++) {\n                if (F[out + j] > F[out + best]) best = j;\n            }\n            return best;\n        }\n\n        function isRegression() {\n            return lossType === LOSS_MSE || lossType === LOSS_HUBER;\n        }\n\n        // `out` is an f64 index from here on\n        function isCorrect(yTrue, out) {\n            if (isRegression()) return false;\n            if (outputSize > 1) return argmax(out) === Math.trunc(yTrue);\n            return (F[out] > 0.5 ? 1.0 : 0.0) === yTrue;\n        }\n\n        // ── Loss ─────────────────────────────────────────────────────\n        function sampleWeight(yTrue) {\n            if (outputSize > 1) return F[(classWeightPtr >> 3) + Math.trunc(yTrue)];\n            return yTrue > 0.5 ? positiveWeight : 1.0;\n        }\n\n        function sampleLoss(yTrue, out) {\n            if (isRegression()) {\n                const r = F[out] - yTrue;\n                if (lossType === LOSS_MSE) return r * r;\n                const absR = Math.abs(r);\n                return absR <= huberDelta ? 0.5 * r * r : huberDelta * (absR - 0.5 * huberDelta);\n            }\n            if (outputSize > 1) {\n                const pt = clipProb(F[out + Math.trunc(yTrue)]);\n                const focal = lossType === LOSS_FOCAL ? Math.pow(1.0 - pt, focalGamma) : 1.0;\n                return -sampleWeight(yTrue) * focal * Math.log(pt);\n            }\n            const clipped = clipProb(F[out]);\n            if (lossType === LOSS_FOCAL) {\n                const pt = yTrue > 0.5 ? clipped : 1.0 - clipped;\n                return -sampleWeight(yTrue) * Math.pow(1.0 - pt, focalGamma) * Math.log(pt);\n            }\n            const bce = -(yTrue * Math.log(clipped) + (1.0 - yTrue) * Math.log(1.0 - clipped));\n            return sampleWeight(yTrue) * bce;\n        }\n\n        function setOutputDeltas(yTrue, out) {\n            const dOut = (deltaPtr >> 3) + unitOffset[numLayers - 1];\n            if (isRegression()) {\n                const r = F[out] - yTrue;\n                F[dOut] = lossType === LOSS_MSE\n                    ? 2.0 * r\n                    : Math.max(-huberDelta, Math.min(huberDelta, r));\n                return;\n            }\n            if (outputSize === 1) {\n                F[dOut] = outputDelta(yTrue, F[out]);\n                return;\n            }\n            const t = Math.trunc(yTrue);\n            const pt = clipProb(F[out + t]);\n            let g = -1.0;\n            if (lossType === LOSS_FOCAL) {\n                const q = 1.0 - pt;\n                g = focalGamma * Math.pow(q, focalGamma - 1.0) * pt * Math.log(pt) - Math.pow(q, focalGamma);\n            }\n            g *= sampleWeight(yTrue);\n            for (let j = 0; j < outputSize; j++) {\n                F[dOut + j] = g * ((j === t ? 1.0 : 0.0) - F[out + j]);\n            }\n        }\n\n        function outputDelta(yTrue, yPred) {\n            if (lossType === LOSS_FOCAL) {\n                const clipped = clipProb(yPred);\n                const positive = yTrue > 0.5;\n                const pt = positive ? clipped : 1.0 - clipped;\n                const q = 1.0 - pt;\n                const qg = Math.pow(q, focalGamma);\n                const d = focalGamma * qg * pt * Math.log(pt) - qg * q;\n                return sampleWeight(yTrue) * (positive ? d : -d);\n            }\n            return sampleWeight(yTrue) * (yPred - yTrue);\n        }\n\n        // ── Backpropagation ──────────────────────────────────────────\n        function backpropSample(xPtr) {\n            const last = numLayers - 1;\n            const params = paramsPtr >> 3;\n            const grads = gradPtr >> 3;\n\n            for (let l = last; l >= 1; l--) {\n                const outSize = layerUnits[l];\n                const inSize = layerUnits[l - 1];\n                const inIdx = l === 1 ? xPtr >> 3 : (aPtr >> 3) + unitOffset[l - 1];\n                const dOut = (deltaPtr >> 3) + unitOffset[l];\n                const gw = grads + wOffset[l];\n                const gb = grads + bOffset[l];\n\n                for (let j = 0; j < outSize; j++) {\n                    const d = F[dOut + j];\n                    if (d === 0.0) continue;\n                    const gwBase = gw + j * inSize;\n                    for (let i = 0; i < inSize; i++) {\n                        F[gwBase + i] = F[gwBase + i] + d * F[inIdx + i];\n                    }\n                    F[gb + j] = F[gb + j] + d;\n                }\n\n                if (l === 1) break;\n\n                // Same row-by-row accumulation as the WASM build\n                const w = params + wOffset[l];\n                const zPrev = (zPtr >> 3) + unitOffset[l - 1];\n                const dPrev = (deltaPtr >> 3) + unitOffset[l - 1];\n                const mPrev = (maskPtr >> 3) + unitOffset[l - 1];\n                const act = activation[l - 1];\n                F.fill(0, dPrev, dPrev + inSize);\n                for (let j = 0; j < outSize; j++) {\n                    const d = F[dOut + j];\n                    const wBase = w + j * inSize;\n                    for (let k = 0; k < inSize; k++) {\n                        F[dPrev + k] = F[dPrev + k] + d * F[wBase + k];\n                    }\n                }\n                for (let k = 0; k < inSize; k++) {\n                    const z = F[zPrev + k];\n                    const mask = F[mPrev + k];\n                    if ((act === ACT_RELU && z <= 0.0) || mask === 0.0) {\n                        F[dPrev + k] = 0.0;\n                        continue;\n                    }\n                    let sum = F[dPrev + k];\n                    if (act !== ACT_RELU) sum *= activationDerivative(act, z);\n                    if (mask !== 1.0) sum *= mask;\n                    F[dPrev + k] = sum;\n                }\n            }\n        }\n\n        // ── Optimizer step ───────────────────────────────────────────\n        function applyWeightDecay(lr) {\n            if (weightDecay <= 0.0) return;\n            const shrink = 1.0 - lr * weightDecay;\n            const params = paramsPtr >> 3;\n            for (let l = 1; l < numLayers; l++) {\n                for (let i = wOffset[l]; i < bOffset[l]; i++) {\n                    F[params + i] = F[params + i] * shrink;\n                }\n            }\n        }\n\n        function clipGradients(batchSz) {\n            if (clipNorm <= 0.0) return;\n            const grads = gradPtr >> 3;\n            let sq = 0.0;\n            for (let i = 0; i < numParams; i++) {\n                const g = F[grads + i];\n                sq += g * g;\n            }\n            const norm = Math.sqrt(sq) / batchSz;\n            if (!(norm > clipNorm) || !isFinite(norm)) return;\n            const scale = clipNorm / norm;\n            for (let i = 0; i < numParams; i++) F[grads + i] = F[grads + i] * scale;\n        }\n\n        function applyUpdate(batchSz, lr, beta1, beta2, eps) {\n            clipGradients(batchSz);\n            applyWeightDecay(lr);\n            switch (optimizer) {\n                case OPT_SGD: applySgd(batchSz, lr); break;\n                case OPT_RMSPROP: applyRmsprop(batchSz, lr, eps); break;\n                case OPT_ADAGRAD: applyAdagrad(batchSz, lr, eps); break;\n                default: applyAdam(batchSz, lr, beta1, beta2, eps);\n            }\n        }\n\n        function applyAdam(batchSz, lr, beta1, beta2, eps) {\n            adamT++;\n            const invBatch = 1.0 / batchSz;\n            const bc1 = 1.0 - Math.pow(beta1, adamT);\n            const bc2 = 1.0 - Math.pow(beta2, adamT);\n            const lrT = lr * Math.sqrt(bc2) / (bc1 > 1e-12 ? bc1 : 1e-12);\n            const ob1 = 1.0 - beta1;\n            const ob2 = 1.0 - beta2;\n            const p = paramsPtr >> 3, g0 = gradPtr >> 3, m0 = mPtr >> 3, v0 = vPtr >> 3;\n            for (let i = 0; i < numParams; i++) {\n                const g = F[g0 + i] * invBatch;\n                const m = beta1 * F[m0 + i] + ob1 * g;\n                const v = beta2 * F[v0 + i] + ob2 * g * g;\n                F[m0 + i] = m;\n                F[v0 + i] = v;\n                F[p + i] = F[p + i] - lrT * (m / (Math.sqrt(v) + eps));\n            }\n        }\n\n        function applySgd(batchSz, lr) {\n            const invBatch = 1.0 / batchSz;\n            const p = paramsPtr >> 3, g0 = gradPtr >> 3, m0 = mPtr >> 3;\n            for (let i = 0; i < numParams; i++) {\n                const vel = momentum * F[m0 + i] + F[g0 + i] * invBatch;\n                F[m0 + i] = vel;\n                F[p + i] = F[p + i] - lr * vel;\n            }\n        }\n\n        function applyRmsprop(batchSz, lr, eps) {\n            const invBatch = 1.0 / batchSz;\n            const oneMinusRho = 1.0 - rho;\n            const p = paramsPtr >> 3, g0 = gradPtr >> 3, v0 = vPtr >> 3;\n            for (let i = 0; i < numParams; i++) {\n                const g = F[g0 + i] * invBatch;\n                const sq = rho * F[v0 + i] + oneMinusRho * g * g;\n                F[v0 + i] = sq;\n                F[p + i] = F[p + i] - lr * g / (Math.sqrt(sq) + eps);\n            }\n        }\n\n        function applyAdagrad(batchSz, lr, eps) {\n            const invBatch = 1.0 / batchSz;\n            const p = paramsPtr >> 3, g0 = gradPtr >> 3, v0 = vPtr >> 3;\n            for (let i = 0; i < numParams; i++) {\n                const g = F[g0 + i] * invBatch;\n                const sq = F[v0 + i] + g * g;\n                F[v0 + i] = sq;\n                F[p + i] = F[p + i] - lr * g / (Math.sqrt(sq) + eps);\n            }\n        }\n\n        // ── Exports (same names and behaviour as assembly/index.ts) ──\n        const nn = {\n            memory,\n\n            nn_set_layer_count(count) {\n                count |= 0;\n                numLayers = count < 2 ? 2 : (count > MAX_LAYERS ? MAX_LAYERS : count);\n                activation.fill(0);\n                dropout.fill(0);\n            },\n            nn_set_layer_units(layer, units) {\n                layer |= 0;\n                if (layer < 0 || layer >= MAX_LAYERS) return;\n                layerUnits[layer] = units | 0;\n            },\n            nn_set_layer_activation(layer, act) {\n                layer |= 0;\n                if (layer < 0 || layer >= MAX_LAYERS) return;\n                activation[layer] = act | 0;\n            },\n            nn_set_layer_dropout(layer, rate) {\n                layer |= 0;\n                if (layer < 0 || layer >= MAX_LAYERS) return;\n                dropout[layer] = rate > 0.0 ? (rate < 0.95 ? rate : 0.95) : 0.0;\n            },\n            nn_set_weight_decay(decay) {\n                weightDecay = decay > 0.0 ? decay : 0.0;\n            },\n            nn_set_loss(type, posWeight, gamma) {\n                type |= 0;\n                lossType = type >= LOSS_FOCAL && type <= LOSS_HUBER ? type : LOSS_BCE;\n                positiveWeight = posWeight > 0.0 ? posWeight : 1.0;\n                focalGamma = gamma >= 0.0 ? gamma : 0.0;\n            },\n            nn_set_optimizer(opt, mom, r) {\n                opt |= 0;\n                optimizer = opt >= OPT_ADAM && opt <= OPT_ADAGRAD ? opt : OPT_ADAM;\n                momentum = mom >= 0.0 && mom < 1.0 ? mom : 0.0;\n                rho = r > 0.0 && r < 1.0 ? r : 0.9;\n                if (numParams > 0) nn.nn_reset_adam();\n            },\n            nn_set_gradient_clip(maxNorm) {\n                clipNorm = maxNorm > 0.0 ? maxNorm : 0.0;\n            },\n            nn_set_huber_delta(delta) {\n                huberDelta = delta > 0.0 ? delta : 1.0;\n            },\n\n            nn_init_layers() {\n                inputSize = layerUnits[0];\n                outputSize = layerUnits[numLayers - 1];\n                adamT = 0;\n\n                let params = 0;\n                let unitsTotal = 0;\n                for (let l = 1; l < numLayers; l++) {\n                    const outSize = layerUnits[l];\n                    const inSize = layerUnits[l - 1];\n                    wOffset[l] = params;\n                    params += outSize * inSize;\n                    bOffset[l] = params;\n                    params += outSize;\n                    unitOffset[l] = unitsTotal;\n                    unitsTotal += outSize;\n                }\n                numParams = params;\n                numUnits = unitsTotal;\n\n                arenaTop = ARENA_BASE;\n                paramsPtr = alloc(numParams << 3);\n                mPtr = alloc(numParams << 3);\n                vPtr = alloc(numParams << 3);\n                gradPtr = alloc(numParams << 3);\n                bestParamsPtr = alloc(numParams << 3);\n                zPtr = alloc(numUnits << 3);\n                aPtr = alloc(numUnits << 3);\n                deltaPtr = alloc(numUnits << 3);\n                maskPtr = alloc(numUnits << 3);\n                predInputPtr = alloc(inputSize << 3);\n                classWeightPtr = alloc(outputSize << 3);\n                new Uint8Array(memory.buffer).fill(0, ARENA_BASE, arenaTop);\n                dataBase = arenaTop;\n                releaseData();\n                F.fill(1.0, classWeightPtr >> 3, (classWeightPtr >> 3) + outputSize);\n\n                // Xavier/Glorot uniform initialization, layer by layer\n                const p = paramsPtr >> 3;\n                for (let l = 1; l < numLayers; l++) {\n                    const outSize = layerUnits[l];\n                    const inSize = layerUnits[l - 1];\n                    const limit = Math.sqrt(6.0 / (inSize + outSize));\n                    const wSize = outSize * inSize;\n                    for (let i = 0; i < wSize; i++) {\n                        F[p + wOffset[l] + i] = (randomFloat() * 2.0 - 1.0) * limit;\n                    }\n                    F.fill(0, p + bOffset[l], p + bOffset[l] + outSize);\n                }\n            },\n            nn_init(inSize, hiddenSize, outSize) {\n                nn.nn_set_layer_count(3);\n                nn.nn_set_layer_units(0, inSize);\n                nn.nn_set_layer_units(1, hiddenSize);\n                nn.nn_set_layer_units(2, outSize);\n                nn.nn_init_layers();\n            },\n\n            nn_alloc_training_data(n) {\n                n |= 0;\n                releaseData();\n                nSamples = n;\n                xDataPtr = alloc((n * inputSize) << 3);\n                yDataPtr = alloc(n << 3);\n                indicesPtr = alloc(n << 2);\n                const base = indicesPtr >> 2;\n                for (let i = 0; i < n; i++) I[base + i] = i;\n            },\n            nn_alloc_validation_data(n) {\n                n |= 0;\n                nValSamples = n;\n                if (n <= valCapacity) return;\n                valXPtr = alloc((n * inputSize) << 3);\n                valYPtr = alloc(n << 3);\n                valPredPtr = alloc((n * outputSize) << 3);\n                valCapacity = n;\n            },\n            nn_reset_memory() {\n                dataBase = ARENA_BASE;\n                releaseData();\n                numParams = 0;\n                numUnits = 0;\n                paramsPtr = 0;\n                mPtr = 0;\n                vPtr = 0;\n                gradPtr = 0;\n                bestParamsPtr = 0;\n                zPtr = 0;\n                aPtr = 0;\n                deltaPtr = 0;\n                maskPtr = 0;\n                predInputPtr = 0;\n                classWeightPtr = 0;\n            },\n            nn_get_memory_used() {\n                return arenaTop > 0 ? arenaTop - ARENA_BASE : 0;\n            },\n            nn_set_class_weight(cls, weight) {\n                cls |= 0;\n                if (cls < 0 || cls >= outputSize) return;\n                F[(classWeightPtr >> 3) + cls] = weight > 0.0 ? weight : 1.0;\n            },\n\n            nn_get_x_ptr: () => xDataPtr,\n            nn_get_y_ptr: () => yDataPtr,\n            nn_get_val_x_ptr: () => valXPtr,\n            nn_get_val_y_ptr: () => valYPtr,\n            nn_get_val_pred_ptr: () => valPredPtr,\n            nn_get_pred_input_ptr: () => predInputPtr,\n            nn_get_batch_x_ptr: () => batchXPtr,\n            nn_get_batch_out_ptr: () => batchOutPtr,\n            nn_get_output_ptr: () => outputPtr(),\n            nn_get_real_bytes: () => 8,\n            nn_get_params_ptr: () => paramsPtr,\n            nn_get_param_count: () => numParams,\n            nn_get_moment1_ptr: () => mPtr,\n            nn_get_moment2_ptr: () => vPtr,\n            nn_get_optimizer_step: () => adamT,\n            nn_set_optimizer_step(step) {\n                step |= 0;\n                adamT = step > 0 ? step : 0;\n            },\n            nn_get_rng_state: () => rngState,\n            nn_set_rng_state(state) {\n                state >>>= 0;\n                rngState = state > 0 ? state : 42;\n            },\n            nn_get_indices_ptr: () => indicesPtr,\n            nn_get_best_params_ptr: () => bestParamsPtr,\n            nn_get_weight_offset: (layer) => wOffset[layer + 1],\n            nn_get_bias_offset: (layer) => bOffset[layer + 1],\n\n            nn_get_weight(layer, row, col) {\n                const l = layer + 1;\n                return F[(paramsPtr >> 3) + wOffset[l] + row * layerUnits[l - 1] + col];\n            },\n            nn_set_weight(layer, row, col, val) {\n                const l = layer + 1;\n                F[(paramsPtr >> 3) + wOffset[l] + row * layerUnits[l - 1] + col] = val;\n            },\n            nn_get_bias: (layer, idx) => F[(paramsPtr >> 3) + bOffset[layer + 1] + idx],\n            nn_set_bias(layer, idx, val) {\n                F[(paramsPtr >> 3) + bOffset[layer + 1] + idx] = val;\n            },\n\n            nn_get_epoch_loss: () => epochLoss,\n            nn_get_epoch_accuracy: () => epochAccuracy,\n            nn_get_val_loss: () => valLoss,\n            nn_get_val_accuracy: () => valAccuracy,\n            nn_get_epoch_mae: () => epochMae,\n            nn_get_val_mae: () => valMae,\n            nn_get_input_size: () => inputSize,\n            nn_get_hidden_size: () => (numLayers > 2 ? layerUnits[1] : 0),\n            nn_get_output_size: () => outputSize,\n            nn_get_layer_count: () => numLayers,\n            nn_get_layer_units: (layer) => layerUnits[layer],\n            nn_get_layer_activation: (layer) => activation[layer],\n            nn_get_layer_dropout: (layer) => dropout[layer],\n            nn_get_weight_decay: () => weightDecay,\n            nn_get_loss_type: () => lossType,\n            nn_get_positive_weight: () => positiveWeight,\n            nn_set_seed(seed) {\n                seed >>>= 0;\n                rngState = seed > 0 ? seed : 42;\n            },\n\n            nn_begin_epoch() {\n                shuffleIndices();\n                batchCursor = 0;\n                runLoss = 0.0;\n                runCorrect = 0.0;\n                runAbsError = 0.0;\n                runBatches = 0;\n            },\n            nn_train_batches(batchSize, maxBatches, lr, beta1, beta2, eps) {\n                batchSize |= 0;\n                maxBatches |= 0;\n                for (let b = 0; b < maxBatches && batchCursor < nSamples; b++) {\n                    const batchStart = batchCursor;\n                    const batchEnd = Math.min(batchStart + batchSize, nSamples);\n                    const curBatchSize = batchEnd - batchStart;\n\n                    F.fill(0, gradPtr >> 3, (gradPtr >> 3) + numParams);\n\n                    let batchLoss = 0.0;\n                    let batchCorrect = 0.0;\n                    let batchAbsError = 0.0;\n\n                    for (let bi = batchStart; bi < batchEnd; bi++) {\n                        const sIdx = I[(indicesPtr >> 2) + bi];\n                        const yTrue = F[(yDataPtr >> 3) + sIdx];\n                        const xPtr = xDataPtr + ((sIdx * inputSize) << 3);\n\n                        forward(xPtr, true);\n                        const out = outputPtr() >> 3;\n                        batchLoss += sampleLoss(yTrue, out);\n                        if (isCorrect(yTrue, out)) batchCorrect += 1.0;\n                        batchAbsError += Math.abs(F[out] - yTrue);\n\n                        setOutputDeltas(yTrue, out);\n                        backpropSample(xPtr);\n                    }\n\n                    applyUpdate(curBatchSize, lr, beta1, beta2, eps);\n\n                    runLoss += batchLoss / curBatchSize;\n                    runCorrect += batchCorrect / curBatchSize;\n                    runAbsError += batchAbsError / curBatchSize;\n                    runBatches++;\n                    batchCursor = batchEnd;\n                }\n\n                if (batchCursor < nSamples) return 0;\n                epochLoss = runLoss / runBatches;\n                epochAccuracy = runCorrect / runBatches;\n                epochMae = runAbsError / runBatches;\n                return 1;\n            },\n            nn_training_finite() {\n                if (!isFinite(runLoss)) return 0;\n                const p = paramsPtr >> 3;\n                for (let i = 0; i < numParams; i++) {\n                    if (!isFinite(F[p + i])) return 0;\n                }\n                return 1;\n            },\n            nn_train_epoch(batchSize, lr, beta1, beta2, eps) {\n                nn.nn_begin_epoch();\n                nn.nn_train_batches(batchSize, 0x7fffffff, lr, beta1, beta2, eps);\n            },\n\n            nn_evaluate_validation() {\n                nn.nn_predict_batch(valXPtr, valPredPtr, nValSamples);\n                let totalLoss = 0.0;\n                let totalCorrect = 0.0;\n                let totalAbsError = 0.0;\n                for (let i = 0; i < nValSamples; i++) {\n                    const yTrue = F[(valYPtr >> 3) + i];\n                    const pred = (valPredPtr >> 3) + i * outputSize;\n                    totalLoss += sampleLoss(yTrue, pred);\n                    if (isCorrect(yTrue, pred)) totalCorrect += 1.0;\n                    totalAbsError += Math.abs(F[pred] - yTrue);\n                }\n                const n = nValSamples > 0 ? nValSamples : 1.0;\n                valLoss = totalLoss / n;\n                valAccuracy = totalCorrect / n;\n                valMae = totalAbsError / n;\n            },\n\n            nn_snapshot_params() {\n                F.copyWithin(bestParamsPtr >> 3, paramsPtr >> 3, (paramsPtr >> 3) + numParams);\n            },\n            nn_restore_params() {\n                F.copyWithin(paramsPtr >> 3, bestParamsPtr >> 3, (bestParamsPtr >> 3) + numParams);\n            },\n\n            nn_predict: () => forward(predInputPtr, false),\n            nn_alloc_predict_batch(rows) {\n                rows |= 0;\n                if (rows <= batchCapacity) return;\n                batchXPtr = alloc((rows * inputSize) << 3);\n                batchOutPtr = alloc((rows * outputSize) << 3);\n                batchCapacity = rows;\n            },\n            nn_predict_batch(xPtr, outPtr, rows) {\n                const rowBytes = inputSize << 3;\n                const out = outPtr >> 3;\n                if (outputSize === 1) {\n                    for (let i = 0; i < rows; i++) F[out + i] = forward(xPtr + i * rowBytes, false);\n                    return;\n                }\n                for (let i = 0; i < rows; i++) {\n                    forward(xPtr + i * rowBytes, false);\n                    const src = outputPtr() >> 3;\n                    F.copyWithin(out + i * outputSize, src, src + outputSize);\n                }\n            },\n            nn_set_predict_feature(idx, val) {\n                F[(predInputPtr >> 3) + idx] = val;\n            },\n            nn_reset_adam() {\n                adamT = 0;\n                F.fill(0, mPtr >> 3, (mPtr >> 3) + numParams);\n                F.fill(0, vPtr >> 3, (vPtr >> 3) + numParams);\n            }\n        };\n        return nn;\n    }\n\n    (typeof window !== 'undefined' ? window : self).NNJsEngine = { create };\n})();\n\n/**\n * Neural-network training and scoring Web Worker.\n *\n * Runs the WASM training loop off the main thread so that browser background\n * throttling (and in the worst case full tab freezing) cannot slow training\n * down when the user switches focus to another tab. The same worker also\n * encodes and scores large customer lists chunk by chunk so the Score page\n * stays responsive.\n *\n * The main thread builds this worker from a Blob URL and prepends a\n * `NN_WASM_B64` declaration holding the base64-encoded module bytes (nn.wasm\n * or the f32 SIMD build nn-simd.wasm, whichever the page loaded). That\n * prefix is what lets the worker instantiate WebAssembly without any fetch\n * (so it also works under file://). See `_createWorker()` in\n * `js/neural-network.js` for the exact wrapper. `js/feature-codec.js`,\n * `js/scoring.js` and `js/nn-engine.js` are bundled in front of this file,\n * providing `MLFeatureCodec`, `MLScoring` (the holdout's ROC AUC) and the\n * `NNJsEngine` fallback.\n *\n * Protocol\n * --------\n * Main → Worker:\n *   { type: 'train',\n *     nSamples, layerSizes,                    // [input, ...hidden, output]\n *     hiddenActivations,                       // ACT_* code per hidden layer\n *     outputActivation,                        // ACT_LINEAR for regression\n *     featuresFlat: Float64Array, labelsFlat: Float64Array,\n *     epochs, batchSize, learningRate,\n *     optimizer, optimizerParams,              // OPT_* code + normalized params\n *     dropoutRates,                            // drop rate per hidden layer\n *     weightDecay,                             // decoupled (AdamW) decay\n *     gradientClipNorm,                        // max global grad norm, 0 = off\n *     lossType, positiveWeight, focalGamma,    // LOSS_* code + parameters\n *     huberDelta,                              // Huber loss threshold\n *     classWeights,                            // per class (softmax) or null\n *     lrSchedule,                              // see scheduledLearningRate()\n *     nValSamples, valFeaturesFlat, valLabelsFlat, // optional holdout\n *     earlyStopping,                           // { patience, minDelta } or null\n *     seed,                                    // weight init, shuffle, dropout\n *     initialWeights,                          // optional { weights, biases }\n *                                              // to continue from\n *     optimizerState,                          // optional { step, m, v } from\n *                                              // an earlier 'done'\n *     checkpointEvery,                         // epochs between checkpoints,\n *                                              // 0 = none\n *     resumeFrom }                             // optional 'checkpoint' message\n *                                              // to continue the run from\n *   { type: 'search',                          // hyperparameter search with\n *     ...the 'train' fields above except       // k-fold cross-validation\n *     the data, holdout and class weights,\n *     initialWeights, optimizerState,\n *     checkpointEvery and resumeFrom,\n *     folds: [{ inputSize, nTrain,             // per fold, encoded with its\n *       featuresFlat, labelsFlat, nVal,        // own preprocessing: training\n *       valFeaturesFlat, valLabelsFlat,        // rows, held-out rows and the\n *       positiveWeight, classWeights }],       // class weights to train with\n *     trials,                                  // [{ epochs, learningRate,\n *                                              //    hiddenUnits }]\n *     timeBudgetMs }                           // 0 = no limit; time paused\n *                                              // does not count\n *   { type: 'pause' } / { type: 'resume' }     // hold / continue training\n *   { type: 'stop' }                           // finish now, keeping weights\n *                                              // (a search ends after the\n *                                              // trials already finished)\n *   { type: 'score-init', layerSizes, hiddenActivations, outputActivation,\n *     weights, biases, encoder }               // MLFeatureCodec.makeRowEncoder spec\n *   { type: 'score-chunk', start, rows }       // raw CSV row objects\n *\n * Worker → Main:\n *   { type: 'ready' }                          // sent after wasm instantiated\n *   { type: 'epoch', epoch, loss, accuracy,    // one per completed epoch\n *     mae,                                     // regression only\n *     learningRate,                            // LR used for that epoch\n *     valLoss, valAccuracy, valAUC }           // only with a holdout; AUC is\n *                                              // the one-vs-rest macro average\n *                                              // for multi-class models;\n *                                              // regression reports valMae\n *                                              // instead of valAccuracy/valAUC\n *   { type: 'paused', epoch } / { type: 'resumed' } // control acknowledged\n *   { type: 'done', weights, biases,           // training finished\n *     bestEpoch, stoppedEarly, stopped,        // lowest monitored loss; the\n *                                              // weights are restored to it\n *                                              // when early stopping is on\n *     optimizerState: { step, m, v } }         // Float64Array (Float32Array in\n *                                              // the SIMD build) moments in\n *                                              // the flat parameter layout\n *   { type: 'checkpoint', epoch, params,       // every checkpointEvery epochs:\n *     optimizerState, rngState, order,         // everything needed to resume\n *     bestParams, bestLoss, bestEpoch,         // the run exactly as if it had\n *     lastLoss, scheduleState }                // never stopped\n *   { type: 'trial', index, folds }            // a finished search trial:\n *                                              // holdout metrics per fold as\n *                                              // in 'epoch' plus bestEpoch,\n *                                              // or { diverged: true }\n *   { type: 'search-done', completed,          // search over; trials left\n *     stopped, timedOut }                      // undone by 'stop' or the\n *                                              // time budget are not reported\n *   { type: 'scores', start, scores: Float64Array } // one per score-chunk,\n *                                              // outputs per row, row-major\n *   { type: 'error', message }                 // anything threw\n *   { type: 'error', message, code: 'diverged', // loss or weights went\n *     epoch, reason }                          // NaN/Infinity; training stops\n *                                              // at once. reason is\n *                                              // 'invalid_input',\n *                                              // 'extreme_features' or\n *                                              // 'learning_rate'\n *\n * Control messages are picked up between slices of mini-batches (see\n * SLICE_SAMPLES), so small datasets react between epochs and big ones\n * within an epoch. Scoring has no control messages: the main thread stops\n * sending chunks and terminates the worker to cancel.\n */\n'use strict';\n\nlet wasm = null;\n// Typed array matching the module's value type (nn_get_real_bytes): the\n// SIMD build stores f32.\nlet Real = Float64Array;\n\n// Output activation code for regression (ACT_LINEAR in assembly/index.ts).\nconst ACT_LINEAR = 5;\n\n// Roughly how many samples to train before giving queued control messages a\n// chance to run, and how often (ms) to actually yield to the event loop.\nconst SLICE_SAMPLES = 8192;\nconst YIELD_INTERVAL_MS = 50;\n\n// Largest absolute feature value not blamed for a divergence; inputs are\n// normally scaled to about [0, 1].\nconst EXTREME_FEATURE = 1e4;\n\n// Set by 'pause' / 'resume' / 'stop' while a training run is in progress.\nconst control = { paused: false, stopped: false, wake: null };\nlet lastYield = 0;\n// Total time spent paused, so a search's time budget leaves it out\nlet pausedMs = 0;\n\nfunction yieldToEventLoop() {\n    return new Promise((resolve) => setTimeout(resolve, 0));\n}\n\n// Lets pending control messages through and blocks while paused.\nasync function checkControl(epoch) {\n    const now = performance.now();\n    if (now - lastYield >= YIELD_INTERVAL_MS) {\n        await yieldToEventLoop();\n        lastYield = performance.now();\n    }\n    if (control.paused && !control.stopped) {\n        self.postMessage({ type: 'paused', epoch: epoch });\n        const pausedAt = performance.now();\n        await new Promise((resolve) => { control.wake = resolve; });\n        control.wake = null;\n        pausedMs += performance.now() - pausedAt;\n        if (!control.stopped) self.postMessage({ type: 'resumed' });\n        lastYield = performance.now();\n    }\n}\n\nfunction handleControl(type) {\n    if (type === 'pause') control.paused = true;\n    if (type === 'resume') control.paused = false;\n    if (type === 'stop') control.stopped = true;\n    if (control.wake && (!control.paused || control.stopped)) control.wake();\n}\n\nfunction base64ToBytes(b64) {\n    const bin = atob(b64);\n    const len = bin.length;\n    const out = new Uint8Array(len);\n    for (let i = 0; i < len; i++) out[i] = bin.charCodeAt(i);\n    return out;\n}\n\nasync function ensureWasm() {\n    if (wasm) return;\n    // NN_WASM_B64 is injected by the main thread as a `const` prefix prepended\n    // to this source when building the Blob worker. It is empty when the page\n    // runs on the JavaScript engine, which then does the work here too.\n    if (typeof NN_WASM_B64 !== 'string') {\n        throw new Error('Worker: NN_WASM_B64 not injected by host.');\n    }\n    if (NN_WASM_B64.length > 0 && typeof WebAssembly !== 'undefined') {\n        const bytes = base64ToBytes(NN_WASM_B64);\n        const imports = { env: { abort: () => { throw new Error('WASM abort'); } } };\n        const mod = await WebAssembly.instantiate(bytes, imports);\n        wasm = mod.instance.exports;\n    } else {\n        wasm = NNJsEngine.create();\n    }\n    Real = wasm.nn_get_real_bytes() === 4 ? Float32Array : Float64Array;\n    self.postMessage({ type: 'ready' });\n}\n\nfunction uploadFlat(ptr, flat) {\n    new Real(wasm.memory.buffer).set(flat, ptr / Real.BYTES_PER_ELEMENT);\n}\n\n// Same layout walk as readParams() in js/nn-wasm.js, reading the flat\n// parameter buffer through one memory view.\nfunction extractWeights(layerSizes) {\n    const params = new Real(\n        wasm.memory.buffer, wasm.nn_get_params_ptr(), wasm.nn_get_param_count()\n    );\n    const weights = [];\n    const biases = [];\n    for (let l = 0; l < layerSizes.length - 1; l++) {\n        const inSize = layerSizes[l];\n        const outSize = layerSizes[l + 1];\n        const wOff = wasm.nn_get_weight_offset(l);\n        const bOff = wasm.nn_get_bias_offset(l);\n        const w = [];\n        for (let j = 0; j < outSize; j++) {\n            w.push(Array.from(params.subarray(wOff + j * inSize, wOff + (j + 1) * inSize)));\n        }\n        weights.push(w);\n        biases.push(Array.from(params.subarray(bOff, bOff + outSize)));\n    }\n    return { weights, biases };\n}\n\nfunction loadWeights(layerSizes, weights, biases) {\n    const params = new Real(\n        wasm.memory.buffer, wasm.nn_get_params_ptr(), wasm.nn_get_param_count()\n    );\n    for (let l = 0; l < layerSizes.length - 1; l++) {\n        const inSize = layerSizes[l];\n        const wOff = wasm.nn_get_weight_offset(l);\n        for (let j = 0; j < layerSizes[l + 1]; j++) {\n            params.set(weights[l][j], wOff + j * inSize);\n        }\n        params.set(biases[l], wasm.nn_get_bias_offset(l));\n    }\n}\n\n// Optimizer moments and step count, to hand back with the weights.\nfunction extractOptimizerState() {\n    const count = wasm.nn_get_param_count();\n    const read = (ptr) => new Real(wasm.memory.buffer, ptr, count).slice();\n    return {\n        step: wasm.nn_get_optimizer_step(),\n        m: read(wasm.nn_get_moment1_ptr()),\n        v: read(wasm.nn_get_moment2_ptr())\n    };\n}\n\nfunction loadOptimizerState(state) {\n    const count = wasm.nn_get_param_count();\n    if (!state || state.m.length !== count || state.v.length !== count) return;\n    uploadFlat(wasm.nn_get_moment1_ptr(), state.m);\n    uploadFlat(wasm.nn_get_moment2_ptr(), state.v);\n    wasm.nn_set_optimizer_step(state.step || 0);\n}\n\n// Snapshot of the run after `epoch` completed epochs. Typed arrays are\n// copies, so the message can transfer them.\nfunction captureCheckpoint(epoch, nSamples, tracking, scheduleState) {\n    const count = wasm.nn_get_param_count();\n    const read = (ptr) => new Real(wasm.memory.buffer, ptr, count).slice();\n    return {\n        type: 'checkpoint',\n        epoch: epoch,\n        params: read(wasm.nn_get_params_ptr()),\n        optimizerState: extractOptimizerState(),\n        rngState: wasm.nn_get_rng_state() >>> 0,\n        order: new Int32Array(wasm.memory.buffer, wasm.nn_get_indices_ptr(), nSamples).slice(),\n        bestParams: read(wasm.nn_get_best_params_ptr()),\n        bestLoss: tracking.bestLoss,\n        bestEpoch: tracking.bestEpoch,\n        lastLoss: tracking.lastLoss,\n        scheduleState: Object.assign({}, scheduleState)\n    };\n}\n\n// Inverse of captureCheckpoint(), after the training data is uploaded.\nfunction restoreCheckpoint(checkpoint) {\n    uploadFlat(wasm.nn_get_params_ptr(), checkpoint.params);\n    uploadFlat(wasm.nn_get_best_params_ptr(), checkpoint.bestParams);\n    loadOptimizerState(checkpoint.optimizerState);\n    wasm.nn_set_rng_state(checkpoint.rngState);\n    new Int32Array(wasm.memory.buffer).set(checkpoint.order, wasm.nn_get_indices_ptr() >>> 2);\n}\n\nfunction setupLayers(layerSizes, hiddenActivations, outputActivation) {\n    wasm.nn_set_layer_count(layerSizes.length);\n    layerSizes.forEach((units, l) => wasm.nn_set_layer_units(l, units));\n    (hiddenActivations || []).forEach((code, i) => wasm.nn_set_layer_activation(i + 1, code));\n    if (outputActivation) wasm.nn_set_layer_activation(layerSizes.length - 1, outputActivation);\n}\n\n// ── Scoring ────────────────────────────────────────────────────────\nlet scoring = null; // Promise of { encodeRow, inputSize, outputSize } after 'score-init'\n\nasync function initScoring(msg) {\n    await ensureWasm();\n    setupLayers(msg.layerSizes, msg.hiddenActivations, msg.outputActivation);\n    wasm.nn_init_layers();\n    loadWeights(msg.layerSizes, msg.weights, msg.biases);\n    return {\n        encodeRow: MLFeatureCodec.makeRowEncoder(msg.encoder),\n        inputSize: msg.layerSizes[0],\n        outputSize: msg.layerSizes[msg.layerSizes.length - 1]\n    };\n}\n\nasync function scoreChunk(msg) {\n    const { encodeRow, inputSize, outputSize } = await scoring;\n    const rows = msg.rows;\n    const n = rows.length;\n    wasm.nn_alloc_predict_batch(n);\n    const xPtr = wasm.nn_get_batch_x_ptr();\n    const outPtr = wasm.nn_get_batch_out_ptr();\n    // View taken after the allocation, which may have grown memory.\n    const view = new Real(wasm.memory.buffer);\n    const xBase = xPtr / Real.BYTES_PER_ELEMENT;\n    for (let i = 0; i < n; i++) {\n        view.set(encodeRow(rows[i]), xBase + i * inputSize);\n    }\n    wasm.nn_predict_batch(xPtr, outPtr, n);\n    const outBase = outPtr / Real.BYTES_PER_ELEMENT;\n    const scores = Float64Array.from(view.subarray(outBase, outBase + n * outputSize));\n    self.postMessage({ type: 'scores', start: msg.start, scores }, [scores.buffer]);\n}\n\n/**\n * Best guess at why training diverged: non-finite values in the data, huge\n * feature values, or otherwise a learning rate too high for the data.\n */\nfunction likelyDivergenceCause(featuresFlat, labelsFlat) {\n    let maxAbs = 0;\n    for (let i = 0; i < featuresFlat.length; i++) {\n        const v = featuresFlat[i];\n        if (!isFinite(v)) return 'invalid_input';\n        if (Math.abs(v) > maxAbs) maxAbs = Math.abs(v);\n    }\n    for (let i = 0; i < labelsFlat.length; i++) {\n        if (!isFinite(labelsFlat[i])) return 'invalid_input';\n    }\n    return maxAbs > EXTREME_FEATURE ? 'extreme_features' : 'learning_rate';\n}\n\nfunction divergenceError(epoch, reason) {\n    const err = new Error(\n        `Training diverged in epoch ${epoch}: the loss or the weights became NaN or Infinity ` +\n        `(likely cause: ${reason}).`\n    );\n    err.code = 'diverged';\n    err.epoch = epoch;\n    err.reason = reason;\n    return err;\n}\n\n/**\n * Learning rate for the 0-based `epoch`, evaluated once before each epoch.\n *\n * `schedule` is the normalized definition from\n * `NeuralNetwork.normalizeLrSchedule()`:\n *   - warmupEpochs: linear ramp from baseLr / warmupEpochs up to baseLr\n *   - 'constant':  baseLr\n *   - 'step':      baseLr * gamma ^ floor(t / stepSize)\n *   - 'cosine':    cosine anneal from baseLr to minLearningRate\n *   - 'plateau':   multiply by `factor` after `patience` epochs without a\n *                  relative improvement of `threshold` in the monitored loss\n * where t counts epochs after warmup. `state` carries the plateau tracker\n * between calls; `lastLoss` is the loss of the previous epoch.\n */\nfunction scheduledLearningRate(schedule, baseLr, epoch, totalEpochs, state, lastLoss) {\n    const warmup = schedule.warmupEpochs || 0;\n    if (epoch < warmup) return baseLr * (epoch + 1) / warmup;\n    const t = epoch - warmup;\n\n    switch (schedule.type) {\n        case 'step':\n            return baseLr * Math.pow(schedule.gamma, Math.floor(t / schedule.stepSize));\n        case 'cosine': {\n            const span = Math.max(1, totalEpochs - warmup);\n            const minLr = schedule.minLearningRate;\n            return minLr + (baseLr - minLr) * 0.5 * (1 + Math.cos(Math.PI * t / span));\n        }\n        case 'plateau':\n            if (state.lr === undefined) {\n                state.lr = baseLr;\n                state.best = Infinity;\n                state.wait = 0;\n            } else if (isFinite(lastLoss)) {\n                if (lastLoss < state.best * (1 - schedule.threshold)) {\n                    state.best = lastLoss;\n                    state.wait = 0;\n                } else if (++state.wait > schedule.patience) {\n                    state.lr = Math.max(schedule.minLearningRate, state.lr * schedule.factor);\n                    state.wait = 0;\n                }\n            }\n            return state.lr;\n        default:\n            return baseLr;\n    }\n}\n\n// Adam's beta1 / beta2 and the epsilon shared by the adaptive optimizers,\n// read per step.\nfunction stepParams(optimizerParams) {\n    const opt = optimizerParams || {};\n    return {\n        beta1: opt.beta1 === undefined ? 0.9 : opt.beta1,\n        beta2: opt.beta2 === undefined ? 0.999 : opt.beta2,\n        epsilon: opt.epsilon === undefined ? 1e-8 : opt.epsilon\n    };\n}\n\n// Lay out `layerSizes` with the run's activations, regularization, loss,\n// optimizer and seed, and initialize fresh weights.\nfunction configureRun(msg, layerSizes) {\n    const opt = msg.optimizerParams || {};\n    setupLayers(layerSizes, msg.hiddenActivations, msg.outputActivation);\n    (msg.dropoutRates || []).forEach((rate, i) => wasm.nn_set_layer_dropout(i + 1, rate));\n    wasm.nn_set_weight_decay(msg.weightDecay || 0);\n    wasm.nn_set_gradient_clip(msg.gradientClipNorm || 0);\n    wasm.nn_set_loss(msg.lossType || 0, msg.positiveWeight || 1, msg.focalGamma == null ? 2 : msg.focalGamma);\n    wasm.nn_set_huber_delta(msg.huberDelta || 1);\n    wasm.nn_set_optimizer(msg.optimizer || 0, opt.momentum || 0, opt.rho || 0.9);\n    wasm.nn_set_seed(msg.seed || 0);\n    wasm.nn_init_layers();\n    (msg.classWeights || []).forEach((weight, c) => wasm.nn_set_class_weight(c, weight));\n}\n\n// Train one epoch slice by slice, letting control messages in between.\n// False when 'stop' cut the epoch short.\nasync function trainEpoch(epoch, batchSize, lr, step, featuresFlat, labelsFlat) {\n    const batchesPerSlice = Math.max(1, Math.floor(SLICE_SAMPLES / batchSize));\n    wasm.nn_begin_epoch();\n    for (;;) {\n        const epochDone = wasm.nn_train_batches(\n            batchSize, batchesPerSlice, lr, step.beta1, step.beta2, step.epsilon\n        ) === 1;\n        // Stop at the first sign of divergence rather than\n        // reporting NaN epoch after epoch.\n        if (!wasm.nn_training_finite()) {\n            throw divergenceError(epoch + 1, likelyDivergenceCause(featuresFlat, labelsFlat));\n        }\n        await checkControl(epoch + 1);\n        if (epochDone || control.stopped) return epochDone;\n    }\n}\n\n// Loss and accuracy / AUC (MAE for regression) of the current weights on\n// the uploaded holdout.\nfunction holdoutMetrics(nValSamples, valLabelsFlat, numClasses, regression) {\n    wasm.nn_evaluate_validation();\n    if (regression) {\n        return { valLoss: wasm.nn_get_val_loss(), valMae: wasm.nn_get_val_mae() };\n    }\n    const preds = new Real(\n        wasm.memory.buffer, wasm.nn_get_val_pred_ptr(), nValSamples * numClasses\n    );\n    return {\n        valLoss: wasm.nn_get_val_loss(),\n        valAccuracy: wasm.nn_get_val_accuracy(),\n        valAUC: numClasses > 1\n            ? MLScoring.macroRocAuc(preds, valLabelsFlat, numClasses)\n            : MLScoring.rocAuc(preds, valLabelsFlat)\n    };\n}\n\n/**\n * Train one search trial on the training rows of `fold` (an entry of the\n * search message's `folds`) and score it on the fold's held-out rows once\n * the fit is done. Early stopping, its best-epoch restore and the\n * plateau schedule follow the training loss, as in a training run without\n * a holdout, so the scored fold has no say in how the model is fitted.\n * Null when stopped or out of time.\n */\nasync function fitFold(msg, trial, fold, outOfTime) {\n    const { layerSizes, outputActivation } = msg;\n    const numClasses = layerSizes[layerSizes.length - 1];\n    const sizes = layerSizes.map((units, l) => {\n        if (l === 0) return fold.inputSize;\n        return l < layerSizes.length - 1 ? trial.hiddenUnits : units;\n    });\n    const step = stepParams(msg.optimizerParams);\n    const schedule = msg.lrSchedule || { type: 'constant', warmupEpochs: 0 };\n    const scheduleState = {};\n    const patience = msg.earlyStopping ? msg.earlyStopping.patience : 0;\n    const minDelta = msg.earlyStopping ? (msg.earlyStopping.minDelta || 0) : 0;\n    const monitor = patience > 0 || schedule.type === 'plateau';\n\n    configureRun(Object.assign({}, msg, {\n        positiveWeight: fold.positiveWeight,\n        classWeights: fold.classWeights\n    }), sizes);\n    wasm.nn_alloc_training_data(fold.nTrain);\n    uploadFlat(wasm.nn_get_x_ptr(), fold.featuresFlat);\n    uploadFlat(wasm.nn_get_y_ptr(), fold.labelsFlat);\n    wasm.nn_alloc_validation_data(fold.nVal);\n    uploadFlat(wasm.nn_get_val_x_ptr(), fold.valFeaturesFlat);\n    uploadFlat(wasm.nn_get_val_y_ptr(), fold.valLabelsFlat);\n\n    let lastLoss = NaN;\n    let bestLoss = Infinity;\n    let bestEpoch = 0;\n    let epochs = 0;\n    for (let epoch = 0; epoch < trial.epochs; epoch++) {\n        const lr = scheduledLearningRate(\n            schedule, trial.learningRate, epoch, trial.epochs, scheduleState, lastLoss\n        );\n        if (!(await trainEpoch(epoch, msg.batchSize, lr, step, fold.featuresFlat, fold.labelsFlat))) return null;\n        if (outOfTime()) return null;\n        epochs = epoch + 1;\n        if (!monitor) continue;\n        lastLoss = wasm.nn_get_epoch_loss();\n        if (lastLoss < bestLoss - minDelta) {\n            bestLoss = lastLoss;\n            bestEpoch = epoch + 1;\n            if (patience > 0) wasm.nn_snapshot_params();\n        }\n        if (patience > 0 && epoch + 1 - bestEpoch >= patience) break;\n    }\n    if (patience > 0 && bestEpoch > 0) wasm.nn_restore_params();\n    const metrics = holdoutMetrics(fold.nVal, fold.valLabelsFlat, numClasses, outputActivation === ACT_LINEAR);\n    // Epoch whose weights were scored\n    metrics.bestEpoch = patience > 0 && bestEpoch > 0 ? bestEpoch : epochs;\n    return metrics;\n}\n\nasync function runSearch(msg) {\n    const { trials, timeBudgetMs } = msg;\n    const k = msg.folds.length;\n    // The budget counts running time only: the clock stops while paused\n    const started = performance.now() - pausedMs;\n    const outOfTime = () => timeBudgetMs > 0 && performance.now() - pausedMs - started > timeBudgetMs;\n    let completed = 0;\n    let timedOut = false;\n\n    for (let t = 0; t < trials.length && !control.stopped && !timedOut; t++) {\n        const folds = [];\n        for (let f = 0; f < k; f++) {\n            let result;\n            try {\n                result = await fitFold(msg, trials[t], msg.folds[f], outOfTime);\n            } catch (err) {\n                // A learning rate too high for the data: record it and go on\n                if (!err || err.code !== 'diverged') throw err;\n                result = { diverged: true };\n            }\n            if (!result) break;\n            folds.push(result);\n            if (result.diverged) break;\n        }\n        timedOut = outOfTime();\n        if (folds.length === k || (folds.length > 0 && folds[folds.length - 1].diverged)) {\n            self.postMessage({ type: 'trial', index: t, folds: folds });\n            completed++;\n        }\n    }\n    self.postMessage({\n        type: 'search-done',\n        completed: completed,\n        stopped: control.stopped,\n        timedOut: timedOut\n    });\n}\n\nself.onmessage = async (e) => {\n    const msg = e.data;\n    if (msg && (msg.type === 'pause' || msg.type === 'resume' || msg.type === 'stop')) {\n        handleControl(msg.type);\n        return;\n    }\n    try {\n        if (msg && msg.type === 'score-init') {\n            scoring = initScoring(msg);\n            await scoring;\n        } else if (msg && msg.type === 'score-chunk') {\n            await scoreChunk(msg);\n        } else if (msg && msg.type === 'search') {\n            control.paused = false;\n            control.stopped = false;\n            await ensureWasm();\n            lastYield = performance.now();\n            await runSearch(msg);\n        } else if (msg && msg.type === 'train') {\n            control.paused = false;\n            control.stopped = false;\n            await ensureWasm();\n\n            // Layers, optimizer, loss and seed are read by configureRun()\n            const {\n                nSamples, layerSizes, outputActivation,\n                featuresFlat, labelsFlat,\n                epochs, batchSize, learningRate,\n                optimizerParams,\n                lrSchedule,\n                nValSamples, valFeaturesFlat, valLabelsFlat,\n                earlyStopping,\n                initialWeights, optimizerState,\n                checkpointEvery, resumeFrom\n            } = msg;\n            const hasValidation = nValSamples > 0;\n            const numClasses = layerSizes[layerSizes.length - 1];\n            const regression = outputActivation === ACT_LINEAR;\n            const schedule = lrSchedule || { type: 'constant', warmupEpochs: 0 };\n            const step = stepParams(optimizerParams);\n            const scheduleState = Object.assign({}, resumeFrom ? resumeFrom.scheduleState : null);\n            let lastLoss = resumeFrom ? resumeFrom.lastLoss : NaN;\n\n            configureRun(msg, layerSizes);\n            // Continue from earlier weights (and optimizer state) instead of\n            // the fresh initialization\n            if (initialWeights && !resumeFrom) {\n                loadWeights(layerSizes, initialWeights.weights, initialWeights.biases);\n                loadOptimizerState(optimizerState);\n            }\n            wasm.nn_alloc_training_data(nSamples);\n\n            // WASM memory may have grown; re-read the buffer each time before\n            // copying data in.\n            uploadFlat(wasm.nn_get_x_ptr(), featuresFlat);\n            uploadFlat(wasm.nn_get_y_ptr(), labelsFlat);\n            if (hasValidation) {\n                wasm.nn_alloc_validation_data(nValSamples);\n                uploadFlat(wasm.nn_get_val_x_ptr(), valFeaturesFlat);\n                uploadFlat(wasm.nn_get_val_y_ptr(), valLabelsFlat);\n            }\n            if (resumeFrom) restoreCheckpoint(resumeFrom);\n\n            // Early stopping (and the plateau schedule) follow the holdout\n            // loss when there is one, the training loss otherwise.\n            const patience = earlyStopping ? earlyStopping.patience : 0;\n            const minDelta = earlyStopping ? (earlyStopping.minDelta || 0) : 0;\n            let bestLoss = resumeFrom ? resumeFrom.bestLoss : Infinity;\n            let bestEpoch = resumeFrom ? resumeFrom.bestEpoch : 0;\n            let stoppedEarly = false;\n            lastYield = performance.now();\n\n            const firstEpoch = resumeFrom ? resumeFrom.epoch : 0;\n            for (let epoch = firstEpoch; epoch < epochs && !control.stopped; epoch++) {\n                const lr = scheduledLearningRate(\n                    schedule, learningRate, epoch, epochs, scheduleState, lastLoss\n                );\n                if (!(await trainEpoch(epoch, batchSize, lr, step, featuresFlat, labelsFlat))) break;\n                const loss = wasm.nn_get_epoch_loss();\n                const accuracy = wasm.nn_get_epoch_accuracy();\n                const report = {\n                    type: 'epoch',\n                    epoch: epoch + 1,\n                    loss: loss,\n                    accuracy: accuracy,\n                    learningRate: lr\n                };\n                if (regression) report.mae = wasm.nn_get_epoch_mae();\n                if (hasValidation) {\n                    Object.assign(report, holdoutMetrics(nValSamples, valLabelsFlat, numClasses, regression));\n                }\n                lastLoss = hasValidation ? report.valLoss : loss;\n\n                if (lastLoss < bestLoss - minDelta) {\n                    bestLoss = lastLoss;\n                    bestEpoch = epoch + 1;\n                    if (patience > 0) wasm.nn_snapshot_params();\n                }\n                self.postMessage(report);\n\n                if (patience > 0 && epoch + 1 - bestEpoch >= patience) {\n                    stoppedEarly = true;\n                    break;\n                }\n                if (checkpointEvery > 0 && (epoch + 1) % checkpointEvery === 0 && epoch + 1 < epochs) {\n                    const checkpoint = captureCheckpoint(\n                        epoch + 1, nSamples, { bestLoss, bestEpoch, lastLoss }, scheduleState\n                    );\n                    self.postMessage(checkpoint, [\n                        checkpoint.params.buffer, checkpoint.bestParams.buffer,\n                        checkpoint.order.buffer,\n                        checkpoint.optimizerState.m.buffer, checkpoint.optimizerState.v.buffer\n                    ]);\n                }\n            }\n\n            // Restore the best epoch's weights before reporting them back.\n            if (patience > 0 && bestEpoch > 0) wasm.nn_restore_params();\n\n            const out = extractWeights(layerSizes);\n            const state = extractOptimizerState();\n            self.postMessage({\n                type: 'done',\n                weights: out.weights,\n                biases: out.biases,\n                bestEpoch: bestEpoch,\n                stoppedEarly: stoppedEarly,\n                stopped: control.stopped,\n                optimizerState: state\n            }, [state.m.buffer, state.v.buffer]);\n        }\n    } catch (err) {\n        const report = {\n            type: 'error',\n            message: (err && err.message) || String(err)\n        };\n        if (err && err.code) {\n            report.code = err.code;\n            report.epoch = err.epoch;\n            report.reason = err.reason;\n        }\n        self.postMessage(report);\n    }\n};\n";
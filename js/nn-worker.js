@@ -1,34 +1,168 @@
 /**
- * Neural-network training Web Worker.
+ * Neural-network training and scoring Web Worker.
  *
  * Runs the WASM training loop off the main thread so that browser background
  * throttling (and in the worst case full tab freezing) cannot slow training
- * down when the user switches focus to another tab.
+ * down when the user switches focus to another tab. The same worker also
+ * encodes and scores large customer lists chunk by chunk so the Score page
+ * stays responsive.
  *
  * The main thread builds this worker from a Blob URL and prepends a
- * `NN_WASM_B64` declaration holding the base64-encoded nn.wasm bytes. That
+ * `NN_WASM_B64` declaration holding the base64-encoded module bytes (nn.wasm
+ * or the f32 SIMD build nn-simd.wasm, whichever the page loaded). That
  * prefix is what lets the worker instantiate WebAssembly without any fetch
- * (so it also works under file://). See `_trainInWorker()` in
- * `js/neural-network.js` for the exact wrapper.
+ * (so it also works under file://). See `_createWorker()` in
+ * `js/neural-network.js` for the exact wrapper. `js/feature-codec.js`,
+ * `js/scoring.js` and `js/nn-engine.js` are bundled in front of this file,
+ * providing `MLFeatureCodec`, `MLScoring` (the holdout's ROC AUC) and the
+ * `NNJsEngine` fallback.
  *
  * Protocol
  * --------
  * Main → Worker:
  *   { type: 'train',
- *     nSamples, inputSize, hiddenSize, outputSize,
+ *     nSamples, layerSizes,                    // [input, ...hidden, output]
+ *     hiddenActivations,                       // ACT_* code per hidden layer
+ *     outputActivation,                        // ACT_LINEAR for regression
  *     featuresFlat: Float64Array, labelsFlat: Float64Array,
  *     epochs, batchSize, learningRate,
- *     adamBeta1, adamBeta2, adamEpsilon }
+ *     optimizer, optimizerParams,              // OPT_* code + normalized params
+ *     dropoutRates,                            // drop rate per hidden layer
+ *     weightDecay,                             // decoupled (AdamW) decay
+ *     gradientClipNorm,                        // max global grad norm, 0 = off
+ *     lossType, positiveWeight, focalGamma,    // LOSS_* code + parameters
+ *     huberDelta,                              // Huber loss threshold
+ *     classWeights,                            // per class (softmax) or null
+ *     lrSchedule,                              // see scheduledLearningRate()
+ *     nValSamples, valFeaturesFlat, valLabelsFlat, // optional holdout
+ *     earlyStopping,                           // { patience, minDelta } or null
+ *     seed,                                    // weight init, shuffle, dropout
+ *     initialWeights,                          // optional { weights, biases }
+ *                                              // to continue from
+ *     optimizerState,                          // optional { step, m, v } from
+ *                                              // an earlier 'done'
+ *     checkpointEvery,                         // epochs between checkpoints,
+ *                                              // 0 = none
+ *     resumeFrom }                             // optional 'checkpoint' message
+ *                                              // to continue the run from
+ *   { type: 'search',                          // hyperparameter search with
+ *     ...the 'train' fields above except       // k-fold cross-validation
+ *     the data, holdout and class weights,
+ *     initialWeights, optimizerState,
+ *     checkpointEvery and resumeFrom,
+ *     folds: [{ inputSize, nTrain,             // per fold, encoded with its
+ *       featuresFlat, labelsFlat, nVal,        // own preprocessing: training
+ *       valFeaturesFlat, valLabelsFlat,        // rows, held-out rows and the
+ *       positiveWeight, classWeights }],       // class weights to train with
+ *     trials,                                  // [{ epochs, learningRate,
+ *                                              //    hiddenUnits }]
+ *     timeBudgetMs }                           // 0 = no limit; time paused
+ *                                              // does not count
+ *   { type: 'pause' } / { type: 'resume' }     // hold / continue training
+ *   { type: 'stop' }                           // finish now, keeping weights
+ *                                              // (a search ends after the
+ *                                              // trials already finished)
+ *   { type: 'score-init', layerSizes, hiddenActivations, outputActivation,
+ *     weights, biases, encoder }               // MLFeatureCodec.makeRowEncoder spec
+ *   { type: 'score-chunk', start, rows }       // raw CSV row objects
  *
  * Worker → Main:
  *   { type: 'ready' }                          // sent after wasm instantiated
- *   { type: 'epoch', epoch, loss, accuracy }   // one per completed epoch
- *   { type: 'done', weights, biases }          // training finished
+ *   { type: 'epoch', epoch, loss, accuracy,    // one per completed epoch
+ *     mae,                                     // regression only
+ *     learningRate,                            // LR used for that epoch
+ *     valLoss, valAccuracy, valAUC }           // only with a holdout; AUC is
+ *                                              // the one-vs-rest macro average
+ *                                              // for multi-class models;
+ *                                              // regression reports valMae
+ *                                              // instead of valAccuracy/valAUC
+ *   { type: 'paused', epoch } / { type: 'resumed' } // control acknowledged
+ *   { type: 'done', weights, biases,           // training finished
+ *     bestEpoch, stoppedEarly, stopped,        // lowest monitored loss; the
+ *                                              // weights are restored to it
+ *                                              // when early stopping is on
+ *     optimizerState: { step, m, v } }         // Float64Array (Float32Array in
+ *                                              // the SIMD build) moments in
+ *                                              // the flat parameter layout
+ *   { type: 'checkpoint', epoch, params,       // every checkpointEvery epochs:
+ *     optimizerState, rngState, order,         // everything needed to resume
+ *     bestParams, bestLoss, bestEpoch,         // the run exactly as if it had
+ *     lastLoss, scheduleState }                // never stopped
+ *   { type: 'trial', index, folds }            // a finished search trial:
+ *                                              // holdout metrics per fold as
+ *                                              // in 'epoch' plus bestEpoch,
+ *                                              // or { diverged: true }
+ *   { type: 'search-done', completed,          // search over; trials left
+ *     stopped, timedOut }                      // undone by 'stop' or the
+ *                                              // time budget are not reported
+ *   { type: 'scores', start, scores: Float64Array } // one per score-chunk,
+ *                                              // outputs per row, row-major
  *   { type: 'error', message }                 // anything threw
+ *   { type: 'error', message, code: 'diverged', // loss or weights went
+ *     epoch, reason }                          // NaN/Infinity; training stops
+ *                                              // at once. reason is
+ *                                              // 'invalid_input',
+ *                                              // 'extreme_features' or
+ *                                              // 'learning_rate'
+ *
+ * Control messages are picked up between slices of mini-batches (see
+ * SLICE_SAMPLES), so small datasets react between epochs and big ones
+ * within an epoch. Scoring has no control messages: the main thread stops
+ * sending chunks and terminates the worker to cancel.
  */
 'use strict';
 
 let wasm = null;
+// Typed array matching the module's value type (nn_get_real_bytes): the
+// SIMD build stores f32.
+let Real = Float64Array;
+
+// Output activation code for regression (ACT_LINEAR in assembly/index.ts).
+const ACT_LINEAR = 5;
+
+// Roughly how many samples to train before giving queued control messages a
+// chance to run, and how often (ms) to actually yield to the event loop.
+const SLICE_SAMPLES = 8192;
+const YIELD_INTERVAL_MS = 50;
+
+// Largest absolute feature value not blamed for a divergence; inputs are
+// normally scaled to about [0, 1].
+const EXTREME_FEATURE = 1e4;
+
+// Set by 'pause' / 'resume' / 'stop' while a training run is in progress.
+const control = { paused: false, stopped: false, wake: null };
+let lastYield = 0;
+// Total time spent paused, so a search's time budget leaves it out
+let pausedMs = 0;
+
+function yieldToEventLoop() {
+    return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Lets pending control messages through and blocks while paused.
+async function checkControl(epoch) {
+    const now = performance.now();
+    if (now - lastYield >= YIELD_INTERVAL_MS) {
+        await yieldToEventLoop();
+        lastYield = performance.now();
+    }
+    if (control.paused && !control.stopped) {
+        self.postMessage({ type: 'paused', epoch: epoch });
+        const pausedAt = performance.now();
+        await new Promise((resolve) => { control.wake = resolve; });
+        control.wake = null;
+        pausedMs += performance.now() - pausedAt;
+        if (!control.stopped) self.postMessage({ type: 'resumed' });
+        lastYield = performance.now();
+    }
+}
+
+function handleControl(type) {
+    if (type === 'pause') control.paused = true;
+    if (type === 'resume') control.paused = false;
+    if (type === 'stop') control.stopped = true;
+    if (control.wake && (!control.paused || control.stopped)) control.wake();
+}
 
 function base64ToBytes(b64) {
     const bin = atob(b64);
@@ -41,89 +175,532 @@ function base64ToBytes(b64) {
 async function ensureWasm() {
     if (wasm) return;
     // NN_WASM_B64 is injected by the main thread as a `const` prefix prepended
-    // to this source when building the Blob worker.
-    if (typeof NN_WASM_B64 !== 'string' || NN_WASM_B64.length === 0) {
+    // to this source when building the Blob worker. It is empty when the page
+    // runs on the JavaScript engine, which then does the work here too.
+    if (typeof NN_WASM_B64 !== 'string') {
         throw new Error('Worker: NN_WASM_B64 not injected by host.');
     }
-    const bytes = base64ToBytes(NN_WASM_B64);
-    const imports = { env: { abort: () => { throw new Error('WASM abort'); } } };
-    const mod = await WebAssembly.instantiate(bytes, imports);
-    wasm = mod.instance.exports;
+    if (NN_WASM_B64.length > 0 && typeof WebAssembly !== 'undefined') {
+        const bytes = base64ToBytes(NN_WASM_B64);
+        const imports = { env: { abort: () => { throw new Error('WASM abort'); } } };
+        const mod = await WebAssembly.instantiate(bytes, imports);
+        wasm = mod.instance.exports;
+    } else {
+        wasm = NNJsEngine.create();
+    }
+    Real = wasm.nn_get_real_bytes() === 4 ? Float32Array : Float64Array;
     self.postMessage({ type: 'ready' });
 }
 
-function uploadFlat(ptr, flatF64) {
-    const f64 = new Float64Array(wasm.memory.buffer);
-    f64.set(flatF64, ptr >>> 3);
+function uploadFlat(ptr, flat) {
+    new Real(wasm.memory.buffer).set(flat, ptr / Real.BYTES_PER_ELEMENT);
+}
+
+// Same layout walk as readParams() in js/nn-wasm.js, reading the flat
+// parameter buffer through one memory view.
+function extractWeights(layerSizes) {
+    const params = new Real(
+        wasm.memory.buffer, wasm.nn_get_params_ptr(), wasm.nn_get_param_count()
+    );
+    const weights = [];
+    const biases = [];
+    for (let l = 0; l < layerSizes.length - 1; l++) {
+        const inSize = layerSizes[l];
+        const outSize = layerSizes[l + 1];
+        const wOff = wasm.nn_get_weight_offset(l);
+        const bOff = wasm.nn_get_bias_offset(l);
+        const w = [];
+        for (let j = 0; j < outSize; j++) {
+            w.push(Array.from(params.subarray(wOff + j * inSize, wOff + (j + 1) * inSize)));
+        }
+        weights.push(w);
+        biases.push(Array.from(params.subarray(bOff, bOff + outSize)));
+    }
+    return { weights, biases };
+}
+
+function loadWeights(layerSizes, weights, biases) {
+    const params = new Real(
+        wasm.memory.buffer, wasm.nn_get_params_ptr(), wasm.nn_get_param_count()
+    );
+    for (let l = 0; l < layerSizes.length - 1; l++) {
+        const inSize = layerSizes[l];
+        const wOff = wasm.nn_get_weight_offset(l);
+        for (let j = 0; j < layerSizes[l + 1]; j++) {
+            params.set(weights[l][j], wOff + j * inSize);
+        }
+        params.set(biases[l], wasm.nn_get_bias_offset(l));
+    }
+}
+
+// Optimizer moments and step count, to hand back with the weights.
+function extractOptimizerState() {
+    const count = wasm.nn_get_param_count();
+    const read = (ptr) => new Real(wasm.memory.buffer, ptr, count).slice();
+    return {
+        step: wasm.nn_get_optimizer_step(),
+        m: read(wasm.nn_get_moment1_ptr()),
+        v: read(wasm.nn_get_moment2_ptr())
+    };
+}
+
+function loadOptimizerState(state) {
+    const count = wasm.nn_get_param_count();
+    if (!state || state.m.length !== count || state.v.length !== count) return;
+    uploadFlat(wasm.nn_get_moment1_ptr(), state.m);
+    uploadFlat(wasm.nn_get_moment2_ptr(), state.v);
+    wasm.nn_set_optimizer_step(state.step || 0);
+}
+
+// Snapshot of the run after `epoch` completed epochs. Typed arrays are
+// copies, so the message can transfer them.
+function captureCheckpoint(epoch, nSamples, tracking, scheduleState) {
+    const count = wasm.nn_get_param_count();
+    const read = (ptr) => new Real(wasm.memory.buffer, ptr, count).slice();
+    return {
+        type: 'checkpoint',
+        epoch: epoch,
+        params: read(wasm.nn_get_params_ptr()),
+        optimizerState: extractOptimizerState(),
+        rngState: wasm.nn_get_rng_state() >>> 0,
+        order: new Int32Array(wasm.memory.buffer, wasm.nn_get_indices_ptr(), nSamples).slice(),
+        bestParams: read(wasm.nn_get_best_params_ptr()),
+        bestLoss: tracking.bestLoss,
+        bestEpoch: tracking.bestEpoch,
+        lastLoss: tracking.lastLoss,
+        scheduleState: Object.assign({}, scheduleState)
+    };
+}
+
+// Inverse of captureCheckpoint(), after the training data is uploaded.
+function restoreCheckpoint(checkpoint) {
+    uploadFlat(wasm.nn_get_params_ptr(), checkpoint.params);
+    uploadFlat(wasm.nn_get_best_params_ptr(), checkpoint.bestParams);
+    loadOptimizerState(checkpoint.optimizerState);
+    wasm.nn_set_rng_state(checkpoint.rngState);
+    new Int32Array(wasm.memory.buffer).set(checkpoint.order, wasm.nn_get_indices_ptr() >>> 2);
+}
+
+function setupLayers(layerSizes, hiddenActivations, outputActivation) {
+    wasm.nn_set_layer_count(layerSizes.length);
+    layerSizes.forEach((units, l) => wasm.nn_set_layer_units(l, units));
+    (hiddenActivations || []).forEach((code, i) => wasm.nn_set_layer_activation(i + 1, code));
+    if (outputActivation) wasm.nn_set_layer_activation(layerSizes.length - 1, outputActivation);
+}
+
+// ── Scoring ────────────────────────────────────────────────────────
+let scoring = null; // Promise of { encodeRow, inputSize, outputSize } after 'score-init'
+
+async function initScoring(msg) {
+    await ensureWasm();
+    setupLayers(msg.layerSizes, msg.hiddenActivations, msg.outputActivation);
+    wasm.nn_init_layers();
+    loadWeights(msg.layerSizes, msg.weights, msg.biases);
+    return {
+        encodeRow: MLFeatureCodec.makeRowEncoder(msg.encoder),
+        inputSize: msg.layerSizes[0],
+        outputSize: msg.layerSizes[msg.layerSizes.length - 1]
+    };
+}
+
+async function scoreChunk(msg) {
+    const { encodeRow, inputSize, outputSize } = await scoring;
+    const rows = msg.rows;
+    const n = rows.length;
+    wasm.nn_alloc_predict_batch(n);
+    const xPtr = wasm.nn_get_batch_x_ptr();
+    const outPtr = wasm.nn_get_batch_out_ptr();
+    // View taken after the allocation, which may have grown memory.
+    const view = new Real(wasm.memory.buffer);
+    const xBase = xPtr / Real.BYTES_PER_ELEMENT;
+    for (let i = 0; i < n; i++) {
+        view.set(encodeRow(rows[i]), xBase + i * inputSize);
+    }
+    wasm.nn_predict_batch(xPtr, outPtr, n);
+    const outBase = outPtr / Real.BYTES_PER_ELEMENT;
+    const scores = Float64Array.from(view.subarray(outBase, outBase + n * outputSize));
+    self.postMessage({ type: 'scores', start: msg.start, scores }, [scores.buffer]);
+}
+
+/**
+ * Best guess at why training diverged: non-finite values in the data, huge
+ * feature values, or otherwise a learning rate too high for the data.
+ */
+function likelyDivergenceCause(featuresFlat, labelsFlat) {
+    let maxAbs = 0;
+    for (let i = 0; i < featuresFlat.length; i++) {
+        const v = featuresFlat[i];
+        if (!isFinite(v)) return 'invalid_input';
+        if (Math.abs(v) > maxAbs) maxAbs = Math.abs(v);
+    }
+    for (let i = 0; i < labelsFlat.length; i++) {
+        if (!isFinite(labelsFlat[i])) return 'invalid_input';
+    }
+    return maxAbs > EXTREME_FEATURE ? 'extreme_features' : 'learning_rate';
+}
+
+function divergenceError(epoch, reason) {
+    const err = new Error(
+        `Training diverged in epoch ${epoch}: the loss or the weights became NaN or Infinity ` +
+        `(likely cause: ${reason}).`
+    );
+    err.code = 'diverged';
+    err.epoch = epoch;
+    err.reason = reason;
+    return err;
+}
+
+/**
+ * Learning rate for the 0-based `epoch`, evaluated once before each epoch.
+ *
+ * `schedule` is the normalized definition from
+ * `NeuralNetwork.normalizeLrSchedule()`:
+ *   - warmupEpochs: linear ramp from baseLr / warmupEpochs up to baseLr
+ *   - 'constant':  baseLr
+ *   - 'step':      baseLr * gamma ^ floor(t / stepSize)
+ *   - 'cosine':    cosine anneal from baseLr to minLearningRate
+ *   - 'plateau':   multiply by `factor` after `patience` epochs without a
+ *                  relative improvement of `threshold` in the monitored loss
+ * where t counts epochs after warmup. `state` carries the plateau tracker
+ * between calls; `lastLoss` is the loss of the previous epoch.
+ */
+function scheduledLearningRate(schedule, baseLr, epoch, totalEpochs, state, lastLoss) {
+    const warmup = schedule.warmupEpochs || 0;
+    if (epoch < warmup) return baseLr * (epoch + 1) / warmup;
+    const t = epoch - warmup;
+
+    switch (schedule.type) {
+        case 'step':
+            return baseLr * Math.pow(schedule.gamma, Math.floor(t / schedule.stepSize));
+        case 'cosine': {
+            const span = Math.max(1, totalEpochs - warmup);
+            const minLr = schedule.minLearningRate;
+            return minLr + (baseLr - minLr) * 0.5 * (1 + Math.cos(Math.PI * t / span));
+        }
+        case 'plateau':
+            if (state.lr === undefined) {
+                state.lr = baseLr;
+                state.best = Infinity;
+                state.wait = 0;
+            } else if (isFinite(lastLoss)) {
+                if (lastLoss < state.best * (1 - schedule.threshold)) {
+                    state.best = lastLoss;
+                    state.wait = 0;
+                } else if (++state.wait > schedule.patience) {
+                    state.lr = Math.max(schedule.minLearningRate, state.lr * schedule.factor);
+                    state.wait = 0;
+                }
+            }
+            return state.lr;
+        default:
+            return baseLr;
+    }
+}
+
+// Adam's beta1 / beta2 and the epsilon shared by the adaptive optimizers,
+// read per step.
+function stepParams(optimizerParams) {
+    const opt = optimizerParams || {};
+    return {
+        beta1: opt.beta1 === undefined ? 0.9 : opt.beta1,
+        beta2: opt.beta2 === undefined ? 0.999 : opt.beta2,
+        epsilon: opt.epsilon === undefined ? 1e-8 : opt.epsilon
+    };
 }
 
-function extractWeights(inputSize, hiddenSize, outputSize) {
-    const w0 = [];
-    const b0 = [];
-    for (let j = 0; j < hiddenSize; j++) {
-        const row = new Array(inputSize);
-        for (let k = 0; k < inputSize; k++) row[k] = wasm.nn_get_weight(0, j, k);
-        w0.push(row);
-        b0.push(wasm.nn_get_bias(0, j));
+// Lay out `layerSizes` with the run's activations, regularization, loss,
+// optimizer and seed, and initialize fresh weights.
+function configureRun(msg, layerSizes) {
+    const opt = msg.optimizerParams || {};
+    setupLayers(layerSizes, msg.hiddenActivations, msg.outputActivation);
+    (msg.dropoutRates || []).forEach((rate, i) => wasm.nn_set_layer_dropout(i + 1, rate));
+    wasm.nn_set_weight_decay(msg.weightDecay || 0);
+    wasm.nn_set_gradient_clip(msg.gradientClipNorm || 0);
+    wasm.nn_set_loss(msg.lossType || 0, msg.positiveWeight || 1, msg.focalGamma == null ? 2 : msg.focalGamma);
+    wasm.nn_set_huber_delta(msg.huberDelta || 1);
+    wasm.nn_set_optimizer(msg.optimizer || 0, opt.momentum || 0, opt.rho || 0.9);
+    wasm.nn_set_seed(msg.seed || 0);
+    wasm.nn_init_layers();
+    (msg.classWeights || []).forEach((weight, c) => wasm.nn_set_class_weight(c, weight));
+}
+
+// Train one epoch slice by slice, letting control messages in between.
+// False when 'stop' cut the epoch short.
+async function trainEpoch(epoch, batchSize, lr, step, featuresFlat, labelsFlat) {
+    const batchesPerSlice = Math.max(1, Math.floor(SLICE_SAMPLES / batchSize));
+    wasm.nn_begin_epoch();
+    for (;;) {
+        const epochDone = wasm.nn_train_batches(
+            batchSize, batchesPerSlice, lr, step.beta1, step.beta2, step.epsilon
+        ) === 1;
+        // Stop at the first sign of divergence rather than
+        // reporting NaN epoch after epoch.
+        if (!wasm.nn_training_finite()) {
+            throw divergenceError(epoch + 1, likelyDivergenceCause(featuresFlat, labelsFlat));
+        }
+        await checkControl(epoch + 1);
+        if (epochDone || control.stopped) return epochDone;
     }
-    const w1 = [];
-    const b1 = [];
-    for (let j = 0; j < outputSize; j++) {
-        const row = new Array(hiddenSize);
-        for (let k = 0; k < hiddenSize; k++) row[k] = wasm.nn_get_weight(1, j, k);
-        w1.push(row);
-        b1.push(wasm.nn_get_bias(1, j));
+}
+
+// Loss and accuracy / AUC (MAE for regression) of the current weights on
+// the uploaded holdout.
+function holdoutMetrics(nValSamples, valLabelsFlat, numClasses, regression) {
+    wasm.nn_evaluate_validation();
+    if (regression) {
+        return { valLoss: wasm.nn_get_val_loss(), valMae: wasm.nn_get_val_mae() };
     }
-    return { weights: [w0, w1], biases: [b0, b1] };
+    const preds = new Real(
+        wasm.memory.buffer, wasm.nn_get_val_pred_ptr(), nValSamples * numClasses
+    );
+    return {
+        valLoss: wasm.nn_get_val_loss(),
+        valAccuracy: wasm.nn_get_val_accuracy(),
+        valAUC: numClasses > 1
+            ? MLScoring.macroRocAuc(preds, valLabelsFlat, numClasses)
+            : MLScoring.rocAuc(preds, valLabelsFlat)
+    };
+}
+
+/**
+ * Train one search trial on the training rows of `fold` (an entry of the
+ * search message's `folds`) and score it on the fold's held-out rows once
+ * the fit is done. Early stopping, its best-epoch restore and the
+ * plateau schedule follow the training loss, as in a training run without
+ * a holdout, so the scored fold has no say in how the model is fitted.
+ * Null when stopped or out of time.
+ */
+async function fitFold(msg, trial, fold, outOfTime) {
+    const { layerSizes, outputActivation } = msg;
+    const numClasses = layerSizes[layerSizes.length - 1];
+    const sizes = layerSizes.map((units, l) => {
+        if (l === 0) return fold.inputSize;
+        return l < layerSizes.length - 1 ? trial.hiddenUnits : units;
+    });
+    const step = stepParams(msg.optimizerParams);
+    const schedule = msg.lrSchedule || { type: 'constant', warmupEpochs: 0 };
+    const scheduleState = {};
+    const patience = msg.earlyStopping ? msg.earlyStopping.patience : 0;
+    const minDelta = msg.earlyStopping ? (msg.earlyStopping.minDelta || 0) : 0;
+    const monitor = patience > 0 || schedule.type === 'plateau';
+
+    configureRun(Object.assign({}, msg, {
+        positiveWeight: fold.positiveWeight,
+        classWeights: fold.classWeights
+    }), sizes);
+    wasm.nn_alloc_training_data(fold.nTrain);
+    uploadFlat(wasm.nn_get_x_ptr(), fold.featuresFlat);
+    uploadFlat(wasm.nn_get_y_ptr(), fold.labelsFlat);
+    wasm.nn_alloc_validation_data(fold.nVal);
+    uploadFlat(wasm.nn_get_val_x_ptr(), fold.valFeaturesFlat);
+    uploadFlat(wasm.nn_get_val_y_ptr(), fold.valLabelsFlat);
+
+    let lastLoss = NaN;
+    let bestLoss = Infinity;
+    let bestEpoch = 0;
+    let epochs = 0;
+    for (let epoch = 0; epoch < trial.epochs; epoch++) {
+        const lr = scheduledLearningRate(
+            schedule, trial.learningRate, epoch, trial.epochs, scheduleState, lastLoss
+        );
+        if (!(await trainEpoch(epoch, msg.batchSize, lr, step, fold.featuresFlat, fold.labelsFlat))) return null;
+        if (outOfTime()) return null;
+        epochs = epoch + 1;
+        if (!monitor) continue;
+        lastLoss = wasm.nn_get_epoch_loss();
+        if (lastLoss < bestLoss - minDelta) {
+            bestLoss = lastLoss;
+            bestEpoch = epoch + 1;
+            if (patience > 0) wasm.nn_snapshot_params();
+        }
+        if (patience > 0 && epoch + 1 - bestEpoch >= patience) break;
+    }
+    if (patience > 0 && bestEpoch > 0) wasm.nn_restore_params();
+    const metrics = holdoutMetrics(fold.nVal, fold.valLabelsFlat, numClasses, outputActivation === ACT_LINEAR);
+    // Epoch whose weights were scored
+    metrics.bestEpoch = patience > 0 && bestEpoch > 0 ? bestEpoch : epochs;
+    return metrics;
+}
+
+async function runSearch(msg) {
+    const { trials, timeBudgetMs } = msg;
+    const k = msg.folds.length;
+    // The budget counts running time only: the clock stops while paused
+    const started = performance.now() - pausedMs;
+    const outOfTime = () => timeBudgetMs > 0 && performance.now() - pausedMs - started > timeBudgetMs;
+    let completed = 0;
+    let timedOut = false;
+
+    for (let t = 0; t < trials.length && !control.stopped && !timedOut; t++) {
+        const folds = [];
+        for (let f = 0; f < k; f++) {
+            let result;
+            try {
+                result = await fitFold(msg, trials[t], msg.folds[f], outOfTime);
+            } catch (err) {
+                // A learning rate too high for the data: record it and go on
+                if (!err || err.code !== 'diverged') throw err;
+                result = { diverged: true };
+            }
+            if (!result) break;
+            folds.push(result);
+            if (result.diverged) break;
+        }
+        timedOut = outOfTime();
+        if (folds.length === k || (folds.length > 0 && folds[folds.length - 1].diverged)) {
+            self.postMessage({ type: 'trial', index: t, folds: folds });
+            completed++;
+        }
+    }
+    self.postMessage({
+        type: 'search-done',
+        completed: completed,
+        stopped: control.stopped,
+        timedOut: timedOut
+    });
 }
 
 self.onmessage = async (e) => {
     const msg = e.data;
+    if (msg && (msg.type === 'pause' || msg.type === 'resume' || msg.type === 'stop')) {
+        handleControl(msg.type);
+        return;
+    }
     try {
-        if (msg && msg.type === 'train') {
+        if (msg && msg.type === 'score-init') {
+            scoring = initScoring(msg);
+            await scoring;
+        } else if (msg && msg.type === 'score-chunk') {
+            await scoreChunk(msg);
+        } else if (msg && msg.type === 'search') {
+            control.paused = false;
+            control.stopped = false;
+            await ensureWasm();
+            lastYield = performance.now();
+            await runSearch(msg);
+        } else if (msg && msg.type === 'train') {
+            control.paused = false;
+            control.stopped = false;
             await ensureWasm();
 
+            // Layers, optimizer, loss and seed are read by configureRun()
             const {
-                nSamples, inputSize, hiddenSize, outputSize,
+                nSamples, layerSizes, outputActivation,
                 featuresFlat, labelsFlat,
                 epochs, batchSize, learningRate,
-                adamBeta1, adamBeta2, adamEpsilon
+                optimizerParams,
+                lrSchedule,
+                nValSamples, valFeaturesFlat, valLabelsFlat,
+                earlyStopping,
+                initialWeights, optimizerState,
+                checkpointEvery, resumeFrom
             } = msg;
+            const hasValidation = nValSamples > 0;
+            const numClasses = layerSizes[layerSizes.length - 1];
+            const regression = outputActivation === ACT_LINEAR;
+            const schedule = lrSchedule || { type: 'constant', warmupEpochs: 0 };
+            const step = stepParams(optimizerParams);
+            const scheduleState = Object.assign({}, resumeFrom ? resumeFrom.scheduleState : null);
+            let lastLoss = resumeFrom ? resumeFrom.lastLoss : NaN;
 
-            wasm.nn_init(inputSize, hiddenSize, outputSize);
+            configureRun(msg, layerSizes);
+            // Continue from earlier weights (and optimizer state) instead of
+            // the fresh initialization
+            if (initialWeights && !resumeFrom) {
+                loadWeights(layerSizes, initialWeights.weights, initialWeights.biases);
+                loadOptimizerState(optimizerState);
+            }
             wasm.nn_alloc_training_data(nSamples);
 
             // WASM memory may have grown; re-read the buffer each time before
             // copying data in.
             uploadFlat(wasm.nn_get_x_ptr(), featuresFlat);
             uploadFlat(wasm.nn_get_y_ptr(), labelsFlat);
+            if (hasValidation) {
+                wasm.nn_alloc_validation_data(nValSamples);
+                uploadFlat(wasm.nn_get_val_x_ptr(), valFeaturesFlat);
+                uploadFlat(wasm.nn_get_val_y_ptr(), valLabelsFlat);
+            }
+            if (resumeFrom) restoreCheckpoint(resumeFrom);
 
-            for (let epoch = 0; epoch < epochs; epoch++) {
-                wasm.nn_train_epoch(
-                    batchSize, learningRate,
-                    adamBeta1, adamBeta2, adamEpsilon
+            // Early stopping (and the plateau schedule) follow the holdout
+            // loss when there is one, the training loss otherwise.
+            const patience = earlyStopping ? earlyStopping.patience : 0;
+            const minDelta = earlyStopping ? (earlyStopping.minDelta || 0) : 0;
+            let bestLoss = resumeFrom ? resumeFrom.bestLoss : Infinity;
+            let bestEpoch = resumeFrom ? resumeFrom.bestEpoch : 0;
+            let stoppedEarly = false;
+            lastYield = performance.now();
+
+            const firstEpoch = resumeFrom ? resumeFrom.epoch : 0;
+            for (let epoch = firstEpoch; epoch < epochs && !control.stopped; epoch++) {
+                const lr = scheduledLearningRate(
+                    schedule, learningRate, epoch, epochs, scheduleState, lastLoss
                 );
+                if (!(await trainEpoch(epoch, batchSize, lr, step, featuresFlat, labelsFlat))) break;
                 const loss = wasm.nn_get_epoch_loss();
                 const accuracy = wasm.nn_get_epoch_accuracy();
-                self.postMessage({
+                const report = {
                     type: 'epoch',
                     epoch: epoch + 1,
                     loss: loss,
-                    accuracy: accuracy
-                });
+                    accuracy: accuracy,
+                    learningRate: lr
+                };
+                if (regression) report.mae = wasm.nn_get_epoch_mae();
+                if (hasValidation) {
+                    Object.assign(report, holdoutMetrics(nValSamples, valLabelsFlat, numClasses, regression));
+                }
+                lastLoss = hasValidation ? report.valLoss : loss;
+
+                if (lastLoss < bestLoss - minDelta) {
+                    bestLoss = lastLoss;
+                    bestEpoch = epoch + 1;
+                    if (patience > 0) wasm.nn_snapshot_params();
+                }
+                self.postMessage(report);
+
+                if (patience > 0 && epoch + 1 - bestEpoch >= patience) {
+                    stoppedEarly = true;
+                    break;
+                }
+                if (checkpointEvery > 0 && (epoch + 1) % checkpointEvery === 0 && epoch + 1 < epochs) {
+                    const checkpoint = captureCheckpoint(
+                        epoch + 1, nSamples, { bestLoss, bestEpoch, lastLoss }, scheduleState
+                    );
+                    self.postMessage(checkpoint, [
+                        checkpoint.params.buffer, checkpoint.bestParams.buffer,
+                        checkpoint.order.buffer,
+                        checkpoint.optimizerState.m.buffer, checkpoint.optimizerState.v.buffer
+                    ]);
+                }
             }
 
-            const out = extractWeights(inputSize, hiddenSize, outputSize);
+            // Restore the best epoch's weights before reporting them back.
+            if (patience > 0 && bestEpoch > 0) wasm.nn_restore_params();
+
+            const out = extractWeights(layerSizes);
+            const state = extractOptimizerState();
             self.postMessage({
                 type: 'done',
                 weights: out.weights,
-                biases: out.biases
-            });
+                biases: out.biases,
+                bestEpoch: bestEpoch,
+                stoppedEarly: stoppedEarly,
+                stopped: control.stopped,
+                optimizerState: state
+            }, [state.m.buffer, state.v.buffer]);
         }
     } catch (err) {
-        self.postMessage({
+        const report = {
             type: 'error',
             message: (err && err.message) || String(err)
-        });
+        };
+        if (err && err.code) {
+            report.code = err.code;
+            report.epoch = err.epoch;
+            report.reason = err.reason;
+        }
+        self.postMessage(report);
     }
 };
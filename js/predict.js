@@ -8,6 +8,9 @@ function _t(key, params) {
     return key;
 }
 
+// Rows sent to the scoring worker per chunk (one progress update each)
+const PREDICT_CHUNK_ROWS = 10000;
+
 class PredictManager {
     constructor() {
         this.trainedModel = null;
@@ -19,10 +22,13 @@ class PredictManager {
         this.csvFormat = { hasHeader: true, delimiter: ',' };
         this.labelMappings = null;
         this.labelKey = null;
+        this.classes = null; // class names of a multi-class (softmax) model
+        this.targetScaling = null; // { mean, std } of a regression model's target
         this.savedIdColumn = null;
         this.predictionsPage = 1;
         this.predictionsPageSize = 20;
         this.predictionsSortMode = 'dataset-asc';
+        this.isScoring = false;
 
         this.init();
     }
@@ -84,6 +90,13 @@ class PredictManager {
             });
         }
 
+        const cancelScoringBtn = document.getElementById('cancel-scoring-btn');
+        if (cancelScoringBtn) {
+            cancelScoringBtn.addEventListener('click', () => {
+                this.cancelScoring();
+            });
+        }
+
         const resetPredictionsBtn = document.getElementById('reset-predictions-btn');
         if (resetPredictionsBtn) {
             resetPredictionsBtn.addEventListener('click', () => {
@@ -202,7 +215,10 @@ class PredictManager {
                 if (window._wasmNNReady) await window._wasmNNReady;
 
                 const modelData = JSON.parse(e.target.result);
+                const previous = this.trainedModel;
                 this.trainedModel = NeuralNetwork.load(modelData);
+                // Free the replaced model's WASM buffers
+                if (previous) previous.dispose();
                 
                 this.modelInfo = {
                     inputShape: [modelData.config.architecture.inputLayer.units],
@@ -218,6 +234,8 @@ class PredictManager {
                     this.labelMappings = null;
                     this.labelKey = null;
                 }
+                this.classes = window.MLScoring.modelClasses(modelData.config);
+                this.targetScaling = window.MLScoring.modelTargetScaling(modelData.config);
                 this.savedIdColumn = (modelData.config.preprocessing && modelData.config.preprocessing.idColumn) || null;
                 
                 this.showSuccess(_t('predict.msg.model_loaded'));
@@ -362,8 +380,10 @@ class PredictManager {
             this.showError(_t('predict.msg.err_upload_both'));
             return;
         }
+        if (this.isScoring) return;
 
-        this.showLoading(true);
+        const model = this.trainedModel;
+        this.isScoring = true;
         this.hideMessages();
 
         try {
@@ -380,115 +400,32 @@ class PredictManager {
             }
             const idKey = idResolved.key;
 
-            // Determine feature keys & build matrix (numeric + one-hot if model was trained with featureColumns)
-            let featureKeys = [];
+            // Rows are encoded the way the model was trained, inside the
+            // scoring worker (see js/scoring.js)
+            const scoring = window.MLScoring;
             const preprocessing = this.trainedModel && this.trainedModel.config ? this.trainedModel.config.preprocessing : null;
-            const codec = window.MLFeatureCodec;
-
-            if (preprocessing && Array.isArray(preprocessing.featureColumns) && codec) {
-                featureKeys =
-                    preprocessing.featureKeys && preprocessing.featureKeys.length
-                        ? preprocessing.featureKeys.slice()
-                        : cols.filter((k) => k !== idKey && k !== targetKey);
-            } else {
-                if (preprocessing && Array.isArray(preprocessing.featureKeys)) {
-                    featureKeys = preprocessing.featureKeys.slice();
-                } else {
-                    const featureCandidates = cols.filter((k) => k !== idKey && k !== targetKey);
-                    featureKeys = featureCandidates.filter((k) => {
-                        for (let i = 0; i < this.testData.length; i++) {
-                            const v = this.testData[i][k];
-                            if (v !== '' && v !== null && v !== undefined) {
-                                const n = parseFloat(v);
-                                if (!isNaN(n)) return true;
-                            }
-                        }
-                        return false;
-                    });
-                }
-            }
-
-            let features;
-            if (preprocessing && Array.isArray(preprocessing.featureColumns) && codec) {
-                features = this.testData.map((row) =>
-                    codec.encodeFeatureRow(
-                        preprocessing.featureColumns,
-                        preprocessing.mins || {},
-                        preprocessing.maxs || {},
-                        preprocessing.means || {},
-                        row
-                    )
-                );
-            } else {
-                features = this.testData.map((row) => featureKeys.map((k) => {
-                    const n = parseFloat(row[k]);
-                    return isNaN(n) ? 0 : n;
-                }));
-
-                // Apply training-time normalization if available
-                if (preprocessing && preprocessing.mins && preprocessing.maxs) {
-                    const mins = preprocessing.mins;
-                    const maxs = preprocessing.maxs;
-                    features = features.map((arr) => {
-                        return arr.map((val, idx) => {
-                            const key = featureKeys[idx];
-                            const min = typeof mins[key] === 'number' ? mins[key] : 0;
-                            const max = typeof maxs[key] === 'number' ? maxs[key] : 1;
-                            let scaled = (val - min) / (max - min || 1);
-                            if (scaled < 0) scaled = 0;
-                            if (scaled > 1) scaled = 1;
-                            return scaled;
-                        });
-                    });
-                }
-            }
-
-            // Match model input size by trimming/padding
-            const expected = this.trainedModel.config.architecture.inputLayer.units;
-            features = features.map(arr => {
-                if (arr.length > expected) return arr.slice(0, expected);
-                if (arr.length < expected) {
-                    const padded = arr.slice();
-                    while (padded.length < expected) padded.push(0);
-                    return padded;
-                }
-                return arr;
-            });
-
-			// Make predictions
-			const predictions = this.trainedModel.predict(features);
-            
-            // Get label mappings from model preprocessing if available
-            const labelMappings = preprocessing && preprocessing.labelMappings ? preprocessing.labelMappings : null;
-            const reverseMappings = labelMappings ? this.createReverseMappings(labelMappings) : null;
+            const { featureKeys, encoder } = scoring.inputSpec(preprocessing, this.testData, { idKey, targetKey });
+
+			// Make predictions off the main thread, chunk by chunk
+			this.showScoringProgress(0, this.testData.length);
+			const predictions = await this.trainedModel.scoreRows(this.testData, encoder, {
+				chunkSize: PREDICT_CHUNK_ROWS,
+				onProgress: ({ done, total }) => this.showScoringProgress(done, total)
+			});
+			this.hideScoringProgress();
+			if (!predictions) {
+				// Reset also cancels; only report a cancel the user asked for
+				if (this.trainedModel === model) this.showSuccess(_t('predict.msg.scoring_cancelled'));
+				return;
+			}
             
-            // Process predictions
-            const results = this.testData.map((row, index) => {
-                const rawPred = predictions[index];
-                const prediction = Array.isArray(rawPred) ? rawPred[0] : rawPred;
-                const predVal = (typeof prediction === 'number' && !isNaN(prediction)) ? prediction : 0.5;
-                const predictedNumeric = predVal > 0.5 ? 1 : 0;
-                
-                // Use label mappings to show meaningful class names
-                let predictedClass;
-                if (reverseMappings && reverseMappings[predictedNumeric]) {
-                    predictedClass = reverseMappings[predictedNumeric][0];
-                } else {
-                    predictedClass = predictedNumeric === 1 ? _t('predict.risk_tiers.atrisk') : _t('predict.risk_tiers.safe');
-                }
-                
-                const riskTier = this.getRiskTier(predVal);
-
-                return {
-                    datasetRow: index + 1,
-                    input: featureKeys.map(k => row[k]),
-                    prediction: predVal,
-                    predictedClass: predictedClass,
-                    predictedNumeric: predictedNumeric,
-                    riskTierKey: riskTier.key,
-                    riskTierLabel: riskTier.label
-                };
-            });
+            // Scores, risk tiers and class names as in the exported CSV
+            const results = scoring.results(predictions, this.testData, {
+                featureKeys,
+                classes: this.classes,
+                targetScaling: this.targetScaling,
+                labelMappings: preprocessing && preprocessing.labelMappings ? preprocessing.labelMappings : null
+            }, _t);
 
 			this.predictions = results;
             this.showSuccess(_t('predict.msg.scored', { count: results.length }));
@@ -505,12 +442,32 @@ class PredictManager {
             this.showLoading(false);
 
         } catch (err) {
+            this.hideScoringProgress();
             this.showError(_t('predict.msg.err_predict', { error: err.message }));
         } finally {
+            this.isScoring = false;
             this.showLoading(false);
         }
     }
 
+    cancelScoring() {
+        if (this.trainedModel) this.trainedModel.cancelScoring();
+    }
+
+    showScoringProgress(done, total) {
+        const container = document.getElementById('predict-progress');
+        const fill = document.getElementById('predict-progress-fill');
+        const text = document.getElementById('predict-progress-text');
+        if (container) container.style.display = 'block';
+        if (fill) fill.style.width = `${total > 0 ? (done / total) * 100 : 0}%`;
+        if (text) text.textContent = _t('predict.progress', { done, total });
+    }
+
+    hideScoringProgress() {
+        const container = document.getElementById('predict-progress');
+        if (container) container.style.display = 'none';
+    }
+
     downloadPredictions() {
         if (!this.predictions) {
             this.showError(_t('predict.msg.err_no_predictions'));
@@ -523,14 +480,10 @@ class PredictManager {
             return;
         }
 
-        const csvData = ordered.map((result) => {
-            const row = {};
-            row[_t('predict.col.customer')] = result.datasetRow;
-            row[_t('predict.col.score')] = result.prediction.toFixed(4);
-            row[_t('predict.col.risk_level')] = result.predictedClass;
-            row[_t('predict.col.risk_tier')] = result.riskTierLabel || this.getRiskTier(result.prediction).label;
-            return row;
-        });
+        const csvData = window.MLScoring.exportRows(ordered, {
+            classes: this.classes,
+            targetScaling: this.targetScaling
+        }, _t);
 
         const csv = Papa.unparse(csvData);
         const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
@@ -548,12 +501,17 @@ class PredictManager {
     }
 
     resetPredictions() {
+        this.cancelScoring();
+        this.hideScoringProgress();
+        if (this.trainedModel) this.trainedModel.dispose();
         this.trainedModel = null;
         this.testData = null;
         this.predictions = null;
         this.modelInfo = null;
         this.labelMappings = null;
         this.labelKey = null;
+        this.classes = null;
+        this.targetScaling = null;
         this.savedIdColumn = null;
         this.predictionsPage = 1;
         this.predictionsPageSize = 20;
@@ -598,7 +556,15 @@ class PredictManager {
 	// Metrics computation and display
 	computeAndShowMetrics(targetKey, predictions) {
 		try {
-			if (!this.testData || !Array.isArray(predictions)) return;
+			if (!this.testData || !(Array.isArray(predictions) || ArrayBuffer.isView(predictions))) return;
+			if (this.targetScaling) {
+				this.computeAndShowRegressionMetrics(targetKey);
+				return;
+			}
+			if (this.classes) {
+				this.computeAndShowMultiClassMetrics(targetKey);
+				return;
+			}
 			let tp = 0, tn = 0, fp = 0, fn = 0;
 			let validCount = 0;
 			for (let i = 0; i < this.testData.length; i++) {
@@ -633,6 +599,67 @@ class PredictManager {
 		}
 	}
 
+	// Confusion matrix over the model's classes, from the stored results.
+	// Rows whose outcome was not a training class are skipped.
+	computeAndShowMultiClassMetrics(targetKey) {
+		const k = this.classes.length;
+		const matrix = this.classes.map(() => new Array(k).fill(0));
+		const mappings = this.labelMappings || {};
+		let correct = 0;
+		let validCount = 0;
+		for (let i = 0; i < this.testData.length; i++) {
+			const raw = this.testData[i][targetKey];
+			if (raw === '' || raw === null || raw === undefined) continue;
+			const actual = mappings[String(raw).trim()];
+			if (!Number.isInteger(actual) || actual < 0 || actual >= k) continue;
+			const predicted = this.predictions[i].predictedNumeric;
+			matrix[actual][predicted]++;
+			if (actual === predicted) correct++;
+			validCount++;
+		}
+		if (validCount === 0) {
+			this.hideEvaluationMetrics();
+			return;
+		}
+		this.showEvaluationMetrics({ accuracy: correct / validCount, matrix });
+	}
+
+	// MAE, RMSE and R² of the estimates against rows with a numeric target.
+	computeAndShowRegressionMetrics(targetKey) {
+		const actuals = [];
+		const estimates = [];
+		for (let i = 0; i < this.testData.length; i++) {
+			const raw = this.testData[i][targetKey];
+			const text = String(raw == null ? '' : raw).trim();
+			const actual = Number(text);
+			if (text === '' || !isFinite(actual)) continue;
+			actuals.push(actual);
+			estimates.push(this.predictions[i].prediction);
+		}
+		const n = actuals.length;
+		if (n === 0) {
+			this.hideEvaluationMetrics();
+			return;
+		}
+		const mean = actuals.reduce((a, b) => a + b, 0) / n;
+		let absError = 0;
+		let squaredError = 0;
+		let totalSquares = 0;
+		for (let i = 0; i < n; i++) {
+			const residual = estimates[i] - actuals[i];
+			absError += Math.abs(residual);
+			squaredError += residual * residual;
+			totalSquares += (actuals[i] - mean) * (actuals[i] - mean);
+		}
+		this.showEvaluationMetrics({
+			regression: true,
+			mae: absError / n,
+			rmse: Math.sqrt(squaredError / n),
+			// Undefined when every actual value is the same
+			r2: totalSquares > 0 ? 1 - squaredError / totalSquares : NaN
+		});
+	}
+
 	toBinaryLabel(raw) {
 		if (typeof raw === 'string') {
 			const val = raw.trim().toLowerCase();
@@ -652,8 +679,35 @@ class PredictManager {
         const fpEl = document.getElementById('cm-fp');
         const fnEl = document.getElementById('cm-fn');
         const tpEl = document.getElementById('cm-tp');
+		const binaryEl = document.getElementById('confusion-matrix-binary');
+		const multiEl = document.getElementById('confusion-matrix-multiclass');
 		if (!container) return;
+		const regression = !!metrics.regression;
+		document.querySelectorAll('#evaluation-metrics .classification-stat').forEach((el) => {
+			el.style.display = regression ? 'none' : '';
+		});
+		document.querySelectorAll('#evaluation-metrics .regression-stat').forEach((el) => {
+			el.style.display = regression ? '' : 'none';
+		});
+		if (regression) {
+			const setStat = (id, text) => {
+				const el = document.getElementById(id);
+				if (el) el.textContent = text;
+			};
+			setStat('metric-mae', this.formatValue(metrics.mae));
+			setStat('metric-rmse', this.formatValue(metrics.rmse));
+			setStat('metric-r2', isNaN(metrics.r2) ? '—' : metrics.r2.toFixed(3));
+			if (binaryEl) binaryEl.style.display = 'none';
+			if (multiEl) multiEl.style.display = 'none';
+			container.style.display = 'block';
+			return;
+		}
 		if (accEl) accEl.textContent = (metrics.accuracy * 100).toFixed(2) + '%';
+		if (binaryEl) binaryEl.style.display = metrics.matrix ? 'none' : '';
+		if (multiEl) {
+			multiEl.innerHTML = metrics.matrix ? this.formatConfusionMatrix(metrics.matrix) : '';
+			multiEl.style.display = metrics.matrix ? '' : 'none';
+		}
 		if (tnEl) tnEl.textContent = metrics.tn;
 		if (fpEl) fpEl.textContent = metrics.fp;
 		if (fnEl) fnEl.textContent = metrics.fn;
@@ -661,6 +715,24 @@ class PredictManager {
 		container.style.display = 'block';
 	}
 
+	formatConfusionMatrix(matrix) {
+		const names = this.classes.map(name => this.escapeHtml(name));
+		let html = '<table><thead><tr>';
+		html += `<th data-i18n="predict.metrics.actual_vs_predicted">${this.escapeHtml(_t('predict.metrics.actual_vs_predicted'))}</th>`;
+		names.forEach((name) => { html += `<th>${name}</th>`; });
+		html += '</tr></thead><tbody>';
+		matrix.forEach((row, actual) => {
+			html += `<tr><th>${names[actual]}</th>`;
+			row.forEach((count, predicted) => {
+				const style = actual === predicted ? ' style="font-weight: 700;"' : '';
+				html += `<td${style}>${count}</td>`;
+			});
+			html += '</tr>';
+		});
+		html += '</tbody></table>';
+		return html;
+	}
+
 	hideEvaluationMetrics() {
 		const container = document.getElementById('evaluation-metrics');
 		if (container) container.style.display = 'none';
@@ -672,38 +744,7 @@ class PredictManager {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     const text = (e.target && e.target.result) ? e.target.result.toString() : '';
-                    const sample = text.split('\n').slice(0, 5).map(l => l.replace(/\r/g, ''));
-                    const candidates = [',', ';', '\t', '|'];
-                    let best = { delimiter: ',', score: -1 };
-                    for (let d = 0; d < candidates.length; d++) {
-                        const delim = candidates[d];
-                        const counts = sample.map(line => line.split(delim).length);
-                        const avg = counts.reduce((a,b)=>a+b,0) / (counts.length || 1);
-                        if (avg > best.score) {
-                            best = { delimiter: delim, score: avg };
-                        }
-                    }
-                    // Header heuristic
-                    let hasHeader = true;
-                    if (sample.length >= 2) {
-                        const first = sample[0].split(best.delimiter);
-                        const second = sample[1].split(best.delimiter);
-                        const isNumeric = (arr) => {
-                            let numericCount = 0, total = 0;
-                            for (let i = 0; i < arr.length; i++) {
-                                const v = arr[i].trim();
-                                if (v === '') continue;
-                                total++;
-                                const n = parseFloat(v);
-                                if (!isNaN(n) && isFinite(n)) numericCount++;
-                            }
-                            return total > 0 && numericCount / total > 0.6;
-                        };
-                        const firstNumeric = isNumeric(first);
-                        const secondNumeric = isNumeric(second);
-                        hasHeader = !firstNumeric && secondNumeric;
-                    }
-                    resolve({ delimiter: best.delimiter, hasHeader });
+                    resolve(window.MLFeatureCodec.detectCsvFormat(text));
                 };
                 const blob = file.slice(0, 2048);
                 reader.readAsText(blob);
@@ -713,21 +754,11 @@ class PredictManager {
         });
     }
 
-    // Risk tier bucketing based on churn score (0 = will stay, 1 = will churn).
-    // Tiers are inclusive of the lower bound and exclusive of the upper bound,
-    // except for the top tier which includes 1.0.
+    // Risk tier of a churn score with its translated label (tier bounds in
+    // js/scoring.js)
     getRiskTier(score) {
-        const s = (typeof score === 'number' && !isNaN(score)) ? score : 0;
-        if (s < 0.20) {
-            return { key: 'safe', label: _t('predict.risk_tiers.safe'), range: '0.00 – 0.20' };
-        }
-        if (s < 0.50) {
-            return { key: 'watch', label: _t('predict.risk_tiers.watch'), range: '0.20 – 0.50' };
-        }
-        if (s < 0.80) {
-            return { key: 'atrisk', label: _t('predict.risk_tiers.atrisk'), range: '0.50 – 0.80' };
-        }
-        return { key: 'critical', label: _t('predict.risk_tiers.critical'), range: '0.80 – 1.00' };
+        const tier = window.MLScoring.riskTier(score);
+        return { key: tier.key, label: _t('predict.risk_tiers.' + tier.key), range: tier.range };
     }
 
     // UI Helper methods
@@ -847,6 +878,17 @@ class PredictManager {
 
     showPredictionSummary() {
         if (!this.predictions) return;
+        if (this.targetScaling) {
+            this.hidePredictionSummary();
+            this.renderValueSummary();
+            return;
+        }
+        if (this.classes) {
+            // Churn risk and tiers describe a single churn score
+            this.hidePredictionSummary();
+            this.renderClassSummary();
+            return;
+        }
         
         const atRisk = this.predictions.filter(p => p.predictedNumeric === 1);
         const summaryEl = document.getElementById('churn-risk-summary');
@@ -896,6 +938,45 @@ class PredictManager {
         container.style.display = 'block';
     }
 
+    renderClassSummary() {
+        const container = document.getElementById('class-summary');
+        const grid = document.getElementById('class-summary-grid');
+        if (!container || !grid) return;
+        const counts = this.classes.map(() => 0);
+        this.predictions.forEach((p) => { counts[p.predictedNumeric]++; });
+        const total = this.predictions.length;
+        grid.innerHTML = this.classes.map((name, c) => `
+            <div class="risk-tier-card">
+                <span class="risk-tier-range">${this.escapeHtml(name)}</span>
+                <span class="risk-tier-count">${counts[c]}</span>
+                <span class="risk-tier-pct">${total > 0 ? ((counts[c] / total) * 100).toFixed(0) : 0}%</span>
+            </div>`).join('');
+        container.style.display = 'block';
+    }
+
+    // Average, total and range of the estimates of a regression model.
+    renderValueSummary() {
+        const container = document.getElementById('value-summary');
+        if (!container || !this.predictions.length) return;
+        const values = this.predictions.map(p => p.prediction);
+        const total = values.reduce((a, b) => a + b, 0);
+        const stats = {
+            average: total / values.length,
+            total: total,
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+        Object.keys(stats).forEach((key) => {
+            const el = document.getElementById(`value-summary-${key}`);
+            if (el) el.textContent = this.formatValue(stats[key]);
+        });
+        container.style.display = 'block';
+    }
+
+    formatValue(value) {
+        return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    }
+
     hidePredictionSummary() {
         const summary = document.getElementById('churn-risk-summary');
         if (summary) {
@@ -905,6 +986,14 @@ class PredictManager {
         if (tiers) {
             tiers.style.display = 'none';
         }
+        const classSummary = document.getElementById('class-summary');
+        if (classSummary) {
+            classSummary.style.display = 'none';
+        }
+        const valueSummary = document.getElementById('value-summary');
+        if (valueSummary) {
+            valueSummary.style.display = 'none';
+        }
     }
 
     getOrderedPredictions() {
@@ -973,12 +1062,33 @@ class PredictManager {
         if (sortOrderSelect) sortOrderSelect.value = this.predictionsSortMode || 'dataset-asc';
 
         if (predictionsTable) {
+            const columns = this.renderPredictionsTableHead();
             const tbody = predictionsTable.querySelector('tbody');
             tbody.innerHTML = '';
             if (total === 0) {
                 const tr = document.createElement('tr');
-                tr.innerHTML = `<td colspan="4" class="predictions-table-empty">${this.escapeHtml(_t('predict.msg.empty_filtered'))}</td>`;
+                tr.innerHTML = `<td colspan="${columns}" class="predictions-table-empty">${this.escapeHtml(_t('predict.msg.empty_filtered'))}</td>`;
                 tbody.appendChild(tr);
+            } else if (this.targetScaling) {
+                slice.forEach((result) => {
+                    const tr = document.createElement('tr');
+                    tr.innerHTML = `
+                    <td>${result.datasetRow}</td>
+                    <td>${result.prediction.toFixed(2)}</td>
+                `;
+                    tbody.appendChild(tr);
+                });
+            } else if (this.classes) {
+                slice.forEach((result) => {
+                    const tr = document.createElement('tr');
+                    tr.innerHTML = `
+                    <td>${result.datasetRow}</td>
+                    <td>${this.escapeHtml(String(result.predictedClass))}</td>
+                    <td>${result.prediction.toFixed(4)}</td>
+                    ${result.probabilities.map(p => `<td>${p.toFixed(4)}</td>`).join('')}
+                `;
+                    tbody.appendChild(tr);
+                });
             } else {
                 slice.forEach((result) => {
                     const rowNum = result.datasetRow;
@@ -1034,12 +1144,34 @@ class PredictManager {
         }
     }
 
+    // Header cells for the current model type; returns the column count.
+    renderPredictionsTableHead() {
+        const head = document.getElementById('predictions-table-head');
+        const th = (key, params) => `<th data-i18n="${key}">${this.escapeHtml(_t(key, params))}</th>`;
+        let cells;
+        if (this.targetScaling) {
+            cells = [th('predict.col.customer'), th('predict.col.predicted_value')];
+        } else if (this.classes) {
+            cells = [th('predict.col.customer'), th('predict.col.predicted_class'), th('predict.col.confidence')]
+                .concat(this.classes.map(name =>
+                    `<th>${this.escapeHtml(_t('predict.col.class_probability', { name }))}</th>`));
+        } else {
+            cells = [th('predict.col.customer'), th('predict.col.score'), th('predict.col.risk_level'), th('predict.col.risk_tier')];
+        }
+        if (head) head.innerHTML = cells.join('');
+        return cells.length;
+    }
+
     showPredictionResults() {
         if (!this.predictions) return;
         
         const resultsCard = document.getElementById('predictions-results-card');
         
         if (resultsCard) {
+            // The score filter is about churn scores (0–1); hide it for class
+            // and regression outputs
+            const filterToolbar = document.getElementById('predictions-filter-toolbar');
+            if (filterToolbar) filterToolbar.style.display = this.classes || this.targetScaling ? 'none' : '';
             this.predictionsPage = 1;
             this.predictionsSortMode = 'dataset-asc';
             const sortSel = document.getElementById('predictions-sort-order');
@@ -1077,21 +1209,6 @@ class PredictManager {
         }
     }
     
-    createReverseMappings(labelMappings) {
-        // Create reverse mapping: numeric value -> array of original string values
-        const reverse = {};
-        Object.entries(labelMappings).forEach(([original, numeric]) => {
-            if (!reverse[numeric]) {
-                reverse[numeric] = [];
-            }
-            reverse[numeric].push(original);
-        });
-        // Sort each array to have most common/representative values first
-        Object.keys(reverse).forEach(key => {
-            reverse[key].sort();
-        });
-        return reverse;
-    }
     
     displayLabelMappings() {
         const labelMappingsContainer = document.getElementById('predict-label-mappings');
@@ -11,7 +11,7 @@
 		'/tutorial': { templateId: 'tmpl-tutorial', init: null },
 		'/documentation': { templateId: 'tmpl-documentation', init: null },
 		'/legal': { templateId: 'tmpl-legal', init: null },
-		'/privacy': { templateId: 'tmpl-privacy', init: null },
+		'/privacy': { templateId: 'tmpl-privacy', init: 'initPrivacyPage' },
 		'/cookies': { templateId: 'tmpl-cookies', init: null }
 	};
 
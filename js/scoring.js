@@ -0,0 +1,360 @@
+/**
+ * Scoring rules for a saved churn model: which columns feed it, how raw
+ * outputs become scores, risk tiers and predicted classes, the rows of the
+ * exported predictions CSV and metrics against known outcomes.
+ *
+ * Has no DOM dependencies, so the Predict page and the command-line tool
+ * (node/cli.js) score a file the same way. Texts come from the `t(key,
+ * params)` translator passed in (window.i18n.t on the page).
+ */
+(function () {
+    const SC = {};
+
+    // Risk tier bucketing based on churn score (0 = will stay, 1 = will churn).
+    // Tiers are inclusive of the lower bound and exclusive of the upper bound,
+    // except for the top tier which includes 1.0.
+    SC.RISK_TIERS = [
+        { key: 'safe', upTo: 0.20, range: '0.00 – 0.20' },
+        { key: 'watch', upTo: 0.50, range: '0.20 – 0.50' },
+        { key: 'atrisk', upTo: 0.80, range: '0.50 – 0.80' },
+        { key: 'critical', upTo: Infinity, range: '0.80 – 1.00' }
+    ];
+
+    // `{ key, range }` of the tier a churn score falls in (label key:
+    // `predict.risk_tiers.<key>`).
+    SC.riskTier = function (score) {
+        const s = (typeof score === 'number' && !isNaN(score)) ? score : 0;
+        for (let i = 0; i < SC.RISK_TIERS.length - 1; i++) {
+            if (s < SC.RISK_TIERS[i].upTo) return SC.RISK_TIERS[i];
+        }
+        return SC.RISK_TIERS[SC.RISK_TIERS.length - 1];
+    };
+
+    /**
+     * Class names of a multi-class model in output order, or null for a
+     * single-output (binary) model.
+     */
+    SC.modelClasses = function (config) {
+        const units = config.architecture.outputLayer.units;
+        if (!(units > 1) || config.architecture.outputLayer.activation === 'linear') return null;
+        const saved = config.preprocessing && config.preprocessing.classes;
+        if (Array.isArray(saved) && saved.length === units) return saved.map(String);
+        return Array.from({ length: units }, (_, i) => String(i));
+    };
+
+    /**
+     * Target scaling `{ mean, std }` of a regression (linear output) model,
+     * identity when the model was saved without one; null for classifiers.
+     */
+    SC.modelTargetScaling = function (config) {
+        if (config.architecture.outputLayer.activation !== 'linear') return null;
+        const saved = config.preprocessing && config.preprocessing.targetScaling;
+        if (saved && isFinite(saved.mean) && saved.std > 0) return { mean: saved.mean, std: saved.std };
+        return { mean: 0, std: 1 };
+    };
+
+    SC.reverseMappings = function (labelMappings) {
+        // Create reverse mapping: numeric value -> array of original string values
+        const reverse = {};
+        Object.entries(labelMappings).forEach(([original, numeric]) => {
+            if (!reverse[numeric]) {
+                reverse[numeric] = [];
+            }
+            reverse[numeric].push(original);
+        });
+        // Sort each array to have most common/representative values first
+        Object.keys(reverse).forEach(key => {
+            reverse[key].sort();
+        });
+        return reverse;
+    };
+
+    /**
+     * Input columns of a model for a file and the NeuralNetwork#scoreRows()
+     * encoder that turns its rows into input vectors the way the model was
+     * trained (see MLFeatureCodec.makeRowEncoder).
+     * @param {object|null} preprocessing the model's config.preprocessing
+     * @param {object[]} rows parsed CSV rows
+     * @param {{idKey?: string|null, targetKey?: string|null}} [columns]
+     *   columns of the file that are not features
+     * @returns {{featureKeys: string[], encoder: object}}
+     */
+    SC.inputSpec = function (preprocessing, rows, columns = {}) {
+        const { idKey = null, targetKey = null } = columns;
+        const cols = Object.keys(rows[0] || {});
+        let featureKeys = [];
+
+        if (preprocessing && Array.isArray(preprocessing.featureColumns)) {
+            featureKeys =
+                preprocessing.featureKeys && preprocessing.featureKeys.length
+                    ? preprocessing.featureKeys.slice()
+                    : cols.filter((k) => k !== idKey && k !== targetKey);
+            return {
+                featureKeys,
+                encoder: {
+                    featureColumns: preprocessing.featureColumns,
+                    mins: preprocessing.mins,
+                    maxs: preprocessing.maxs,
+                    means: preprocessing.means
+                }
+            };
+        }
+
+        if (preprocessing && Array.isArray(preprocessing.featureKeys)) {
+            featureKeys = preprocessing.featureKeys.slice();
+        } else {
+            const featureCandidates = cols.filter((k) => k !== idKey && k !== targetKey);
+            featureKeys = featureCandidates.filter((k) => {
+                for (let i = 0; i < rows.length; i++) {
+                    const v = rows[i][k];
+                    if (v !== '' && v !== null && v !== undefined) {
+                        const n = parseFloat(v);
+                        if (!isNaN(n)) return true;
+                    }
+                }
+                return false;
+            });
+        }
+        return {
+            featureKeys,
+            encoder: {
+                featureKeys,
+                mins: preprocessing ? preprocessing.mins : null,
+                maxs: preprocessing ? preprocessing.maxs : null
+            }
+        };
+    };
+
+    /**
+     * One result per row from the raw model outputs of scoreRows().
+     * Binary: `prediction` (churn score), `predictedClass`, `riskTierKey` /
+     * `riskTierLabel`; multi-class: the top class and all `probabilities`;
+     * regression: `prediction` in the target's unit.
+     * @param {Float64Array} scores
+     * @param {object[]} rows the scored rows
+     * @param {object} model `{ featureKeys, classes, targetScaling,
+     *   labelMappings }` (see modelClasses / modelTargetScaling)
+     * @param {function(string, object=): string} t translator
+     */
+    SC.results = function (scores, rows, model, t) {
+        const { featureKeys, classes, targetScaling: scaling, labelMappings } = model;
+        const reverseMappings = labelMappings ? SC.reverseMappings(labelMappings) : null;
+
+        return rows.map((row, index) => {
+            if (scaling) {
+                // Regression: undo the training-time target scaling
+                return {
+                    datasetRow: index + 1,
+                    input: featureKeys.map(k => row[k]),
+                    prediction: scores[index] * scaling.std + scaling.mean
+                };
+            }
+            if (classes) {
+                // Multi-class: the score is the top class probability
+                const probabilities = Array.from(
+                    scores.subarray(index * classes.length, (index + 1) * classes.length)
+                );
+                let best = 0;
+                for (let c = 1; c < probabilities.length; c++) {
+                    if (probabilities[c] > probabilities[best]) best = c;
+                }
+                return {
+                    datasetRow: index + 1,
+                    input: featureKeys.map(k => row[k]),
+                    prediction: probabilities[best],
+                    probabilities: probabilities,
+                    predictedClass: classes[best],
+                    predictedNumeric: best
+                };
+            }
+
+            const prediction = scores[index];
+            const predVal = (typeof prediction === 'number' && !isNaN(prediction)) ? prediction : 0.5;
+            const predictedNumeric = predVal > 0.5 ? 1 : 0;
+
+            // Use label mappings to show meaningful class names
+            let predictedClass;
+            if (reverseMappings && reverseMappings[predictedNumeric]) {
+                predictedClass = reverseMappings[predictedNumeric][0];
+            } else {
+                predictedClass = predictedNumeric === 1 ? t('predict.risk_tiers.atrisk') : t('predict.risk_tiers.safe');
+            }
+
+            const riskTier = SC.riskTier(predVal);
+
+            return {
+                datasetRow: index + 1,
+                input: featureKeys.map(k => row[k]),
+                prediction: predVal,
+                predictedClass: predictedClass,
+                predictedNumeric: predictedNumeric,
+                riskTierKey: riskTier.key,
+                riskTierLabel: t('predict.risk_tiers.' + riskTier.key)
+            };
+        });
+    };
+
+    /**
+     * Area under the ROC curve of `scores` for 0/1 `labels` (rank-sum
+     * statistic, ties averaged); NaN when either class is missing.
+     */
+    SC.rocAuc = function (scores, labels) {
+        const n = scores.length;
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => scores[a] - scores[b]);
+        let positives = 0;
+        let rankSum = 0;
+        for (let i = 0; i < n;) {
+            let j = i;
+            while (j + 1 < n && scores[order[j + 1]] === scores[order[i]]) j++;
+            const avgRank = (i + j) / 2 + 1;
+            for (let r = i; r <= j; r++) {
+                if (labels[order[r]] > 0.5) {
+                    positives++;
+                    rankSum += avgRank;
+                }
+            }
+            i = j + 1;
+        }
+        const negatives = n - positives;
+        if (positives === 0 || negatives === 0) return NaN;
+        return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+    };
+
+    /**
+     * One-vs-rest ROC AUC averaged over the classes present in `labels`
+     * (class indices), for row-major [n × numClasses] `scores`; NaN when
+     * none can be computed.
+     */
+    SC.macroRocAuc = function (scores, labels, numClasses) {
+        const n = labels.length;
+        const column = new Float64Array(n);
+        const isClass = new Float64Array(n);
+        let sum = 0;
+        let count = 0;
+        for (let c = 0; c < numClasses; c++) {
+            for (let i = 0; i < n; i++) {
+                column[i] = scores[i * numClasses + c];
+                isClass[i] = labels[i] === c ? 1 : 0;
+            }
+            const auc = SC.rocAuc(column, isClass);
+            if (!isNaN(auc)) {
+                sum += auc;
+                count++;
+            }
+        }
+        return count > 0 ? sum / count : NaN;
+    };
+
+    /**
+     * Metrics of raw model outputs against known prepared labels (0/1,
+     * class indices, or standardized targets as MLTrainingData.prepare()
+     * makes them). Binary: accuracy, precision, recall, F1 (churn = the
+     * positive class, score > 0.5) and AUC; multi-class: accuracy and the
+     * per-class precision, recall, F1 and one-vs-rest AUC averaged over the
+     * classes present (macro); regression: MAE, RMSE and R² in the target's
+     * unit. AUC is NaN when it cannot be computed.
+     * @param {Float64Array} scores as returned by predictBatch()
+     * @param {number[]} labels
+     * @param {{classes: string[]|null, targetScaling: object|null}} model
+     */
+    SC.evaluate = function (scores, labels, model) {
+        const { classes, targetScaling: scaling } = model;
+        const n = labels.length;
+        if (scaling) {
+            let absSum = 0;
+            let squareSum = 0;
+            let mean = 0;
+            for (let i = 0; i < n; i++) mean += labels[i] * scaling.std + scaling.mean;
+            mean /= n;
+            let totalSquares = 0;
+            for (let i = 0; i < n; i++) {
+                const actual = labels[i] * scaling.std + scaling.mean;
+                const error = scores[i] * scaling.std + scaling.mean - actual;
+                absSum += Math.abs(error);
+                squareSum += error * error;
+                totalSquares += (actual - mean) * (actual - mean);
+            }
+            return {
+                mae: absSum / n,
+                rmse: Math.sqrt(squareSum / n),
+                r2: totalSquares > 0 ? 1 - squareSum / totalSquares : NaN
+            };
+        }
+
+        const k = classes ? classes.length : 2;
+        const predicted = new Array(n);
+        for (let i = 0; i < n; i++) {
+            if (!classes) {
+                predicted[i] = scores[i] > 0.5 ? 1 : 0;
+                continue;
+            }
+            let best = 0;
+            for (let c = 1; c < k; c++) {
+                if (scores[i * k + c] > scores[i * k + best]) best = c;
+            }
+            predicted[i] = best;
+        }
+        // Precision, recall and F1 of one class against the rest
+        const classMetrics = (c) => {
+            let tp = 0;
+            let fp = 0;
+            let fn = 0;
+            for (let i = 0; i < n; i++) {
+                if (predicted[i] === c && labels[i] === c) tp++;
+                else if (predicted[i] === c) fp++;
+                else if (labels[i] === c) fn++;
+            }
+            const precision = (tp + fp) > 0 ? tp / (tp + fp) : 0;
+            const recall = (tp + fn) > 0 ? tp / (tp + fn) : 0;
+            const f1 = (precision + recall) > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+            return { precision, recall, f1 };
+        };
+        let correct = 0;
+        for (let i = 0; i < n; i++) if (predicted[i] === labels[i]) correct++;
+        const accuracy = n > 0 ? correct / n : NaN;
+
+        if (!classes) {
+            return Object.assign({ accuracy }, classMetrics(1), { auc: SC.rocAuc(scores, labels) });
+        }
+        const present = [];
+        for (let c = 0; c < k; c++) if (labels.includes(c)) present.push(c);
+        const average = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+        const perClass = present.map(classMetrics);
+        return {
+            accuracy,
+            precision: average(perClass.map(m => m.precision)),
+            recall: average(perClass.map(m => m.recall)),
+            f1: average(perClass.map(m => m.f1)),
+            auc: SC.macroRocAuc(scores, labels, k)
+        };
+    };
+
+    // Rows of the downloaded predictions CSV (column name → cell).
+    SC.exportRows = function (results, model, t) {
+        const { classes, targetScaling } = model;
+        return results.map((result) => {
+            const row = {};
+            if (targetScaling) {
+                row[t('predict.col.customer')] = result.datasetRow;
+                row[t('predict.col.predicted_value')] = result.prediction.toFixed(4);
+                return row;
+            }
+            if (classes) {
+                row[t('predict.col.customer')] = result.datasetRow;
+                row[t('predict.col.predicted_class')] = result.predictedClass;
+                row[t('predict.col.confidence')] = result.prediction.toFixed(4);
+                classes.forEach((name, c) => {
+                    row[t('predict.col.class_probability', { name })] = result.probabilities[c].toFixed(4);
+                });
+                return row;
+            }
+            row[t('predict.col.customer')] = result.datasetRow;
+            row[t('predict.col.score')] = result.prediction.toFixed(4);
+            row[t('predict.col.risk_level')] = result.predictedClass;
+            row[t('predict.col.risk_tier')] = result.riskTierLabel || t('predict.risk_tiers.' + SC.riskTier(result.prediction).key);
+            return row;
+        });
+    };
+
+    (typeof window !== 'undefined' ? window : self).MLScoring = SC;
+})();
@@ -8,28 +8,45 @@ function _t(key, params) {
     return key;
 }
 
+// Epochs between the checkpoints that let an interrupted run be resumed
+const CHECKPOINT_EVERY_EPOCHS = 5;
+
+// localStorage key of the last settings a run was started with
+const SETTINGS_STORAGE_KEY = 'marijoai.trainSettings';
+
+// Train form inputs of the preset settings (trainingConfig key → input id)
+const SETTING_INPUTS = {
+    epochs: 'train-epochs',
+    batchSize: 'train-batch-size',
+    learningRate: 'train-learning-rate',
+    hiddenUnits: 'train-hidden-units'
+};
+
 class TrainModelManager {
     constructor() {
         this.data = null;
 		this.csvFormat = { hasHeader: true, delimiter: ',' };
         this.modelConfig = null;
         this.trainedModel = null;
+        this.activeNetwork = null; // network whose train() call is running
+        this.searchNetwork = null; // network whose search() call is running
+        this.searchResults = null; // settings tried by the last search
+        this.cvNetwork = null; // network training a cross-validation fold
+        this.crossValidation = null; // folds scored by the last cross-validation
         this.targetColumn = '';
 		this.createValidation = false;
-		this.validationSplit = 0.2;
+		this.validationSplit = window.MLTrainingData.VALIDATION_SPLIT;
 		this.validationData = null;
 		this.preprocessing = null;
-        this.trainingConfig = {
-            epochs: 100,
-            batchSize: 32,
-            learningRate: 0.001
-        };
+        this.baseModel = null; // saved model (JSON) to continue training from
+        this.trainingConfig = window.MLTrainingData.defaultTrainingConfig();
         this.trainingProgress = {
             isTraining: false,
             currentEpoch: 0,
             totalEpochs: 0,
             loss: 0,
             accuracy: 0,
+            bestEpoch: 0,
             history: []
         };
         
@@ -45,6 +62,17 @@ class TrainModelManager {
             });
         }
 
+        const baseModelInput = document.getElementById('train-base-model');
+        if (baseModelInput) {
+            baseModelInput.addEventListener('change', (e) => {
+                this.handleBaseModelUpload(e);
+            });
+        }
+        const baseModelClear = document.getElementById('train-base-model-clear');
+        if (baseModelClear) {
+            baseModelClear.addEventListener('click', () => this.clearBaseModel());
+        }
+
 		// Validation generation option
 		const createValEl = document.getElementById('train-create-validation');
 		if (createValEl) {
@@ -66,6 +94,105 @@ class TrainModelManager {
             });
         }
 
+        const taskSelect = document.getElementById('train-task');
+        if (taskSelect) {
+            this.trainingConfig.task = taskSelect.value || 'binary';
+            taskSelect.addEventListener('change', (e) => {
+                this.trainingConfig.task = e.target.value;
+                this.updateTaskOptions();
+                this.analyzeLabelColumn();
+                this.updateDataInfo();
+            });
+        }
+
+        const balanceEl = document.getElementById('train-balance-classes');
+        if (balanceEl) {
+            this.trainingConfig.balanceClasses = !!balanceEl.checked;
+            balanceEl.addEventListener('change', (e) => {
+                this.trainingConfig.balanceClasses = e.target.checked;
+            });
+        }
+
+        const lossSelect = document.getElementById('train-loss');
+        if (lossSelect) {
+            this.trainingConfig.loss = lossSelect.value || 'binaryCrossentropy';
+            lossSelect.addEventListener('change', (e) => {
+                this.trainingConfig.loss = e.target.value;
+            });
+        }
+        this.updateTaskOptions();
+
+        const optimizerSelect = document.getElementById('train-optimizer');
+        if (optimizerSelect) {
+            this.setOptimizer(optimizerSelect.value || 'adam');
+            optimizerSelect.addEventListener('change', (e) => {
+                this.setOptimizer(e.target.value);
+            });
+        }
+
+        const presetSelect = document.getElementById('train-preset');
+        if (presetSelect) {
+            presetSelect.addEventListener('change', (e) => {
+                this.applyPreset(e.target.value);
+            });
+        }
+        Object.keys(SETTING_INPUTS).forEach((key) => {
+            const input = document.getElementById(SETTING_INPUTS[key]);
+            if (!input) return;
+            input.addEventListener('change', (e) => {
+                const text = String(e.target.value).trim();
+                this.trainingConfig[key] = text === '' ? NaN : Number(text);
+                this.trainingConfig.preset = window.MLTrainingData.matchingPreset(this.trainingConfig);
+                if (presetSelect) presetSelect.value = this.trainingConfig.preset;
+                try {
+                    window.MLTrainingData.validateSettings(this.trainingConfig);
+                } catch (err) {
+                    this.showError(window.MLTrainingData.prepareErrorMessage(err, _t));
+                }
+            });
+        });
+        this.restoreSettings();
+
+        const scheduleSelect = document.getElementById('train-lr-schedule');
+        if (scheduleSelect) {
+            this.trainingConfig.lrSchedule = scheduleSelect.value || 'constant';
+            scheduleSelect.addEventListener('change', (e) => {
+                this.trainingConfig.lrSchedule = e.target.value;
+            });
+        }
+
+        const warmupInput = document.getElementById('train-lr-warmup');
+        if (warmupInput) {
+            this.trainingConfig.warmupEpochs = parseInt(warmupInput.value, 10) || 0;
+            warmupInput.addEventListener('change', (e) => {
+                this.trainingConfig.warmupEpochs = parseInt(e.target.value, 10) || 0;
+            });
+        }
+
+        const patienceInput = document.getElementById('train-early-stopping');
+        if (patienceInput) {
+            this.trainingConfig.earlyStoppingPatience = parseInt(patienceInput.value, 10) || 0;
+            patienceInput.addEventListener('change', (e) => {
+                this.trainingConfig.earlyStoppingPatience = parseInt(e.target.value, 10) || 0;
+            });
+        }
+
+        const clipInput = document.getElementById('train-gradient-clip');
+        if (clipInput) {
+            this.trainingConfig.gradientClipNorm = parseFloat(clipInput.value) || 0;
+            clipInput.addEventListener('change', (e) => {
+                this.trainingConfig.gradientClipNorm = parseFloat(e.target.value) || 0;
+            });
+        }
+
+        const seedInput = document.getElementById('train-seed');
+        if (seedInput) {
+            this.trainingConfig.seed = this.parseSeed(seedInput.value);
+            seedInput.addEventListener('change', (e) => {
+                this.trainingConfig.seed = this.parseSeed(e.target.value);
+            });
+        }
+
         const hasIdEl = document.getElementById('train-has-id-column');
         const idGroup = document.getElementById('train-id-column-group');
         const idSelect = document.getElementById('train-id-column');
@@ -88,6 +215,65 @@ class TrainModelManager {
             });
         }
 
+        const pauseTrainingBtn = document.getElementById('pause-training-btn');
+        if (pauseTrainingBtn) {
+            pauseTrainingBtn.addEventListener('click', () => {
+                this.togglePauseTraining();
+            });
+        }
+
+        const stopTrainingBtn = document.getElementById('stop-training-btn');
+        if (stopTrainingBtn) {
+            stopTrainingBtn.addEventListener('click', () => {
+                this.stopTraining();
+            });
+        }
+
+        const cvBtn = document.getElementById('train-cv-btn');
+        if (cvBtn) {
+            cvBtn.addEventListener('click', () => {
+                this.crossValidate();
+            });
+        }
+
+        const cvCancelBtn = document.getElementById('train-cv-cancel-btn');
+        if (cvCancelBtn) {
+            cvCancelBtn.addEventListener('click', () => {
+                this.stopCrossValidation();
+            });
+        }
+
+        const searchMode = document.getElementById('train-search-mode');
+        const searchCount = document.getElementById('train-search-count');
+        if (searchMode && searchCount) {
+            // Only random mode draws a number of settings
+            searchCount.disabled = searchMode.value !== 'random';
+            searchMode.addEventListener('change', (e) => {
+                searchCount.disabled = e.target.value !== 'random';
+            });
+        }
+
+        const searchBtn = document.getElementById('train-search-btn');
+        if (searchBtn) {
+            searchBtn.addEventListener('click', () => {
+                this.findBestSettings();
+            });
+        }
+
+        const searchCancelBtn = document.getElementById('train-search-cancel-btn');
+        if (searchCancelBtn) {
+            searchCancelBtn.addEventListener('click', () => {
+                this.stopSearch();
+            });
+        }
+
+        const searchApplyBtn = document.getElementById('train-search-apply-btn');
+        if (searchApplyBtn) {
+            searchApplyBtn.addEventListener('click', () => {
+                this.trainWithBestSettings();
+            });
+        }
+
         const resetTrainingBtn = document.getElementById('reset-training-btn');
         if (resetTrainingBtn) {
             resetTrainingBtn.addEventListener('click', () => {
@@ -101,6 +287,20 @@ class TrainModelManager {
                 this.downloadTrainedModel();
             });
         }
+
+        const resumeBtn = document.getElementById('train-resume-btn');
+        if (resumeBtn) {
+            resumeBtn.addEventListener('click', () => {
+                this.resumeTraining();
+            });
+        }
+        const discardBtn = document.getElementById('train-resume-discard-btn');
+        if (discardBtn) {
+            discardBtn.addEventListener('click', () => {
+                this.discardInterruptedTraining();
+            });
+        }
+        this.checkInterruptedTraining();
     }
 
     handleDataFileUpload(event) {
@@ -164,44 +364,77 @@ class TrainModelManager {
         });
     }
 
+    // Load a saved model to continue training it; its preprocessing fixes
+    // the feature columns, scaling and task of the next run.
+    handleBaseModelUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        this.hideMessages();
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const modelData = JSON.parse(e.target.result);
+                const config = modelData && modelData.config;
+                const pre = config && config.preprocessing;
+                if (!pre || !Array.isArray(pre.featureKeys) || !Array.isArray(pre.featureColumns)) {
+                    throw new Error(_t('train.msg.err_base_model_preprocessing'));
+                }
+                this.baseModel = modelData;
+                this.trainingConfig.task = window.MLTrainingData.modelTask(config);
+                const taskSelect = document.getElementById('train-task');
+                if (taskSelect) {
+                    taskSelect.value = this.trainingConfig.task;
+                    taskSelect.disabled = true;
+                }
+                // Its architecture, hidden width included, is kept
+                const hiddenInput = document.getElementById('train-hidden-units');
+                if (hiddenInput) hiddenInput.disabled = true;
+                this.updateRunButtons();
+                this.updateTaskOptions();
+                if (this.data) {
+                    this.populateTargetColumnOptions(Object.keys(this.data[0] || {}));
+                    this.analyzeLabelColumn();
+                    this.updateDataInfo();
+                }
+                const summary = document.getElementById('train-base-model-summary');
+                if (summary) {
+                    summary.textContent = _t('train.base_model_loaded', {
+                        features: pre.featureKeys.length,
+                        target: pre.labelKey || '—'
+                    });
+                }
+                const info = document.getElementById('train-base-model-info');
+                if (info) info.style.display = 'block';
+            } catch (err) {
+                this.clearBaseModel();
+                this.showError(_t('train.msg.err_base_model', { error: err.message }));
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    clearBaseModel() {
+        this.baseModel = null;
+        const input = document.getElementById('train-base-model');
+        if (input) input.value = '';
+        const info = document.getElementById('train-base-model-info');
+        if (info) info.style.display = 'none';
+        const taskSelect = document.getElementById('train-task');
+        if (taskSelect) taskSelect.disabled = false;
+        const hiddenInput = document.getElementById('train-hidden-units');
+        if (hiddenInput) hiddenInput.disabled = false;
+        this.updateRunButtons();
+    }
+
     detectCsvFormat(file) {
         return new Promise((resolve, reject) => {
             try {
                 const reader = new FileReader();
                 reader.onload = (e) => {
                     const text = (e.target && e.target.result) ? e.target.result.toString() : '';
-                    const sample = text.split('\n').slice(0, 5).map(l => l.replace(/\r/g, ''));
-                    const candidates = [',', ';', '\t', '|'];
-                    let best = { delimiter: ',', score: -1 };
-                    for (let d = 0; d < candidates.length; d++) {
-                        const delim = candidates[d];
-                        const counts = sample.map(line => line.split(delim).length);
-                        const avg = counts.reduce((a,b)=>a+b,0) / (counts.length || 1);
-                        if (avg > best.score) {
-                            best = { delimiter: delim, score: avg };
-                        }
-                    }
-                    // Header heuristic
-                    let hasHeader = true;
-                    if (sample.length >= 2) {
-                        const first = sample[0].split(best.delimiter);
-                        const second = sample[1].split(best.delimiter);
-                        const isNumeric = (arr) => {
-                            let numericCount = 0, total = 0;
-                            for (let i = 0; i < arr.length; i++) {
-                                const v = arr[i].trim();
-                                if (v === '') continue;
-                                total++;
-                                const n = parseFloat(v);
-                                if (!isNaN(n) && isFinite(n)) numericCount++;
-                            }
-                            return total > 0 && numericCount / total > 0.6;
-                        };
-                        const firstNumeric = isNumeric(first);
-                        const secondNumeric = isNumeric(second);
-                        hasHeader = !firstNumeric && secondNumeric;
-                    }
-                    resolve({ delimiter: best.delimiter, hasHeader });
+                    resolve(window.MLFeatureCodec.detectCsvFormat(text));
                 };
                 const blob = file.slice(0, 2048);
                 reader.readAsText(blob);
@@ -225,7 +458,13 @@ class TrainModelManager {
             opt.textContent = col;
             targetSelect.appendChild(opt);
         });
-        // preselect common
+        // preselect the base model's target, or a common churn name
+        const basePre = this.baseModel ? this.baseModel.config.preprocessing : null;
+        if (basePre && basePre.labelKey && columns.includes(basePre.labelKey)) {
+            targetSelect.value = basePre.labelKey;
+            this.targetColumn = basePre.labelKey;
+            return;
+        }
         const lower = columns.map(c => c.toLowerCase());
         const common = ['churned', 'churn', 'target', 'label', 'class', 'status', 'y'];
         for (let i = 0; i < common.length; i++) {
@@ -272,7 +511,10 @@ class TrainModelManager {
         return { key: v };
     }
 
-    prepareData() {
+    // The prepared training set for `seed`. With `crossValidation` ({ folds,
+    // stratify }) one prepared set per fold instead (see
+    // MLTrainingData.prepareFolds), leaving the page's holdout alone.
+    prepareData(seed, crossValidation = null) {
 		// Only require uploaded data; model is built after auto-detecting feature count
 		if (!this.data) {
 			this.showError(_t('train.msg.err_upload_first'));
@@ -280,19 +522,9 @@ class TrainModelManager {
 		}
 
 		try {
-			// Filter out empty rows/objects
-			let validData = this.data.filter(row => {
-				return row && typeof row === 'object' && Object.keys(row).length > 0;
-			});
-
-			if (validData.length === 0) {
-				this.showError(_t('train.msg.err_no_valid'));
-				return null;
-			}
-
             // Determine columns & selected label
-            const columns = Object.keys(validData[0]);
-            let labelKey = this.targetColumn && columns.includes(this.targetColumn) ? this.targetColumn : null;
+            const columns = Object.keys(this.data[0] || {});
+            const labelKey = this.targetColumn && columns.includes(this.targetColumn) ? this.targetColumn : null;
             if (!labelKey) {
                 this.showError(_t('train.msg.err_pick_target'));
                 return null;
@@ -303,182 +535,189 @@ class TrainModelManager {
                 this.showError(idResolved.error);
                 return null;
             }
-            let idKey = idResolved.key;
-            const candidateKeys = columns.filter(k => k !== labelKey && k !== idKey);
-			const codec = window.MLFeatureCodec;
-			if (!codec) {
-				this.showError(_t('train.msg.err_prepare', { error: 'MLFeatureCodec not loaded' }));
-				return null;
-			}
-
-			// Remove duplicates (all candidate columns, not only numeric)
-			const seen = new Set();
-			validData = validData.filter(row => {
-				const dupKey = candidateKeys.map(k => String(row[k])).join('|') + '|' + String(row[labelKey]);
-				if (seen.has(dupKey)) return false;
-				seen.add(dupKey);
-				return true;
-			});
-
-			// Optional validation split (holdout)
-			let rows = validData.slice();
-			for (let i = rows.length - 1; i > 0; i--) {
-				const j = Math.floor(Math.random() * (i + 1));
-				[rows[i], rows[j]] = [rows[j], rows[i]];
-			}
-			let trainRows = rows;
-			let valRows = [];
-			if (this.createValidation && rows.length > 4) {
-				const splitIndex = Math.floor(rows.length * (1 - this.validationSplit));
-				trainRows = rows.slice(0, splitIndex);
-				valRows = rows.slice(splitIndex);
-				this.validationData = valRows;
-			} else {
-				this.validationData = null;
-			}
 
-			const featureColumns = codec.buildFeaturePipeline(candidateKeys, trainRows);
-
-			// Impute missing numeric values with column mean (training rows only)
-			const means = {};
-			for (let p = 0; p < featureColumns.length; p++) {
-				const col = featureColumns[p];
-				if (col.kind !== 'numeric') continue;
-				const k = col.key;
-				const vals = [];
-				for (let r = 0; r < trainRows.length; r++) {
-					const n = parseFloat(trainRows[r][k]);
-					if (!isNaN(n) && isFinite(n)) vals.push(n);
-				}
-				means[k] = vals.length ? (vals.reduce((a, b) => a + b, 0) / vals.length) : 0;
-			}
-
-			// Min–max normalization from training rows (numeric columns only)
-			const mins = {};
-			const maxs = {};
-			for (let p = 0; p < featureColumns.length; p++) {
-				const col = featureColumns[p];
-				if (col.kind !== 'numeric') continue;
-				const k = col.key;
-				let min = Infinity;
-				let max = -Infinity;
-				for (let r = 0; r < trainRows.length; r++) {
-					const v = parseFloat(trainRows[r][k]);
-					const val = isNaN(v) ? means[k] : v;
-					if (val < min) min = val;
-					if (val > max) max = val;
-				}
-				if (!isFinite(min)) min = 0;
-				if (!isFinite(max)) max = 1;
-				if (max === min) max = min + 1;
-				mins[k] = min;
-				maxs[k] = max;
-			}
-
-			// Build feature matrix: scaled numerics + one-hot for categorical text columns
-			const features = trainRows.map((row) =>
-				codec.encodeFeatureRow(featureColumns, mins, maxs, means, row)
-			);
-
-            // Build labels vector, map common string labels to 0/1 for binary
-			// Track mappings for user visibility
-			const labelMappings = new Map(); // original value -> numeric value
-			const labels = trainRows.map(row => {
-				const raw = row[labelKey];
-				let mappedValue;
-				if (typeof raw === 'string') {
-					const val = raw.trim().toLowerCase();
-					const originalVal = raw.trim(); // Keep original case for display
-                    if (val === '1' || val === 'true' || val === 'yes' || val === 'churned' || val === 'churn' || val === 'left' || val === 'inactive') {
-						mappedValue = 1;
-					} else if (val === '0' || val === 'false' || val === 'no' || val === 'retained' || val === 'stayed' || val === 'active') {
-						mappedValue = 0;
-					} else {
-						const n = parseFloat(raw);
-						mappedValue = isNaN(n) ? 0 : (n > 0 ? 1 : 0);
-					}
-					// Track mapping if not already tracked
-					if (!labelMappings.has(originalVal)) {
-						labelMappings.set(originalVal, mappedValue);
-					}
-				} else {
-					const n = parseFloat(raw);
-					mappedValue = isNaN(n) ? 0 : (n > 0 ? 1 : 0);
-					const strVal = String(raw);
-					if (!labelMappings.has(strVal)) {
-						labelMappings.set(strVal, mappedValue);
-					}
-				}
-				return mappedValue;
-			});
-
-			// Final validation
-			if (!features.every(f => Array.isArray(f) && f.length > 0)) {
-				this.showError(_t('train.msg.err_invalid_feature'));
-				return null;
+			// Cleaning, the seeded holdout split and the feature pipeline
+			// are shared with the command-line tool (js/training-data.js)
+			const options = {
+				labelKey,
+				idKey: idResolved.key,
+				task: this.trainingConfig.task,
+				seed,
+				validationSplit: this.createValidation ? this.validationSplit : 0,
+				baseModel: this.baseModel
+			};
+			if (crossValidation) {
+				return window.MLTrainingData.prepareFolds(
+					this.data, options, crossValidation.folds, crossValidation.stratify
+				);
 			}
+			const prepared = window.MLTrainingData.prepare(this.data, options);
 
             console.log('Label column:', labelKey);
-            console.log('ID column:', idKey);
-            console.log('Feature columns (pipeline):', featureColumns);
-			// Convert labelMappings Map to object for JSON serialization
-			const labelMappingsObj = {};
-			labelMappings.forEach((value, key) => {
-				labelMappingsObj[key] = value;
-			});
+            console.log('ID column:', idResolved.key);
+            console.log('Feature columns (pipeline):', prepared.preprocessing.featureColumns);
+			this.validationData = prepared.validationData;
 			// Save preprocessing metadata for Predict (including label mappings)
-			this.preprocessing = {
-				featureKeys: candidateKeys.slice(),
-				featureColumns: featureColumns.slice(),
-				mins,
-				maxs,
-				means,
-				labelMappings: labelMappingsObj,
-				labelKey: labelKey
-			};
-			if (idKey) this.preprocessing.idColumn = idKey;
+			this.preprocessing = prepared.preprocessing;
 			// Store label mappings for UI display
-			this.labelMappings = labelMappingsObj;
-			return { features, labels };
+			this.labelMappings = prepared.preprocessing.labelMappings;
+			return prepared;
 		} catch (err) {
-			this.showError(_t('train.msg.err_prepare', { error: err.message }));
+			this.showError(window.MLTrainingData.prepareErrorMessage(err, _t));
 			return null;
 		}
     }
 
+    // Show the loss functions and options that apply to the selected task.
+    updateTaskOptions() {
+        const regression = this.trainingConfig.task === 'regression';
+        const lossSelect = document.getElementById('train-loss');
+        if (lossSelect) {
+            Array.from(lossSelect.options).forEach((option) => {
+                const forRegression = option.getAttribute('data-task') === 'regression';
+                option.hidden = forRegression !== regression;
+                option.disabled = forRegression !== regression;
+            });
+            const current = lossSelect.options[lossSelect.selectedIndex];
+            if (!current || current.disabled) {
+                const first = Array.from(lossSelect.options).find(option => !option.disabled);
+                if (first) lossSelect.value = first.value;
+            }
+            this.trainingConfig.loss = lossSelect.value;
+        }
+        const balanceEl = document.getElementById('train-balance-classes');
+        if (balanceEl) {
+            balanceEl.disabled = regression;
+            if (regression) balanceEl.checked = false;
+            this.trainingConfig.balanceClasses = !!balanceEl.checked;
+        }
+    }
+
+    // Presets scale the optimizer's own learning rate; custom settings
+    // restart from that rate.
+    setOptimizer(name) {
+        const TD = window.MLTrainingData;
+        const preset = TD.PRESETS[this.trainingConfig.preset] ? this.trainingConfig.preset : 'balanced';
+        this.trainingConfig.optimizer = name;
+        this.trainingConfig.learningRate = TD.presetSettings(preset, name).learningRate;
+        this.trainingConfig.preset = TD.matchingPreset(this.trainingConfig);
+        this.showSettings();
+    }
+
+    applyPreset(name) {
+        const TD = window.MLTrainingData;
+        if (TD.PRESETS[name]) {
+            Object.assign(this.trainingConfig, TD.presetSettings(name, this.trainingConfig.optimizer));
+        }
+        this.trainingConfig.preset = name;
+        this.showSettings();
+    }
+
+    // Show the preset and its values in the Train form.
+    showSettings() {
+        const presetSelect = document.getElementById('train-preset');
+        if (presetSelect) presetSelect.value = this.trainingConfig.preset;
+        Object.keys(SETTING_INPUTS).forEach((key) => {
+            const input = document.getElementById(SETTING_INPUTS[key]);
+            const value = this.trainingConfig[key];
+            if (input) input.value = typeof value === 'number' && isFinite(value) ? String(value) : '';
+        });
+    }
+
+    // Bring back the optimizer and settings of the last run started in this
+    // browser, unless they are no longer valid.
+    restoreSettings() {
+        const TD = window.MLTrainingData;
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        } catch (e) {
+            // localStorage may be unavailable or hold something else; keep the defaults
+        }
+        if (saved && typeof saved === 'object' && TD.OPTIMIZER_LEARNING_RATES[saved.optimizer]) {
+            const settings = { optimizer: saved.optimizer };
+            Object.keys(SETTING_INPUTS).forEach((key) => { settings[key] = saved[key]; });
+            try {
+                TD.validateSettings(settings);
+                Object.assign(this.trainingConfig, settings);
+                this.trainingConfig.preset = TD.matchingPreset(this.trainingConfig);
+                const optimizerSelect = document.getElementById('train-optimizer');
+                if (optimizerSelect) optimizerSelect.value = settings.optimizer;
+            } catch (e) {
+                // Saved by a version with other limits; keep the defaults
+            }
+        }
+        this.showSettings();
+    }
+
+    saveSettings() {
+        const settings = { optimizer: this.trainingConfig.optimizer };
+        Object.keys(SETTING_INPUTS).forEach((key) => { settings[key] = this.trainingConfig[key]; });
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+        } catch (e) {
+            // Not remembered when localStorage is unavailable
+        }
+    }
+
+    // Empty input → null (random seed); anything else is kept as typed and
+    // validated when training starts.
+    parseSeed(value) {
+        const text = String(value == null ? '' : value).trim();
+        return text === '' ? null : Number(text);
+    }
+
+    // The seed for a run: the one typed in, or a new random one. Null
+    // (after showing an error) when the typed one is invalid.
+    runSeed() {
+        const seed = this.trainingConfig.seed;
+        if (seed === null) return NeuralNetwork.randomSeed();
+        if (!Number.isInteger(seed) || seed < 1 || seed > NeuralNetwork.MAX_SEED) {
+            this.showError(_t('train.msg.err_seed'));
+            return null;
+        }
+        return seed;
+    }
+
     async startTraining() {
+        if (this.activeNetwork || this.searchNetwork || this.cvNetwork) return;
+
+        try {
+            window.MLTrainingData.validateSettings(this.trainingConfig);
+        } catch (err) {
+            this.showError(window.MLTrainingData.prepareErrorMessage(err, _t));
+            return;
+        }
+
+        const seed = this.runSeed();
+        if (seed === null) return;
+
 		// Prepare data first to auto-detect feature count
-		const preparedData = this.prepareData();
+		const preparedData = this.prepareData(seed);
         if (!preparedData) return;
 
-        const { features, labels } = preparedData;
+        const { features, labels, valFeatures, valLabels, classes, targetScaling } = preparedData;
         
         // Update data info to show label mappings after preparation
         this.updateDataInfo();
 
 		// Build model using detected input feature length
-		const units = features && features[0] ? features[0].length : 0;
-		if (!units || units <= 0) {
-			this.showError(_t('train.msg.err_detect_features'));
+		const base = this.baseModel;
+		let trainingSetup;
+		try {
+			trainingSetup = window.MLTrainingData.trainingSetup(preparedData, this.trainingConfig, {
+				seed,
+				validationSplit: this.validationSplit,
+				baseModel: base
+			});
+		} catch (err) {
+			this.showError(window.MLTrainingData.prepareErrorMessage(err, _t));
 			return;
 		}
-		this.modelConfig = {
-			name: 'Fixed Neural Network',
-			version: '1.0',
-			created: new Date().toISOString(),
-			architecture: {
-				inputLayer: { type: 'dense', units: units },
-				hiddenLayers: [{ type: 'dense', units: 64, activation: 'relu' }],
-				outputLayer: { type: 'dense', units: 1, activation: 'sigmoid' }
-			},
-			trainingConfig: {
-				optimizer: 'adam',
-				loss: 'binaryCrossentropy',
-				metrics: ['accuracy']
-			},
-			preprocessing: null
-		};
+		const { positiveClassWeight, classWeights } = trainingSetup;
+		this.modelConfig = trainingSetup.modelConfig;
 		this.updateModelInfo();
+		this.saveSettings();
 
         // Validate data
         console.log('Features:', features);
@@ -487,23 +726,514 @@ class TrainModelManager {
         console.log('Labels:', labels);
         console.log('Labels length:', labels.length);
 
-        if (!features || !labels || features.length === 0 || labels.length === 0) {
-            this.showError(_t('train.msg.err_empty_training'));
+        // Wait for WASM module to be ready (loads in <100ms for the 16KB file)
+        if (window._wasmNNReady) {
+            await window._wasmNNReady;
+        }
+
+        // Create neural network (uses WASM if available, JS fallback otherwise)
+        const network = base
+            ? NeuralNetwork.load({
+                config: this.modelConfig,
+                weights: base.weights,
+                biases: base.biases,
+                layers: base.layers,
+                optimizerState: base.optimizerState
+            })
+            : new NeuralNetwork(this.modelConfig);
+
+        this.hideMessages();
+        let startMessage = _t('train.msg.starting') + ' ' + _t('train.msg.seed', { seed });
+        if (classWeights) {
+            startMessage += ' ' + _t('train.msg.class_weights', {
+                weights: classes.map((name, i) => `${name} ×${classWeights[i].toFixed(2)}`).join(', ')
+            });
+        } else if (this.trainingConfig.balanceClasses) {
+            const positives = labels.filter(y => y === 1).length;
+            startMessage += ' ' + _t('train.msg.class_balance', {
+                positives,
+                negatives: labels.length - positives,
+                weight: positiveClassWeight.toFixed(2)
+            });
+        }
+        const engineNote = window.MLTrainingData.engineChangeMessage(
+            NeuralNetwork.engineChange(this.modelConfig.trainingConfig.engine), _t
+        );
+        if (engineNote) startMessage += ' ' + engineNote;
+        this.showSuccess(startMessage);
+
+        // Everything needed to start this run again after a reload. The
+        // options are plain data; runTraining() adds the callbacks.
+        const setup = {
+            modelConfig: this.modelConfig,
+            preprocessing: this.preprocessing,
+            labelMappings: this.labelMappings,
+            trainingConfig: Object.assign({}, this.trainingConfig),
+            createValidation: this.createValidation,
+            validationData: this.validationData,
+            features,
+            labels,
+            valFeatures,
+            valLabels,
+            targetScaling,
+            options: trainingSetup.options
+        };
+        this.hideResumeOffer();
+        await this.runTraining(network, setup, null);
+    }
+
+    // Train and score the current settings once per fold, each fold's
+    // preprocessing fitted on the other folds, and report every metric's
+    // mean and spread. Folds train one after another in the training
+    // worker; the page's holdout is not used.
+    async crossValidate() {
+        if (this.activeNetwork || this.searchNetwork || this.cvNetwork) return;
+        const TD = window.MLTrainingData;
+        if (this.baseModel) {
+            this.showError(_t('train.msg.err_cv_base_model'));
+            return;
+        }
+        const cv = this.crossValidationOptions();
+        try {
+            TD.validateSettings(this.trainingConfig);
+            TD.validateCrossValidation(cv);
+        } catch (err) {
+            this.showError(TD.prepareErrorMessage(err, _t));
+            return;
+        }
+        const seed = this.runSeed();
+        if (seed === null) return;
+
+        const folds = this.prepareData(seed, cv);
+        if (!folds) return;
+        let setups;
+        try {
+            setups = folds.map(prepared => TD.trainingSetup(prepared, this.trainingConfig, { seed }));
+        } catch (err) {
+            this.showError(TD.prepareErrorMessage(err, _t));
             return;
         }
 
-        // Wait for WASM module to be ready (loads in <100ms for the 16KB file)
         if (window._wasmNNReady) {
             await window._wasmNNReady;
         }
+        const run = { k: folds.length, regression: !!folds[0].targetScaling, classes: folds[0].classes, results: [] };
+        this.crossValidation = run;
+        this.hideMessages();
+        this.showSuccess(_t('train.msg.cv_started', { k: run.k }));
+        this.showCrossValidation();
+
+        for (let f = 0; f < folds.length; f++) {
+            const prepared = folds[f];
+            const setup = setups[f];
+            const network = new NeuralNetwork(setup.modelConfig);
+            this.cvNetwork = network;
+            this.updateCrossValidationControls();
+            this.showCrossValidationProgress(f + 1, 0);
+            try {
+                const history = await network.train(prepared.features, prepared.labels, Object.assign({}, setup.options, {
+                    onEpochEnd: (epochData) => {
+                        this.showCrossValidationProgress(f + 1, epochData.epoch);
+                    }
+                }));
+                // Reset while cross-validating: nothing left to report
+                if (this.cvNetwork !== network) return;
+                if (history.stopped) break;
+                run.results.push({
+                    fold: f + 1,
+                    trainRows: prepared.features.length,
+                    testRows: prepared.valFeatures.length,
+                    metrics: window.MLScoring.evaluate(
+                        network.predictBatch(prepared.valFeatures), prepared.valLabels, prepared
+                    )
+                });
+                this.showCrossValidationResults();
+            } catch (err) {
+                if (this.cvNetwork === network) {
+                    this.cvNetwork = null;
+                    this.updateCrossValidationControls();
+                    this.showError(TD.trainingErrorMessage(err, _t));
+                }
+                return;
+            } finally {
+                network.dispose();
+            }
+        }
 
-        // Create neural network (uses WASM if available, JS fallback otherwise)
-        const network = new NeuralNetwork(this.modelConfig);
-        
+        this.cvNetwork = null;
+        this.updateCrossValidationControls();
+        this.showCrossValidationProgress(null, 0);
         this.hideMessages();
-        this.showSuccess(_t('train.msg.starting'));
+        if (run.results.length < run.k) {
+            this.showSuccess(_t('train.msg.cv_stopped', { done: run.results.length, k: run.k }));
+        } else {
+            this.showSuccess(_t('train.msg.cv_done', { k: run.k }));
+        }
+    }
+
+    // Ends cross-validation with the folds already scored.
+    stopCrossValidation() {
+        if (this.cvNetwork) this.cvNetwork.stopTraining();
+    }
+
+    showCrossValidation() {
+        const card = document.getElementById('train-cv-card');
+        if (card) card.style.display = 'block';
+        const results = document.getElementById('train-cv-results');
+        if (results) results.style.display = 'none';
+        const regression = this.crossValidation.regression;
+        document.querySelectorAll('.train-cv-class-col').forEach((th) => {
+            th.style.display = regression ? 'none' : '';
+        });
+        document.querySelectorAll('.train-cv-regression-col').forEach((th) => {
+            th.style.display = regression ? '' : 'none';
+        });
+        const macroNote = document.getElementById('train-cv-macro-note');
+        if (macroNote) macroNote.style.display = this.crossValidation.classes ? 'block' : 'none';
+        ['train-cv-summary-body', 'train-cv-fold-body'].forEach((id) => {
+            const body = document.getElementById(id);
+            if (body) body.innerHTML = '';
+        });
+    }
+
+    // Fold being trained and its epoch; `fold` null once every fold is done.
+    showCrossValidationProgress(fold, epoch) {
+        const { k, results } = this.crossValidation;
+        const epochs = this.trainingConfig.epochs;
+        const fill = document.getElementById('train-cv-fill');
+        if (fill) {
+            const done = fold === null ? results.length : fold - 1 + epoch / epochs;
+            fill.style.width = `${(done / k) * 100}%`;
+        }
+        const text = document.getElementById('train-cv-text');
+        if (text) {
+            text.textContent = fold === null
+                ? _t('train.cv.progress_done', { done: results.length, k })
+                : _t('train.cv.progress', { fold, k, epoch, epochs });
+        }
+    }
+
+    // Mean ± std of each metric and one row per scored fold.
+    showCrossValidationResults() {
+        const { regression, results } = this.crossValidation;
+        const resultsEl = document.getElementById('train-cv-results');
+        if (resultsEl) resultsEl.style.display = results.length ? 'block' : 'none';
+        const percent = (v) => `${(v * 100).toFixed(2)}%`;
+        const decimals = (v) => v.toFixed(3);
+        const targetUnit = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 3 });
+        const metrics = regression
+            ? [['mae', targetUnit], ['rmse', targetUnit], ['r2', decimals]]
+            : [['accuracy', percent], ['precision', percent], ['recall', percent], ['f1', percent], ['auc', decimals]];
+        const cell = (value, format) => (typeof value === 'number' && isFinite(value) ? format(value) : '—');
+
+        const summaryBody = document.getElementById('train-cv-summary-body');
+        if (summaryBody) {
+            summaryBody.innerHTML = '';
+            metrics.forEach(([key, format]) => {
+                const { mean, std } = window.MLTrainingData.meanStd(results.map(r => r.metrics[key]));
+                const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid #ddd';
+                row.innerHTML = `
+                    <td style="padding: 8px;">${_t('train.cv.metric_' + key)}</td>
+                    <td style="padding: 8px;">${isNaN(mean) ? '—' : `${format(mean)} ± ${format(std)}`}</td>
+                `;
+                summaryBody.appendChild(row);
+            });
+        }
+
+        const foldBody = document.getElementById('train-cv-fold-body');
+        if (foldBody) {
+            foldBody.innerHTML = '';
+            results.forEach((result) => {
+                const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid #ddd';
+                row.innerHTML = `
+                    <td style="padding: 8px;">${result.fold}</td>
+                    <td style="padding: 8px;">${result.trainRows}</td>
+                    <td style="padding: 8px;">${result.testRows}</td>
+                    ${metrics.map(([key, format]) => `<td style="padding: 8px;">${cell(result.metrics[key], format)}</td>`).join('')}
+                `;
+                foldBody.appendChild(row);
+            });
+        }
+    }
+
+    updateCrossValidationControls() {
+        const cancelBtn = document.getElementById('train-cv-cancel-btn');
+        if (cancelBtn) cancelBtn.style.display = this.cvNetwork ? '' : 'none';
+        this.updateRunButtons();
+    }
+
+    hideCrossValidation() {
+        const card = document.getElementById('train-cv-card');
+        if (card) card.style.display = 'none';
+    }
+
+    // Train, Resume, Cross-validate and Find best settings wait while a search
+    // or cross-validation runs; the last two do not apply to a continued model.
+    updateRunButtons() {
+        const busy = !!(this.searchNetwork || this.cvNetwork);
+        ['start-training-btn', 'train-resume-btn'].forEach((id) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = busy;
+        });
+        ['train-cv-btn', 'train-search-btn'].forEach((id) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.disabled = busy || !!this.baseModel;
+        });
+    }
+
+    // Search options as typed in the Train form
+    searchOptions() {
+        const number = (id, fallback) => {
+            const input = document.getElementById(id);
+            if (!input) return fallback;
+            const text = String(input.value).trim();
+            return text === '' ? NaN : Number(text);
+        };
+        const mode = document.getElementById('train-search-mode');
+        return {
+            mode: mode && mode.value === 'random' ? 'random' : 'grid',
+            count: number('train-search-count', 10),
+            minutes: number('train-search-minutes', 5)
+        };
+    }
+
+    // Fold count and stratification shared by Cross-validate and Find best
+    // settings
+    crossValidationOptions() {
+        const folds = document.getElementById('train-cv-folds');
+        const stratify = document.getElementById('train-cv-stratify');
+        const text = folds ? String(folds.value).trim() : '5';
+        return {
+            folds: text === '' ? NaN : Number(text),
+            stratify: stratify ? stratify.checked : true
+        };
+    }
+
+    // Grid or random search over epochs, learning rate and hidden width,
+    // each setting scored in the training worker by the same k-fold
+    // cross-validation as crossValidate(): the folds and their
+    // preprocessing come from MLTrainingData.prepareFolds().
+    async findBestSettings() {
+        if (this.activeNetwork || this.searchNetwork || this.cvNetwork) return;
+        const TD = window.MLTrainingData;
+        if (this.baseModel) {
+            this.showError(_t('train.msg.err_search_base_model'));
+            return;
+        }
+        const search = this.searchOptions();
+        const cv = this.crossValidationOptions();
+        try {
+            TD.validateSettings(this.trainingConfig);
+            TD.validateSearch(search);
+            TD.validateCrossValidation(cv);
+        } catch (err) {
+            this.showError(TD.prepareErrorMessage(err, _t));
+            return;
+        }
+        const seed = this.runSeed();
+        if (seed === null) return;
+
+        const folds = this.prepareData(seed, cv);
+        if (!folds) return;
+        const regression = !!folds[0].targetScaling;
+        let setup;
+        try {
+            setup = TD.trainingSetup(folds[0], this.trainingConfig, { seed });
+        } catch (err) {
+            this.showError(TD.prepareErrorMessage(err, _t));
+            return;
+        }
+        // Balanced class weights follow each fold's training labels, as in
+        // a cross-validation run
+        const options = Object.assign({}, setup.options);
+        if (this.trainingConfig.balanceClasses) {
+            if (options.classWeights) options.classWeights = 'auto';
+            else options.positiveClassWeight = 'auto';
+        }
+        const trials = TD.searchTrials(search.mode, {
+            optimizer: this.trainingConfig.optimizer,
+            count: search.count,
+            seed
+        });
+
+        if (window._wasmNNReady) {
+            await window._wasmNNReady;
+        }
+        const network = new NeuralNetwork(setup.modelConfig);
+        this.searchNetwork = network;
+        this.searchResults = { trials, regression, entries: [] };
+        this.hideMessages();
+        this.showSuccess(_t('train.msg.search_started', { total: trials.length, k: cv.folds }));
+        this.showSearch();
+
+        try {
+            const result = await network.search(folds, Object.assign({}, options, {
+                trials,
+                timeBudgetMs: search.minutes * 60000,
+                onTrial: ({ index, folds: foldMetrics }) => {
+                    // Each fold standardizes its targets with its own
+                    // scaling; its MAE goes back to target units here
+                    const metrics = regression
+                        ? foldMetrics.map((m, f) => (m.diverged ? m : Object.assign({}, m, {
+                            valMae: m.valMae * folds[f].targetScaling.std
+                        })))
+                        : foldMetrics;
+                    this.searchResults.entries.push({
+                        trial: trials[index],
+                        summary: TD.foldSummary(metrics, regression)
+                    });
+                    this.showSearchResults();
+                }
+            }));
+            // Reset while searching: nothing left to report
+            if (this.searchNetwork !== network) return;
+            const counts = { done: result.completed, total: trials.length };
+            this.hideMessages();
+            if (!this.bestSearchEntry() && result.completed > 0) {
+                this.showError(_t('train.msg.err_search_none'));
+            } else if (result.stopped) {
+                this.showSuccess(_t('train.msg.search_stopped', counts));
+            } else if (result.timedOut) {
+                this.showSuccess(_t('train.msg.search_timed_out', counts));
+            } else {
+                this.showSuccess(_t('train.msg.search_done', counts));
+            }
+        } catch (err) {
+            if (this.searchNetwork === network) this.showError(TD.trainingErrorMessage(err, _t));
+        } finally {
+            network.dispose();
+            if (this.searchNetwork === network) {
+                this.searchNetwork = null;
+                this.updateSearchControls();
+            }
+        }
+    }
+
+    // Ends the search after the settings already tested; the leaderboard
+    // keeps them.
+    stopSearch() {
+        if (this.searchNetwork) this.searchNetwork.stopTraining();
+    }
+
+    // Best setting of the last search, or null when none finished without
+    // diverging.
+    bestSearchEntry() {
+        const results = this.searchResults;
+        if (!results) return null;
+        const ranked = this.rankedSearchEntries();
+        return ranked.length && !ranked[0].summary.diverged ? ranked[0] : null;
+    }
+
+    rankedSearchEntries() {
+        const { entries, regression } = this.searchResults;
+        return entries.slice().sort((a, b) =>
+            window.MLTrainingData.compareTrials(a.summary, b.summary, regression));
+    }
+
+    // Put the winning settings in the form and train the final model with
+    // them on the whole training set.
+    trainWithBestSettings() {
+        const best = this.bestSearchEntry();
+        if (!best || this.searchNetwork) return;
+        Object.assign(this.trainingConfig, best.trial);
+        this.trainingConfig.preset = window.MLTrainingData.matchingPreset(this.trainingConfig);
+        this.showSettings();
+        this.startTraining();
+    }
+
+    showSearch() {
+        const card = document.getElementById('train-search-card');
+        if (card) card.style.display = 'block';
+        const regression = this.searchResults.regression;
+        const scoreCol = document.getElementById('train-search-col-score');
+        if (scoreCol) {
+            const key = regression ? 'train.search.col_mae' : 'train.search.col_auc';
+            scoreCol.setAttribute('data-i18n', key);
+            scoreCol.textContent = _t(key);
+        }
+        const accuracyCol = document.getElementById('train-search-col-accuracy');
+        if (accuracyCol) accuracyCol.style.display = regression ? 'none' : '';
+        this.showSearchResults();
+        this.updateSearchControls();
+    }
+
+    // Progress and the leaderboard, best settings first.
+    showSearchResults() {
+        const { trials, regression, entries } = this.searchResults;
+        const fill = document.getElementById('train-search-fill');
+        if (fill) fill.style.width = `${(entries.length / trials.length) * 100}%`;
+        const text = document.getElementById('train-search-text');
+        if (text) text.textContent = _t('train.search.progress', { done: entries.length, total: trials.length });
+
+        const body = document.getElementById('train-search-table-body');
+        if (!body) return;
+        body.innerHTML = '';
+        const spread = (stat, format) => (isNaN(stat.mean) ? '—' : `${format(stat.mean)} ± ${format(stat.std)}`);
+        const targetUnit = (v) => v.toLocaleString(undefined, { maximumFractionDigits: 3 });
+        this.rankedSearchEntries().forEach((entry, rank) => {
+            const { trial, summary } = entry;
+            const row = document.createElement('tr');
+            row.style.borderBottom = '1px solid #ddd';
+            let cells;
+            if (summary.diverged) {
+                cells = `<td style="padding: 8px;" colspan="${regression ? 2 : 3}">${_t('train.search.diverged')}</td>`;
+            } else if (regression) {
+                cells = `
+                    <td style="padding: 8px;">${spread(summary.mae, targetUnit)}</td>
+                    <td style="padding: 8px;">${spread(summary.loss, v => v.toFixed(4))}</td>
+                `;
+            } else {
+                cells = `
+                    <td style="padding: 8px;">${spread(summary.auc, v => v.toFixed(3))}</td>
+                    <td style="padding: 8px;">${spread(summary.accuracy, v => `${(v * 100).toFixed(2)}%`)}</td>
+                    <td style="padding: 8px;">${spread(summary.loss, v => v.toFixed(4))}</td>
+                `;
+            }
+            row.innerHTML = `
+                <td style="padding: 8px;">${rank + 1}</td>
+                <td style="padding: 8px;">${trial.epochs}</td>
+                <td style="padding: 8px;">${trial.learningRate}</td>
+                <td style="padding: 8px;">${trial.hiddenUnits}</td>${cells}
+            `;
+            if (rank === 0 && !summary.diverged) {
+                row.style.backgroundColor = '#d4edda';
+                row.style.fontWeight = 'bold';
+            }
+            body.appendChild(row);
+        });
+    }
+
+    // Cancel while a search runs, training with the winner once it is over
+    updateSearchControls() {
+        const running = !!this.searchNetwork;
+        this.updateRunButtons();
+        const cancelBtn = document.getElementById('train-search-cancel-btn');
+        if (cancelBtn) cancelBtn.style.display = running ? '' : 'none';
+        const applyBtn = document.getElementById('train-search-apply-btn');
+        if (applyBtn) applyBtn.style.display = !running && this.bestSearchEntry() ? '' : 'none';
+    }
+
+    hideSearch() {
+        const card = document.getElementById('train-search-card');
+        if (card) card.style.display = 'none';
+    }
+
+    // Train `network` as set up by startTraining(), or from a checkpoint of
+    // that setup restored by resumeTraining(). The setup is kept in
+    // IndexedDB with a checkpoint every CHECKPOINT_EVERY_EPOCHS epochs until
+    // the run ends.
+    async runTraining(network, setup, resumeFrom) {
+        const hasValidation = setup.valFeatures.length > 0;
+        const store = window.TrainingCheckpoints;
+        // Writes are chained so a checkpoint never lands before its setup
+        let stored = resumeFrom ? Promise.resolve() : store.start(setup);
+
         this.showTrainingProgress();
         this.clearHistoryTable();
+        this.targetScaling = setup.targetScaling;
+        this.toggleValidationColumns(hasValidation, !!setup.targetScaling);
 
         this.trainingProgress = {
             isTraining: true,
@@ -511,20 +1241,46 @@ class TrainModelManager {
             totalEpochs: this.trainingConfig.epochs,
             loss: 0,
             accuracy: 0,
+            bestEpoch: 0,
             history: []
         };
+        if (resumeFrom) {
+            resumeFrom.progress.forEach((epochData) => this.updateTrainingProgress(epochData));
+        }
+
+        this.activeNetwork = network;
+        this.trainingProgress.isPaused = false;
+        this.updateTrainingControls();
 
         try {
             // Train the model (no validation split - assumes data is already split)
-			const history = await network.train(features, labels, {
-				epochs: this.trainingConfig.epochs,
-				batchSize: this.trainingConfig.batchSize,
-				learningRate: this.trainingConfig.learningRate,
+			const history = await network.train(setup.features, setup.labels, Object.assign({}, setup.options, {
+				validationData: hasValidation ? [setup.valFeatures, setup.valLabels] : null,
+				checkpointEvery: CHECKPOINT_EVERY_EPOCHS,
+				onCheckpoint: (checkpoint) => {
+					const record = Object.assign({}, checkpoint, {
+						savedAt: new Date().toISOString(),
+						progress: this.trainingProgress.history.slice()
+					});
+					stored = stored.then(() => store.saveCheckpoint(record));
+				},
+				resumeFrom,
 				onEpochEnd: (epochData) => {
 					this.updateTrainingProgress(epochData);
 				}
-			});
+			}));
+
+            // Reset while training: the run was stopped and is discarded
+            // (its pending checkpoint writes included)
+            stored.then(() => store.clear());
+            if (this.activeNetwork !== network) {
+                network.dispose();
+                return;
+            }
+            this.activeNetwork = null;
+            this.updateTrainingControls();
 
+            if (this.trainedModel) this.trainedModel.dispose();
             this.trainedModel = network;
 			// attach preprocessing metadata
 			if (this.preprocessing) {
@@ -532,19 +1288,140 @@ class TrainModelManager {
 				this.trainedModel.config.preprocessing = this.preprocessing;
 			}
             this.trainingProgress.isTraining = false;
-            this.showSuccess(_t('train.msg.training_complete'));
+            this.highlightBestEpoch(history.bestEpoch);
+            if (history.stopped) {
+                this.showSuccess(_t('train.msg.training_stopped', {
+                    epoch: this.trainingProgress.currentEpoch
+                }));
+            } else if (history.stoppedEarly) {
+                this.showSuccess(_t('train.msg.training_complete') + ' ' + _t('train.msg.early_stopped', {
+                    epoch: this.trainingProgress.currentEpoch,
+                    best: history.bestEpoch
+                }));
+            } else {
+                this.showSuccess(_t('train.msg.training_complete'));
+            }
             this.showTrainingComplete();
 
         } catch (err) {
-            this.showError(_t('train.msg.err_training', { error: err.message }));
+            stored.then(() => store.clear());
+            network.dispose();
+            if (this.activeNetwork !== network) return;
+            this.activeNetwork = null;
+            this.updateTrainingControls();
+            this.showError(window.MLTrainingData.trainingErrorMessage(err, _t));
             this.trainingProgress.isTraining = false;
         }
     }
 
+    // Offer to resume a run that a reload or crash interrupted.
+    async checkInterruptedTraining() {
+        const run = await window.TrainingCheckpoints.load();
+        const offer = document.getElementById('train-resume');
+        const text = document.getElementById('train-resume-text');
+        if (!run || !offer || this.activeNetwork) return;
+        if (text) {
+            text.textContent = _t('train.resume.text', {
+                epoch: run.checkpoint.epoch,
+                total: run.setup.options.epochs,
+                saved: new Date(run.checkpoint.savedAt).toLocaleString()
+            });
+        }
+        offer.style.display = 'block';
+    }
+
+    hideResumeOffer() {
+        const offer = document.getElementById('train-resume');
+        if (offer) offer.style.display = 'none';
+    }
+
+    // Continue the stored run from its last checkpoint; the prepared data
+    // comes from the store, so no CSV needs to be uploaded again.
+    async resumeTraining() {
+        if (this.activeNetwork || this.searchNetwork || this.cvNetwork) return;
+        this.hideResumeOffer();
+        const run = await window.TrainingCheckpoints.load();
+        if (!run) {
+            this.showError(_t('train.msg.err_resume'));
+            return;
+        }
+        const { setup, checkpoint } = run;
+        this.trainingConfig = Object.assign({}, this.trainingConfig, setup.trainingConfig);
+        this.showSettings();
+        this.createValidation = setup.createValidation;
+        this.validationData = setup.validationData;
+        this.preprocessing = setup.preprocessing;
+        this.labelMappings = setup.labelMappings;
+        this.modelConfig = setup.modelConfig;
+        this.updateModelInfo();
+
+        if (window._wasmNNReady) {
+            await window._wasmNNReady;
+        }
+        const network = new NeuralNetwork(this.modelConfig);
+        this.hideMessages();
+        const engineNote = window.MLTrainingData.engineChangeMessage(
+            NeuralNetwork.engineChange(checkpoint.engine), _t
+        );
+        this.showSuccess(_t('train.msg.resuming', {
+            epoch: checkpoint.epoch,
+            total: setup.options.epochs
+        }) + (engineNote ? ' ' + engineNote : ''));
+        await this.runTraining(network, setup, checkpoint);
+    }
+
+    discardInterruptedTraining() {
+        this.hideResumeOffer();
+        window.TrainingCheckpoints.clear();
+    }
+
+    togglePauseTraining() {
+        const network = this.activeNetwork;
+        if (!network) return;
+        this.trainingProgress.isPaused = !this.trainingProgress.isPaused;
+        if (this.trainingProgress.isPaused) {
+            network.pauseTraining();
+            const progressText = document.getElementById('progress-text');
+            if (progressText) {
+                progressText.textContent = _t('train.progress.paused', {
+                    current: this.trainingProgress.currentEpoch,
+                    total: this.trainingConfig.epochs
+                });
+            }
+        } else {
+            network.resumeTraining();
+        }
+        this.updateTrainingControls();
+    }
+
+    stopTraining() {
+        if (!this.activeNetwork) return;
+        // train() resolves with the weights so far; startTraining() then
+        // finishes as usual and offers the model for download.
+        this.activeNetwork.stopTraining();
+        const stopBtn = document.getElementById('stop-training-btn');
+        if (stopBtn) stopBtn.disabled = true;
+    }
+
+    updateTrainingControls() {
+        const controls = document.getElementById('training-controls');
+        const pauseBtn = document.getElementById('pause-training-btn');
+        const stopBtn = document.getElementById('stop-training-btn');
+        const running = !!this.activeNetwork;
+        if (controls) controls.style.display = running ? '' : 'none';
+        if (pauseBtn) {
+            const key = this.trainingProgress.isPaused ? 'train.btn_resume' : 'train.btn_pause';
+            pauseBtn.setAttribute('data-i18n', key);
+            pauseBtn.textContent = _t(key);
+        }
+        if (stopBtn) stopBtn.disabled = !running;
+    }
+
     updateTrainingProgress(epochData) {
         this.trainingProgress.currentEpoch = epochData.epoch;
         this.trainingProgress.loss = epochData.loss;
         this.trainingProgress.accuracy = epochData.accuracy;
+        this.trainingProgress.mae = epochData.mae;
         this.trainingProgress.history.push(epochData);
 
         // Update UI
@@ -557,7 +1434,8 @@ class TrainModelManager {
         }
 
         if (progressText) {
-            progressText.textContent = _t('train.progress.epoch_of', {
+            const key = this.trainingProgress.isPaused ? 'train.progress.paused' : 'train.progress.epoch_of';
+            progressText.textContent = _t(key, {
                 current: epochData.epoch,
                 total: this.trainingConfig.epochs
             });
@@ -576,25 +1454,39 @@ class TrainModelManager {
         // Create new row
         const row = document.createElement('tr');
         row.style.borderBottom = '1px solid #ddd';
-        
-        // Highlight best epoch (lowest loss)
-        const isLowestLoss = this.trainingProgress.history.every(h => 
-            h.epoch === epochData.epoch || epochData.loss <= h.loss
-        );
-        
-        if (isLowestLoss && epochData.epoch > 1) {
-            row.style.backgroundColor = '#d4edda';
-            row.style.fontWeight = 'bold';
-        }
-
+        row.dataset.epoch = String(epochData.epoch);
+
+        const hasValidation = typeof epochData.valLoss === 'number';
+        const regression = typeof epochData.mae === 'number';
+        // Regression rows show MAE in the target's own units
+        const metricCell = (value) => regression
+            ? this.formatTargetError(value)
+            : `${(value * 100).toFixed(2)}%`;
+        const valCells = hasValidation && regression ? `
+            <td style="padding: 8px;">${epochData.valLoss.toFixed(4)}</td>
+            <td style="padding: 8px;">${metricCell(epochData.valMae)}</td>
+        ` : hasValidation ? `
+            <td style="padding: 8px;">${epochData.valLoss.toFixed(4)}</td>
+            <td style="padding: 8px;">${(epochData.valAccuracy * 100).toFixed(2)}%</td>
+            <td style="padding: 8px;">${isNaN(epochData.valAUC) ? '—' : epochData.valAUC.toFixed(3)}</td>
+        ` : '';
         row.innerHTML = `
             <td style="padding: 8px;">${epochData.epoch}</td>
             <td style="padding: 8px;">${epochData.loss.toFixed(4)}</td>
-            <td style="padding: 8px;">${(epochData.accuracy * 100).toFixed(2)}%</td>
+            <td style="padding: 8px;">${metricCell(regression ? epochData.mae : epochData.accuracy)}</td>${valCells}
+            <td style="padding: 8px;">${epochData.learningRate.toExponential(2)}</td>
         `;
 
         historyTableBody.appendChild(row);
 
+        // Highlight the best epoch so far, judged on the same loss the worker
+        // uses for early stopping (validation loss when there is a holdout)
+        const monitored = (h) => hasValidation ? h.valLoss : h.loss;
+        const best = this.trainingProgress.history.find(h => h.epoch === this.trainingProgress.bestEpoch);
+        if (!best || monitored(epochData) < monitored(best)) {
+            this.highlightBestEpoch(epochData.epoch);
+        }
+
         // Auto-scroll to latest entry
         const historyContainer = document.getElementById('history-container');
         if (historyContainer) {
@@ -602,6 +1494,43 @@ class TrainModelManager {
         }
     }
 
+    highlightBestEpoch(epoch) {
+        this.trainingProgress.bestEpoch = epoch;
+        const historyTableBody = document.getElementById('history-table-body');
+        if (!historyTableBody) return;
+        Array.from(historyTableBody.children).forEach((row) => {
+            const isBest = row.dataset.epoch === String(epoch);
+            row.style.backgroundColor = isBest ? '#d4edda' : '';
+            row.style.fontWeight = isBest ? 'bold' : '';
+        });
+    }
+
+    // Validation columns appear with a holdout; regression swaps accuracy
+    // for MAE and has no AUC column.
+    toggleValidationColumns(show, regression = false) {
+        document.querySelectorAll('.history-val-col').forEach((th) => {
+            th.style.display = show ? '' : 'none';
+        });
+        const aucCol = document.getElementById('history-col-val-auc');
+        if (aucCol && regression) aucCol.style.display = 'none';
+        [
+            ['history-col-accuracy', 'train.progress.col_accuracy', 'train.progress.col_mae'],
+            ['history-col-val-accuracy', 'train.progress.col_val_accuracy', 'train.progress.col_val_mae']
+        ].forEach(([id, classKey, regressionKey]) => {
+            const th = document.getElementById(id);
+            if (!th) return;
+            const key = regression ? regressionKey : classKey;
+            th.setAttribute('data-i18n', key);
+            th.textContent = _t(key);
+        });
+    }
+
+    // Mean absolute error on standardized targets, back in target units.
+    formatTargetError(scaledError) {
+        const std = this.targetScaling ? this.targetScaling.std : 1;
+        return (scaledError * std).toLocaleString(undefined, { maximumFractionDigits: 3 });
+    }
+
     clearHistoryTable() {
         const historyTableBody = document.getElementById('history-table-body');
         if (historyTableBody) {
@@ -657,11 +1586,33 @@ class TrainModelManager {
     }
 
     resetTraining() {
+        if (this.activeNetwork) {
+            this.activeNetwork.stopTraining();
+            this.activeNetwork = null;
+            this.updateTrainingControls();
+            // The discarded run is not worth resuming later either
+            window.TrainingCheckpoints.clear();
+        }
+        if (this.searchNetwork) {
+            this.searchNetwork.stopTraining();
+            this.searchNetwork = null;
+        }
+        this.searchResults = null;
+        this.hideSearch();
+        if (this.cvNetwork) {
+            this.cvNetwork.stopTraining();
+            this.cvNetwork = null;
+        }
+        this.crossValidation = null;
+        this.hideCrossValidation();
         this.data = null;
         this.modelConfig = null;
+        if (this.trainedModel) this.trainedModel.dispose();
         this.trainedModel = null;
+        this.clearBaseModel();
         this.validationData = null;
         this.preprocessing = null;
+        this.targetScaling = null;
         this.labelMappings = null;
         this.trainingProgress = {
             isTraining: false,
@@ -669,6 +1620,7 @@ class TrainModelManager {
             totalEpochs: 0,
             loss: 0,
             accuracy: 0,
+            bestEpoch: 0,
             history: []
         };
         this.clearHistoryTable();
@@ -771,9 +1723,11 @@ class TrainModelManager {
     formatLabelMappings(mappings, labelKey) {
         if (!mappings || Object.keys(mappings).length === 0) return '';
         
-        const hasNonNumeric = Object.keys(mappings).some(key => {
+        const multiClass = this.trainingConfig.task === 'multiclass';
+        const hasNonNumeric = Object.entries(mappings).some(([key, mapped]) => {
             const num = parseFloat(key);
-            return isNaN(num) || String(num) !== String(key).trim();
+            // Numeric classes are still renumbered from 0 for multi-class
+            return isNaN(num) || String(num) !== String(key).trim() || (multiClass && num !== mapped);
         });
         
         if (!hasNonNumeric) {
@@ -819,6 +1773,14 @@ class TrainModelManager {
         const labelKey = this.targetColumn;
         const cols = Object.keys(this.data[0] || {});
         if (!cols.includes(labelKey)) return;
+
+        // Regression targets are used as numbers, nothing to map
+        if (this.trainingConfig.task === 'regression') {
+            this.labelMappings = {};
+            const container = document.getElementById('train-label-mappings');
+            if (container) container.style.display = 'none';
+            return;
+        }
         
         // Collect unique values and their potential mappings
         const valueCounts = new Map();
@@ -836,22 +1798,15 @@ class TrainModelManager {
         
         // Create mappings based on the same logic as prepareData
         const mappings = {};
-        valueCounts.forEach((count, originalVal) => {
-            if (typeof originalVal === 'string') {
-                const val = originalVal.toLowerCase();
-                if (val === '1' || val === 'true' || val === 'yes' || val === 'churned' || val === 'churn' || val === 'left' || val === 'inactive') {
-                    mappings[originalVal] = 1;
-                } else if (val === '0' || val === 'false' || val === 'no' || val === 'retained' || val === 'stayed' || val === 'active') {
-                    mappings[originalVal] = 0;
-                } else {
-                    const n = parseFloat(originalVal);
-                    mappings[originalVal] = isNaN(n) ? 0 : (n > 0 ? 1 : 0);
-                }
-            } else {
-                const n = parseFloat(originalVal);
-                mappings[originalVal] = isNaN(n) ? 0 : (n > 0 ? 1 : 0);
-            }
-        });
+        if (this.trainingConfig.task === 'multiclass') {
+            window.MLTrainingData.distinctClasses(Array.from(valueCounts.keys())).forEach((name, i) => {
+                mappings[name] = i;
+            });
+        } else {
+            valueCounts.forEach((count, originalVal) => {
+                mappings[originalVal] = window.MLTrainingData.binaryLabel(originalVal);
+            });
+        }
         
         // Store for display
         this.labelMappings = mappings;
@@ -881,11 +1836,23 @@ class TrainModelManager {
         const inputUnits = document.getElementById('train-input-units');
         const hiddenLayers = document.getElementById('train-hidden-layers');
         const outputUnits = document.getElementById('train-output-units');
+        const settings = document.getElementById('train-model-settings');
         
         if (modelInfo && inputUnits && hiddenLayers && outputUnits) {
-            inputUnits.textContent = this.modelConfig.architecture.inputLayer.units;
-            hiddenLayers.textContent = this.modelConfig.architecture.hiddenLayers.length;
-            outputUnits.textContent = this.modelConfig.architecture.outputLayer.units;
+            const architecture = this.modelConfig.architecture;
+            inputUnits.textContent = architecture.inputLayer.units;
+            hiddenLayers.textContent = _t('train.model_info.hidden_value', {
+                units: architecture.hiddenLayers.map(layer => layer.units).join(' → ')
+            });
+            outputUnits.textContent = architecture.outputLayer.units;
+            if (settings) {
+                settings.textContent = _t('train.model_info.settings_value', {
+                    epochs: this.trainingConfig.epochs,
+                    batchSize: this.trainingConfig.batchSize,
+                    learningRate: this.trainingConfig.learningRate,
+                    optimizer: this.trainingConfig.optimizer
+                });
+            }
             modelInfo.style.display = 'block';
         }
     }
@@ -933,7 +1900,11 @@ class TrainModelManager {
         
         if (completeCard) {
             if (finalLoss) finalLoss.textContent = this.trainingProgress.loss.toFixed(4);
-            if (finalAccuracy) finalAccuracy.textContent = (this.trainingProgress.accuracy * 100).toFixed(2) + '%';
+            if (finalAccuracy && typeof this.trainingProgress.mae === 'number') {
+                finalAccuracy.textContent = this.formatTargetError(this.trainingProgress.mae);
+            } else if (finalAccuracy) {
+                finalAccuracy.textContent = (this.trainingProgress.accuracy * 100).toFixed(2) + '%';
+            }
             
             completeCard.style.display = 'block';
 			if (downloadValBtn) {
@@ -0,0 +1,692 @@
+/**
+ * Turns parsed CSV rows into a training set for the churn NN: label and
+ * target mapping, duplicate removal, the seeded validation split and the
+ * feature pipeline (js/feature-codec.js) fitted on the training rows. Also
+ * builds the model config and train() options from the Train page settings.
+ *
+ * Has no DOM dependencies, so the Train page and the command-line tool
+ * (node/cli.js) build the same model from the same rows and settings.
+ * Invalid input throws an Error whose `i18nKey` and `params` name the
+ * message to show (js/i18n.js).
+ */
+(function () {
+    const TD = {};
+
+    // Most distinct outcomes a multi-class churn column may have
+    TD.MAX_CLASSES = 50;
+
+    // Share of rows held out for validation when the holdout is enabled
+    TD.VALIDATION_SPLIT = 0.2;
+
+    // Learning rate used with each optimizer; plain gradient steps need a
+    // larger one than Adam or RMSprop.
+    TD.OPTIMIZER_LEARNING_RATES = {
+        adam: 0.001,
+        sgd: 0.01,
+        rmsprop: 0.001,
+        adagrad: 0.01
+    };
+
+    // Presets of the Train form: more epochs, smaller batches, a lower
+    // learning rate and a wider hidden layer trade time for a closer fit.
+    // The learning rate is a multiple of the optimizer's own.
+    TD.PRESETS = {
+        fast: { epochs: 30, batchSize: 64, learningRateFactor: 3, hiddenUnits: 32 },
+        balanced: { epochs: 100, batchSize: 32, learningRateFactor: 1, hiddenUnits: 64 },
+        thorough: { epochs: 300, batchSize: 16, learningRateFactor: 0.5, hiddenUnits: 128 }
+    };
+
+    // Accepted range of each setting (`integer` ones take whole numbers
+    // only) and the message shown when it is out of range
+    TD.SETTING_LIMITS = {
+        epochs: { min: 1, max: 10000, integer: true, i18nKey: 'train.msg.err_epochs' },
+        batchSize: { min: 1, max: 4096, integer: true, i18nKey: 'train.msg.err_batch_size' },
+        learningRate: { min: 0.000001, max: 1, i18nKey: 'train.msg.err_learning_rate' },
+        hiddenUnits: { min: 1, max: 1024, integer: true, i18nKey: 'train.msg.err_hidden_units' }
+    };
+
+    // Epochs, batch size, learning rate and hidden width of a preset
+    TD.presetSettings = function (name, optimizer) {
+        const preset = TD.PRESETS[name] || TD.PRESETS.balanced;
+        const rate = TD.OPTIMIZER_LEARNING_RATES[optimizer] || TD.OPTIMIZER_LEARNING_RATES.adam;
+        return {
+            epochs: preset.epochs,
+            batchSize: preset.batchSize,
+            learningRate: Number((rate * preset.learningRateFactor).toPrecision(6)),
+            hiddenUnits: preset.hiddenUnits
+        };
+    };
+
+    // Name of the preset `config` matches for its optimizer, or 'custom'
+    TD.matchingPreset = function (config) {
+        const names = Object.keys(TD.PRESETS);
+        for (let i = 0; i < names.length; i++) {
+            const values = TD.presetSettings(names[i], config.optimizer);
+            if (Object.keys(values).every(key => values[key] === config[key])) return names[i];
+        }
+        return 'custom';
+    };
+
+    // Throw for the first setting outside SETTING_LIMITS.
+    TD.validateSettings = function (config) {
+        checkLimits(TD.SETTING_LIMITS, config);
+    };
+
+    // Values a settings search tries: every combination with 'grid', values
+    // drawn log-uniformly between the smallest and largest with 'random'.
+    // The learning rate is a multiple of the optimizer's own, as in PRESETS.
+    TD.SEARCH_GRID = {
+        epochs: [30, 100, 300],
+        learningRateFactor: [0.3, 1, 3],
+        hiddenUnits: [16, 32, 64, 128]
+    };
+
+    // Accepted search and cross-validation options, checked like
+    // SETTING_LIMITS
+    TD.SEARCH_LIMITS = {
+        count: { min: 1, max: 100, integer: true, i18nKey: 'train.msg.err_search_count' },
+        minutes: { min: 0, max: 1440, i18nKey: 'train.msg.err_search_minutes' }
+    };
+    TD.CROSS_VALIDATION_LIMITS = {
+        folds: { min: 2, max: 10, integer: true, i18nKey: 'train.msg.err_cv_folds' }
+    };
+
+    // Throw for the first search option outside SEARCH_LIMITS.
+    TD.validateSearch = function (options) {
+        checkLimits(TD.SEARCH_LIMITS, options);
+    };
+
+    // Throw when the fold count is outside CROSS_VALIDATION_LIMITS.
+    TD.validateCrossValidation = function (options) {
+        checkLimits(TD.CROSS_VALIDATION_LIMITS, options);
+    };
+
+    /**
+     * `{ epochs, learningRate, hiddenUnits }` settings for a search, cheapest
+     * first with 'grid' so a time budget cuts the most expensive ones.
+     * @param {'grid'|'random'} mode
+     * @param {{optimizer: string, count?: number, seed: number}} options
+     *   `count` settings are drawn in random mode, with `seed`
+     */
+    TD.searchTrials = function (mode, options) {
+        const { optimizer, count = 10, seed } = options;
+        const rate = TD.OPTIMIZER_LEARNING_RATES[optimizer] || TD.OPTIMIZER_LEARNING_RATES.adam;
+        const grid = TD.SEARCH_GRID;
+        if (mode === 'random') {
+            const random = NeuralNetwork.seededRandom(seed);
+            const draw = (values) => {
+                const lo = Math.min(...values);
+                const hi = Math.max(...values);
+                return lo * Math.pow(hi / lo, random());
+            };
+            return Array.from({ length: count }, () => ({
+                epochs: Math.round(draw(grid.epochs)),
+                learningRate: Number((rate * draw(grid.learningRateFactor)).toPrecision(3)),
+                hiddenUnits: Math.round(draw(grid.hiddenUnits))
+            }));
+        }
+        const trials = [];
+        grid.epochs.forEach((epochs) => {
+            grid.learningRateFactor.forEach((factor) => {
+                grid.hiddenUnits.forEach((hiddenUnits) => {
+                    trials.push({
+                        epochs,
+                        learningRate: Number((rate * factor).toPrecision(6)),
+                        hiddenUnits
+                    });
+                });
+            });
+        });
+        return trials;
+    };
+
+    /**
+     * Cross-validation fold (0 … k-1) of each row: rows are shuffled with
+     * `seed` and dealt to the folds in turn, class by class when `stratify`
+     * is set so every fold keeps the label mix of the whole set.
+     * @param {number[]} labels prepared labels
+     * @returns {Int32Array}
+     */
+    TD.foldAssignment = function (labels, k, seed, stratify) {
+        if (labels.length < k) throw fail('train.msg.err_cv_rows', { k });
+        const random = NeuralNetwork.seededRandom(seed);
+        const order = labels.map((_, i) => i);
+        for (let i = order.length - 1; i > 0; i--) {
+            const j = Math.min(i, Math.floor(random() * (i + 1)));
+            [order[i], order[j]] = [order[j], order[i]];
+        }
+        const groups = new Map();
+        order.forEach((row) => {
+            const key = stratify ? labels[row] : 0;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(row);
+        });
+        const folds = new Int32Array(labels.length);
+        let next = 0;
+        Array.from(groups.keys()).sort((a, b) => a - b).forEach((key) => {
+            groups.get(key).forEach((row) => { folds[row] = next++ % k; });
+        });
+        return folds;
+    };
+
+    // Mean and sample standard deviation of the finite values (NaN when
+    // there are none, std 0 for a single value)
+    TD.meanStd = function (values) {
+        const finite = values.filter(v => typeof v === 'number' && isFinite(v));
+        if (finite.length === 0) return { mean: NaN, std: NaN };
+        const mean = finite.reduce((a, b) => a + b, 0) / finite.length;
+        const squares = finite.reduce((a, v) => a + (v - mean) * (v - mean), 0);
+        return { mean, std: finite.length > 1 ? Math.sqrt(squares / (finite.length - 1)) : 0 };
+    };
+
+    /**
+     * Mean / std over the folds of a search trial (the fold metrics of
+     * NeuralNetwork#search()): loss and accuracy / AUC, or MAE for
+     * regression; `{ diverged: true }` when a fold diverged.
+     */
+    TD.foldSummary = function (folds, regression) {
+        if (folds.some(fold => fold.diverged)) return { diverged: true };
+        const of = (key) => TD.meanStd(folds.map(fold => fold[key]));
+        return regression
+            ? { loss: of('valLoss'), mae: of('valMae') }
+            : { loss: of('valLoss'), accuracy: of('valAccuracy'), auc: of('valAUC') };
+    };
+
+    // Order of two foldSummary() results, better first: higher mean AUC
+    // (lower MAE for regression), then lower loss; diverged ones last.
+    TD.compareTrials = function (a, b, regression) {
+        const key = (s) => (s.diverged
+            ? [1, 0, 0]
+            : [0, regression ? s.mae.mean : -s.auc.mean, s.loss.mean]);
+        const ka = key(a);
+        const kb = key(b);
+        for (let i = 0; i < ka.length; i++) {
+            const x = isNaN(ka[i]) ? Infinity : ka[i];
+            const y = isNaN(kb[i]) ? Infinity : kb[i];
+            if (x !== y) return x < y ? -1 : 1;
+        }
+        return 0;
+    };
+
+    // Training settings before the user changes any
+    TD.defaultTrainingConfig = function () {
+        return {
+            task: 'binary', // 'binary' (churned yes/no), 'multiclass' or 'regression'
+            preset: 'balanced', // key of PRESETS, or 'custom'
+            epochs: TD.PRESETS.balanced.epochs,
+            batchSize: TD.PRESETS.balanced.batchSize,
+            hiddenUnits: TD.PRESETS.balanced.hiddenUnits,
+            optimizer: 'adam',
+            learningRate: TD.OPTIMIZER_LEARNING_RATES.adam,
+            dropout: 0,
+            weightDecay: 0,
+            loss: 'binaryCrossentropy',
+            balanceClasses: false,
+            lrSchedule: 'constant',
+            warmupEpochs: 0,
+            earlyStoppingPatience: 0,
+            gradientClipNorm: 0, // 0: no clipping
+            seed: null // null: a new random seed per run
+        };
+    };
+
+    function fail(key, params) {
+        const err = new Error(key);
+        err.i18nKey = key;
+        err.params = params || {};
+        return err;
+    }
+
+    function checkLimits(limits, config) {
+        Object.keys(limits).forEach((key) => {
+            const { min, max, integer, i18nKey } = limits[key];
+            const value = config[key];
+            if (typeof value !== 'number' || !isFinite(value) || value < min || value > max ||
+                (integer && !Number.isInteger(value))) {
+                throw fail(i18nKey, { min, max });
+            }
+        });
+    }
+
+    // Binary churn label: common churn words and positive numbers map to 1,
+    // retention words and everything else to 0.
+    TD.binaryLabel = function (raw) {
+        if (typeof raw === 'string') {
+            const val = raw.trim().toLowerCase();
+            if (val === '1' || val === 'true' || val === 'yes' || val === 'churned' || val === 'churn' || val === 'left' || val === 'inactive') return 1;
+            if (val === '0' || val === 'false' || val === 'no' || val === 'retained' || val === 'stayed' || val === 'active') return 0;
+        }
+        const n = parseFloat(raw);
+        return isNaN(n) ? 0 : (n > 0 ? 1 : 0);
+    };
+
+    // Distinct non-empty outcome values in a stable order (natural sort);
+    // a value's position is its class index.
+    TD.distinctClasses = function (values) {
+        const seen = new Set();
+        values.forEach((raw) => {
+            const name = typeof raw === 'string' ? raw.trim() : String(raw == null ? '' : raw);
+            if (name !== '') seen.add(name);
+        });
+        return Array.from(seen).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    };
+
+    // Regression target as a number, or null when the cell is not numeric.
+    TD.numericTarget = function (raw) {
+        const text = String(raw == null ? '' : raw).trim();
+        if (text === '') return null;
+        const n = Number(text);
+        return isFinite(n) ? n : null;
+    };
+
+    // Mean and standard deviation of the training targets; a constant
+    // target keeps std 1 so predictions unscale to that constant.
+    TD.targetScalingOf = function (values) {
+        const n = values.length;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        const variance = values.reduce((a, v) => a + (v - mean) * (v - mean), 0) / n;
+        const std = Math.sqrt(variance);
+        return { mean, std: std > 0 ? std : 1 };
+    };
+
+    // Task of a saved model; older files only tell it by the output layer.
+    TD.modelTask = function (config) {
+        if (config.task) return config.task;
+        const output = config.architecture.outputLayer;
+        if (output.activation === 'linear') return 'regression';
+        return output.activation === 'softmax' ? 'multiclass' : 'binary';
+    };
+
+    /**
+     * @param {object[]} data parsed CSV rows (column → string)
+     * @param {object} options
+     * @param {string} options.labelKey column to predict
+     * @param {string|null} [options.idKey] customer id column, not a feature
+     * @param {'binary'|'multiclass'|'regression'} [options.task='binary']
+     * @param {number} options.seed shuffles the rows before the split
+     * @param {number} [options.validationSplit=0] share of rows held out
+     * @param {object|null} [options.baseModel] saved model to continue; its
+     *   preprocessing fixes the feature columns, scaling and classes
+     * @returns {{features: number[][], labels: number[], valFeatures: number[][],
+     *   valLabels: number[], classes: string[]|null, targetScaling: object|null,
+     *   validationData: object[]|null, preprocessing: object}}
+     */
+    TD.prepare = function (data, options) {
+        const { seed, validationSplit = 0 } = options;
+        const clean = cleanRows(data, options);
+
+        // Optional validation split (holdout), shuffled with the run's seed
+        const random = NeuralNetwork.seededRandom(seed);
+        const rows = clean.rows.slice();
+        for (let i = rows.length - 1; i > 0; i--) {
+            const j = Math.min(i, Math.floor(random() * (i + 1)));
+            [rows[i], rows[j]] = [rows[j], rows[i]];
+        }
+        let trainRows = rows;
+        let valRows = [];
+        if (validationSplit > 0 && rows.length > 4) {
+            const splitIndex = Math.floor(rows.length * (1 - validationSplit));
+            trainRows = rows.slice(0, splitIndex);
+            valRows = rows.slice(splitIndex);
+        }
+        return fitAndEncode(clean, trainRows, valRows);
+    };
+
+    /**
+     * prepare() for k-fold cross-validation: the cleaned rows are dealt to
+     * `k` folds (see foldAssignment(); binary and multi-class rows are
+     * stratified by outcome when `stratify` is set) and each fold gets its
+     * own prepared set, with the fold's rows as the holdout and the feature
+     * pipeline, imputation, scaling and classes fitted on the other folds
+     * only, so no statistic of a fold leaks into the model that scores it.
+     * @param {object[]} data parsed CSV rows
+     * @param {object} options as for prepare(), without validationSplit
+     * @returns {object[]} one prepare() result per fold
+     */
+    TD.prepareFolds = function (data, options, k, stratify) {
+        const clean = cleanRows(data, options);
+        const { rows, labelKey, multiClass, regression } = clean;
+        const classIndex = new Map();
+        const keys = rows.map((row) => {
+            if (!multiClass) return TD.binaryLabel(row[labelKey]);
+            const name = String(row[labelKey]).trim();
+            if (!classIndex.has(name)) classIndex.set(name, classIndex.size);
+            return classIndex.get(name);
+        });
+        const folds = TD.foldAssignment(keys, k, options.seed, stratify && !regression);
+        return Array.from({ length: k }, (_, f) => fitAndEncode(
+            clean,
+            rows.filter((_, i) => folds[i] !== f),
+            rows.filter((_, i) => folds[i] === f)
+        ));
+    };
+
+    // Rows of `data` that can be trained on (empty rows, duplicates and rows
+    // without a usable target removed) and the columns that feed the model.
+    function cleanRows(data, options) {
+        const { labelKey, idKey = null, task = 'binary' } = options;
+        const codec = (typeof window !== 'undefined' ? window : self).MLFeatureCodec;
+        if (!codec) {
+            throw fail('train.msg.err_prepare', { error: 'MLFeatureCodec not loaded' });
+        }
+
+        // Filter out empty rows/objects
+        let validData = (data || []).filter(row => {
+            return row && typeof row === 'object' && Object.keys(row).length > 0;
+        });
+        if (validData.length === 0) throw fail('train.msg.err_no_valid');
+
+        const columns = Object.keys(validData[0]);
+        if (!labelKey || !columns.includes(labelKey)) throw fail('train.msg.err_pick_target');
+
+        // A base model keeps its own feature columns and fitted scaling
+        const base = options.baseModel ? options.baseModel.config.preprocessing : null;
+        const candidateKeys = base
+            ? base.featureKeys.slice()
+            : columns.filter(k => k !== labelKey && k !== idKey);
+        if (base) {
+            const missing = candidateKeys.filter(k => !columns.includes(k));
+            if (missing.length) {
+                throw fail('train.msg.err_base_model_columns', { columns: missing.join(', ') });
+            }
+            if (candidateKeys.includes(labelKey)) {
+                throw fail('train.msg.err_base_model_target', { column: labelKey });
+            }
+        }
+
+        // Remove duplicates (all candidate columns, not only numeric)
+        const seen = new Set();
+        validData = validData.filter(row => {
+            const dupKey = candidateKeys.map(k => String(row[k])).join('|') + '|' + String(row[labelKey]);
+            if (seen.has(dupKey)) return false;
+            seen.add(dupKey);
+            return true;
+        });
+
+        // Multi-class rows need a known outcome and regression rows a
+        // numeric target; binary keeps mapping empty labels to 0 as before.
+        const multiClass = task === 'multiclass';
+        const regression = task === 'regression';
+        if (multiClass) {
+            validData = validData.filter(row => String(row[labelKey] == null ? '' : row[labelKey]).trim() !== '');
+        }
+        if (regression) {
+            validData = validData.filter(row => TD.numericTarget(row[labelKey]) !== null);
+            if (validData.length === 0) throw fail('train.msg.err_numeric_target');
+        }
+
+        return { rows: validData, labelKey, idKey, multiClass, regression, base, candidateKeys, codec };
+    }
+
+    // Fit the feature pipeline, imputation, scaling and label mapping on
+    // `trainRows` and encode both sets with it.
+    function fitAndEncode(clean, trainRows, valRows) {
+        const { labelKey, idKey, multiClass, regression, base, candidateKeys, codec } = clean;
+        let validationData = valRows.length ? valRows : null;
+
+        const featureColumns = base
+            ? base.featureColumns.slice()
+            : codec.buildFeaturePipeline(candidateKeys, trainRows);
+
+        // Impute missing numeric values with column mean (training rows only)
+        const means = {};
+        for (let p = 0; p < featureColumns.length; p++) {
+            const col = featureColumns[p];
+            if (col.kind !== 'numeric') continue;
+            const k = col.key;
+            const vals = [];
+            for (let r = 0; r < trainRows.length; r++) {
+                const n = parseFloat(trainRows[r][k]);
+                if (!isNaN(n) && isFinite(n)) vals.push(n);
+            }
+            means[k] = vals.length ? (vals.reduce((a, b) => a + b, 0) / vals.length) : 0;
+        }
+
+        // Min–max normalization from training rows (numeric columns only)
+        const mins = {};
+        const maxs = {};
+        for (let p = 0; p < featureColumns.length; p++) {
+            const col = featureColumns[p];
+            if (col.kind !== 'numeric') continue;
+            const k = col.key;
+            let min = Infinity;
+            let max = -Infinity;
+            for (let r = 0; r < trainRows.length; r++) {
+                const v = parseFloat(trainRows[r][k]);
+                const val = isNaN(v) ? means[k] : v;
+                if (val < min) min = val;
+                if (val > max) max = val;
+            }
+            if (!isFinite(min)) min = 0;
+            if (!isFinite(max)) max = 1;
+            if (max === min) max = min + 1;
+            mins[k] = min;
+            maxs[k] = max;
+        }
+        // A base model scales with the statistics it was fitted on
+        if (base) {
+            Object.assign(means, base.means);
+            Object.assign(mins, base.mins);
+            Object.assign(maxs, base.maxs);
+        }
+
+        // Build labels vector: common churn words map to 0/1 for binary
+        // models, each distinct value gets a class index for multi-class.
+        // A base model keeps its classes; rows with a new outcome are
+        // dropped since its output layer has no unit for them.
+        const classes = multiClass
+            ? (base && base.classes ? base.classes.slice() : TD.distinctClasses(trainRows.map(row => row[labelKey])))
+            : null;
+        const classIndex = classes ? new Map(classes.map((name, i) => [name, i])) : null;
+        if (base && classIndex) {
+            trainRows = trainRows.filter(row => classIndex.has(String(row[labelKey]).trim()));
+            if (trainRows.length === 0) throw fail('train.msg.err_base_model_classes');
+        }
+
+        // Build feature matrix: scaled numerics + one-hot for categorical text columns
+        const features = trainRows.map((row) =>
+            codec.encodeFeatureRow(featureColumns, mins, maxs, means, row)
+        );
+        if (classes) {
+            const count = classes.length;
+            if (count < 2) throw fail('train.msg.err_few_classes');
+            if (count > TD.MAX_CLASSES) {
+                throw fail('train.msg.err_many_classes', { count, max: TD.MAX_CLASSES });
+            }
+        }
+        // Regression targets are standardized with training-row statistics
+        // so the loss and learning rate behave the same whatever the unit.
+        const targetScaling = regression
+            ? (base
+                ? Object.assign({ mean: 0, std: 1 }, base.targetScaling)
+                : TD.targetScalingOf(trainRows.map(row => TD.numericTarget(row[labelKey]))))
+            : null;
+        const labelMappings = {}; // original value -> numeric value
+        // Validation rows use the same rules but are not recorded, so the
+        // saved mappings only describe the training labels.
+        const mapLabel = (row, track) => {
+            const raw = row[labelKey];
+            if (targetScaling) {
+                return (TD.numericTarget(raw) - targetScaling.mean) / targetScaling.std;
+            }
+            const originalVal = typeof raw === 'string' ? raw.trim() : String(raw); // Keep original case for display
+            let mappedValue;
+            if (classIndex) {
+                // -1: a class only seen in the holdout, dropped below
+                mappedValue = classIndex.has(originalVal) ? classIndex.get(originalVal) : -1;
+            } else {
+                mappedValue = TD.binaryLabel(raw);
+            }
+            if (track && !Object.prototype.hasOwnProperty.call(labelMappings, originalVal)) {
+                labelMappings[originalVal] = mappedValue;
+            }
+            return mappedValue;
+        };
+        const labels = trainRows.map(row => mapLabel(row, true));
+
+        // Holdout rows go through the training-fitted pipeline so the
+        // worker can score them after every epoch.
+        if (classIndex) {
+            valRows = valRows.filter(row => mapLabel(row, false) >= 0);
+            validationData = valRows.length ? valRows : null;
+        }
+        const valFeatures = valRows.map((row) =>
+            codec.encodeFeatureRow(featureColumns, mins, maxs, means, row)
+        );
+        const valLabels = valRows.map(row => mapLabel(row, false));
+
+        if (!features.every(f => Array.isArray(f) && f.length > 0)) {
+            throw fail('train.msg.err_invalid_feature');
+        }
+
+        // Preprocessing metadata saved with the model for scoring
+        const preprocessing = {
+            featureKeys: candidateKeys.slice(),
+            featureColumns: featureColumns.slice(),
+            mins,
+            maxs,
+            means,
+            labelMappings,
+            labelKey: labelKey
+        };
+        if (classes) preprocessing.classes = classes;
+        if (targetScaling) preprocessing.targetScaling = targetScaling;
+        if (idKey) preprocessing.idColumn = idKey;
+        return { features, labels, valFeatures, valLabels, classes, targetScaling, validationData, preprocessing };
+    }
+
+    /**
+     * Model config and NeuralNetwork#train() options for a prepared set.
+     * @param {object} prepared result of prepare()
+     * @param {object} trainingConfig the Train page settings (epochs,
+     *   batchSize, optimizer, learningRate, loss, balanceClasses, ...)
+     * @param {object} options
+     * @param {number} options.seed
+     * @param {number} [options.validationSplit=0] as passed to prepare()
+     * @param {object|null} [options.baseModel] saved model to continue
+     * @returns {{modelConfig: object, options: object,
+     *   positiveClassWeight: number, classWeights: number[]|null}}
+     */
+    TD.trainingSetup = function (prepared, trainingConfig, options) {
+        const { seed, validationSplit = 0, baseModel: base = null } = options;
+        const { features, labels, valFeatures, classes, targetScaling } = prepared;
+        const hasValidation = valFeatures.length > 0;
+        const multiClass = !!classes;
+        const regression = !!targetScaling;
+        // The standard loss is cross-entropy either way; softmax outputs
+        // need its categorical form. Regression falls back to MSE.
+        let loss = trainingConfig.loss;
+        if (regression && !NeuralNetwork.REGRESSION_LOSSES.includes(loss)) loss = 'mse';
+        if (multiClass && loss === 'binaryCrossentropy') loss = 'categoricalCrossentropy';
+
+        // Build model using detected input feature length
+        const units = features && features[0] ? features[0].length : 0;
+        if (!units || units <= 0) throw fail('train.msg.err_detect_features');
+        // Continuing a saved model keeps its architecture (and weights)
+        if (base && base.config.architecture.inputLayer.units !== units) {
+            throw fail('train.msg.err_base_model_features', {
+                expected: base.config.architecture.inputLayer.units,
+                actual: units
+            });
+        }
+        const modelConfig = {
+            name: 'Fixed Neural Network',
+            version: '1.0',
+            created: new Date().toISOString(),
+            task: regression ? 'regression' : (multiClass ? 'multiclass' : 'binary'),
+            architecture: base ? JSON.parse(JSON.stringify(base.config.architecture)) : {
+                inputLayer: { type: 'dense', units: units },
+                hiddenLayers: [{ type: 'dense', units: trainingConfig.hiddenUnits, activation: 'relu' }],
+                outputLayer: regression
+                    ? { type: 'dense', units: 1, activation: 'linear' }
+                    : multiClass
+                        ? { type: 'dense', units: classes.length, activation: 'softmax' }
+                        : { type: 'dense', units: 1, activation: 'sigmoid' }
+            },
+            trainingConfig: {
+                optimizer: trainingConfig.optimizer,
+                loss: loss,
+                metrics: [regression ? 'mae' : 'accuracy'],
+                validationSplit: hasValidation ? validationSplit : 0
+            },
+            preprocessing: null
+        };
+        if (base) modelConfig.continuedFrom = base.config.created || null;
+        // Until train() records its own, a continued model keeps the engine
+        // its weights came from so a change of engine can be reported
+        if (base && base.config.trainingConfig && base.config.trainingConfig.engine) {
+            modelConfig.trainingConfig.engine = base.config.trainingConfig.engine;
+        }
+
+        if (!features || !labels || features.length === 0 || labels.length === 0) {
+            throw fail('train.msg.err_empty_training');
+        }
+
+        // Weight churned rows by negatives / positives from the prepared
+        // labels, or every class by its share for multi-class models
+        let positiveClassWeight = 1;
+        let classWeights = null;
+        if (trainingConfig.balanceClasses && multiClass) {
+            classWeights = NeuralNetwork.balancedClassWeights(labels, classes.length);
+        } else if (trainingConfig.balanceClasses) {
+            positiveClassWeight = NeuralNetwork.balancedPositiveWeight(labels);
+        }
+
+        return {
+            modelConfig,
+            positiveClassWeight,
+            classWeights,
+            options: {
+                epochs: trainingConfig.epochs,
+                batchSize: trainingConfig.batchSize,
+                learningRate: trainingConfig.learningRate,
+                optimizer: trainingConfig.optimizer,
+                dropout: trainingConfig.dropout,
+                weightDecay: trainingConfig.weightDecay,
+                gradientClipNorm: trainingConfig.gradientClipNorm,
+                loss,
+                positiveClassWeight,
+                classWeights,
+                lrSchedule: {
+                    type: trainingConfig.lrSchedule,
+                    warmupEpochs: trainingConfig.warmupEpochs
+                },
+                earlyStopping: trainingConfig.earlyStoppingPatience > 0
+                    ? { patience: trainingConfig.earlyStoppingPatience }
+                    : null,
+                seed,
+                warmStart: !!base
+            }
+        };
+    };
+
+    // Message for an error thrown by prepare() or trainingSetup()
+    TD.prepareErrorMessage = function (err, t) {
+        return err.i18nKey
+            ? t(err.i18nKey, err.params)
+            : t('train.msg.err_prepare', { error: err.message });
+    };
+
+    // Message for a failed train() call: a diverged run gets advice for its
+    // likely cause instead of the raw worker message.
+    TD.trainingErrorMessage = function (err, t) {
+        if (err && err.code === 'diverged') {
+            const reasons = ['invalid_input', 'extreme_features', 'learning_rate'];
+            const reason = reasons.includes(err.reason) ? err.reason : 'learning_rate';
+            return t(`train.msg.err_diverged_${reason}`, { epoch: err.epoch });
+        }
+        return t('train.msg.err_training', { error: err.message });
+    };
+
+    // Warning for weights trained on another engine build (the `{ from, to }`
+    // of NeuralNetwork.engineChange()), or '' when there is none
+    TD.engineChangeMessage = function (change, t) {
+        if (!change) return '';
+        return t('train.msg.engine_changed', {
+            from: t(`train.engine.${change.from}`),
+            to: t(`train.engine.${change.to}`)
+        });
+    };
+
+    (typeof window !== 'undefined' ? window : self).MLTrainingData = TD;
+})();
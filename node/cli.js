@@ -0,0 +1,400 @@
+#!/usr/bin/env node
+/*
+ * marijo: train and score churn models from the command line.
+ *
+ *   marijo train data.csv --target Churn --id CustomerID [-o churn_model.json]
+ *   marijo score churn_model.json customers.csv [-o scored.csv]
+ *   marijo serve churn_model.json [--port 8080]
+ *
+ * Runs on the app's own code (node/index.js): CSV detection, training-set
+ * preparation, network and scoring rules are those of the Train and Predict
+ * pages, so a model trained here loads in the browser and the other way
+ * round, and `score` writes the CSV the Predict page downloads.
+ */
+'use strict';
+const fs = require('fs');
+const { parseArgs } = require('util');
+const Papa = require('papaparse');
+const { createRuntime } = require('./index');
+const { parseCsv } = require('./csv');
+const { createScoringServer } = require('./server');
+
+const USAGE = `Usage:
+  marijo train <data.csv> --target <column> [options]
+  marijo score <model.json> <customers.csv> [options]
+  marijo serve <model.json> [options]
+
+Train options (defaults as on the Train page):
+  --target <column>        column to predict (default: the continued model's)
+  --id <column>            customer id column, not used as a feature
+  --task <task>            binary | multiclass | regression (default: binary)
+  --validation             hold out 20% of the rows, scored after every epoch
+  --balance-classes        weight rare outcomes up
+  --loss <loss>            binaryCrossentropy | focal | mse | huber
+  --optimizer <name>       adam | sgd | rmsprop | adagrad (default: adam)
+  --preset <name>          fast | balanced | thorough: epochs, batch size,
+                           learning rate and hidden width (default: balanced)
+  --learning-rate <x>      default depends on the optimizer and preset
+  --epochs <n>             (default: 100)
+  --batch-size <n>         (default: 32)
+  --hidden-units <n>       hidden layer width (default: 64)
+  --lr-schedule <name>     constant | step | cosine | plateau
+  --warmup-epochs <n>
+  --early-stopping <n>     stop after n epochs without improvement
+  --clip-norm <x>          global-norm gradient clipping
+  --seed <n>               1 to 4294967295 (default: random)
+  --continue <model.json>  keep training a saved model on new data
+  -o, --output <file>      model file to write (default: churn_model.json)
+
+Score options:
+  --id <column>            customer id column (default: the model's)
+  --target <column>        ground-truth column in the file, not a feature
+  -o, --output <file>      CSV to write (default: standard output)
+
+Serve options (POST /score, GET /model, GET /health; see node/server.js):
+  --port <n>               (default: 8080)
+  --host <address>         (default: 127.0.0.1, this machine only)
+
+Common options:
+  --engine <name>          auto | f64 | js (default: auto)
+  --lang <code>            en | fr | es, for messages and CSV headers
+  -q, --quiet              only print errors
+  -h, --help`;
+
+const OPTIONS = {
+    target: { type: 'string' },
+    id: { type: 'string' },
+    task: { type: 'string' },
+    validation: { type: 'boolean' },
+    'balance-classes': { type: 'boolean' },
+    loss: { type: 'string' },
+    optimizer: { type: 'string' },
+    preset: { type: 'string' },
+    'learning-rate': { type: 'string' },
+    epochs: { type: 'string' },
+    'batch-size': { type: 'string' },
+    'hidden-units': { type: 'string' },
+    'lr-schedule': { type: 'string' },
+    'warmup-epochs': { type: 'string' },
+    'early-stopping': { type: 'string' },
+    'clip-norm': { type: 'string' },
+    seed: { type: 'string' },
+    continue: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    port: { type: 'string', default: '8080' },
+    host: { type: 'string', default: '127.0.0.1' },
+    engine: { type: 'string', default: 'auto' },
+    lang: { type: 'string', default: 'en' },
+    quiet: { type: 'boolean', short: 'q' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const TASKS = ['binary', 'multiclass', 'regression'];
+const LOSSES = ['binaryCrossentropy', 'focal', 'mse', 'huber'];
+const LR_SCHEDULES = ['constant', 'step', 'cosine', 'plateau'];
+
+// Exit with a message: code 2 for a wrong command line, 1 otherwise.
+class CliError extends Error {
+    constructor(message, code = 1) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function usageError(message) {
+    return new CliError(message + '\n\n' + USAGE, 2);
+}
+
+function oneOf(name, value, allowed) {
+    if (!allowed.includes(value)) {
+        throw usageError(`--${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+    }
+    return value;
+}
+
+function numberOption(name, value, { integer = false, min = 0 } = {}) {
+    const n = Number(value);
+    if (value.trim() === '' || !isFinite(n) || (integer && !Number.isInteger(n)) || n < min) {
+        throw usageError(`--${name} must be ${integer ? 'a whole number' : 'a number'} of at least ${min} (got "${value}")`);
+    }
+    return n;
+}
+
+// A CSV file parsed as the pages would (see node/csv.js).
+function readCsv(rt, file, options) {
+    return parseCsv(rt, fs.readFileSync(file, 'utf8'), options);
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function percent(x) {
+    return (x * 100).toFixed(1) + '%';
+}
+
+async function train(rt, args, values, log) {
+    const { t, MLTrainingData: TD, NeuralNetwork } = rt;
+    if (args.length !== 1) throw usageError('train takes one CSV file');
+
+    let baseModel = null;
+    if (values.continue) {
+        try {
+            baseModel = readJson(values.continue);
+            const pre = baseModel && baseModel.config && baseModel.config.preprocessing;
+            if (!pre || !Array.isArray(pre.featureKeys) || !Array.isArray(pre.featureColumns)) {
+                throw new Error(t('train.msg.err_base_model_preprocessing'));
+            }
+        } catch (err) {
+            throw new CliError(t('train.msg.err_base_model', { error: err.message }));
+        }
+    }
+
+    // Settings the Train page would use, then the command-line overrides
+    const config = TD.defaultTrainingConfig();
+    if (baseModel) config.task = TD.modelTask(baseModel.config);
+    if (values.task) {
+        const task = oneOf('task', values.task, TASKS);
+        if (baseModel && task !== config.task) {
+            throw usageError(`--task ${task} does not match the continued model (${config.task})`);
+        }
+        config.task = task;
+    }
+    if (config.task === 'regression') config.loss = 'mse';
+    if (values.loss) config.loss = oneOf('loss', values.loss, LOSSES);
+    if (values.optimizer) {
+        config.optimizer = oneOf('optimizer', values.optimizer, Object.keys(TD.OPTIMIZER_LEARNING_RATES));
+        config.learningRate = TD.OPTIMIZER_LEARNING_RATES[config.optimizer];
+    }
+    if (values.preset) {
+        config.preset = oneOf('preset', values.preset, Object.keys(TD.PRESETS));
+        Object.assign(config, TD.presetSettings(config.preset, config.optimizer));
+    }
+    if (values['learning-rate'] !== undefined) config.learningRate = numberOption('learning-rate', values['learning-rate']);
+    if (values.epochs !== undefined) config.epochs = numberOption('epochs', values.epochs, { integer: true, min: 1 });
+    if (values['batch-size'] !== undefined) config.batchSize = numberOption('batch-size', values['batch-size'], { integer: true, min: 1 });
+    if (values['hidden-units'] !== undefined) config.hiddenUnits = numberOption('hidden-units', values['hidden-units'], { integer: true, min: 1 });
+    try {
+        TD.validateSettings(config);
+    } catch (err) {
+        throw new CliError(TD.prepareErrorMessage(err, t), 2);
+    }
+    if (values['lr-schedule']) config.lrSchedule = oneOf('lr-schedule', values['lr-schedule'], LR_SCHEDULES);
+    if (values['warmup-epochs'] !== undefined) config.warmupEpochs = numberOption('warmup-epochs', values['warmup-epochs'], { integer: true });
+    if (values['early-stopping'] !== undefined) config.earlyStoppingPatience = numberOption('early-stopping', values['early-stopping'], { integer: true });
+    if (values['clip-norm'] !== undefined) config.gradientClipNorm = numberOption('clip-norm', values['clip-norm']);
+    config.balanceClasses = !!values['balance-classes'] && config.task !== 'regression';
+
+    const seed = values.seed !== undefined ? Number(values.seed) : NeuralNetwork.randomSeed();
+    if (!Number.isInteger(seed) || seed < 1 || seed > NeuralNetwork.MAX_SEED) {
+        throw new CliError(t('train.msg.err_seed'));
+    }
+
+    const { fmt, errors, rows } = readCsv(rt, args[0], { lenient: true });
+    if (errors.length > 0) throw new CliError(t('train.msg.err_parse', { error: errors[0].message }));
+    if (rows.length === 0) throw new CliError(t('train.msg.err_no_valid'));
+    log(t('train.msg.loaded', {
+        rows: rows.length,
+        delimiter: fmt.delimiter,
+        header: fmt.hasHeader ? t('train.msg.yes') : t('train.msg.no')
+    }));
+
+    const columns = Object.keys(rows[0]);
+    const labelKey = values.target || (baseModel && baseModel.config.preprocessing.labelKey) || null;
+    if (!labelKey || !columns.includes(labelKey)) throw new CliError(t('train.msg.err_pick_target'));
+    // A continued model keeps its id column unless told otherwise
+    const baseIdKey = baseModel && baseModel.config.preprocessing.idColumn;
+    const idKey = values.id || (baseIdKey && columns.includes(baseIdKey) ? baseIdKey : null);
+    if (idKey && !columns.includes(idKey)) throw new CliError(t('train.msg.err_pick_id'));
+    if (idKey && idKey === labelKey) throw new CliError(t('train.msg.err_id_equals_target'));
+
+    let prepared;
+    let setup;
+    try {
+        prepared = TD.prepare(rows, {
+            labelKey,
+            idKey,
+            task: config.task,
+            seed,
+            validationSplit: values.validation ? TD.VALIDATION_SPLIT : 0,
+            baseModel
+        });
+        setup = TD.trainingSetup(prepared, config, {
+            seed,
+            validationSplit: TD.VALIDATION_SPLIT,
+            baseModel
+        });
+    } catch (err) {
+        throw new CliError(TD.prepareErrorMessage(err, t));
+    }
+    const { features, labels, valFeatures, valLabels, classes } = prepared;
+    const hasValidation = valFeatures.length > 0;
+
+    const network = baseModel
+        ? NeuralNetwork.load({
+            config: setup.modelConfig,
+            weights: baseModel.weights,
+            biases: baseModel.biases,
+            layers: baseModel.layers,
+            optimizerState: baseModel.optimizerState
+        })
+        : new NeuralNetwork(setup.modelConfig);
+
+    let startMessage = t('train.msg.starting') + ' ' + t('train.msg.seed', { seed });
+    if (setup.classWeights) {
+        startMessage += ' ' + t('train.msg.class_weights', {
+            weights: classes.map((name, i) => `${name} ×${setup.classWeights[i].toFixed(2)}`).join(', ')
+        });
+    } else if (config.balanceClasses) {
+        const positives = labels.filter(y => y === 1).length;
+        startMessage += ' ' + t('train.msg.class_balance', {
+            positives,
+            negatives: labels.length - positives,
+            weight: setup.positiveClassWeight.toFixed(2)
+        });
+    }
+    const engineNote = TD.engineChangeMessage(NeuralNetwork.engineChange(setup.modelConfig.trainingConfig.engine), t);
+    if (engineNote) startMessage += ' ' + engineNote;
+    log(startMessage);
+
+    let history;
+    try {
+        history = await network.train(features, labels, Object.assign({}, setup.options, {
+            validationData: hasValidation ? [valFeatures, valLabels] : null,
+            onEpochEnd: (epochData) => {
+                const parts = [t('train.progress.epoch_of', { current: epochData.epoch, total: config.epochs })];
+                parts.push('loss ' + epochData.loss.toFixed(4));
+                if (epochData.accuracy !== undefined) parts.push('accuracy ' + percent(epochData.accuracy));
+                if (epochData.mae !== undefined) parts.push('MAE ' + epochData.mae.toFixed(4));
+                if (epochData.valLoss !== undefined) parts.push('val loss ' + epochData.valLoss.toFixed(4));
+                if (epochData.valAccuracy !== undefined) parts.push('val accuracy ' + percent(epochData.valAccuracy));
+                if (epochData.valAUC !== undefined && epochData.valAUC !== null) parts.push('val AUC ' + epochData.valAUC.toFixed(3));
+                if (epochData.valMae !== undefined) parts.push('val MAE ' + epochData.valMae.toFixed(4));
+                log(parts.join('  '));
+            }
+        }));
+    } catch (err) {
+        network.dispose();
+        throw new CliError(TD.trainingErrorMessage(err, t));
+    }
+
+    network.config.preprocessing = prepared.preprocessing;
+    const output = values.output || 'churn_model.json';
+    fs.writeFileSync(output, rt.modelToJSON(network));
+    network.dispose();
+    log(history.stoppedEarly
+        ? t('train.msg.training_complete') + ' ' + t('train.msg.early_stopped', {
+            epoch: history.loss.length,
+            best: history.bestEpoch
+        })
+        : t('train.msg.training_complete'));
+}
+
+async function score(rt, args, values, log) {
+    const { t, MLScoring } = rt;
+    if (args.length !== 2) throw usageError('score takes a model file and a CSV file');
+
+    let model;
+    let network;
+    try {
+        model = readJson(args[0]);
+        network = rt.loadModel(model);
+    } catch (err) {
+        throw new CliError(t('predict.msg.err_load_model', { error: err.message }));
+    }
+
+    const { fmt, errors, rows } = readCsv(rt, args[1], { lenient: false });
+    if (errors.length > 0) throw new CliError(t('predict.msg.err_parse', { error: errors[0].message }));
+    log(t('predict.msg.csv_loaded', {
+        rows: rows.length,
+        delimiter: fmt.delimiter,
+        header: fmt.hasHeader ? t('train.msg.yes') : t('train.msg.no')
+    }));
+
+    // As on the Predict page, the model's id column is used when present
+    const preprocessing = model.config.preprocessing || null;
+    const columns = Object.keys(rows[0] || {});
+    const targetKey = values.target || null;
+    if (targetKey && !columns.includes(targetKey)) {
+        throw new CliError(t('predict.msg.err_target_missing', { column: targetKey }));
+    }
+    let idKey = values.id || null;
+    if (idKey && !columns.includes(idKey)) throw new CliError(t('predict.msg.err_pick_id'));
+    if (idKey && idKey === targetKey) throw new CliError(t('predict.msg.err_id_equals_target'));
+    if (!idKey && preprocessing && preprocessing.idColumn && columns.includes(preprocessing.idColumn)) {
+        idKey = preprocessing.idColumn;
+    }
+
+    const { featureKeys, encoder } = MLScoring.inputSpec(preprocessing, rows, { idKey, targetKey });
+    const scoringModel = {
+        featureKeys,
+        classes: MLScoring.modelClasses(model.config),
+        targetScaling: MLScoring.modelTargetScaling(model.config),
+        labelMappings: preprocessing && preprocessing.labelMappings ? preprocessing.labelMappings : null
+    };
+    let scores;
+    try {
+        scores = await network.scoreRows(rows, encoder);
+    } catch (err) {
+        throw new CliError(t('predict.msg.err_predict', { error: err.message }));
+    } finally {
+        network.dispose();
+    }
+    const results = MLScoring.results(scores, rows, scoringModel, t);
+    const csv = Papa.unparse(MLScoring.exportRows(results, scoringModel, t));
+
+    if (values.output) {
+        fs.writeFileSync(values.output, csv);
+    } else {
+        process.stdout.write(csv + '\n');
+    }
+    log(t('predict.msg.scored', { count: results.length }));
+}
+
+async function serve(rt, args, values, log) {
+    if (args.length !== 1) throw usageError('serve takes a model file');
+    const port = numberOption('port', values.port, { integer: true });
+    if (port > 65535) throw usageError(`--port must be at most 65535 (got "${values.port}")`);
+
+    let server;
+    try {
+        server = createScoringServer(rt, readJson(args[0]), { log });
+    } catch (err) {
+        throw new CliError(rt.t('predict.msg.err_load_model', { error: err.message }));
+    }
+    await new Promise((resolve, reject) => {
+        server.once('error', (err) => reject(new CliError(`Cannot listen on ${values.host}:${port}: ${err.message}`)));
+        server.listen(port, values.host, resolve);
+    });
+    const { address, port: bound } = server.address();
+    log(`Scoring ${args[0]} on http://${address.includes(':') ? `[${address}]` : address}:${bound} (${rt.engine} engine), Ctrl+C to stop`);
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw usageError(err.message);
+    }
+    const { values, positionals } = parsed;
+    const [command, ...args] = positionals;
+    if (values.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return;
+    }
+    const commands = { train, score, serve };
+    if (!commands[command]) throw usageError(`Unknown command "${command}"`);
+
+    const log = values.quiet ? () => {} : (msg) => process.stderr.write(msg + '\n');
+    const rt = await createRuntime({
+        engine: oneOf('engine', values.engine, ['auto', 'f64', 'js']),
+        lang: oneOf('lang', values.lang, ['en', 'fr', 'es'])
+    });
+    await commands[command](rt, args, values, log);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    process.stderr.write((err instanceof CliError ? err.message : (err && err.stack) || String(err)) + '\n');
+    process.exitCode = err instanceof CliError ? err.code : 1;
+});
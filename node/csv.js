@@ -0,0 +1,52 @@
+/*
+ * CSV parsing shared by the command-line tool and the scoring server,
+ * with the options of the Train and Predict pages.
+ */
+'use strict';
+const Papa = require('papaparse');
+
+// Bytes of a file the pages read to detect its format
+const SAMPLE_BYTES = 2048;
+
+// The start of `text` that fits in `bytes` bytes of UTF-8, ending on a
+// whole character instead of cutting a multibyte one in two.
+function utf8Head(text, bytes) {
+    // No character takes less than a byte, so `bytes` characters are enough
+    const buf = Buffer.from(text.slice(0, bytes), 'utf8');
+    if (buf.length <= bytes) return text.slice(0, bytes);
+    let end = bytes;
+    // Back up over the continuation bytes (10xxxxxx) of the cut character
+    while (end > 0 && (buf[end] & 0xC0) === 0x80) end--;
+    return buf.subarray(0, end).toString('utf8');
+}
+
+/**
+ * Parse CSV text the way the pages do: delimiter and header detected from
+ * its first 2 KB, cells trimmed, empty rows dropped. `lenient` ignores rows
+ * with too few or too many fields, like the Train page.
+ * @param {object} rt runtime from createRuntime()
+ * @param {string} text
+ * @returns {{fmt: {delimiter: string, hasHeader: boolean}, errors: object[], rows: object[]}}
+ */
+function parseCsv(rt, text, { lenient = false } = {}) {
+    text = text.replace(/^\uFEFF/, '');
+    const fmt = rt.MLFeatureCodec.detectCsvFormat(utf8Head(text, SAMPLE_BYTES));
+    const results = Papa.parse(text, {
+        header: fmt.hasHeader,
+        delimiter: fmt.delimiter,
+        skipEmptyLines: 'greedy',
+        dynamicTyping: false,
+        transformHeader: fmt.hasHeader ? (h) => (h || '').trim() : undefined,
+        transform: (v) => (v || '').toString().trim()
+    });
+    const errors = lenient
+        ? results.errors.filter(err =>
+            !err.message.includes('Too few fields') &&
+            !err.message.includes('Too many fields'))
+        : results.errors;
+    const rows = results.data.filter(row => row && typeof row === 'object' &&
+        Object.values(row).some(v => v !== '' && v !== null && v !== undefined));
+    return { fmt, errors, rows };
+}
+
+module.exports = { parseCsv };
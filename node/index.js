@@ -0,0 +1,198 @@
+/*
+ * Headless Node.js runtime for the churn model.
+ *
+ * Runs the browser's own scripts (feature encoding, training-set preparation,
+ * scoring rules, translations and the network engine), unchanged, inside a
+ * `vm` context that stands in for `window` (no DOM): the WASM binaries are
+ * read from wasm/ on disk and the training / scoring worker runs on a
+ * worker_thread behind the small Web Worker shim below. Training, scoring
+ * and the saved model files are therefore exactly those of the app.
+ *
+ *   const { createRuntime } = require('./node');
+ *   const rt = await createRuntime();
+ *   const model = rt.loadModel(fs.readFileSync('churn_model.json', 'utf8'));
+ *   const scores = model.predictBatch(rows.map(rt.MLFeatureCodec.makeRowEncoder(...)));
+ *   fs.writeFileSync('churn_model.json', rt.modelToJSON(model));
+ *
+ * Each runtime has its own WASM instance; networks of one runtime cannot be
+ * used with another.
+ */
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Worker: ThreadWorker } = require('worker_threads');
+
+const ROOT = path.join(__dirname, '..');
+
+// Loaded into the context in this order (as in index.html).
+const PAGE_SCRIPTS = [
+    'js/i18n.js', 'js/feature-codec.js', 'js/training-data.js', 'js/scoring.js',
+    'js/nn-engine.js', 'js/nn-wasm.js', 'js/neural-network.js'
+];
+
+// Bundled into the worker in this order (as in tools/embed-wasm.js).
+const WORKER_SCRIPTS = ['js/feature-codec.js', 'js/scoring.js', 'js/nn-engine.js', 'js/nn-worker.js'];
+
+const ENGINES = ['auto', 'f64', 'js'];
+
+// Gives the worker source the `self` of a Web Worker.
+const WORKER_PRELUDE =
+    'const { parentPort } = require(\'worker_threads\');\n' +
+    'globalThis.self = globalThis;\n' +
+    'self.postMessage = (msg, transfer) => parentPort.postMessage(msg, transfer);\n' +
+    'parentPort.on(\'message\', (data) => { if (self.onmessage) self.onmessage({ data: data }); });\n';
+
+// What js/i18n.js touches while loading: nothing to translate in place.
+const DOCUMENT_STUB = {
+    readyState: 'complete',
+    documentElement: { setAttribute() {} },
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    dispatchEvent() {}
+};
+
+function readSource(file) {
+    return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readBase64(file) {
+    const full = path.join(ROOT, file);
+    return fs.existsSync(full) ? fs.readFileSync(full).toString('base64') : '';
+}
+
+// The parts of Blob / URL / Worker that NeuralNetwork._createWorker() uses:
+// a Blob of source text, an object URL naming it and a Worker running it.
+function workerShims() {
+    const sources = new Map();
+    let nextId = 0;
+
+    class SourceBlob {
+        constructor(parts) {
+            this.source = parts.join('');
+        }
+    }
+
+    const URLShim = {
+        createObjectURL(blob) {
+            const url = 'blob:marijo/' + (++nextId);
+            sources.set(url, blob.source);
+            return url;
+        },
+        revokeObjectURL(url) {
+            sources.delete(url);
+        }
+    };
+
+    class WorkerShim {
+        constructor(url) {
+            this.onmessage = null;
+            this.onerror = null;
+            this._thread = new ThreadWorker(WORKER_PRELUDE + sources.get(url), { eval: true });
+            this._thread.on('message', (data) => {
+                if (this.onmessage) this.onmessage({ data });
+            });
+            this._thread.on('error', (err) => {
+                if (this.onerror) this.onerror({ message: err.message, error: err });
+            });
+        }
+
+        postMessage(msg, transfer) {
+            this._thread.postMessage(msg, transfer);
+        }
+
+        terminate() {
+            this._thread.terminate();
+        }
+    }
+
+    return { Blob: SourceBlob, URL: URLShim, Worker: WorkerShim };
+}
+
+/**
+ * Load the engine.
+ * @param {object} [options]
+ * @param {'auto'|'f64'|'js'} [options.engine='auto'] - as in the browser,
+ *   'auto' picks the f32 SIMD build when supported, else the f64 build;
+ *   'f64' always uses wasm/nn.wasm, 'js' the JavaScript engine
+ * @param {string} [options.lang='en'] language of `t()` texts ('en', 'fr', 'es')
+ * @param {boolean} [options.verbose=false] - keep the engine's console.log
+ *   progress lines (warnings and errors always go to stderr)
+ * @returns {Promise<{NeuralNetwork: Function, MLFeatureCodec: object,
+ *   MLTrainingData: object, MLScoring: object, t: Function, engine: string,
+ *   loadModel: Function, modelToJSON: Function}>}
+ */
+async function createRuntime(options = {}) {
+    const { engine = 'auto', lang = 'en', verbose = false } = options;
+    if (!ENGINES.includes(engine)) {
+        throw new Error('Unknown engine "' + engine + '" (expected ' + ENGINES.join(', ') + ')');
+    }
+
+    const shims = workerShims();
+    const context = vm.createContext({
+        console: {
+            log: verbose ? console.log : () => {},
+            info: verbose ? console.info : () => {},
+            warn: console.warn,
+            error: console.error
+        },
+        atob,
+        btoa,
+        WebAssembly,
+        performance,
+        setTimeout,
+        clearTimeout,
+        setInterval,
+        clearInterval,
+        queueMicrotask,
+        structuredClone,
+        document: DOCUMENT_STUB,
+        Blob: shims.Blob,
+        URL: shims.URL,
+        Worker: shims.Worker,
+        _nnEnginePreference: engine,
+        _nnWasmBase64: readBase64('wasm/nn.wasm'),
+        _nnWasmSimdBase64: readBase64('wasm/nn-simd.wasm'),
+        _nnWorkerSource: WORKER_SCRIPTS.map(readSource).join('\n')
+    });
+    context.window = context;
+    context.self = context;
+
+    for (const file of PAGE_SCRIPTS) {
+        vm.runInContext(readSource(file), context, { filename: path.join(ROOT, file) });
+    }
+    if (!context.i18n.SUPPORTED.includes(lang)) {
+        throw new Error('Unknown language "' + lang + '" (expected ' + context.i18n.SUPPORTED.join(', ') + ')');
+    }
+    context.i18n.setLanguage(lang);
+    if (!(await context._wasmNNReady)) {
+        throw new Error('Could not load the neural network engine');
+    }
+
+    const NeuralNetwork = context.NeuralNetwork;
+    return {
+        NeuralNetwork,
+        MLFeatureCodec: context.MLFeatureCodec,
+        MLTrainingData: context.MLTrainingData,
+        MLScoring: context.MLScoring,
+        // Texts of js/i18n.js in the runtime's language
+        t: context.i18n.t,
+        engine: context._nnWasmVariant,
+
+        /**
+         * A network from a saved model (the browser's churn_model.json).
+         * @param {string|object} model - file contents or parsed JSON
+         */
+        loadModel(model) {
+            return NeuralNetwork.load(typeof model === 'string' ? JSON.parse(model) : model);
+        },
+
+        /** The text the Train page downloads as churn_model.json. */
+        modelToJSON(network) {
+            return JSON.stringify(network.save(), null, 2);
+        }
+    };
+}
+
+module.exports = { createRuntime };
@@ -0,0 +1,218 @@
+/*
+ * Local HTTP scoring server for a saved churn model (`marijo serve`).
+ *
+ *   GET  /health   { status: 'ok', engine }
+ *   GET  /model    the model's task, columns, classes and training settings
+ *   POST /score    rows as JSON (an array of objects, or { rows: [...] }) or
+ *                  as CSV text; `?id=<column>` and `?target=<column>` name
+ *                  columns that are not features, as on the Predict page
+ *
+ * Scores, risk tiers and predicted classes come from js/scoring.js, the
+ * code behind the Predict page, so they match what the page shows and
+ * exports. With `Accept: text/csv` (or `?format=csv`) /score returns the
+ * predictions CSV the page downloads instead of JSON.
+ */
+'use strict';
+const http = require('http');
+const Papa = require('papaparse');
+const { parseCsv } = require('./csv');
+
+// Largest request body accepted by /score.
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+// Error answered as `{ error: message }` with its HTTP status.
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                // Drain the rest so the 413 answer still reaches the client
+                req.removeListener('data', onData);
+                req.resume();
+                reject(new HttpError(413, `Request body is larger than ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body, contentType = 'application/json; charset=utf-8') {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(text) });
+    res.end(text);
+}
+
+// JSON cells as the CSV parser would give them: trimmed strings, '' when empty.
+function rowFromJson(row) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        throw new HttpError(400, 'Each row must be an object of column name → value');
+    }
+    const out = {};
+    Object.keys(row).forEach((key) => {
+        const v = row[key];
+        out[key.trim()] = v === null || v === undefined ? '' : String(v).trim();
+    });
+    return out;
+}
+
+/**
+ * Create (but do not start) the server.
+ * @param {object} rt runtime from createRuntime()
+ * @param {object} model parsed churn_model.json
+ * @param {object} [options]
+ * @param {function(string): void} [options.log] one line per scored request
+ * @param {number} [options.maxBodyBytes]
+ * @returns {http.Server} closing it releases the network
+ */
+function createScoringServer(rt, model, options = {}) {
+    const { log = () => {}, maxBodyBytes = MAX_BODY_BYTES } = options;
+    const { t, MLScoring, MLTrainingData } = rt;
+    const network = rt.loadModel(model);
+    const config = model.config;
+    const preprocessing = config.preprocessing || null;
+    const classes = MLScoring.modelClasses(config);
+    const targetScaling = MLScoring.modelTargetScaling(config);
+    const labelMappings = preprocessing && preprocessing.labelMappings ? preprocessing.labelMappings : null;
+
+    const metadata = {
+        name: config.name,
+        version: config.version,
+        created: config.created,
+        task: MLTrainingData.modelTask(config),
+        inputSize: config.architecture.inputLayer.units,
+        labelKey: preprocessing ? preprocessing.labelKey || null : null,
+        idColumn: preprocessing ? preprocessing.idColumn || null : null,
+        featureKeys: preprocessing ? preprocessing.featureKeys || null : null,
+        classes,
+        targetScaling,
+        architecture: config.architecture,
+        trainingConfig: config.trainingConfig || null
+    };
+
+    // A network scores one file at a time, so requests wait their turn.
+    let queue = Promise.resolve();
+    function scoreRows(rows, encoder) {
+        const run = queue.then(() => network.scoreRows(rows, encoder));
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function score(req, url) {
+        const body = await readBody(req, maxBodyBytes);
+        const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        let rows;
+        if (type === 'text/csv' || type === 'text/plain') {
+            const parsed = parseCsv(rt, body);
+            if (parsed.errors.length > 0) {
+                throw new HttpError(400, t('predict.msg.err_parse', { error: parsed.errors[0].message }));
+            }
+            rows = parsed.rows;
+        } else if (type === 'application/json' || type === '') {
+            let json;
+            try {
+                json = JSON.parse(body);
+            } catch (err) {
+                throw new HttpError(400, 'Invalid JSON: ' + err.message);
+            }
+            const list = Array.isArray(json) ? json : json && json.rows;
+            if (!Array.isArray(list)) throw new HttpError(400, 'Expected an array of rows or { "rows": [...] }');
+            rows = list.map(rowFromJson);
+        } else {
+            throw new HttpError(415, 'Send rows as application/json or text/csv');
+        }
+
+        // Columns that are not features; the model's id column by default
+        const columns = Object.keys(rows[0] || {});
+        const targetKey = url.searchParams.get('target') || null;
+        if (targetKey && rows.length > 0 && !columns.includes(targetKey)) {
+            throw new HttpError(400, t('predict.msg.err_target_missing', { column: targetKey }));
+        }
+        let idKey = url.searchParams.get('id') || null;
+        if (idKey && rows.length > 0 && !columns.includes(idKey)) throw new HttpError(400, t('predict.msg.err_pick_id'));
+        if (idKey && idKey === targetKey) throw new HttpError(400, t('predict.msg.err_id_equals_target'));
+        if (!idKey && metadata.idColumn && columns.includes(metadata.idColumn)) idKey = metadata.idColumn;
+
+        const { featureKeys, encoder } = MLScoring.inputSpec(preprocessing, rows, { idKey, targetKey });
+        let scores;
+        try {
+            scores = await scoreRows(rows, encoder);
+        } catch (err) {
+            throw new HttpError(500, t('predict.msg.err_predict', { error: err.message }));
+        }
+        const scoringModel = { featureKeys, classes, targetScaling, labelMappings };
+        return { rows, idKey, scoringModel, results: MLScoring.results(scores, rows, scoringModel, t) };
+    }
+
+    // JSON form of one MLScoring.results() entry.
+    function prediction(result, row, idKey) {
+        const out = { row: result.datasetRow };
+        if (idKey) out.id = row[idKey];
+        if (targetScaling) {
+            out.prediction = result.prediction;
+            return out;
+        }
+        out.predictedClass = result.predictedClass;
+        if (classes) {
+            out.confidence = result.prediction;
+            out.probabilities = {};
+            classes.forEach((name, c) => { out.probabilities[name] = result.probabilities[c]; });
+            return out;
+        }
+        out.score = result.prediction;
+        out.riskTier = result.riskTierKey;
+        out.riskTierLabel = result.riskTierLabel;
+        return out;
+    }
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            if (url.pathname === '/health') {
+                if (req.method !== 'GET') throw new HttpError(405, 'Use GET');
+                send(res, 200, { status: 'ok', engine: rt.engine });
+            } else if (url.pathname === '/model') {
+                if (req.method !== 'GET') throw new HttpError(405, 'Use GET');
+                send(res, 200, metadata);
+            } else if (url.pathname === '/score') {
+                if (req.method !== 'POST') throw new HttpError(405, 'Use POST');
+                const started = Date.now();
+                const { rows, idKey, scoringModel, results } = await score(req, url);
+                const wantsCsv = url.searchParams.get('format') === 'csv' ||
+                    (req.headers.accept || '').split(',')[0].trim().startsWith('text/csv');
+                if (wantsCsv) {
+                    send(res, 200, Papa.unparse(MLScoring.exportRows(results, scoringModel, t)), 'text/csv; charset=utf-8');
+                } else {
+                    send(res, 200, {
+                        task: metadata.task,
+                        count: results.length,
+                        predictions: results.map((result, i) => prediction(result, rows[i], idKey))
+                    });
+                }
+                log(`POST /score: ${results.length} rows in ${Date.now() - started} ms`);
+            } else {
+                throw new HttpError(404, 'Not found: ' + url.pathname);
+            }
+        } catch (err) {
+            const status = err instanceof HttpError ? err.status : 500;
+            if (!(err instanceof HttpError)) log((err && err.stack) || String(err));
+            if (!res.headersSent) send(res, status, { error: err.message });
+        }
+    });
+    server.on('close', () => network.dispose());
+    return server;
+}
+
+module.exports = { createScoringServer, MAX_BODY_BYTES };
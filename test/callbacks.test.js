@@ -0,0 +1,63 @@
+'use strict';
+// train() and search() settle only after their async callbacks have
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../node/index.js');
+
+const ARCHITECTURE = {
+    inputLayer: { units: 2 },
+    hiddenLayers: [{ units: 3, activation: 'relu' }],
+    outputLayer: { units: 1, activation: 'sigmoid' }
+};
+const X = [[0, 1], [1, 0], [1, 1], [0, 0]];
+const Y = [1, 1, 0, 0];
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A slow callback that records overlapping calls
+function slowCallback(log) {
+    let running = 0;
+    return async (data) => {
+        running++;
+        log.maxRunning = Math.max(log.maxRunning || 0, running);
+        await sleep(20);
+        log.push(data);
+        running--;
+    };
+}
+
+test('train() resolves after the last onEpochEnd and onCheckpoint', async (t) => {
+    const { NeuralNetwork } = await createRuntime({ engine: 'js' });
+    const network = new NeuralNetwork({ architecture: ARCHITECTURE });
+    t.after(() => network.dispose());
+    const epochs = [];
+    const checkpoints = [];
+
+    await network.train(X, Y, {
+        epochs: 7,
+        seed: 1,
+        checkpointEvery: 3,
+        onEpochEnd: slowCallback(epochs),
+        onCheckpoint: slowCallback(checkpoints)
+    });
+
+    assert.deepStrictEqual(epochs.map((e) => e.epoch), [1, 2, 3, 4, 5, 6, 7]);
+    assert.strictEqual(epochs.maxRunning, 1);
+    assert.deepStrictEqual(checkpoints.map((c) => c.epoch), [3, 6]);
+});
+
+test('search() resolves after the last onTrial', async (t) => {
+    const { NeuralNetwork } = await createRuntime({ engine: 'js' });
+    const network = new NeuralNetwork({ architecture: ARCHITECTURE });
+    t.after(() => network.dispose());
+    const fold = { features: X, labels: Y, valFeatures: X, valLabels: Y };
+    const trials = [];
+
+    await network.search([fold, fold], {
+        trials: [1, 2, 3].map((epochs) => ({ epochs, learningRate: 0.01, hiddenUnits: 3 })),
+        seed: 1,
+        onTrial: slowCallback(trials)
+    });
+
+    assert.deepStrictEqual(trials.map((trial) => trial.index), [0, 1, 2]);
+    assert.strictEqual(trials.maxRunning, 1);
+});
@@ -0,0 +1,52 @@
+'use strict';
+// `marijo score --target` and the server's `?target=` must name a column of the data
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { createRuntime } = require('../node/index.js');
+const { createScoringServer } = require('../node/server.js');
+
+const CLI = path.join(__dirname, '..', 'node', 'cli.js');
+const CSV = ['CustomerID,Age,Tenure,Churn']
+    .concat(Array.from({ length: 20 }, (_, i) => `${i + 1},${20 + i},${i % 7},${i % 3 === 0 ? 1 : 0}`))
+    .join('\n');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'marijo-test-'));
+const dataFile = path.join(dir, 'customers.csv');
+const modelFile = path.join(dir, 'churn_model.json');
+fs.writeFileSync(dataFile, CSV);
+execFileSync(process.execPath, [CLI, 'train', dataFile, '--target', 'Churn', '--id', 'CustomerID',
+    '--epochs', '2', '--seed', '1', '--engine', 'js', '--quiet', '-o', modelFile]);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('marijo score fails on a --target column missing from the file', () => {
+    const run = spawnSync(process.execPath, [CLI, 'score', modelFile, dataFile,
+        '--target', 'Cancelled', '--engine', 'js', '--quiet'], { encoding: 'utf8' });
+    assert.notStrictEqual(run.status, 0);
+    assert.match(run.stderr, /no column Cancelled/);
+    assert.strictEqual(run.stdout, '');
+});
+
+test('POST /score answers 400 for a ?target= column missing from the rows', async (t) => {
+    const rt = await createRuntime({ engine: 'js' });
+    const server = createScoringServer(rt, JSON.parse(fs.readFileSync(modelFile, 'utf8')));
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const url = `http://127.0.0.1:${server.address().port}/score`;
+    const post = (query) => fetch(url + query, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv' },
+        body: CSV
+    });
+
+    const missing = await post('?target=Cancelled');
+    assert.strictEqual(missing.status, 400);
+    assert.match((await missing.json()).error, /no column Cancelled/);
+
+    const present = await post('?target=Churn');
+    assert.strictEqual(present.status, 200);
+    assert.strictEqual((await present.json()).count, 20);
+});
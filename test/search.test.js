@@ -0,0 +1,34 @@
+'use strict';
+// search() time budget
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../node/index.js');
+
+const ARCHITECTURE = {
+    inputLayer: { units: 2 },
+    hiddenLayers: [{ units: 3, activation: 'relu' }],
+    outputLayer: { units: 1, activation: 'sigmoid' }
+};
+// Enough rows and epochs for the worker to read control messages mid-trial
+const X = Array.from({ length: 200 }, (_, i) => [i % 2, (i >> 1) % 2]);
+const Y = X.map(([a, b]) => a ^ b);
+const FOLD = { features: X, labels: Y, valFeatures: X.slice(0, 20), valLabels: Y.slice(0, 20) };
+const TRIALS = [
+    { epochs: 500, learningRate: 0.01, hiddenUnits: 3 },
+    { epochs: 500, learningRate: 0.05, hiddenUnits: 3 }
+];
+
+test('search() leaves time spent paused out of its time budget', async (t) => {
+    const { NeuralNetwork } = await createRuntime({ engine: 'js' });
+    const network = new NeuralNetwork({ architecture: ARCHITECTURE });
+    t.after(() => network.dispose());
+
+    const searching = network.search([FOLD, FOLD], { trials: TRIALS, timeBudgetMs: 1000, seed: 1 });
+    network.pauseTraining();
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    network.resumeTraining();
+    const summary = await searching;
+
+    assert.strictEqual(summary.timedOut, false);
+    assert.strictEqual(summary.completed, TRIALS.length);
+});
@@ -0,0 +1,45 @@
+'use strict';
+// train() rejects bad run settings before a worker starts
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRuntime } = require('../node/index.js');
+
+const ARCHITECTURE = {
+    inputLayer: { units: 2 },
+    hiddenLayers: [{ units: 3, activation: 'relu' }],
+    outputLayer: { units: 1, activation: 'sigmoid' }
+};
+const X = [[0, 1], [1, 0], [1, 1], [0, 0]];
+const Y = [1, 1, 0, 0];
+
+test('train() rejects invalid epochs, batchSize and learningRate', async (t) => {
+    const { NeuralNetwork } = await createRuntime({ engine: 'js' });
+    const network = new NeuralNetwork({ architecture: ARCHITECTURE });
+    t.after(() => network.dispose());
+    const before = JSON.stringify(network.config.trainingConfig);
+
+    const cases = [
+        [{ epochs: 0 }, /epochs must be a whole number/],
+        [{ epochs: 2.5 }, /epochs must be a whole number/],
+        [{ batchSize: 0 }, /batchSize must be a whole number/],
+        [{ batchSize: 1.5 }, /batchSize must be a whole number/],
+        [{ learningRate: -1 }, /learningRate must be a positive number/],
+        [{ learningRate: 0 }, /learningRate must be a positive number/],
+        [{ learningRate: 'x' }, /learningRate must be a positive number/],
+        [{ learningRate: Infinity }, /learningRate must be a positive number/]
+    ];
+    for (const [options, message] of cases) {
+        await assert.rejects(network.train(X, Y, Object.assign({ seed: 1 }, options)), message);
+        assert.strictEqual(network._trainingWorker, null);
+        assert.strictEqual(JSON.stringify(network.config.trainingConfig), before);
+    }
+});
+
+test('train() still runs with valid settings', async (t) => {
+    const { NeuralNetwork } = await createRuntime({ engine: 'js' });
+    const network = new NeuralNetwork({ architecture: ARCHITECTURE });
+    t.after(() => network.dispose());
+    const history = await network.train(X, Y, { epochs: 2, batchSize: 2, learningRate: 0.01, seed: 1 });
+    assert.strictEqual(history.loss.length, 2);
+    assert.strictEqual(network.config.trainingConfig.epochs, 2);
+});
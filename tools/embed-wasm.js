@@ -3,8 +3,9 @@
  *
  *   .wasm → base64 string on `window.<global>` (used to instantiate WASM
  *           without a fetch() call, which matters under file://).
- *   .js  → base64-encoded JS source on `window.<global>`, to be decoded and
- *          wrapped in a Blob by the main thread to spawn a Web Worker. This
+ *   .js  → JS source string on `window.<global>` (several files are
+ *          concatenated in order), wrapped in a Blob by the main thread to
+ *          spawn a Web Worker. This
  *          lets us ship a Worker that works identically under http(s):// and
  *          file:// — `new Worker('js/...')` fails under file:// in Chrome,
  *          but Blob workers always work.
@@ -25,14 +26,28 @@ const WASM_TARGETS = [
         global: '_nnWasmBase64',
         label: 'wasm/nn.wasm',
     },
+    {
+        src: path.join(ROOT, 'wasm', 'nn-simd.wasm'),
+        out: path.join(ROOT, 'js', 'nn-wasm-simd-embed.js'),
+        global: '_nnWasmSimdBase64',
+        label: 'wasm/nn-simd.wasm',
+    },
 ];
 
 const SOURCE_TARGETS = [
     {
-        src: path.join(ROOT, 'js', 'nn-worker.js'),
+        // The worker encodes CSV rows for scoring, so it carries the codec,
+        // the scoring rules for holdout AUC, and the JS engine for browsers
+        // without WebAssembly.
+        src: [
+            path.join(ROOT, 'js', 'feature-codec.js'),
+            path.join(ROOT, 'js', 'scoring.js'),
+            path.join(ROOT, 'js', 'nn-engine.js'),
+            path.join(ROOT, 'js', 'nn-worker.js'),
+        ],
         out: path.join(ROOT, 'js', 'nn-worker-embed.js'),
         global: '_nnWorkerSource',
-        label: 'js/nn-worker.js',
+        label: 'js/feature-codec.js + js/scoring.js + js/nn-engine.js + js/nn-worker.js',
     },
 ];
 
@@ -59,11 +74,13 @@ function embedBinaryAsBase64(target) {
 }
 
 function embedSourceAsString(target) {
-    if (!fs.existsSync(target.src)) {
-        console.warn('Skipping (not found): ' + target.label);
+    const files = [].concat(target.src);
+    const missing = files.filter(f => !fs.existsSync(f));
+    if (missing.length) {
+        console.warn('Skipping (not found): ' + missing.map(f => path.relative(ROOT, f)).join(', '));
         return;
     }
-    const source = fs.readFileSync(target.src, 'utf-8');
+    const source = files.map(f => fs.readFileSync(f, 'utf-8')).join('\n');
     // JSON.stringify handles all escaping (quotes, newlines, unicode).
     const literal = JSON.stringify(source);
     const output =